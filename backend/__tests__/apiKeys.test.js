@@ -0,0 +1,201 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Business = require('../src/models/Business');
+const Membership = require('../src/models/Membership');
+const ApiKey = require('../src/models/ApiKey');
+const AuditLog = require('../src/models/AuditLog');
+const RefreshToken = require('../src/models/RefreshToken');
+const Session = require('../src/models/Session');
+const mailer = require('../src/utils/mailer');
+
+// Use local MongoDB for testing
+const TEST_MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://localhost:27017/hackjos_test';
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  await mongoose.connect(TEST_MONGODB_URI);
+  mailer.setTransport({ send: async () => {} });
+}, 30000);
+
+afterAll(async () => {
+  mailer.setTransport(null);
+  await mongoose.disconnect();
+}, 10000);
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await User.deleteMany({});
+    await Business.deleteMany({});
+    await Membership.deleteMany({});
+    await ApiKey.deleteMany({});
+    await AuditLog.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await Session.deleteMany({});
+  }
+});
+
+describe('API Key Tests', () => {
+  const ownerData = {
+    firstName: 'Ada',
+    lastName: 'Obi',
+    email: 'ada@example.com',
+    password: 'Password123',
+    businessName: 'Ada Stores',
+    industry: 'retail'
+  };
+
+  let ownerToken;
+
+  /**
+   * Create a key with the given scopes and return the full key
+   */
+  const createKey = async (scopes, extra = {}) => {
+    const response = await request(app)
+      .post('/api/business/api-keys')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'Bookkeeping sync', scopes, ...extra })
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send(ownerData);
+
+    ownerToken = response.body.data.token;
+
+    await User.updateOne({ email: ownerData.email }, { isEmailVerified: true });
+  });
+
+  it('should create a key that is shown once and stored hashed', async () => {
+    const { key, apiKey } = await createKey(['preferences:read']);
+
+    expect(key).toMatch(/^bk_[a-f0-9]{12}_/);
+    expect(apiKey).not.toHaveProperty('key');
+
+    const stored = await ApiKey.findById(apiKey.id).select('+keyHash');
+    expect(stored.keyHash).not.toContain(key.split('_')[2]);
+
+    const list = await request(app)
+      .get('/api/business/api-keys')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+    expect(JSON.stringify(list.body)).not.toContain(key);
+  });
+
+  it('should authenticate with X-API-Key and enforce scopes', async () => {
+    const { key } = await createKey(['preferences:read']);
+
+    await request(app)
+      .get('/api/business/preferences')
+      .set('X-API-Key', key)
+      .expect(200);
+
+    // The owner could do this, but the key is not scoped for it
+    await request(app)
+      .put('/api/business/preferences')
+      .set('X-API-Key', key)
+      .send({ units: [{ name: 'Box', abbreviation: 'BX' }] })
+      .expect(403);
+
+    // Keys cannot manage accounts or other keys
+    await request(app)
+      .get('/api/auth/me')
+      .set('X-API-Key', key)
+      .expect(403);
+    await request(app)
+      .get('/api/business/api-keys')
+      .set('X-API-Key', key)
+      .expect(403);
+
+    const stored = await ApiKey.findOne({});
+    expect(stored.lastUsedAt).toBeDefined();
+  });
+
+  it('should reject owner-only scopes', async () => {
+    await request(app)
+      .post('/api/business/api-keys')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ name: 'Too powerful', scopes: ['permissions:write'] })
+      .expect(400);
+  });
+
+  it('should reject revoked, expired and malformed keys', async () => {
+    const { key, apiKey } = await createKey(['profile:read']);
+
+    await request(app)
+      .delete(`/api/business/api-keys/${apiKey.id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+
+    await request(app)
+      .get('/api/business/profile')
+      .set('X-API-Key', key)
+      .expect(401);
+
+    const expiring = await createKey(['profile:read'], {
+      expiresAt: new Date(Date.now() + 60 * 1000).toISOString()
+    });
+    await ApiKey.updateOne({ _id: expiring.apiKey.id }, { expiresAt: new Date(Date.now() - 1000) });
+
+    await request(app)
+      .get('/api/business/profile')
+      .set('X-API-Key', expiring.key)
+      .expect(401);
+
+    await request(app)
+      .get('/api/business/profile')
+      .set('X-API-Key', 'not-a-key')
+      .expect(401);
+  });
+
+  it('should rate limit by verified key, and by IP for unverified keys', async () => {
+    const { key } = await createKey(['preferences:read']);
+
+    const withKey = await request(app)
+      .get('/api/business/preferences')
+      .set('X-API-Key', key)
+      .expect(200);
+    expect(withKey.headers['ratelimit-limit']).toBe(String(parseInt(process.env.API_KEY_RATE_LIMIT) || 1000));
+
+    // A made-up key of the right shape must not escape the per-IP limiter
+    const forged = await request(app)
+      .get('/api/business/preferences')
+      .set('X-API-Key', `bk_${'a'.repeat(12)}_${'b'.repeat(32)}`)
+      .expect(401);
+    expect(forged.headers['ratelimit-limit']).toBe('100');
+  });
+
+  it('should attribute audit entries to the key', async () => {
+    const { key, apiKey } = await createKey(['preferences:read', 'preferences:write']);
+
+    const preferences = await request(app)
+      .get('/api/business/preferences')
+      .set('X-API-Key', key)
+      .expect(200);
+
+    await request(app)
+      .put('/api/business/preferences')
+      .set('X-API-Key', key)
+      .set('If-Match', preferences.headers.etag)
+      .send({ units: [{ name: 'Box', abbreviation: 'BX' }] })
+      .expect(200);
+
+    const response = await request(app)
+      .get('/api/business/audit-logs')
+      .query({ action: 'business.preferences-updated' })
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0].actor.type).toBe('api-key');
+    expect(response.body.data[0].actor.apiKey).toBe(apiKey.id);
+  });
+});
@@ -3,6 +3,11 @@ const mongoose = require('mongoose');
 const app = require('../src/app');
 const User = require('../src/models/User');
 const Business = require('../src/models/Business');
+const Membership = require('../src/models/Membership');
+const RefreshToken = require('../src/models/RefreshToken');
+const Session = require('../src/models/Session');
+const mailer = require('../src/utils/mailer');
+const totp = require('../src/utils/totp');
 
 // Use local MongoDB for testing
 const TEST_MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://localhost:27017/hackjos_test';
@@ -29,6 +34,9 @@ afterAll(async () => {
     // Clean up test database
     await User.deleteMany({});
     await Business.deleteMany({});
+    await Membership.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await Session.deleteMany({});
     await mongoose.disconnect();
   } catch (error) {
     console.error('Error during cleanup:', error);
@@ -40,6 +48,9 @@ afterEach(async () => {
   if (mongoose.connection.readyState === 1) {
     await User.deleteMany({});
     await Business.deleteMany({});
+    await Membership.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await Session.deleteMany({});
   }
 });
 
@@ -65,6 +76,7 @@ describe('Authentication Tests', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.message).toBe('Registration successful');
       expect(response.body.data).toHaveProperty('token');
+      expect(response.body.data).toHaveProperty('refreshToken');
       expect(response.body.data).toHaveProperty('user');
       expect(response.body.data).toHaveProperty('business');
       expect(response.body.data.user.email).toBe(validUserData.email);
@@ -152,6 +164,38 @@ describe('Authentication Tests', () => {
       expect(response.body.message).toBe('Invalid credentials');
     });
 
+    it('should lock the account after repeated failures', async () => {
+      // Disable progressive delays so every attempt is evaluated
+      process.env.LOGIN_DELAY_AFTER = '10';
+
+      for (let attempt = 0; attempt < 5; attempt++) {
+        await request(app)
+          .post('/api/auth/login')
+          .send({ email: validUserData.email, password: 'WrongPassword123' })
+          .expect(401);
+      }
+
+      // The correct password is refused with the same generic response
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: validUserData.email, password: validUserData.password })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid credentials');
+
+      const user = await User.findOne({ email: validUserData.email });
+      expect(user.isLocked()).toBe(true);
+
+      await User.resetLoginAttempts(user._id);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: validUserData.email, password: validUserData.password })
+        .expect(200);
+
+      delete process.env.LOGIN_DELAY_AFTER;
+    });
+
     it('should not login non-existent user', async () => {
       const response = await request(app)
         .post('/api/auth/login')
@@ -280,5 +324,380 @@ describe('Authentication Tests', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.message).toBe('Logged out successfully');
     });
+
+    it('should reject the access token after logout', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
   });
-});
\ No newline at end of file
+
+  describe('POST /api/auth/refresh', () => {
+    let authToken;
+    let refreshToken;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(validUserData);
+
+      authToken = response.body.data.token;
+      refreshToken = response.body.data.refreshToken;
+    });
+
+    it('should rotate the refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toHaveProperty('token');
+      expect(response.body.data.refreshToken).not.toBe(refreshToken);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.data.token}`)
+        .expect(200);
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      // Replaying the original token is treated as theft
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      // The legitimately rotated token no longer works either
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.data.refreshToken })
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(401);
+    });
+
+    it('should reject refresh tokens after logout', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+    });
+
+    it('should invalidate existing tokens after a password change', async () => {
+      const response = await request(app)
+        .put('/api/auth/update-password')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          currentPassword: validUserData.password,
+          newPassword: 'NewPassword123'
+        })
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.data.token}`)
+        .expect(200);
+    });
+  });
+
+  describe('Password reset', () => {
+    let sentMail;
+
+    beforeEach(async () => {
+      sentMail = [];
+      mailer.setTransport({ send: async (message) => sentMail.push(message) });
+
+      await request(app)
+        .post('/api/auth/register')
+        .send(validUserData);
+    });
+
+    afterEach(() => {
+      mailer.setTransport(null);
+    });
+
+    it('should respond generically for unknown emails', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(sentMail).toHaveLength(0);
+    });
+
+    it('should respond generically when the email cannot be sent', async () => {
+      mailer.setTransport({ send: async () => { throw new Error('SMTP down'); } });
+
+      const known = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: validUserData.email })
+        .expect(200);
+      const unknown = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(known.body).toEqual(unknown.body);
+      const user = await User.findOne({ email: validUserData.email });
+      expect(user.resetPasswordToken).toBeUndefined();
+    });
+
+    it('should reset the password with a single-use token', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: validUserData.email })
+        .expect(200);
+
+      expect(sentMail).toHaveLength(1);
+      const resetToken = sentMail[0].text.match(/reset-password\/([a-f0-9]+)/)[1];
+
+      await request(app)
+        .post(`/api/auth/reset-password/${resetToken}`)
+        .send({ password: 'ResetPassword123' })
+        .expect(200);
+
+      // Token cannot be reused
+      await request(app)
+        .post(`/api/auth/reset-password/${resetToken}`)
+        .send({ password: 'AnotherPassword123' })
+        .expect(400);
+
+      const user = await User.findOne({ email: validUserData.email });
+      expect(user.resetPasswordToken).toBeUndefined();
+      expect(await RefreshToken.countDocuments({ user: user._id, revokedAt: null })).toBe(0);
+    });
+  });
+
+  describe('Email verification', () => {
+    let sentMail;
+    let authToken;
+
+    beforeEach(async () => {
+      sentMail = [];
+      mailer.setTransport({ send: async (message) => sentMail.push(message) });
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(validUserData);
+
+      authToken = response.body.data.token;
+    });
+
+    afterEach(() => {
+      mailer.setTransport(null);
+    });
+
+    it('should block profile updates until the email is verified', async () => {
+      const response = await request(app)
+        .put('/api/business/profile')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ description: 'Gadgets and more' })
+        .expect(403);
+
+      expect(response.body.code).toBe('EMAIL_NOT_VERIFIED');
+    });
+
+    it('should verify the email with the emailed link', async () => {
+      expect(sentMail).toHaveLength(1);
+      const verificationToken = sentMail[0].text.match(/verify-email\/([a-f0-9]+)/)[1];
+
+      const response = await request(app)
+        .get(`/api/auth/verify-email/${verificationToken}`)
+        .expect(200);
+
+      expect(response.body.data.user.isEmailVerified).toBe(true);
+
+      const profile = await request(app)
+        .get('/api/business/profile')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      await request(app)
+        .put('/api/business/profile')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('If-Match', profile.headers.etag)
+        .send({ description: 'Gadgets and more' })
+        .expect(200);
+    });
+
+    it('should not resend verification to a verified user', async () => {
+      await User.updateOne({ email: validUserData.email }, { isEmailVerified: true });
+
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    let authToken;
+    let secret;
+    let recoveryCodes;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(validUserData);
+
+      authToken = response.body.data.token;
+
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      secret = setup.body.data.secret;
+      expect(setup.body.data.otpauthUri).toContain('otpauth://totp/');
+
+      const confirm = await request(app)
+        .post('/api/auth/2fa/confirm')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: totp.generateCode(secret) })
+        .expect(200);
+
+      recoveryCodes = confirm.body.data.recoveryCodes;
+    });
+
+    it('should require a second step at login', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: validUserData.email, password: validUserData.password })
+        .expect(200);
+
+      expect(login.body.data.requiresTwoFactor).toBe(true);
+      expect(login.body.data).not.toHaveProperty('token');
+
+      // The challenge token cannot be used as an access token
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${login.body.data.challengeToken}`)
+        .expect(401);
+
+      // Use the next time step so the code used during confirmation is not replayed
+      const nextCode = totp.generateCode(secret, totp.getTimeStep() + 1);
+      const verify = await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: login.body.data.challengeToken, code: nextCode })
+        .expect(200);
+
+      expect(verify.body.data).toHaveProperty('token');
+    });
+
+    it('should accept each recovery code only once', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: validUserData.email, password: validUserData.password })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: login.body.data.challengeToken, recoveryCode: recoveryCodes[0] })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ challengeToken: login.body.data.challengeToken, recoveryCode: recoveryCodes[0] })
+        .expect(401);
+    });
+  });
+
+  describe('Session management', () => {
+    let firstToken;
+    let secondToken;
+
+    beforeEach(async () => {
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .set('User-Agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0 Safari/537.36')
+        .send(validUserData);
+      firstToken = registered.body.data.token;
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Mobile Safari/604.1')
+        .send({ email: validUserData.email, password: validUserData.password });
+      secondToken = login.body.data.token;
+    });
+
+    it('should list sessions with device details', async () => {
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${firstToken}`)
+        .expect(200);
+
+      const { sessions } = response.body.data;
+      expect(sessions).toHaveLength(2);
+      expect(sessions.filter(session => session.current)).toHaveLength(1);
+      expect(sessions.map(session => session.device.os).sort()).toEqual(['Windows', 'iOS']);
+    });
+
+    it('should revoke a single session', async () => {
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${firstToken}`);
+      const other = response.body.data.sessions.find(session => !session.current);
+
+      await request(app)
+        .delete(`/api/auth/sessions/${other.id}`)
+        .set('Authorization', `Bearer ${firstToken}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${secondToken}`)
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${firstToken}`)
+        .expect(200);
+    });
+
+    it('should log out everywhere else', async () => {
+      const response = await request(app)
+        .delete('/api/auth/sessions')
+        .set('Authorization', `Bearer ${secondToken}`)
+        .expect(200);
+
+      expect(response.body.data.revokedSessions).toBe(1);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${firstToken}`)
+        .expect(401);
+    });
+  });
+});
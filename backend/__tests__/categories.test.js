@@ -0,0 +1,198 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Business = require('../src/models/Business');
+const Membership = require('../src/models/Membership');
+const Product = require('../src/models/Product');
+const RefreshToken = require('../src/models/RefreshToken');
+const Session = require('../src/models/Session');
+const mailer = require('../src/utils/mailer');
+
+// Use local MongoDB for testing
+const TEST_MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://localhost:27017/hackjos_test';
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  await mongoose.connect(TEST_MONGODB_URI);
+  mailer.setTransport({ send: async () => {} });
+}, 30000);
+
+afterAll(async () => {
+  mailer.setTransport(null);
+  await mongoose.disconnect();
+}, 10000);
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await User.deleteMany({});
+    await Business.deleteMany({});
+    await Membership.deleteMany({});
+    await Product.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await Session.deleteMany({});
+  }
+});
+
+describe('Category Hierarchy Tests', () => {
+  let token;
+  let electronics;
+  let phones;
+  let chargers;
+
+  const auth = (req) => req.set('Authorization', `Bearer ${token}`);
+
+  const getPreferences = async () => (await auth(request(app).get('/api/business/preferences'))).body.data;
+
+  const addCategory = async (name, parent) => {
+    const response = await auth(request(app).post('/api/business/preferences/categories'))
+      .send({ name, parent });
+
+    return response.body.data.item;
+  };
+
+  const findCategory = (data, name) => data.preferences.categories.find(item => item.name === name);
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        firstName: 'Ada',
+        lastName: 'Obi',
+        email: 'ada@example.com',
+        password: 'Password123',
+        businessName: 'Ada Stores',
+        industry: 'retail'
+      });
+
+    token = response.body.data.token;
+    electronics = findCategory(await getPreferences(), 'Electronics');
+    phones = await addCategory('Phones', electronics._id);
+    chargers = await addCategory('Chargers', phones._id);
+  });
+
+  describe('GET /api/business/preferences', () => {
+    it('should return categories as a tree and as paths', async () => {
+      const data = await getPreferences();
+
+      const root = data.categoryTree.find(node => node.name === 'Electronics');
+      expect(root.depth).toBe(0);
+      expect(root.children[0].name).toBe('Phones');
+      expect(root.children[0].children[0].name).toBe('Chargers');
+
+      const path = data.categoryPaths.find(entry => entry._id === chargers._id);
+      expect(path.path).toBe('Electronics > Phones > Chargers');
+      expect(path.depth).toBe(2);
+    });
+  });
+
+  describe('POST /api/business/preferences/categories', () => {
+    it('should reject a parent that does not exist', async () => {
+      const response = await auth(request(app).post('/api/business/preferences/categories'))
+        .send({ name: 'Tablets', parent: new mongoose.Types.ObjectId().toString() });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Parent category not found');
+    });
+  });
+
+  describe('PATCH /api/business/preferences/categories/:itemId', () => {
+    it('should move a category with its subcategories', async () => {
+      const clothing = findCategory(await getPreferences(), 'Clothing');
+
+      const response = await auth(request(app).patch(`/api/business/preferences/categories/${phones._id}`))
+        .send({ parent: clothing._id });
+
+      expect(response.status).toBe(200);
+      const data = await getPreferences();
+      expect(data.categoryPaths.find(entry => entry._id === chargers._id).path)
+        .toBe('Clothing > Phones > Chargers');
+    });
+
+    it('should move a category to the top level', async () => {
+      await auth(request(app).patch(`/api/business/preferences/categories/${phones._id}`))
+        .send({ parent: null })
+        .expect(200);
+
+      const data = await getPreferences();
+      expect(data.categoryPaths.find(entry => entry._id === phones._id).depth).toBe(0);
+    });
+
+    it('should not move a category under itself or a subcategory', async () => {
+      await auth(request(app).patch(`/api/business/preferences/categories/${electronics._id}`))
+        .send({ parent: electronics._id })
+        .expect(400);
+
+      const response = await auth(request(app).patch(`/api/business/preferences/categories/${electronics._id}`))
+        .send({ parent: chargers._id });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch(/subcategories/);
+    });
+  });
+
+  describe('DELETE /api/business/preferences/categories/:itemId', () => {
+    it('should move subcategories up to the parent by default', async () => {
+      const response = await auth(request(app).delete(`/api/business/preferences/categories/${phones._id}`));
+
+      expect(response.status).toBe(200);
+      const data = await getPreferences();
+      expect(findCategory(data, 'Phones')).toBeUndefined();
+      expect(findCategory(data, 'Chargers').parent).toBe(electronics._id);
+    });
+
+    it('should delete subcategories with children=delete', async () => {
+      const response = await auth(
+        request(app).delete(`/api/business/preferences/categories/${electronics._id}?children=delete`)
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.deletedIds).toHaveLength(3);
+      const data = await getPreferences();
+      expect(findCategory(data, 'Chargers')).toBeUndefined();
+    });
+
+    it('should not delete a subtree that products use', async () => {
+      const data = await getPreferences();
+      await auth(request(app).post('/api/products')).send({
+        sku: 'chg-001',
+        name: 'USB Charger',
+        category: chargers._id,
+        unit: data.preferences.units.find(item => item.name === 'Piece')._id,
+        productType: data.preferences.productTypes.find(item => item.name === 'Physical Product')._id,
+        costPrice: 3000,
+        sellingPrice: 4500
+      }).expect(201);
+
+      const response = await auth(
+        request(app).delete(`/api/business/preferences/categories/${electronics._id}?children=delete`)
+      );
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch(/Chargers \(1 product\)/);
+    });
+
+    it('should reject an unknown children option', async () => {
+      await auth(request(app).delete(`/api/business/preferences/categories/${phones._id}?children=keep`))
+        .expect(400);
+    });
+  });
+
+  describe('PUT /api/business/preferences', () => {
+    it('should reject categories that loop', async () => {
+      const response = await auth(request(app).get('/api/business/preferences'));
+      const categories = response.body.data.preferences.categories.map(item =>
+        (item._id === electronics._id ? { ...item, parent: chargers._id } : item));
+
+      const update = await auth(request(app).put('/api/business/preferences'))
+        .set('If-Match', response.headers.etag)
+        .send({ categories });
+
+      expect(update.status).toBe(400);
+      expect(update.body.message).toMatch(/cannot be placed under itself/);
+    });
+  });
+});
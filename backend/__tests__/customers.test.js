@@ -0,0 +1,226 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Business = require('../src/models/Business');
+const Membership = require('../src/models/Membership');
+const Customer = require('../src/models/Customer');
+const Sale = require('../src/models/Sale');
+const Invoice = require('../src/models/Invoice');
+const Counter = require('../src/models/Counter');
+const RefreshToken = require('../src/models/RefreshToken');
+const Session = require('../src/models/Session');
+const mailer = require('../src/utils/mailer');
+
+// Use local MongoDB for testing
+const TEST_MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://localhost:27017/hackjos_test';
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  await mongoose.connect(TEST_MONGODB_URI);
+  mailer.setTransport({ send: async () => {} });
+}, 30000);
+
+afterAll(async () => {
+  mailer.setTransport(null);
+  await mongoose.disconnect();
+}, 10000);
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await User.deleteMany({});
+    await Business.deleteMany({});
+    await Membership.deleteMany({});
+    await Customer.deleteMany({});
+    await Sale.deleteMany({});
+    await Invoice.deleteMany({});
+    await Counter.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await Session.deleteMany({});
+  }
+});
+
+describe('Customer Tests', () => {
+  let token;
+
+  const auth = (req) => req.set('Authorization', `Bearer ${token}`);
+
+  const createCustomer = (data) => auth(request(app).post('/api/customers')).send(data);
+
+  const invoiceFor = (customerId, unitPrice) => auth(request(app).post('/api/invoices')).send({
+    customerId,
+    items: [{ description: 'Consulting', quantity: 1, unitPrice }]
+  });
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        firstName: 'Ada',
+        lastName: 'Obi',
+        email: 'ada@example.com',
+        password: 'Password123',
+        businessName: 'Ada Stores',
+        industry: 'retail'
+      });
+
+    token = response.body.data.token;
+  });
+
+  describe('POST /api/customers', () => {
+    it('should create a customer with normalised tags', async () => {
+      const response = await createCustomer({
+        name: 'Chidi Okafor',
+        email: 'Chidi@Example.com',
+        phone: '+234 803 555 0101',
+        billingAddress: { street: '1 Marina', city: 'Lagos', country: 'Nigeria' },
+        tags: ['VIP', ' wholesale ', 'vip'],
+        creditLimit: 100000
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.customer.email).toBe('chidi@example.com');
+      expect(response.body.data.customer.tags).toEqual(['vip', 'wholesale']);
+      expect(response.body.data.customer.billingAddress.city).toBe('Lagos');
+    });
+
+    it('should reject a duplicate phone number unless allowed', async () => {
+      await createCustomer({ name: 'Chidi Okafor', phone: '+234 803 555 0101' });
+
+      const duplicate = await createCustomer({ name: 'C. Okafor', phone: '2348035550101' });
+      expect(duplicate.status).toBe(409);
+      expect(duplicate.body.data.duplicates).toHaveLength(1);
+
+      const allowed = await createCustomer({ name: 'C. Okafor', phone: '2348035550101', allowDuplicate: true });
+      expect(allowed.status).toBe(201);
+    });
+  });
+
+  describe('GET /api/customers', () => {
+    it('should search by name, email and phone digits', async () => {
+      await createCustomer({ name: 'Chidi Okafor', email: 'chidi@example.com', phone: '0803 555 0101' });
+      await createCustomer({ name: 'Ngozi Eze', email: 'ngozi@example.com', tags: ['vip'] });
+
+      const byPhone = await auth(request(app).get('/api/customers?search=555-0101'));
+      expect(byPhone.body.data.map(customer => customer.name)).toEqual(['Chidi Okafor']);
+
+      const byTag = await auth(request(app).get('/api/customers?tag=VIP'));
+      expect(byTag.body.data.map(customer => customer.name)).toEqual(['Ngozi Eze']);
+    });
+
+    it('should list duplicate groups', async () => {
+      await createCustomer({ name: 'Chidi Okafor', email: 'chidi@example.com' });
+      await createCustomer({ name: 'Chidi O.', email: 'chidi@example.com', allowDuplicate: true });
+
+      const response = await auth(request(app).get('/api/customers/duplicates'));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.groups).toHaveLength(1);
+      expect(response.body.data.groups[0].matchedOn).toBe('email');
+      expect(response.body.data.groups[0].customers).toHaveLength(2);
+    });
+  });
+
+  describe('Invoices and sales', () => {
+    it('should fill the invoice customer from the customer record', async () => {
+      const customer = (await createCustomer({
+        name: 'Chidi Okafor',
+        email: 'chidi@example.com',
+        billingAddress: { city: 'Lagos' }
+      })).body.data.customer;
+
+      const response = await invoiceFor(customer.id, 5000);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.invoice.customerId).toBe(customer.id);
+      expect(response.body.data.invoice.customer.name).toBe('Chidi Okafor');
+      expect(response.body.data.invoice.customer.address.city).toBe('Lagos');
+    });
+
+    it('should not send an invoice over the credit limit', async () => {
+      const customer = (await createCustomer({
+        name: 'Chidi Okafor',
+        creditLimit: 10000,
+        openingBalance: 4000
+      })).body.data.customer;
+
+      const first = await invoiceFor(customer.id, 5000);
+      const sent = await auth(request(app).post(`/api/invoices/${first.body.data.invoice.id}/send`)).send({ email: false });
+      expect(sent.status).toBe(200);
+
+      const second = await invoiceFor(customer.id, 2000);
+      const refused = await auth(request(app).post(`/api/invoices/${second.body.data.invoice.id}/send`)).send({ email: false });
+      expect(refused.status).toBe(400);
+      expect(refused.body.message).toMatch(/credit limit/);
+
+      const details = await auth(request(app).get(`/api/customers/${customer.id}`));
+      expect(details.body.data.customer.balance).toBe(9000);
+    });
+
+    it('should not delete a customer with invoices', async () => {
+      const customer = (await createCustomer({ name: 'Chidi Okafor' })).body.data.customer;
+      await invoiceFor(customer.id, 5000);
+
+      const response = await auth(request(app).delete(`/api/customers/${customer.id}`));
+
+      expect(response.status).toBe(400);
+      expect(await Customer.exists({ _id: customer.id })).toBeTruthy();
+    });
+  });
+
+  describe('POST /api/customers/:id/merge', () => {
+    it('should move history to the target and deactivate the sources', async () => {
+      const target = (await createCustomer({ name: 'Chidi Okafor', tags: ['vip'], openingBalance: 1000 })).body.data.customer;
+      const source = (await createCustomer({
+        name: 'Chidi O.',
+        email: 'chidi@example.com',
+        tags: ['wholesale'],
+        openingBalance: 500
+      })).body.data.customer;
+      await invoiceFor(source.id, 5000);
+
+      const response = await auth(request(app).post(`/api/customers/${target.id}/merge`))
+        .send({ sourceIds: [source.id] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.customer.email).toBe('chidi@example.com');
+      expect(response.body.data.customer.tags).toEqual(['vip', 'wholesale']);
+      expect(response.body.data.customer.openingBalance).toBe(1500);
+
+      const merged = await Customer.findById(source.id);
+      expect(merged.isActive).toBe(false);
+      expect(merged.mergedInto.toString()).toBe(target.id);
+
+      const timeline = await auth(request(app).get(`/api/customers/${target.id}/timeline`));
+      expect(timeline.body.data.events).toHaveLength(1);
+      expect(timeline.body.data.events[0].type).toBe('invoice');
+    });
+
+    it('should add credit balances to the stored balance of the target', async () => {
+      const target = (await createCustomer({ name: 'Chidi Okafor' })).body.data.customer;
+      const source = (await createCustomer({ name: 'Chidi O.' })).body.data.customer;
+      await Customer.updateOne({ _id: target.id }, { $set: { creditBalance: 250.1 } });
+      await Customer.updateOne({ _id: source.id }, { $set: { creditBalance: 100.2 } });
+
+      const response = await auth(request(app).post(`/api/customers/${target.id}/merge`))
+        .send({ sourceIds: [source.id] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.customer.creditBalance).toBe(350.3);
+      expect((await Customer.findById(target.id)).creditBalance).toBe(350.3);
+      expect((await Customer.findById(source.id)).creditBalance).toBe(0);
+    });
+
+    it('should not merge a customer into itself', async () => {
+      const target = (await createCustomer({ name: 'Chidi Okafor' })).body.data.customer;
+
+      const response = await auth(request(app).post(`/api/customers/${target.id}/merge`))
+        .send({ sourceIds: [target.id] });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Business = require('../src/models/Business');
+const Membership = require('../src/models/Membership');
+const RefreshToken = require('../src/models/RefreshToken');
+const Session = require('../src/models/Session');
+const mailer = require('../src/utils/mailer');
+
+// Use local MongoDB for testing
+const TEST_MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://localhost:27017/hackjos_test';
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  await mongoose.connect(TEST_MONGODB_URI);
+  mailer.setTransport({ send: async () => {} });
+}, 30000);
+
+afterAll(async () => {
+  mailer.setTransport(null);
+  await mongoose.disconnect();
+}, 10000);
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await User.deleteMany({});
+    await Business.deleteMany({});
+    await Membership.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await Session.deleteMany({});
+  }
+});
+
+describe('Business ETag Tests', () => {
+  let token;
+
+  const auth = (req) => req.set('Authorization', `Bearer ${token}`);
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        firstName: 'Ada',
+        lastName: 'Obi',
+        email: 'ada@example.com',
+        password: 'Password123',
+        businessName: 'Ada Stores',
+        industry: 'retail'
+      });
+
+    token = response.body.data.token;
+  });
+
+  describe('Business profile', () => {
+    it('should answer a conditional GET with 304', async () => {
+      const first = await auth(request(app).get('/api/business/profile')).expect(200);
+      expect(first.headers.etag).toBeDefined();
+
+      await auth(request(app).get('/api/business/profile'))
+        .set('If-None-Match', first.headers.etag)
+        .expect(304);
+    });
+
+    it('should require If-Match on updates', async () => {
+      const response = await auth(request(app).put('/api/business/profile'))
+        .send({ description: 'Gadgets and more' });
+
+      expect(response.status).toBe(428);
+    });
+
+    it('should reject an update based on an old version', async () => {
+      const loaded = await auth(request(app).get('/api/business/profile'));
+      const tag = loaded.headers.etag;
+
+      const first = await auth(request(app).put('/api/business/profile'))
+        .set('If-Match', tag)
+        .send({ description: 'Gadgets and more' })
+        .expect(200);
+      expect(first.headers.etag).not.toBe(tag);
+
+      const second = await auth(request(app).put('/api/business/profile'))
+        .set('If-Match', tag)
+        .send({ description: 'Phones only' });
+
+      expect(second.status).toBe(412);
+      expect(second.headers.etag).toBe(first.headers.etag);
+      expect(second.body.data.business.description).toBe('Gadgets and more');
+
+      await auth(request(app).get('/api/business/profile'))
+        .set('If-None-Match', tag)
+        .expect(200);
+    });
+  });
+
+  describe('Preferences', () => {
+    it('should answer a conditional GET with 304', async () => {
+      const first = await auth(request(app).get('/api/business/preferences')).expect(200);
+
+      await auth(request(app).get('/api/business/preferences'))
+        .set('If-None-Match', first.headers.etag)
+        .expect(304);
+    });
+
+    it('should reject a whole-list update after an item was added', async () => {
+      const loaded = await auth(request(app).get('/api/business/preferences'));
+      const { units } = loaded.body.data.preferences;
+
+      await auth(request(app).post('/api/business/preferences/units'))
+        .send({ name: 'Box', abbreviation: 'BX' })
+        .expect(201);
+
+      const response = await auth(request(app).put('/api/business/preferences'))
+        .set('If-Match', loaded.headers.etag)
+        .send({ units: [...units, { name: 'Crate', abbreviation: 'CR' }] });
+
+      expect(response.status).toBe(412);
+      expect(response.body.data.preferences.units.map(unit => unit.abbreviation)).toContain('BX');
+
+      await auth(request(app).put('/api/business/preferences'))
+        .set('If-Match', response.headers.etag)
+        .send({ units: [...response.body.data.preferences.units, { name: 'Crate', abbreviation: 'CR' }] })
+        .expect(200);
+    });
+  });
+});
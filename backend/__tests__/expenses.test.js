@@ -0,0 +1,207 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Business = require('../src/models/Business');
+const Membership = require('../src/models/Membership');
+const Supplier = require('../src/models/Supplier');
+const Expense = require('../src/models/Expense');
+const RefreshToken = require('../src/models/RefreshToken');
+const Session = require('../src/models/Session');
+const mailer = require('../src/utils/mailer');
+
+// Use local MongoDB for testing
+const TEST_MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://localhost:27017/hackjos_test';
+
+// Keep uploaded receipts out of the working tree
+const UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'brillix-uploads-'));
+
+beforeAll(async () => {
+  process.env.UPLOAD_DIR = UPLOAD_DIR;
+
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  await mongoose.connect(TEST_MONGODB_URI);
+  mailer.setTransport({ send: async () => {} });
+}, 30000);
+
+afterAll(async () => {
+  mailer.setTransport(null);
+  await mongoose.disconnect();
+  fs.rmSync(UPLOAD_DIR, { recursive: true, force: true });
+  delete process.env.UPLOAD_DIR;
+}, 10000);
+
+afterEach(async () => {
+  fs.rmSync(path.join(UPLOAD_DIR, 'receipts'), { recursive: true, force: true });
+  if (mongoose.connection.readyState === 1) {
+    await User.deleteMany({});
+    await Business.deleteMany({});
+    await Membership.deleteMany({});
+    await Supplier.deleteMany({});
+    await Expense.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await Session.deleteMany({});
+  }
+});
+
+describe('Expense Tests', () => {
+  let token;
+  let preferences;
+  let preferencesTag;
+
+  const auth = (req) => req.set('Authorization', `Bearer ${token}`);
+
+  const categoryId = (name) => preferences.expenseCategories.find(item => item.name === name)._id;
+
+  const expenseData = (data = {}) => ({
+    date: '2025-03-01',
+    category: categoryId('Utilities'),
+    description: 'March electricity',
+    vendor: 'Ikeja Electric',
+    amount: 53750,
+    taxAmount: 3750,
+    paymentMethod: 'transfer',
+    ...data
+  });
+
+  const receiptFiles = () => fs.readdirSync(path.join(UPLOAD_DIR, 'receipts'));
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        firstName: 'Ada',
+        lastName: 'Obi',
+        email: 'ada@example.com',
+        password: 'Password123',
+        businessName: 'Ada Stores',
+        industry: 'retail'
+      });
+
+    token = response.body.data.token;
+
+    const prefs = await auth(request(app).get('/api/business/preferences'));
+    preferences = prefs.body.data.preferences;
+    preferencesTag = prefs.headers.etag;
+  });
+
+  describe('Expense categories', () => {
+    it('should give new businesses default expense categories', () => {
+      expect(preferences.expenseCategories.map(item => item.name)).toContain('Rent');
+    });
+
+    it('should reject an inactive category', async () => {
+      const expenseCategories = preferences.expenseCategories.map(item => ({
+        ...item,
+        isActive: item.name !== 'Utilities'
+      }));
+      await auth(request(app).put('/api/business/preferences'))
+        .set('If-Match', preferencesTag)
+        .send({ expenseCategories });
+
+      const response = await auth(request(app).post('/api/expenses')).send(expenseData());
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/expenses', () => {
+    it('should record an expense with its net amount', async () => {
+      const response = await auth(request(app).post('/api/expenses')).send(expenseData());
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.expense.netAmount).toBe(50000);
+      expect(response.body.data.expense.currency).toBe('NGN');
+      expect(response.body.data.expense.receipt).toBeNull();
+    });
+
+    it('should reject tax larger than the amount', async () => {
+      const response = await auth(request(app).post('/api/expenses'))
+        .send(expenseData({ amount: 100, taxAmount: 200 }));
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should accept a receipt uploaded with the expense', async () => {
+      const data = expenseData();
+      let req = auth(request(app).post('/api/expenses'));
+      for (const [field, value] of Object.entries(data)) {
+        req = req.field(field, String(value));
+      }
+
+      const response = await req.attach('receipt', Buffer.from('%PDF-1.4 receipt'), {
+        filename: 'march.pdf',
+        contentType: 'application/pdf'
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.expense.amount).toBe(53750);
+      expect(response.body.data.expense.receipt.originalName).toBe('march.pdf');
+
+      const download = await auth(request(app).get(`/api/expenses/${response.body.data.expense.id}/receipt`));
+      expect(download.status).toBe(200);
+      expect(download.headers['content-type']).toMatch(/application\/pdf/);
+    });
+
+    it('should reject receipts of other file types and discard them', async () => {
+      const created = await auth(request(app).post('/api/expenses')).send(expenseData());
+
+      const response = await auth(request(app).post(`/api/expenses/${created.body.data.expense.id}/receipt`))
+        .attach('receipt', Buffer.from('hello'), { filename: 'notes.txt', contentType: 'text/plain' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Receipts', () => {
+    it('should replace and remove a receipt file', async () => {
+      const created = await auth(request(app).post('/api/expenses')).send(expenseData());
+      const id = created.body.data.expense.id;
+      const upload = () => auth(request(app).post(`/api/expenses/${id}/receipt`))
+        .attach('receipt', Buffer.from('%PDF-1.4'), { filename: 'receipt.pdf', contentType: 'application/pdf' });
+
+      await upload();
+      await upload();
+      expect(receiptFiles()).toHaveLength(1);
+
+      const removed = await auth(request(app).delete(`/api/expenses/${id}/receipt`));
+      expect(removed.body.data.expense.receipt).toBeNull();
+      expect(receiptFiles()).toHaveLength(0);
+    });
+  });
+
+  describe('GET /api/expenses', () => {
+    beforeEach(async () => {
+      await auth(request(app).post('/api/expenses')).send(expenseData());
+      await auth(request(app).post('/api/expenses')).send(expenseData({
+        date: '2025-04-01',
+        category: categoryId('Rent'),
+        description: 'April rent',
+        amount: 250000,
+        taxAmount: 0
+      }));
+    });
+
+    it('should filter by date range and category', async () => {
+      const byDate = await auth(request(app).get('/api/expenses?from=2025-03-15&to=2025-04-30'));
+      expect(byDate.body.data.map(expense => expense.description)).toEqual(['April rent']);
+
+      const byCategory = await auth(request(app).get(`/api/expenses?category=${categoryId('Utilities')}`));
+      expect(byCategory.body.data.map(expense => expense.description)).toEqual(['March electricity']);
+    });
+
+    it('should summarise spending by category', async () => {
+      const response = await auth(request(app).get('/api/expenses/summary'));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.amount).toBe(303750);
+      expect(response.body.data.categories[0].name).toBe('Rent');
+    });
+  });
+});
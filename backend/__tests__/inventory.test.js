@@ -0,0 +1,285 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Business = require('../src/models/Business');
+const Membership = require('../src/models/Membership');
+const Product = require('../src/models/Product');
+const StockMovement = require('../src/models/StockMovement');
+const StockLot = require('../src/models/StockLot');
+const SerialNumber = require('../src/models/SerialNumber');
+const RefreshToken = require('../src/models/RefreshToken');
+const Session = require('../src/models/Session');
+const mailer = require('../src/utils/mailer');
+
+// Use local MongoDB for testing
+const TEST_MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://localhost:27017/hackjos_test';
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  await mongoose.connect(TEST_MONGODB_URI);
+  mailer.setTransport({ send: async () => {} });
+}, 30000);
+
+afterAll(async () => {
+  mailer.setTransport(null);
+  await mongoose.disconnect();
+}, 10000);
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await User.deleteMany({});
+    await Business.deleteMany({});
+    await Membership.deleteMany({});
+    await Product.deleteMany({});
+    // Movements are append-only through the model, so clear the raw collection
+    await StockMovement.collection.deleteMany({});
+    await StockLot.deleteMany({});
+    await SerialNumber.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await Session.deleteMany({});
+  }
+});
+
+describe('Inventory Tests', () => {
+  let token;
+  let preferences;
+  let preferencesTag;
+  let product;
+
+  /**
+   * Find a preference item ID by name
+   */
+  const prefId = (section, name) => preferences[section].find(item => item.name === name)._id;
+
+  /**
+   * Record a movement for a product
+   */
+  const moveFor = (productId, data) => request(app)
+    .post(`/api/inventory/${productId}/movements`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(data);
+
+  /**
+   * Record a movement for the test product
+   */
+  const move = (data) => moveFor(product.id, data);
+
+  /**
+   * Create a product of the given type
+   */
+  const createProduct = async (sku, productType, extra = {}) => {
+    const response = await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        sku,
+        name: sku,
+        unit: prefId('units', 'Piece'),
+        productType: prefId('productTypes', productType),
+        sellingPrice: 1000,
+        ...extra
+      });
+
+    return response.body.data.product;
+  };
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        firstName: 'Ada',
+        lastName: 'Obi',
+        email: 'ada@example.com',
+        password: 'Password123',
+        businessName: 'Ada Stores',
+        industry: 'retail'
+      });
+
+    token = response.body.data.token;
+
+    const prefs = await request(app)
+      .get('/api/business/preferences')
+      .set('Authorization', `Bearer ${token}`);
+    preferences = prefs.body.data.preferences;
+    preferencesTag = prefs.headers.etag;
+
+    const created = await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        sku: 'tv-001',
+        name: 'Smart TV',
+        unit: prefId('units', 'Piece'),
+        productType: prefId('productTypes', 'Physical Product'),
+        sellingPrice: 200000,
+        reorderLevel: 5
+      });
+    product = created.body.data.product;
+  });
+
+  it('should record movements and keep on-hand balances', async () => {
+    const receipt = await move({ type: 'receipt', quantity: 10 });
+    expect(receipt.status).toBe(201);
+    expect(receipt.body.data.quantityOnHand).toBe(10);
+
+    const damage = await move({ type: 'damage', quantity: 2, reason: 'Cracked screens' });
+    expect(damage.status).toBe(201);
+    expect(damage.body.data.movement.quantity).toBe(-2);
+
+    const adjustment = await move({ type: 'adjustment', direction: 'out', quantity: 4, reason: 'Stock count' });
+    expect(adjustment.status).toBe(201);
+    expect(adjustment.body.data.quantityOnHand).toBe(4);
+
+    expect(await StockMovement.computeOnHand(product.id)).toBe(4);
+
+    const inventory = await request(app)
+      .get('/api/inventory')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(inventory.status).toBe(200);
+    expect(inventory.body.data).toHaveLength(1);
+    expect(inventory.body.data[0].quantityOnHand).toBe(4);
+    expect(inventory.body.data[0].lowStock).toBe(true);
+
+    const history = await request(app)
+      .get(`/api/inventory/${product.id}/movements`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(history.status).toBe(200);
+    expect(history.body.data.map(movement => movement.type)).toEqual(['adjustment', 'damage', 'receipt']);
+  });
+
+  it('should not let stock go negative unless the business allows it', async () => {
+    await move({ type: 'receipt', quantity: 3 });
+
+    const refused = await move({ type: 'adjustment', direction: 'out', quantity: 5, reason: 'Stock count' });
+    expect(refused.status).toBe(400);
+    expect(refused.body.data.available).toBe(3);
+    expect(await StockMovement.countDocuments({ product: product.id })).toBe(1);
+
+    const settings = await request(app)
+      .put('/api/business/inventory-settings')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ allowNegativeStock: true });
+    expect(settings.status).toBe(200);
+
+    const allowed = await move({ type: 'adjustment', direction: 'out', quantity: 5, reason: 'Stock count' });
+    expect(allowed.status).toBe(201);
+    expect(allowed.body.data.quantityOnHand).toBe(-2);
+  });
+
+  it('should validate movements', async () => {
+    const missingReason = await move({ type: 'adjustment', direction: 'in', quantity: 1 });
+    expect(missingReason.status).toBe(400);
+
+    const fractional = await move({ type: 'receipt', quantity: 1.5 });
+    expect(fractional.status).toBe(400);
+
+    const saleType = await move({ type: 'sale', quantity: 1 });
+    expect(saleType.status).toBe(400);
+  });
+
+  it('should keep the ledger append-only', async () => {
+    await move({ type: 'receipt', quantity: 10 });
+
+    await expect(StockMovement.deleteMany({ product: product.id })).rejects.toThrow();
+
+    const deleted = await request(app)
+      .delete(`/api/products/${product.id}`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(deleted.status).toBe(400);
+
+    const retyped = await request(app)
+      .put(`/api/products/${product.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ productType: prefId('productTypes', 'Service'), reorderLevel: null });
+    expect(retyped.status).toBe(400);
+  });
+
+  it('should track serialized units through receipts and issues', async () => {
+    const types = await request(app)
+      .put('/api/business/preferences')
+      .set('Authorization', `Bearer ${token}`)
+      .set('If-Match', preferencesTag)
+      .send({
+        productTypes: [
+          ...preferences.productTypes,
+          { name: 'Serialized Product', requiresSerialNumber: true, trackInventory: true }
+        ]
+      });
+    preferences = types.body.data.preferences;
+
+    const phone = await createProduct('phone-001', 'Serialized Product');
+
+    const missing = await moveFor(phone.id, { type: 'receipt', quantity: 2, serialNumbers: ['SN-1'] });
+    expect(missing.status).toBe(400);
+
+    const receipt = await moveFor(phone.id, { type: 'receipt', quantity: 2, serialNumbers: ['SN-1', 'SN-2'] });
+    expect(receipt.status).toBe(201);
+    expect(receipt.body.data.movement.serialNumbers).toEqual(['SN-1', 'SN-2']);
+
+    const duplicate = await moveFor(phone.id, { type: 'receipt', quantity: 1, serialNumbers: ['SN-1'] });
+    expect(duplicate.status).toBe(400);
+
+    const damage = await moveFor(phone.id, {
+      type: 'damage',
+      quantity: 1,
+      serialNumbers: ['SN-2'],
+      reason: 'Dropped'
+    });
+    expect(damage.status).toBe(201);
+
+    const again = await moveFor(phone.id, {
+      type: 'damage',
+      quantity: 1,
+      serialNumbers: ['SN-2'],
+      reason: 'Dropped'
+    });
+    expect(again.status).toBe(400);
+
+    const serials = await request(app)
+      .get(`/api/inventory/${phone.id}/serials`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(serials.body.data.map(unit => unit.serialNumber)).toEqual(['SN-1']);
+  });
+
+  it('should receive perishables into lots and issue them first-expired-first-out', async () => {
+    const milk = await createProduct('milk-001', 'Perishable', { shelfLifeDays: 10 });
+    const soon = new Date(Date.now() + 5 * 24 * 60 * 60 * 1000).toISOString();
+    const later = new Date(Date.now() + 60 * 24 * 60 * 60 * 1000).toISOString();
+
+    const noLot = await moveFor(milk.id, { type: 'receipt', quantity: 5 });
+    expect(noLot.status).toBe(400);
+
+    await moveFor(milk.id, { type: 'receipt', quantity: 5, lotNumber: 'B-LATE', expiryDate: later }).expect(201);
+    await moveFor(milk.id, { type: 'receipt', quantity: 3, lotNumber: 'B-SOON', expiryDate: soon }).expect(201);
+    // Without an expiry date the lot takes the product's shelf life
+    await moveFor(milk.id, { type: 'receipt', quantity: 2, lotNumber: 'B-SHELF' }).expect(201);
+
+    const damage = await moveFor(milk.id, { type: 'damage', quantity: 4, reason: 'Fridge failure' });
+    expect(damage.status).toBe(201);
+    expect(damage.body.data.movement.lots.map(lot => [lot.lotNumber, lot.quantity])).toEqual([
+      ['B-SOON', -3],
+      ['B-SHELF', -1]
+    ]);
+
+    const lots = await request(app)
+      .get(`/api/inventory/${milk.id}/lots`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(lots.body.data.lots.map(lot => [lot.lotNumber, lot.quantityOnHand])).toEqual([
+      ['B-SHELF', 1],
+      ['B-LATE', 5]
+    ]);
+
+    const expiring = await request(app)
+      .get('/api/inventory/expiring?days=30')
+      .set('Authorization', `Bearer ${token}`);
+    expect(expiring.status).toBe(200);
+    expect(expiring.body.data.items.map(item => item.lotNumber)).toEqual(['B-SHELF']);
+  });
+});
@@ -0,0 +1,185 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Business = require('../src/models/Business');
+const Membership = require('../src/models/Membership');
+const Invoice = require('../src/models/Invoice');
+const Counter = require('../src/models/Counter');
+const RefreshToken = require('../src/models/RefreshToken');
+const Session = require('../src/models/Session');
+const mailer = require('../src/utils/mailer');
+
+// Use local MongoDB for testing
+const TEST_MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://localhost:27017/hackjos_test';
+
+let sentMail = [];
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  await mongoose.connect(TEST_MONGODB_URI);
+  mailer.setTransport({ send: async (message) => { sentMail.push(message); } });
+}, 30000);
+
+afterAll(async () => {
+  mailer.setTransport(null);
+  await mongoose.disconnect();
+}, 10000);
+
+afterEach(async () => {
+  sentMail = [];
+  if (mongoose.connection.readyState === 1) {
+    await User.deleteMany({});
+    await Business.deleteMany({});
+    await Membership.deleteMany({});
+    await Invoice.deleteMany({});
+    await Counter.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await Session.deleteMany({});
+  }
+});
+
+describe('Invoice Tests', () => {
+  let token;
+
+  const auth = (req) => req.set('Authorization', `Bearer ${token}`);
+
+  const invoiceData = () => ({
+    customer: {
+      name: 'Chidi Okafor',
+      email: 'chidi@example.com',
+      address: { street: '1 Marina', city: 'Lagos', country: 'Nigeria' }
+    },
+    items: [
+      { description: 'Consulting (hours)', quantity: 10, unitPrice: 15000, taxRate: 7.5 },
+      { description: 'Travel', quantity: 1, unitPrice: 5000 }
+    ],
+    discount: 5000
+  });
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        firstName: 'Ada',
+        lastName: 'Obi',
+        email: 'ada@example.com',
+        password: 'Password123',
+        businessName: 'Ada Consulting',
+        industry: 'services'
+      });
+
+    token = response.body.data.token;
+    sentMail = [];
+  });
+
+  it('should draft, send and void an invoice', async () => {
+    const created = await auth(request(app).post('/api/invoices')).send(invoiceData());
+
+    expect(created.status).toBe(201);
+    const draft = created.body.data.invoice;
+    expect(draft.status).toBe('draft');
+    expect(draft.invoiceNumber).toBeNull();
+    expect(draft.currency).toBe('NGN');
+    expect(draft.total).toBe(160887.1);
+
+    const sent = await auth(request(app).post(`/api/invoices/${draft.id}/send`)).send({});
+
+    expect(sent.status).toBe(200);
+    expect(sent.body.data.emailed).toBe(true);
+    const invoice = sent.body.data.invoice;
+    expect(invoice.status).toBe('sent');
+    expect(invoice.invoiceNumber).toBe('INV-00001');
+    expect(new Date(invoice.dueDate) - new Date(invoice.issueDate)).toBe(30 * 24 * 60 * 60 * 1000);
+
+    expect(sentMail).toHaveLength(1);
+    expect(sentMail[0].to).toBe('chidi@example.com');
+    expect(sentMail[0].attachments[0].filename).toBe('INV-00001.pdf');
+
+    let business = await Business.findOne({ name: 'Ada Consulting' });
+    expect(business.totalRevenue).toBe(150000);
+
+    await auth(request(app).put(`/api/invoices/${draft.id}`)).send({ notes: 'Late edit' }).expect(400);
+
+    const voided = await auth(request(app).post(`/api/invoices/${draft.id}/void`)).send({ reason: 'Billed twice' });
+    expect(voided.status).toBe(200);
+    expect(voided.body.data.invoice.status).toBe('void');
+
+    business = await Business.findOne({ name: 'Ada Consulting' });
+    expect(business.totalRevenue).toBe(0);
+  });
+
+  it('should issue and void an invoice once when requests arrive together', async () => {
+    const created = await auth(request(app).post('/api/invoices')).send(invoiceData());
+    const id = created.body.data.invoice.id;
+
+    const send = () => auth(request(app).post(`/api/invoices/${id}/send`)).send({ email: false });
+    const sends = await Promise.all([send(), send()]);
+
+    expect(sends.some(response => response.status === 200)).toBe(true);
+    expect((await Counter.findOne({ name: 'invoice' })).seq).toBe(1);
+    expect((await Invoice.findById(id)).invoiceNumber).toBe('INV-00001');
+    expect((await Business.findOne({ name: 'Ada Consulting' })).totalRevenue).toBe(150000);
+
+    const voidIt = () => auth(request(app).post(`/api/invoices/${id}/void`)).send({ reason: 'Billed twice' });
+    const voids = await Promise.all([voidIt(), voidIt()]);
+
+    expect(voids.filter(response => response.status === 200)).toHaveLength(1);
+    expect((await Business.findOne({ name: 'Ada Consulting' })).totalRevenue).toBe(0);
+  });
+
+  it('should render invoices as PDF', async () => {
+    const created = await auth(request(app).post('/api/invoices')).send(invoiceData());
+
+    const response = await auth(request(app).get(`/api/invoices/${created.body.data.invoice.id}/pdf`))
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/pdf');
+    expect(response.body.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('should number invoices from the business settings', async () => {
+    const settings = await auth(request(app).put('/api/business/invoice-settings'))
+      .send({ prefix: 'bil', digits: 4, nextNumber: 100 });
+
+    expect(settings.status).toBe(200);
+    expect(settings.body.data.invoiceSettings.prefix).toBe('BIL');
+    expect(settings.body.data.invoiceSettings.nextNumber).toBe(100);
+
+    const created = await auth(request(app).post('/api/invoices')).send(invoiceData());
+    const sent = await auth(request(app).post(`/api/invoices/${created.body.data.invoice.id}/send`))
+      .send({ email: false });
+
+    expect(sent.body.data.invoice.invoiceNumber).toBe('BIL-0100');
+    expect(sentMail).toHaveLength(0);
+
+    await auth(request(app).put('/api/business/invoice-settings'))
+      .send({ nextNumber: 50 })
+      .expect(400);
+  });
+
+  it('should mark unpaid invoices past their due date as overdue', async () => {
+    const created = await auth(request(app).post('/api/invoices')).send({
+      ...invoiceData(),
+      dueDate: '2020-01-31'
+    });
+    const id = created.body.data.invoice.id;
+
+    await auth(request(app).post(`/api/invoices/${id}/send`))
+      .send({ issueDate: '2020-01-01', email: false })
+      .expect(200);
+
+    const list = await auth(request(app).get('/api/invoices?status=overdue'));
+    expect(list.body.data).toHaveLength(1);
+    expect(list.body.data[0].id).toBe(id);
+  });
+});
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Business = require('../src/models/Business');
+const Membership = require('../src/models/Membership');
+const RefreshToken = require('../src/models/RefreshToken');
+const Session = require('../src/models/Session');
+const mailer = require('../src/utils/mailer');
+
+// Use local MongoDB for testing
+const TEST_MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://localhost:27017/hackjos_test';
+
+// Keep uploaded logos out of the working tree
+const UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'brillix-uploads-'));
+
+beforeAll(async () => {
+  process.env.UPLOAD_DIR = UPLOAD_DIR;
+
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  await mongoose.connect(TEST_MONGODB_URI);
+  mailer.setTransport({ send: async () => {} });
+}, 30000);
+
+afterAll(async () => {
+  mailer.setTransport(null);
+  await mongoose.disconnect();
+  fs.rmSync(UPLOAD_DIR, { recursive: true, force: true });
+  delete process.env.UPLOAD_DIR;
+}, 10000);
+
+afterEach(async () => {
+  fs.rmSync(path.join(UPLOAD_DIR, 'logos'), { recursive: true, force: true });
+  if (mongoose.connection.readyState === 1) {
+    await User.deleteMany({});
+    await Business.deleteMany({});
+    await Membership.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await Session.deleteMany({});
+  }
+});
+
+describe('Business Logo Tests', () => {
+  let token;
+  let businessId;
+
+  const auth = (req) => req.set('Authorization', `Bearer ${token}`);
+
+  const image = (width, height, format = 'png') => sharp({
+    create: { width, height, channels: 4, background: { r: 20, g: 120, b: 200, alpha: 1 } }
+  })[format]().toBuffer();
+
+  const uploadLogo = async (buffer, filename = 'logo.png', contentType = 'image/png') =>
+    auth(request(app).put('/api/business/logo')).attach('logo', buffer, { filename, contentType });
+
+  const logoFiles = () => {
+    const directory = path.join(UPLOAD_DIR, 'logos', String(businessId));
+    return fs.existsSync(directory) ? fs.readdirSync(directory) : [];
+  };
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        firstName: 'Ada',
+        lastName: 'Obi',
+        email: 'ada@example.com',
+        password: 'Password123',
+        businessName: 'Ada Stores',
+        industry: 'retail'
+      });
+
+    token = response.body.data.token;
+    businessId = response.body.data.business.id;
+  });
+
+  describe('PUT /api/business/logo', () => {
+    it('should store the logo with resized variants', async () => {
+      const response = await uploadLogo(await image(1200, 600, 'jpeg'), 'logo.jpg', 'image/jpeg');
+
+      expect(response.status).toBe(200);
+      const { logo, logoVariants } = response.body.data.business;
+      expect(Object.keys(logoVariants).sort()).toEqual(['large', 'medium', 'small']);
+      expect(logo).toBe(logoVariants.medium);
+      expect(logoFiles()).toHaveLength(4);
+
+      const served = await request(app).get(logoVariants.small);
+      expect(served.status).toBe(200);
+      const { width, height } = await sharp(served.body).metadata();
+      expect(width).toBe(64);
+      expect(height).toBe(32);
+    });
+
+    it('should not enlarge small logos', async () => {
+      await uploadLogo(await image(40, 40));
+
+      const business = await Business.findById(businessId);
+      const large = business.logoFiles.variants.find(variant => variant.name === 'large');
+      expect(large.width).toBe(40);
+    });
+
+    it('should delete the old files when the logo is replaced', async () => {
+      await uploadLogo(await image(300, 300));
+      const first = logoFiles();
+
+      await uploadLogo(await image(300, 300));
+
+      const second = logoFiles();
+      expect(second).toHaveLength(4);
+      expect(second.some(file => first.includes(file))).toBe(false);
+    });
+
+    it('should reject other file types and unreadable images', async () => {
+      const gif = await uploadLogo(Buffer.from('GIF89a'), 'logo.gif', 'image/gif');
+      expect(gif.status).toBe(400);
+
+      const broken = await uploadLogo(Buffer.from('not an image'));
+      expect(broken.status).toBe(400);
+      expect(logoFiles()).toHaveLength(0);
+    });
+  });
+
+  describe('DELETE /api/business/logo', () => {
+    it('should remove the logo and its files', async () => {
+      await uploadLogo(await image(300, 300));
+
+      const response = await auth(request(app).delete('/api/business/logo'));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.business.logo).toBeNull();
+      expect(response.body.data.business.logoVariants).toEqual({});
+      expect(logoFiles()).toHaveLength(0);
+    });
+  });
+});
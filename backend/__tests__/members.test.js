@@ -0,0 +1,307 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Business = require('../src/models/Business');
+const Membership = require('../src/models/Membership');
+const Invitation = require('../src/models/Invitation');
+const RefreshToken = require('../src/models/RefreshToken');
+const Session = require('../src/models/Session');
+const mailer = require('../src/utils/mailer');
+
+// Use local MongoDB for testing
+const TEST_MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://localhost:27017/hackjos_test';
+
+let sentMail = [];
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  await mongoose.connect(TEST_MONGODB_URI);
+  mailer.setTransport({ send: async (message) => sentMail.push(message) });
+}, 30000);
+
+afterAll(async () => {
+  mailer.setTransport(null);
+  await mongoose.disconnect();
+}, 10000);
+
+afterEach(async () => {
+  sentMail = [];
+  if (mongoose.connection.readyState === 1) {
+    await User.deleteMany({});
+    await Business.deleteMany({});
+    await Membership.deleteMany({});
+    await Invitation.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await Session.deleteMany({});
+  }
+});
+
+describe('Team Member Tests', () => {
+  const ownerData = {
+    firstName: 'Ada',
+    lastName: 'Obi',
+    email: 'ada@example.com',
+    password: 'Password123',
+    businessName: 'Ada Stores',
+    industry: 'retail'
+  };
+
+  const memberData = {
+    firstName: 'Tunde',
+    lastName: 'Bello',
+    password: 'Password123'
+  };
+
+  let ownerToken;
+  let businessId;
+
+  /**
+   * Invite an email and return the raw token from the invitation email
+   */
+  const inviteAndGetToken = async (email, role) => {
+    await request(app)
+      .post('/api/business/members/invite')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ email, role })
+      .expect(201);
+
+    const invitationMail = sentMail.filter(mail => mail.to === email).pop();
+    return invitationMail.text.match(/accept-invite\/([a-f0-9]+)/)[1];
+  };
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send(ownerData);
+
+    ownerToken = response.body.data.token;
+    businessId = response.body.data.business.id;
+
+    await User.updateOne({ email: ownerData.email }, { isEmailVerified: true });
+  });
+
+  it('should invite a member and attach them to the existing business', async () => {
+    const token = await inviteAndGetToken('tunde@example.com', 'manager');
+
+    const response = await request(app)
+      .post(`/api/auth/accept-invite/${token}`)
+      .send(memberData)
+      .expect(201);
+
+    expect(response.body.data.user.role).toBe('manager');
+    expect(response.body.data.user.business.toString()).toBe(businessId);
+    expect(response.body.data).toHaveProperty('token');
+
+    const business = await Business.findById(businessId);
+    expect(business.totalEmployees).toBe(2);
+
+    // Invitation links are single-use
+    await request(app)
+      .post(`/api/auth/accept-invite/${token}`)
+      .send(memberData)
+      .expect(400);
+  });
+
+  it('should not allow inviting someone as owner', async () => {
+    await request(app)
+      .post('/api/business/members/invite')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ email: 'tunde@example.com', role: 'owner' })
+      .expect(400);
+  });
+
+  it('should change role, deactivate and remove members', async () => {
+    const token = await inviteAndGetToken('tunde@example.com', 'employee');
+    const accepted = await request(app)
+      .post(`/api/auth/accept-invite/${token}`)
+      .send(memberData)
+      .expect(201);
+
+    const memberId = accepted.body.data.user.id;
+    const memberToken = accepted.body.data.token;
+
+    const roleResponse = await request(app)
+      .patch(`/api/business/members/${memberId}/role`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ role: 'admin' })
+      .expect(200);
+    expect(roleResponse.body.data.member.role).toBe('admin');
+
+    await request(app)
+      .patch(`/api/business/members/${memberId}/deactivate`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+
+    // Deactivated members lose access immediately
+    await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${memberToken}`)
+      .expect(401);
+    expect((await Business.findById(businessId)).totalEmployees).toBe(1);
+
+    await request(app)
+      .delete(`/api/business/members/${memberId}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+    expect(await User.findById(memberId)).toBeNull();
+  });
+
+  it('should not allow employees to invite members', async () => {
+    const token = await inviteAndGetToken('tunde@example.com', 'employee');
+    const accepted = await request(app)
+      .post(`/api/auth/accept-invite/${token}`)
+      .send(memberData)
+      .expect(201);
+
+    await request(app)
+      .post('/api/business/members/invite')
+      .set('Authorization', `Bearer ${accepted.body.data.token}`)
+      .send({ email: 'someone@example.com', role: 'employee' })
+      .expect(403);
+  });
+
+  it('should apply per-business permission overrides', async () => {
+    const token = await inviteAndGetToken('tunde@example.com', 'employee');
+    const accepted = await request(app)
+      .post(`/api/auth/accept-invite/${token}`)
+      .send(memberData)
+      .expect(201);
+    const employeeToken = accepted.body.data.token;
+
+    // Employees cannot edit preferences by default
+    await request(app)
+      .put('/api/business/preferences')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .send({ units: [{ name: 'Box', abbreviation: 'BX' }] })
+      .expect(403);
+
+    await request(app)
+      .put('/api/business/permissions/employee')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ permissions: ['profile:read', 'preferences:read', 'preferences:write'] })
+      .expect(200);
+
+    const preferences = await request(app)
+      .get('/api/business/preferences')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .expect(200);
+
+    await request(app)
+      .put('/api/business/preferences')
+      .set('Authorization', `Bearer ${employeeToken}`)
+      .set('If-Match', preferences.headers.etag)
+      .send({ units: [{ name: 'Box', abbreviation: 'BX' }] })
+      .expect(200);
+
+    // Owner-only permissions cannot be delegated
+    await request(app)
+      .put('/api/business/permissions/admin')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ permissions: ['permissions:write'] })
+      .expect(400);
+  });
+
+  it('should only unlock accounts that belong to no other business', async () => {
+    const lock = (email) => User.updateOne(
+      { email },
+      { failedLoginAttempts: 5, lockUntil: new Date(Date.now() + 15 * 60 * 1000) }
+    );
+
+    const token = await inviteAndGetToken('tunde@example.com', 'employee');
+    const accepted = await request(app)
+      .post(`/api/auth/accept-invite/${token}`)
+      .send(memberData)
+      .expect(201);
+    await lock('tunde@example.com');
+
+    await request(app)
+      .patch(`/api/business/members/${accepted.body.data.user.id}/unlock`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+    expect((await User.findOne({ email: 'tunde@example.com' })).isLocked()).toBe(false);
+
+    const accountant = await request(app)
+      .post('/api/auth/register')
+      .send({ ...memberData, email: 'kemi@example.com', businessName: 'Kemi Accounting' })
+      .expect(201);
+    const inviteToken = await inviteAndGetToken('kemi@example.com', 'employee');
+    await request(app)
+      .post(`/api/auth/invitations/${inviteToken}/accept`)
+      .set('Authorization', `Bearer ${accountant.body.data.token}`)
+      .expect(200);
+    await lock('kemi@example.com');
+
+    await request(app)
+      .patch(`/api/business/members/${accountant.body.data.user.id}/unlock`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(403);
+    expect((await User.findOne({ email: 'kemi@example.com' })).isLocked()).toBe(true);
+  });
+
+  it('should let one user belong to several businesses and switch between them', async () => {
+    const accountant = await request(app)
+      .post('/api/auth/register')
+      .send({
+        ...memberData,
+        email: 'tunde@example.com',
+        businessName: 'Bello Accounting'
+      })
+      .expect(201);
+    const accountantToken = accountant.body.data.token;
+
+    // Invite the existing account and accept from it
+    const token = await inviteAndGetToken('tunde@example.com', 'manager');
+    await request(app)
+      .post(`/api/auth/invitations/${token}/accept`)
+      .set('Authorization', `Bearer ${accountantToken}`)
+      .expect(200);
+
+    const list = await request(app)
+      .get('/api/auth/businesses')
+      .set('Authorization', `Bearer ${accountantToken}`)
+      .expect(200);
+    expect(list.body.data.businesses).toHaveLength(2);
+
+    const switched = await request(app)
+      .post(`/api/auth/businesses/${businessId}/switch`)
+      .set('Authorization', `Bearer ${accountantToken}`)
+      .expect(200);
+    expect(switched.body.data.user.role).toBe('manager');
+    expect(switched.body.data.business.name).toBe(ownerData.businessName);
+
+    const profile = await request(app)
+      .get('/api/business/profile')
+      .set('Authorization', `Bearer ${switched.body.data.token}`)
+      .expect(200);
+    expect(profile.body.data.business.name).toBe(ownerData.businessName);
+
+    // Managers cannot manage members, even though they own their other business
+    await request(app)
+      .post('/api/business/members/invite')
+      .set('Authorization', `Bearer ${switched.body.data.token}`)
+      .send({ email: 'someone@example.com', role: 'employee' })
+      .expect(403);
+
+    // Removing them from one business keeps their account and other business
+    await request(app)
+      .delete(`/api/business/members/${accountant.body.data.user.id}`)
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .expect(200);
+
+    await request(app)
+      .get('/api/business/profile')
+      .set('Authorization', `Bearer ${switched.body.data.token}`)
+      .expect(401);
+    expect(await User.findById(accountant.body.data.user.id)).toBeTruthy();
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'tunde@example.com', password: memberData.password })
+      .expect(200);
+    expect(login.body.data.business.name).toBe('Bello Accounting');
+  });
+});
@@ -0,0 +1,213 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Business = require('../src/models/Business');
+const Membership = require('../src/models/Membership');
+const Customer = require('../src/models/Customer');
+const Invoice = require('../src/models/Invoice');
+const Payment = require('../src/models/Payment');
+const Counter = require('../src/models/Counter');
+const RefreshToken = require('../src/models/RefreshToken');
+const Session = require('../src/models/Session');
+const mailer = require('../src/utils/mailer');
+
+// Use local MongoDB for testing
+const TEST_MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://localhost:27017/hackjos_test';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  await mongoose.connect(TEST_MONGODB_URI);
+  mailer.setTransport({ send: async () => {} });
+}, 30000);
+
+afterAll(async () => {
+  mailer.setTransport(null);
+  await mongoose.disconnect();
+}, 10000);
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await User.deleteMany({});
+    await Business.deleteMany({});
+    await Membership.deleteMany({});
+    await Customer.deleteMany({});
+    await Invoice.deleteMany({});
+    await Payment.deleteMany({});
+    await Counter.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await Session.deleteMany({});
+  }
+});
+
+describe('Payment Tests', () => {
+  let token;
+  let customer;
+
+  const auth = (req) => req.set('Authorization', `Bearer ${token}`);
+
+  /**
+   * Create and issue an invoice for the customer
+   */
+  const issueInvoice = async (unitPrice, issueDate) => {
+    const created = await auth(request(app).post('/api/invoices')).send({
+      customerId: customer.id,
+      items: [{ description: 'Consulting', quantity: 1, unitPrice }]
+    });
+    const sent = await auth(request(app).post(`/api/invoices/${created.body.data.invoice.id}/send`))
+      .send({ email: false, ...(issueDate && { issueDate }) });
+    return sent.body.data.invoice;
+  };
+
+  const pay = (data) => auth(request(app).post('/api/payments')).send({ method: 'transfer', ...data });
+
+  const balanceOf = async (invoice) => (await Invoice.findById(invoice.id)).balanceDue;
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        firstName: 'Ada',
+        lastName: 'Obi',
+        email: 'ada@example.com',
+        password: 'Password123',
+        businessName: 'Ada Stores',
+        industry: 'retail'
+      });
+
+    token = response.body.data.token;
+
+    const created = await auth(request(app).post('/api/customers')).send({ name: 'Chidi Okafor' });
+    customer = created.body.data.customer;
+  });
+
+  describe('POST /api/payments', () => {
+    it('should allocate one payment across several invoices', async () => {
+      const first = await issueInvoice(30000);
+      const second = await issueInvoice(50000);
+
+      const response = await pay({
+        customerId: customer.id,
+        amount: 60000,
+        allocations: [
+          { invoice: first.id, amount: 30000 },
+          { invoice: second.id, amount: 30000 }
+        ]
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.payment.paymentNumber).toBe('PMT-000001');
+      expect(response.body.data.payment.creditAmount).toBe(0);
+
+      const paid = await Invoice.findById(first.id);
+      expect(paid.status).toBe('paid');
+      expect(await balanceOf(second)).toBe(20000);
+      expect((await Invoice.findById(second.id)).status).toBe('partially-paid');
+    });
+
+    it('should pay the oldest invoices first and keep the overpayment as credit', async () => {
+      const older = await issueInvoice(20000, new Date(Date.now() - 10 * DAY_MS).toISOString());
+      const newer = await issueInvoice(20000);
+
+      const response = await pay({ customerId: customer.id, amount: 45000 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.payment.allocations.map(allocation => allocation.invoice)).toEqual([older.id, newer.id]);
+      expect(response.body.data.payment.creditAmount).toBe(5000);
+      expect((await Customer.findById(customer.id)).creditBalance).toBe(5000);
+    });
+
+    it('should not allocate more than an invoice owes', async () => {
+      const invoice = await issueInvoice(10000);
+
+      const response = await pay({ customerId: customer.id, amount: 15000, allocations: [{ invoice: invoice.id, amount: 15000 }] });
+
+      expect(response.status).toBe(400);
+      expect(await balanceOf(invoice)).toBe(10000);
+    });
+
+    it('should spend customer credit on later invoices', async () => {
+      await pay({ customerId: customer.id, amount: 8000 });
+      const invoice = await issueInvoice(5000);
+
+      const response = await pay({ customerId: customer.id, amount: 5000, method: 'credit' });
+
+      expect(response.status).toBe(201);
+      expect(await balanceOf(invoice)).toBe(0);
+      expect((await Customer.findById(customer.id)).creditBalance).toBe(3000);
+
+      const tooMuch = await pay({ customerId: customer.id, amount: 4000, method: 'credit' });
+      expect(tooMuch.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/payments/:id/refund', () => {
+    it('should refund credit first, then reopen invoices', async () => {
+      const invoice = await issueInvoice(10000);
+      const payment = (await pay({ customerId: customer.id, amount: 12000 })).body.data.payment;
+
+      const partial = await auth(request(app).post(`/api/payments/${payment.id}/refund`)).send({ amount: 2000 });
+      expect(partial.status).toBe(200);
+      expect((await Customer.findById(customer.id)).creditBalance).toBe(0);
+      expect(await balanceOf(invoice)).toBe(0);
+
+      const rest = await auth(request(app).post(`/api/payments/${payment.id}/refund`)).send({ reason: 'Cancelled job' });
+      expect(rest.body.data.payment.refundableAmount).toBe(0);
+      expect(await balanceOf(invoice)).toBe(10000);
+      expect((await Invoice.findById(invoice.id)).status).toBe('sent');
+
+      const again = await auth(request(app).post(`/api/payments/${payment.id}/refund`)).send({});
+      expect(again.status).toBe(400);
+    });
+
+    it('should let a fully refunded invoice be voided', async () => {
+      const invoice = await issueInvoice(10000);
+      const payment = (await pay({ customerId: customer.id, amount: 10000 })).body.data.payment;
+
+      const refused = await auth(request(app).post(`/api/invoices/${invoice.id}/void`)).send({});
+      expect(refused.status).toBe(400);
+
+      await auth(request(app).post(`/api/payments/${payment.id}/refund`)).send({});
+      const voided = await auth(request(app).post(`/api/invoices/${invoice.id}/void`)).send({});
+      expect(voided.status).toBe(200);
+    });
+  });
+
+  describe('GET /api/invoices/aging', () => {
+    it('should bucket balances by days past due in the business currency', async () => {
+      // Issued 45 days ago with 30-day terms: 15 days overdue
+      await issueInvoice(40000, new Date(Date.now() - 45 * DAY_MS).toISOString());
+      await issueInvoice(25000);
+      await pay({ customerId: customer.id, amount: 10000 });
+
+      const response = await auth(request(app).get('/api/invoices/aging'));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.currency).toBe('NGN');
+      expect(response.body.data.customers).toHaveLength(1);
+
+      const row = response.body.data.customers[0];
+      expect(row.name).toBe('Chidi Okafor');
+      expect(row.buckets['1-30']).toBe(30000);
+      expect(row.buckets.current).toBe(25000);
+      expect(row.total).toBe(55000);
+      expect(response.body.data.totals.total).toBe(55000);
+    });
+  });
+
+  describe('Customer balance', () => {
+    it('should show payments on the timeline and credit in the balance', async () => {
+      await pay({ customerId: customer.id, amount: 5000, reference: 'TRF-1' });
+
+      const response = await auth(request(app).get(`/api/customers/${customer.id}/timeline`));
+
+      expect(response.body.data.balance).toBe(-5000);
+      expect(response.body.data.events[0].type).toBe('payment');
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Business = require('../src/models/Business');
+const Membership = require('../src/models/Membership');
+const Product = require('../src/models/Product');
+const RefreshToken = require('../src/models/RefreshToken');
+const Session = require('../src/models/Session');
+const mailer = require('../src/utils/mailer');
+
+// Use local MongoDB for testing
+const TEST_MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://localhost:27017/hackjos_test';
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  await mongoose.connect(TEST_MONGODB_URI);
+  mailer.setTransport({ send: async () => {} });
+}, 30000);
+
+afterAll(async () => {
+  mailer.setTransport(null);
+  await mongoose.disconnect();
+}, 10000);
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await User.deleteMany({});
+    await Business.deleteMany({});
+    await Membership.deleteMany({});
+    await Product.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await Session.deleteMany({});
+  }
+});
+
+describe('Preference Template Tests', () => {
+  let token;
+
+  const auth = (req) => req.set('Authorization', `Bearer ${token}`);
+
+  const register = async (extra = {}) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        firstName: 'Ada',
+        lastName: 'Obi',
+        email: 'ada@example.com',
+        password: 'Password123',
+        businessName: 'Ada Stores',
+        industry: 'retail',
+        ...extra
+      });
+
+    token = response.body.data.token;
+    return response;
+  };
+
+  const getPreferences = async () =>
+    (await auth(request(app).get('/api/business/preferences'))).body.data.preferences;
+
+  const names = (items) => items.map(item => item.name);
+
+  describe('Registration', () => {
+    it('should start a business with the template of its industry', async () => {
+      await register({ industry: 'restaurant' });
+
+      const preferences = await getPreferences();
+      expect(names(preferences.categories)).toContain('Main Courses');
+      expect(names(preferences.categories)).not.toContain('Electronics');
+      expect(names(preferences.expenseCategories)).toContain('Rent');
+    });
+
+    it('should use the template chosen at registration', async () => {
+      await register({ industry: 'restaurant', preferenceTemplate: 'healthcare' });
+
+      const preferences = await getPreferences();
+      expect(preferences.units.map(unit => unit.abbreviation)).toContain('TAB');
+    });
+
+    it('should reject an unknown template', async () => {
+      const response = await register({ preferenceTemplate: 'space-travel' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/business/preference-templates', () => {
+    it('should list templates and recommend the industry one', async () => {
+      await register();
+
+      const response = await auth(request(app).get('/api/business/preference-templates'));
+
+      expect(response.status).toBe(200);
+      const retail = response.body.data.templates.find(template => template.key === 'retail');
+      expect(retail.recommended).toBe(true);
+      expect(retail.counts.categories).toBe(3);
+    });
+  });
+
+  describe('POST /api/business/preference-templates/:template', () => {
+    beforeEach(async () => {
+      await register();
+    });
+
+    it('should preview without changing anything', async () => {
+      const response = await auth(request(app).post('/api/business/preference-templates/restaurant/preview'))
+        .send({ sections: ['categories'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.changes.categories.added).toContain('Desserts');
+      expect(Object.keys(response.body.data.changes)).toEqual(['categories']);
+      expect(names((await getPreferences()).categories)).not.toContain('Desserts');
+    });
+
+    it('should merge template items into the lists', async () => {
+      const before = await auth(request(app).get('/api/business/preferences'));
+
+      const response = await auth(request(app).post('/api/business/preference-templates/restaurant/apply'))
+        .send({ mode: 'merge' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers.etag).not.toBe(before.headers.etag);
+      const { categories } = response.body.data.preferences;
+      expect(names(categories)).toEqual(expect.arrayContaining(['Electronics', 'Desserts']));
+      expect(categories.find(item => item.name === 'Electronics')._id)
+        .toBe(before.body.data.preferences.categories.find(item => item.name === 'Electronics')._id);
+    });
+
+    it('should replace the lists but keep items products still use', async () => {
+      const preferences = await getPreferences();
+      const electronics = preferences.categories.find(item => item.name === 'Electronics');
+      await auth(request(app).post('/api/products')).send({
+        sku: 'tv-001',
+        name: 'Smart TV',
+        category: electronics._id,
+        unit: preferences.units.find(item => item.name === 'Piece')._id,
+        productType: preferences.productTypes.find(item => item.name === 'Physical Product')._id,
+        costPrice: 150000,
+        sellingPrice: 200000
+      }).expect(201);
+
+      const response = await auth(request(app).post('/api/business/preference-templates/restaurant/apply'))
+        .send({ mode: 'replace', sections: ['categories'] });
+
+      expect(response.status).toBe(200);
+      const { changes } = response.body.data;
+      expect(changes.categories.removed).toEqual(['Clothing', 'Food & Beverages']);
+      expect(changes.categories.deactivated).toEqual(['Electronics']);
+
+      const { categories } = response.body.data.preferences;
+      const kept = categories.find(item => item._id === electronics._id);
+      expect(kept.isActive).toBe(false);
+      expect(names(categories)).toContain('Main Courses');
+    });
+
+    it('should 404 for an unknown template and reject an unknown mode', async () => {
+      await auth(request(app).post('/api/business/preference-templates/space-travel/apply'))
+        .send({})
+        .expect(404);
+
+      await auth(request(app).post('/api/business/preference-templates/restaurant/apply'))
+        .send({ mode: 'overwrite' })
+        .expect(400);
+    });
+  });
+});
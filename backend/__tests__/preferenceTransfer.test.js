@@ -0,0 +1,208 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Business = require('../src/models/Business');
+const Membership = require('../src/models/Membership');
+const RefreshToken = require('../src/models/RefreshToken');
+const Session = require('../src/models/Session');
+const mailer = require('../src/utils/mailer');
+
+// Use local MongoDB for testing
+const TEST_MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://localhost:27017/hackjos_test';
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  await mongoose.connect(TEST_MONGODB_URI);
+  mailer.setTransport({ send: async () => {} });
+}, 30000);
+
+afterAll(async () => {
+  mailer.setTransport(null);
+  await mongoose.disconnect();
+}, 10000);
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await User.deleteMany({});
+    await Business.deleteMany({});
+    await Membership.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await Session.deleteMany({});
+  }
+});
+
+describe('Preference Import/Export Tests', () => {
+  let token;
+
+  const auth = (req, withToken = token) => req.set('Authorization', `Bearer ${withToken}`);
+
+  const register = async (email, industry) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        firstName: 'Ada',
+        lastName: 'Obi',
+        email,
+        password: 'Password123',
+        businessName: 'Ada Stores',
+        industry
+      });
+
+    return response.body.data.token;
+  };
+
+  const getPreferences = async (withToken = token) =>
+    (await auth(request(app).get('/api/business/preferences'), withToken)).body.data.preferences;
+
+  const importCsv = (csv, query = '') => auth(request(app).post(`/api/business/preferences/import${query}`))
+    .set('Content-Type', 'text/csv')
+    .send(csv);
+
+  beforeEach(async () => {
+    token = await register('ada@example.com', 'retail');
+  });
+
+  describe('GET /api/business/preferences/export', () => {
+    it('should export the lists as JSON without IDs', async () => {
+      const response = await auth(request(app).get('/api/business/preferences/export'));
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="preferences-.*\.json"/);
+      const electronics = response.body.preferences.categories.find(item => item.name === 'Electronics');
+      expect(electronics.color).toBe('#3b82f6');
+      expect(electronics._id).toBeUndefined();
+    });
+
+    it('should export the lists as CSV', async () => {
+      const response = await auth(request(app).get('/api/business/preferences/export?format=csv'));
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/text\/csv/);
+      const [header, ...rows] = response.text.trim().split('\r\n');
+      expect(header).toBe(
+        'section,name,description,icon,color,isActive,parent,abbreviation,type,' +
+        'requiresSerialNumber,requiresExpiryDate,trackInventory'
+      );
+      expect(rows).toContain('units,Piece,,,,true,,PCS,quantity,,,');
+    });
+
+    it('should reject an unknown format', async () => {
+      await auth(request(app).get('/api/business/preferences/export?format=xml')).expect(400);
+    });
+  });
+
+  describe('POST /api/business/preferences/import', () => {
+    it('should copy the setup of one branch to another', async () => {
+      await auth(request(app).post('/api/business/preferences/categories'))
+        .send({ name: 'Garden', color: '#16a34a' })
+        .expect(201);
+      const exported = await auth(request(app).get('/api/business/preferences/export'));
+
+      const branchToken = await register('branch@example.com', 'restaurant');
+
+      const dryRun = await auth(request(app).post('/api/business/preferences/import?dryRun=true'), branchToken)
+        .send(exported.body);
+      expect(dryRun.status).toBe(200);
+      expect(dryRun.body.data.sections.categories.added).toContain('Garden');
+      expect((await getPreferences(branchToken)).categories.map(item => item.name)).not.toContain('Garden');
+
+      const response = await auth(request(app).post('/api/business/preferences/import'), branchToken)
+        .send(exported.body);
+      expect(response.status).toBe(200);
+
+      const preferences = await getPreferences(branchToken);
+      const garden = preferences.categories.find(item => item.name === 'Garden');
+      expect(garden.color).toBe('#16a34a');
+      expect(preferences.categories.map(item => item.name)).toContain('Main Courses');
+    });
+
+    it('should update items matched by name or abbreviation', async () => {
+      const csv = [
+        'section,name,abbreviation,color,isActive',
+        'categories,electronics,,#000000,',
+        'units,Pieces,pcs,,false'
+      ].join('\n');
+
+      const response = await importCsv(csv);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.summary).toMatchObject({ added: 0, updated: 2 });
+      const preferences = await getPreferences();
+      expect(preferences.categories.find(item => item.name === 'electronics').color).toBe('#000000');
+      expect(preferences.units.find(item => item.abbreviation === 'PCS').isActive).toBe(false);
+    });
+
+    it('should report duplicates and invalid rows and save nothing', async () => {
+      const csv = [
+        'section,name,abbreviation,color',
+        'categories,Garden,,#16a34a',
+        'categories,GARDEN,,',
+        'categories,Toys,,red',
+        'units,Crate,,',
+        'colours,Blue,,'
+      ].join('\n');
+
+      const dryRun = await importCsv(csv, '?dryRun=true');
+      expect(dryRun.status).toBe(200);
+      expect(dryRun.body.data.duplicates).toEqual([
+        { section: 'categories', row: 3, value: 'GARDEN', firstRow: 2 }
+      ]);
+      expect(dryRun.body.data.errors.map(error => [error.row, error.field])).toEqual([
+        [4, 'color'],
+        [5, 'abbreviation'],
+        [6, 'section']
+      ]);
+
+      const response = await importCsv(csv);
+      expect(response.status).toBe(400);
+      expect((await getPreferences()).categories.map(item => item.name)).not.toContain('Garden');
+    });
+
+    it('should nest categories under parents given by name', async () => {
+      const csv = [
+        'section,name,parent',
+        'categories,Chargers,Phones',
+        'categories,Phones,electronics'
+      ].join('\n');
+
+      const response = await importCsv(csv);
+
+      expect(response.status).toBe(200);
+      const preferences = await getPreferences();
+      const find = (name) => preferences.categories.find(item => item.name === name);
+      expect(find('Phones').parent).toBe(find('Electronics')._id);
+      expect(find('Chargers').parent).toBe(find('Phones')._id);
+
+      const exported = await auth(request(app).get('/api/business/preferences/export'));
+      expect(exported.body.preferences.categories.find(item => item.name === 'Chargers').parent).toBe('Phones');
+    });
+
+    it('should report unknown parents and loops', async () => {
+      const csv = [
+        'section,name,parent',
+        'categories,Phones,Electronics',
+        'categories,Electronics,Phones',
+        'categories,Toys,Games'
+      ].join('\n');
+
+      const response = await importCsv(csv, '?dryRun=true');
+
+      expect(response.body.data.errors.map(error => [error.row, error.field])).toEqual([
+        [4, 'parent'],
+        [undefined, 'parent']
+      ]);
+    });
+
+    it('should reject unknown CSV columns', async () => {
+      const response = await importCsv('section,name,colour\ncategories,Garden,#16a34a\n', '?dryRun=true');
+
+      expect(response.body.data.errors).toEqual([
+        { row: 1, field: 'colour', message: 'Unknown column "colour"' }
+      ]);
+    });
+  });
+});
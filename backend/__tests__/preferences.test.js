@@ -0,0 +1,184 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Business = require('../src/models/Business');
+const Membership = require('../src/models/Membership');
+const Product = require('../src/models/Product');
+const RefreshToken = require('../src/models/RefreshToken');
+const Session = require('../src/models/Session');
+const mailer = require('../src/utils/mailer');
+
+// Use local MongoDB for testing
+const TEST_MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://localhost:27017/hackjos_test';
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  await mongoose.connect(TEST_MONGODB_URI);
+  mailer.setTransport({ send: async () => {} });
+}, 30000);
+
+afterAll(async () => {
+  mailer.setTransport(null);
+  await mongoose.disconnect();
+}, 10000);
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await User.deleteMany({});
+    await Business.deleteMany({});
+    await Membership.deleteMany({});
+    await Product.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await Session.deleteMany({});
+  }
+});
+
+describe('Preference Item Tests', () => {
+  let token;
+  let preferences;
+  let preferencesTag;
+
+  const auth = (req) => req.set('Authorization', `Bearer ${token}`);
+
+  const prefId = (section, name) => preferences[section].find(item => item.name === name)._id;
+
+  const getPreferences = async () => {
+    const response = await auth(request(app).get('/api/business/preferences'));
+    preferencesTag = response.headers.etag;
+    return response.body.data.preferences;
+  };
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        firstName: 'Ada',
+        lastName: 'Obi',
+        email: 'ada@example.com',
+        password: 'Password123',
+        businessName: 'Ada Stores',
+        industry: 'retail'
+      });
+
+    token = response.body.data.token;
+    preferences = await getPreferences();
+  });
+
+  describe('POST /api/business/preferences/:section', () => {
+    it('should add an item with defaults', async () => {
+      const response = await auth(request(app).post('/api/business/preferences/categories'))
+        .send({ name: 'Garden' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.item.name).toBe('Garden');
+      expect(response.body.data.item.color).toBe('#6366f1');
+      expect(response.body.data.item.isActive).toBe(true);
+    });
+
+    it('should reject a duplicate unit abbreviation, ignoring case', async () => {
+      const existing = preferences.units[0].abbreviation.toLowerCase();
+
+      const response = await auth(request(app).post('/api/business/preferences/units'))
+        .send({ name: 'Other', abbreviation: existing });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should 404 for an unknown list', async () => {
+      const response = await auth(request(app).post('/api/business/preferences/colours')).send({ name: 'Red' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('PATCH /api/business/preferences/:section/:id', () => {
+    it('should change one field and keep the rest', async () => {
+      const electronics = preferences.categories.find(item => item.name === 'Electronics');
+
+      const response = await auth(request(app).patch(`/api/business/preferences/categories/${electronics._id}`))
+        .send({ color: '#ff0000' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.item.color).toBe('#ff0000');
+      expect(response.body.data.item.name).toBe('Electronics');
+      expect(response.body.data.item.createdAt).toBe(electronics.createdAt);
+    });
+
+    it('should not rename an item to an existing name', async () => {
+      const [first, second] = preferences.categories;
+
+      const response = await auth(request(app).patch(`/api/business/preferences/categories/${second._id}`))
+        .send({ name: first.name.toUpperCase() });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('DELETE /api/business/preferences/:section/:id', () => {
+    it('should not delete an item used by products', async () => {
+      await auth(request(app).post('/api/products')).send({
+        sku: 'tv-001',
+        name: 'Smart TV',
+        category: prefId('categories', 'Electronics'),
+        unit: prefId('units', 'Piece'),
+        productType: prefId('productTypes', 'Physical Product'),
+        costPrice: 150000,
+        sellingPrice: 200000
+      });
+
+      const blocked = await auth(request(app).delete(`/api/business/preferences/categories/${prefId('categories', 'Electronics')}`));
+      expect(blocked.status).toBe(400);
+      expect(blocked.body.message).toMatch(/1 product/);
+
+      const replaced = await auth(request(app).put('/api/business/preferences'))
+        .set('If-Match', preferencesTag)
+        .send({ categories: preferences.categories.filter(item => item.name !== 'Electronics') });
+      expect(replaced.status).toBe(400);
+    });
+
+    it('should delete an unused item', async () => {
+      const id = prefId('categories', 'Electronics');
+
+      const response = await auth(request(app).delete(`/api/business/preferences/categories/${id}`));
+
+      expect(response.status).toBe(200);
+      expect((await getPreferences()).categories.some(item => item._id === id)).toBe(false);
+    });
+  });
+
+  describe('PUT /api/business/preferences/:section/order', () => {
+    it('should reorder the list', async () => {
+      const order = preferences.units.map(item => item._id).reverse();
+
+      const response = await auth(request(app).put('/api/business/preferences/units/order')).send({ order });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.items.map(item => item._id)).toEqual(order);
+    });
+
+    it('should require every item exactly once', async () => {
+      const order = preferences.units.slice(1).map(item => item._id);
+
+      const response = await auth(request(app).put('/api/business/preferences/units/order')).send({ order });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('PUT /api/business/preferences', () => {
+    it('should keep creation dates of items sent without them', async () => {
+      const categories = preferences.categories.map(({ createdAt, ...item }) => item);
+
+      const response = await auth(request(app).put('/api/business/preferences'))
+        .set('If-Match', preferencesTag)
+        .send({ categories });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.preferences.categories[0].createdAt).toBe(preferences.categories[0].createdAt);
+    });
+  });
+});
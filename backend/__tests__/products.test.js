@@ -0,0 +1,196 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Business = require('../src/models/Business');
+const Membership = require('../src/models/Membership');
+const Product = require('../src/models/Product');
+const RefreshToken = require('../src/models/RefreshToken');
+const Session = require('../src/models/Session');
+const mailer = require('../src/utils/mailer');
+
+// Use local MongoDB for testing
+const TEST_MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://localhost:27017/hackjos_test';
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  await mongoose.connect(TEST_MONGODB_URI);
+  mailer.setTransport({ send: async () => {} });
+}, 30000);
+
+afterAll(async () => {
+  mailer.setTransport(null);
+  await mongoose.disconnect();
+}, 10000);
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await User.deleteMany({});
+    await Business.deleteMany({});
+    await Membership.deleteMany({});
+    await Product.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await Session.deleteMany({});
+  }
+});
+
+describe('Product Tests', () => {
+  let token;
+  let preferences;
+  let preferencesTag;
+
+  /**
+   * Find a preference item ID by name
+   */
+  const prefId = (section, name) => preferences[section].find(item => item.name === name)._id;
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        firstName: 'Ada',
+        lastName: 'Obi',
+        email: 'ada@example.com',
+        password: 'Password123',
+        businessName: 'Ada Stores',
+        industry: 'retail'
+      });
+
+    token = response.body.data.token;
+
+    const prefs = await request(app)
+      .get('/api/business/preferences')
+      .set('Authorization', `Bearer ${token}`);
+    preferences = prefs.body.data.preferences;
+    preferencesTag = prefs.headers.etag;
+  });
+
+  const productData = () => ({
+    sku: 'tv-001',
+    name: 'Smart TV',
+    category: prefId('categories', 'Electronics'),
+    unit: prefId('units', 'Piece'),
+    productType: prefId('productTypes', 'Physical Product'),
+    costPrice: 150000,
+    sellingPrice: 200000
+  });
+
+  it('should create, list, update and delete products', async () => {
+    const created = await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${token}`)
+      .send(productData())
+      .expect(201);
+
+    const product = created.body.data.product;
+    expect(product.sku).toBe('TV-001');
+    expect(product.category.name).toBe('Electronics');
+    expect(product.rules.trackInventory).toBe(true);
+
+    const list = await request(app)
+      .get('/api/products')
+      .query({ search: 'smart' })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(list.body.data).toHaveLength(1);
+    expect(list.body.pagination.total).toBe(1);
+
+    const updated = await request(app)
+      .put(`/api/products/${product.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ sellingPrice: 210000 })
+      .expect(200);
+    expect(updated.body.data.product.sellingPrice).toBe(210000);
+
+    await request(app)
+      .delete(`/api/products/${product.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(await Product.countDocuments()).toBe(0);
+  });
+
+  it('should reject duplicate SKUs within a business', async () => {
+    await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${token}`)
+      .send(productData())
+      .expect(201);
+
+    await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...productData(), name: 'Another TV' })
+      .expect(400);
+  });
+
+  it('should reject unknown or inactive preference references', async () => {
+    await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...productData(), category: new mongoose.Types.ObjectId().toString() })
+      .expect(400);
+
+    const categories = preferences.categories.map(category =>
+      category.name === 'Electronics' ? { ...category, isActive: false } : category
+    );
+    await request(app)
+      .put('/api/business/preferences')
+      .set('Authorization', `Bearer ${token}`)
+      .set('If-Match', preferencesTag)
+      .send({ categories })
+      .expect(200);
+
+    await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${token}`)
+      .send(productData())
+      .expect(400);
+  });
+
+  it('should enforce product type rules', async () => {
+    // Services do not track inventory
+    await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        ...productData(),
+        productType: prefId('productTypes', 'Service'),
+        reorderLevel: 5
+      })
+      .expect(400);
+
+    // Serialized products are counted in pieces
+    const types = await request(app)
+      .put('/api/business/preferences')
+      .set('Authorization', `Bearer ${token}`)
+      .set('If-Match', preferencesTag)
+      .send({
+        productTypes: [
+          ...preferences.productTypes,
+          { name: 'Serialized Product', requiresSerialNumber: true, trackInventory: true }
+        ]
+      })
+      .expect(200);
+    preferences = types.body.data.preferences;
+
+    await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        ...productData(),
+        unit: prefId('units', 'Kilogram'),
+        productType: prefId('productTypes', 'Serialized Product')
+      })
+      .expect(400);
+
+    // Shelf life only applies to perishables
+    await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...productData(), shelfLifeDays: 30 })
+      .expect(400);
+  });
+});
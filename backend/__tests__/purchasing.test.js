@@ -0,0 +1,203 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Business = require('../src/models/Business');
+const Membership = require('../src/models/Membership');
+const Product = require('../src/models/Product');
+const StockMovement = require('../src/models/StockMovement');
+const Supplier = require('../src/models/Supplier');
+const PurchaseOrder = require('../src/models/PurchaseOrder');
+const Counter = require('../src/models/Counter');
+const RefreshToken = require('../src/models/RefreshToken');
+const Session = require('../src/models/Session');
+const mailer = require('../src/utils/mailer');
+
+// Use local MongoDB for testing
+const TEST_MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://localhost:27017/hackjos_test';
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  await mongoose.connect(TEST_MONGODB_URI);
+  mailer.setTransport({ send: async () => {} });
+}, 30000);
+
+afterAll(async () => {
+  mailer.setTransport(null);
+  await mongoose.disconnect();
+}, 10000);
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await User.deleteMany({});
+    await Business.deleteMany({});
+    await Membership.deleteMany({});
+    await Product.deleteMany({});
+    // Movements are append-only through the model, so clear the raw collection
+    await StockMovement.collection.deleteMany({});
+    await Supplier.deleteMany({});
+    await PurchaseOrder.deleteMany({});
+    await Counter.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await Session.deleteMany({});
+  }
+});
+
+describe('Purchasing Tests', () => {
+  let token;
+  let supplier;
+  let tv;
+
+  const auth = (req) => req.set('Authorization', `Bearer ${token}`);
+
+  /**
+   * Create a draft order and place it
+   */
+  const placeOrder = async (items) => {
+    const created = await auth(request(app).post('/api/purchase-orders'))
+      .send({ supplier: supplier.id, items });
+    const placed = await auth(request(app).post(`/api/purchase-orders/${created.body.data.purchaseOrder.id}/order`));
+    return placed.body.data.purchaseOrder;
+  };
+
+  const receive = (orderId, data) => auth(request(app).post(`/api/purchase-orders/${orderId}/receive`)).send(data);
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        firstName: 'Ada',
+        lastName: 'Obi',
+        email: 'ada@example.com',
+        password: 'Password123',
+        businessName: 'Ada Stores',
+        industry: 'retail'
+      });
+
+    token = response.body.data.token;
+
+    const prefs = await auth(request(app).get('/api/business/preferences'));
+    const preferences = prefs.body.data.preferences;
+    const prefId = (section, name) => preferences[section].find(item => item.name === name)._id;
+
+    const created = await auth(request(app).post('/api/products')).send({
+      sku: 'tv-001',
+      name: 'Smart TV',
+      unit: prefId('units', 'Piece'),
+      productType: prefId('productTypes', 'Physical Product'),
+      costPrice: 150000,
+      sellingPrice: 200000
+    });
+    tv = created.body.data.product;
+
+    const supplierResponse = await auth(request(app).post('/api/suppliers')).send({
+      name: 'Lagos Electronics',
+      email: 'sales@lagoselectronics.example',
+      leadTimeDays: 7
+    });
+    supplier = supplierResponse.body.data.supplier;
+  });
+
+  describe('POST /api/suppliers', () => {
+    it('should reject a duplicate supplier name', async () => {
+      const response = await auth(request(app).post('/api/suppliers')).send({ name: 'Lagos Electronics' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Purchase orders', () => {
+    it('should cost a draft from the catalog and number it when ordered', async () => {
+      const created = await auth(request(app).post('/api/purchase-orders'))
+        .send({ supplier: supplier.id, items: [{ product: tv.id, quantity: 10 }] });
+
+      expect(created.status).toBe(201);
+      expect(created.body.data.purchaseOrder.status).toBe('draft');
+      expect(created.body.data.purchaseOrder.total).toBe(1500000);
+
+      const placed = await auth(request(app).post(`/api/purchase-orders/${created.body.data.purchaseOrder.id}/order`));
+
+      expect(placed.status).toBe(200);
+      expect(placed.body.data.purchaseOrder.status).toBe('ordered');
+      expect(placed.body.data.purchaseOrder.poNumber).toBe('PO-00001');
+      expect(placed.body.data.purchaseOrder.expectedDate).not.toBeNull();
+    });
+
+    it('should receive partially at the received cost, then in full', async () => {
+      const order = await placeOrder([{ product: tv.id, quantity: 10 }]);
+
+      const partial = await receive(order.id, { items: [{ product: tv.id, quantity: 4, unitCost: 140000 }] });
+      expect(partial.status).toBe(200);
+      expect(partial.body.data.purchaseOrder.status).toBe('partially-received');
+
+      const movement = await StockMovement.findOne({ product: tv.id });
+      expect(movement.type).toBe('receipt');
+      expect(movement.unitCost).toBe(140000);
+      expect(movement.reference.type).toBe('PurchaseOrder');
+
+      const rest = await receive(order.id, { items: [{ product: tv.id, quantity: 6 }] });
+      expect(rest.body.data.purchaseOrder.status).toBe('received');
+      expect(rest.body.data.purchaseOrder.receivedTotal).toBe(1460000);
+
+      const product = await Product.findById(tv.id);
+      expect(product.quantityOnHand).toBe(10);
+    });
+
+    it('should not receive more than was ordered', async () => {
+      const order = await placeOrder([{ product: tv.id, quantity: 2 }]);
+
+      const response = await receive(order.id, { items: [{ product: tv.id, quantity: 3 }] });
+
+      expect(response.status).toBe(400);
+      expect(await StockMovement.countDocuments({ product: tv.id })).toBe(0);
+    });
+
+    it('should not receive against a draft', async () => {
+      const created = await auth(request(app).post('/api/purchase-orders'))
+        .send({ supplier: supplier.id, items: [{ product: tv.id, quantity: 2 }] });
+
+      const response = await receive(created.body.data.purchaseOrder.id, { items: [{ product: tv.id, quantity: 1 }] });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should close a partially received order short', async () => {
+      const order = await placeOrder([{ product: tv.id, quantity: 10 }]);
+      await receive(order.id, { items: [{ product: tv.id, quantity: 4 }] });
+
+      const closed = await auth(request(app).post(`/api/purchase-orders/${order.id}/close`));
+      expect(closed.body.data.purchaseOrder.status).toBe('closed');
+
+      const more = await receive(order.id, { items: [{ product: tv.id, quantity: 1 }] });
+      expect(more.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/suppliers/:id/history', () => {
+    it('should report received prices and lead times', async () => {
+      const first = await placeOrder([{ product: tv.id, quantity: 5 }]);
+      await receive(first.id, { items: [{ product: tv.id, quantity: 5, unitCost: 140000 }] });
+      const second = await placeOrder([{ product: tv.id, quantity: 5 }]);
+      await receive(second.id, { items: [{ product: tv.id, quantity: 5, unitCost: 160000 }] });
+
+      const response = await auth(request(app).get(`/api/suppliers/${supplier.id}/history`));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.prices).toHaveLength(1);
+      expect(response.body.data.prices[0].lastCost).toBe(160000);
+      expect(response.body.data.prices[0].averageCost).toBe(150000);
+      expect(response.body.data.leadTimes).toHaveLength(2);
+    });
+
+    it('should not delete a supplier with orders', async () => {
+      await placeOrder([{ product: tv.id, quantity: 1 }]);
+
+      const response = await auth(request(app).delete(`/api/suppliers/${supplier.id}`));
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,243 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Business = require('../src/models/Business');
+const Membership = require('../src/models/Membership');
+const Product = require('../src/models/Product');
+const StockMovement = require('../src/models/StockMovement');
+const Sale = require('../src/models/Sale');
+const Counter = require('../src/models/Counter');
+const ApiKey = require('../src/models/ApiKey');
+const AuditLog = require('../src/models/AuditLog');
+const RefreshToken = require('../src/models/RefreshToken');
+const Session = require('../src/models/Session');
+const mailer = require('../src/utils/mailer');
+
+// Use local MongoDB for testing
+const TEST_MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://localhost:27017/hackjos_test';
+
+beforeAll(async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+  }
+
+  await mongoose.connect(TEST_MONGODB_URI);
+  mailer.setTransport({ send: async () => {} });
+}, 30000);
+
+afterAll(async () => {
+  mailer.setTransport(null);
+  await mongoose.disconnect();
+}, 10000);
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await User.deleteMany({});
+    await Business.deleteMany({});
+    await Membership.deleteMany({});
+    await Product.deleteMany({});
+    // Movements are append-only through the model, so clear the raw collection
+    await StockMovement.collection.deleteMany({});
+    await Sale.deleteMany({});
+    await Counter.deleteMany({});
+    await ApiKey.deleteMany({});
+    await AuditLog.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await Session.deleteMany({});
+  }
+});
+
+describe('Sale Tests', () => {
+  let token;
+  let tv;
+  let service;
+
+  const auth = (req) => req.set('Authorization', `Bearer ${token}`);
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        firstName: 'Ada',
+        lastName: 'Obi',
+        email: 'ada@example.com',
+        password: 'Password123',
+        businessName: 'Ada Stores',
+        industry: 'retail'
+      });
+
+    token = response.body.data.token;
+
+    const prefs = await auth(request(app).get('/api/business/preferences'));
+    const preferences = prefs.body.data.preferences;
+    const prefId = (section, name) => preferences[section].find(item => item.name === name)._id;
+
+    const createProduct = async (data) => {
+      const created = await auth(request(app).post('/api/products')).send({
+        unit: prefId('units', 'Piece'),
+        ...data
+      });
+      return created.body.data.product;
+    };
+
+    tv = await createProduct({
+      sku: 'tv-001',
+      name: 'Smart TV',
+      productType: prefId('productTypes', 'Physical Product'),
+      sellingPrice: 1000
+    });
+    service = await createProduct({
+      sku: 'install',
+      name: 'Installation',
+      productType: prefId('productTypes', 'Service'),
+      sellingPrice: 500
+    });
+
+    await auth(request(app).post(`/api/inventory/${tv.id}/movements`))
+      .send({ type: 'receipt', quantity: 5 })
+      .expect(201);
+  });
+
+  it('should check out a sale, take stock and add revenue', async () => {
+    const response = await auth(request(app).post('/api/sales')).send({
+      items: [
+        { product: tv.id, quantity: 2, discount: 100, taxRate: 7.5 },
+        { product: service.id, quantity: 1 }
+      ],
+      discount: 240,
+      payments: [
+        { method: 'card', amount: 1000 },
+        { method: 'cash', amount: 2000 }
+      ]
+    });
+
+    expect(response.status).toBe(201);
+    const sale = response.body.data.sale;
+    expect(sale.status).toBe('completed');
+    expect(sale.receiptNumber).toBe('RCP-000001');
+    expect(sale.subtotal).toBe(2500);
+    expect(sale.discountTotal).toBe(340);
+    expect(sale.taxTotal).toBe(128.25);
+    expect(sale.total).toBe(2288.25);
+    expect(sale.changeDue).toBe(711.75);
+
+    const product = await Product.findById(tv.id);
+    expect(product.quantityOnHand).toBe(3);
+
+    const business = await Business.findOne({ name: 'Ada Stores' });
+    expect(business.totalRevenue).toBe(2160);
+
+    const next = await auth(request(app).post('/api/sales')).send({
+      items: [{ product: service.id, quantity: 1 }],
+      payments: [{ method: 'transfer', amount: 500, reference: 'TRF-1' }]
+    });
+    expect(next.body.data.sale.receiptNumber).toBe('RCP-000002');
+  });
+
+  it('should refuse sales that cannot be paid or stocked, leaving nothing changed', async () => {
+    const overpaidCard = await auth(request(app).post('/api/sales')).send({
+      items: [{ product: tv.id, quantity: 1 }],
+      payments: [{ method: 'card', amount: 1500 }]
+    });
+    expect(overpaidCard.status).toBe(400);
+
+    const fractional = await auth(request(app).post('/api/sales')).send({
+      items: [{ product: tv.id, quantity: 1.5 }],
+      payments: [{ method: 'cash', amount: 2000 }]
+    });
+    expect(fractional.status).toBe(400);
+
+    const tooMany = await auth(request(app).post('/api/sales')).send({
+      items: [
+        { product: service.id, quantity: 1 },
+        { product: tv.id, quantity: 6 }
+      ],
+      payments: [{ method: 'cash', amount: 10000 }]
+    });
+    expect(tooMany.status).toBe(400);
+
+    expect(await Sale.countDocuments()).toBe(0);
+    expect((await Product.findById(tv.id)).quantityOnHand).toBe(5);
+    expect((await Business.findOne({ name: 'Ada Stores' })).totalRevenue).toBe(0);
+  });
+
+  it('should save open orders and check them out later', async () => {
+    const order = await auth(request(app).post('/api/sales')).send({
+      items: [{ product: tv.id, quantity: 1 }],
+      customerName: 'Chidi'
+    });
+
+    expect(order.status).toBe(201);
+    expect(order.body.data.sale.status).toBe('open');
+    expect(order.body.data.sale.receiptNumber).toBeNull();
+    expect((await Product.findById(tv.id)).quantityOnHand).toBe(5);
+
+    const saleId = order.body.data.sale.id;
+
+    const updated = await auth(request(app).put(`/api/sales/${saleId}`)).send({
+      items: [{ product: tv.id, quantity: 2 }]
+    });
+    expect(updated.body.data.sale.total).toBe(2000);
+
+    const checkout = await auth(request(app).post(`/api/sales/${saleId}/checkout`)).send({
+      payments: [{ method: 'cash', amount: 2000 }]
+    });
+    expect(checkout.status).toBe(200);
+    expect(checkout.body.data.sale.receiptNumber).toBe('RCP-000001');
+    expect((await Product.findById(tv.id)).quantityOnHand).toBe(3);
+
+    await auth(request(app).post(`/api/sales/${saleId}/cancel`)).expect(400);
+    await auth(request(app).put(`/api/sales/${saleId}`)).send({ notes: 'Late edit' }).expect(400);
+  });
+
+  it('should check out an order only once when two checkouts arrive together', async () => {
+    const order = await auth(request(app).post('/api/sales')).send({
+      items: [{ product: tv.id, quantity: 1 }]
+    });
+    const saleId = order.body.data.sale.id;
+
+    const checkout = () => auth(request(app).post(`/api/sales/${saleId}/checkout`))
+      .send({ payments: [{ method: 'cash', amount: 1000 }] });
+    const responses = await Promise.all([checkout(), checkout()]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+    expect(await StockMovement.countDocuments({ 'reference.id': saleId })).toBe(1);
+    expect((await Product.findById(tv.id)).quantityOnHand).toBe(4);
+    expect((await Counter.findOne({ name: 'receipt' })).seq).toBe(1);
+    expect((await Business.findOne({ name: 'Ada Stores' })).totalRevenue).toBe(1000);
+  });
+
+  it('should only let holders of sales:override-price change prices', async () => {
+    await User.updateOne({ email: 'ada@example.com' }, { isEmailVerified: true });
+    const created = await auth(request(app).post('/api/business/api-keys'))
+      .send({ name: 'Till', scopes: ['sales:write'] })
+      .expect(201);
+
+    await request(app)
+      .post('/api/sales')
+      .set('X-API-Key', created.body.data.key)
+      .send({ items: [{ product: service.id, quantity: 1, unitPrice: 1 }] })
+      .expect(403);
+    await request(app)
+      .post('/api/sales')
+      .set('X-API-Key', created.body.data.key)
+      .send({ items: [{ product: service.id, quantity: 1, discount: 499 }] })
+      .expect(403);
+    await request(app)
+      .post('/api/sales')
+      .set('X-API-Key', created.body.data.key)
+      .send({ items: [{ product: service.id, quantity: 1 }], discount: 499 })
+      .expect(403);
+    expect(await Sale.countDocuments()).toBe(0);
+
+    const response = await auth(request(app).post('/api/sales')).send({
+      items: [{ product: service.id, quantity: 1, unitPrice: 450 }]
+    });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.sale.total).toBe(450);
+    const entry = await AuditLog.findOne({ action: 'sale.price-overridden' });
+    expect(entry.metadata.items[0]).toMatchObject({ name: 'Installation', catalogPrice: 500, unitPrice: 450 });
+  });
+});
@@ -0,0 +1,38 @@
+const totp = require('../src/utils/totp');
+
+describe('TOTP Utility Tests', () => {
+  // RFC 6238 reference secret ("12345678901234567890")
+  const rfcSecret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  it('should round-trip base32 encoding', () => {
+    expect(rfcSecret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.base32Decode(rfcSecret).toString()).toBe('12345678901234567890');
+  });
+
+  it('should match the RFC 6238 test vectors', () => {
+    expect(totp.generateCode(rfcSecret, Math.floor(59 / 30))).toBe('287082');
+    expect(totp.generateCode(rfcSecret, Math.floor(1111111109 / 30))).toBe('081804');
+    expect(totp.generateCode(rfcSecret, Math.floor(1234567890 / 30))).toBe('005924');
+  });
+
+  it('should verify current codes and reject replays', () => {
+    const secret = totp.generateSecret();
+    const code = totp.generateCode(secret);
+
+    const step = totp.verifyCode(secret, code);
+    expect(step).toBe(totp.getTimeStep());
+    expect(totp.verifyCode(secret, code, { afterStep: step })).toBeNull();
+    expect(totp.verifyCode(secret, 'abcdef')).toBeNull();
+  });
+
+  it('should build an otpauth URI', () => {
+    const uri = totp.buildOtpauthUri({
+      secret: rfcSecret,
+      accountName: 'john@example.com',
+      issuer: 'Brillix'
+    });
+
+    expect(uri).toMatch(/^otpauth:\/\/totp\/Brillix%3Ajohn%40example\.com\?/);
+    expect(uri).toContain(`secret=${rfcSecret}`);
+  });
+});
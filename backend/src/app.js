@@ -7,7 +7,9 @@ const express = require('express');
 const cors = require('cors');
 const routes = require('./routes');
 const errorHandler = require('./middleware/errorHandler');
-const { apiLimiter } = require('./middleware/rateLimiter');
+const { apiLimiter, apiKeyLimiter } = require('./middleware/rateLimiter');
+const { identifyApiKey } = require('./middleware/auth');
+const { localPath } = require('./utils/storage');
 
 // Initialize Express app
 const app = express();
@@ -20,6 +22,8 @@ const app = express();
 const corsOptions = {
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
   credentials: true,
+  // Browsers only let scripts read the ETag for If-Match if it is exposed
+  exposedHeaders: ['ETag'],
   optionsSuccessStatus: 200
 };
 app.use(cors(corsOptions));
@@ -28,8 +32,8 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Apply rate limiting to all API routes
-app.use('/api', apiLimiter);
+// Apply rate limiting to all API routes, per verified API key or else per IP
+app.use('/api', identifyApiKey, apiLimiter, apiKeyLimiter);
 
 // Request logging middleware (development only)
 if (process.env.NODE_ENV === 'development') {
@@ -39,6 +43,24 @@ if (process.env.NODE_ENV === 'development') {
   });
 }
 
+/**
+ * Uploaded Files
+ * Logos kept by the local storage adapter are public; other uploads are only
+ * served through the API. File names are random, so they can be cached forever.
+ */
+app.get('/uploads/logos/*file', (req, res, next) => {
+  let filePath;
+  try {
+    filePath = localPath(`logos/${req.params.file.join('/')}`);
+  } catch (error) {
+    return next();
+  }
+
+  res.sendFile(filePath, { maxAge: '365d', immutable: true }, (error) => {
+    if (error && !res.headersSent) next();
+  });
+});
+
 /**
  * API Routes
  */
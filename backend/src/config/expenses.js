@@ -0,0 +1,34 @@
+/**
+ * Expense Configuration
+ * Defines expense payment methods, default categories and receipt upload limits
+ */
+
+/**
+ * Ways an expense can be paid
+ */
+const EXPENSE_PAYMENT_METHODS = ['cash', 'card', 'transfer', 'cheque', 'other'];
+
+/**
+ * Expense categories given to new businesses
+ */
+const DEFAULT_EXPENSE_CATEGORIES = [
+  { name: 'Rent', description: 'Shop, office and warehouse rent', color: '#8b5cf6' },
+  { name: 'Utilities', description: 'Electricity, water, internet and fuel', color: '#0ea5e9' },
+  { name: 'Salaries', description: 'Staff wages and allowances', color: '#10b981' },
+  { name: 'Supplies', description: 'Consumables and office supplies', color: '#f59e0b' },
+  { name: 'Transport', description: 'Delivery, logistics and travel', color: '#ef4444' },
+  { name: 'Other', description: 'Anything that does not fit elsewhere', color: '#6b7280' }
+];
+
+/**
+ * Receipt attachments: accepted file types and the largest file accepted
+ */
+const RECEIPT_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+const RECEIPT_MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+module.exports = {
+  EXPENSE_PAYMENT_METHODS,
+  DEFAULT_EXPENSE_CATEGORIES,
+  RECEIPT_MIME_TYPES,
+  RECEIPT_MAX_FILE_SIZE
+};
@@ -0,0 +1,57 @@
+/**
+ * Inventory Configuration
+ * Defines stock movement types, the direction each may move stock in, and
+ * how serialized units are tracked
+ */
+
+/**
+ * All stock movement types
+ */
+const MOVEMENT_TYPES = ['receipt', 'sale', 'adjustment', 'return', 'damage', 'transfer'];
+
+/**
+ * Directions allowed for each movement type
+ */
+const MOVEMENT_DIRECTIONS = {
+  receipt: ['in'],
+  sale: ['out'],
+  return: ['in'],
+  damage: ['out'],
+  adjustment: ['in', 'out'],
+  transfer: ['in', 'out']
+};
+
+/**
+ * Movement types that can be recorded directly through the inventory API
+ * Sales are posted by the documents that cause them.
+ */
+const MANUAL_MOVEMENT_TYPES = ['receipt', 'adjustment', 'return', 'damage', 'transfer'];
+
+/**
+ * Statuses of a serialized unit
+ */
+const SERIAL_STATUSES = ['in-stock', 'sold', 'damaged', 'removed'];
+
+/**
+ * Status a serialized unit takes when it leaves stock through each movement type
+ */
+const SERIAL_ISSUE_STATUS = {
+  sale: 'sold',
+  damage: 'damaged',
+  adjustment: 'removed',
+  transfer: 'removed'
+};
+
+/**
+ * Days ahead the expiring-soon report looks by default
+ */
+const DEFAULT_EXPIRY_WARNING_DAYS = 30;
+
+module.exports = {
+  MOVEMENT_TYPES,
+  MOVEMENT_DIRECTIONS,
+  MANUAL_MOVEMENT_TYPES,
+  SERIAL_STATUSES,
+  SERIAL_ISSUE_STATUS,
+  DEFAULT_EXPIRY_WARNING_DAYS
+};
@@ -0,0 +1,30 @@
+/**
+ * Invoice Configuration
+ * Defines invoice statuses and default numbering
+ */
+
+/**
+ * Invoice lifecycle statuses
+ */
+const INVOICE_STATUSES = ['draft', 'sent', 'partially-paid', 'paid', 'overdue', 'void'];
+
+/**
+ * Statuses of invoices that have been issued and still have a balance due
+ */
+const OUTSTANDING_INVOICE_STATUSES = ['sent', 'partially-paid', 'overdue'];
+
+/**
+ * Defaults for Business.invoiceSettings
+ * Invoice numbers look like INV-00042.
+ */
+const DEFAULT_INVOICE_SETTINGS = {
+  prefix: 'INV',
+  digits: 5,
+  defaultDueDays: 30
+};
+
+module.exports = {
+  INVOICE_STATUSES,
+  OUTSTANDING_INVOICE_STATUSES,
+  DEFAULT_INVOICE_SETTINGS
+};
@@ -0,0 +1,35 @@
+/**
+ * Payment Configuration
+ * Defines payment methods, receipt numbering and receivables aging buckets
+ */
+
+/**
+ * Ways a customer can pay
+ * 'credit' draws on the customer's credit balance instead of new money.
+ */
+const PAYMENT_METHODS = ['cash', 'card', 'transfer', 'cheque', 'credit', 'other'];
+
+/**
+ * Payment numbers look like PMT-000042
+ */
+const PAYMENT_NUMBER_PREFIX = 'PMT';
+const PAYMENT_NUMBER_DIGITS = 6;
+
+/**
+ * Receivables aging buckets by days past the due date
+ * maxDays is inclusive; the last bucket is open-ended.
+ */
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 0 },
+  { key: '1-30', label: '1-30 days', maxDays: 30 },
+  { key: '31-60', label: '31-60 days', maxDays: 60 },
+  { key: '61-90', label: '61-90 days', maxDays: 90 },
+  { key: '90+', label: 'Over 90 days', maxDays: Infinity }
+];
+
+module.exports = {
+  PAYMENT_METHODS,
+  PAYMENT_NUMBER_PREFIX,
+  PAYMENT_NUMBER_DIGITS,
+  AGING_BUCKETS
+};
@@ -0,0 +1,106 @@
+/**
+ * Permission Configuration
+ * Defines the named permissions and the default grants for each role
+ */
+
+/**
+ * All permissions understood by requirePermission()
+ */
+const PERMISSIONS = {
+  'profile:read': 'View the business profile',
+  'profile:write': 'Update the business profile',
+  'preferences:read': 'View categories, units and product types',
+  'preferences:write': 'Manage categories, units and product types',
+  'products:read': 'View the product catalog',
+  'products:write': 'Create, update and delete products',
+  'inventory:read': 'View stock levels and movement history',
+  'inventory:write': 'Record stock receipts, adjustments and other movements',
+  'sales:read': 'View sales orders and receipts',
+  'sales:write': 'Create sales orders and check out sales',
+  'sales:override-price': 'Sell products below or above their catalog price, including discounts',
+  'invoices:read': 'View invoices and download invoice PDFs',
+  'invoices:write': 'Create, send and void invoices',
+  'payments:read': 'View customer payments and credit',
+  'payments:write': 'Record and refund customer payments',
+  'customers:read': 'View customers and their history',
+  'customers:write': 'Create, update, merge and delete customers',
+  'purchasing:read': 'View suppliers and purchase orders',
+  'purchasing:write': 'Manage suppliers, place purchase orders and receive stock',
+  'expenses:read': 'View expenses, receipts and spending summaries',
+  'expenses:write': 'Record, update and delete expenses',
+  'members:read': 'View team members and invitations',
+  'members:write': 'Invite, update, deactivate and remove team members',
+  'permissions:read': 'View role permissions',
+  'permissions:write': 'Change role permissions',
+  'security:write': 'Change business security settings',
+  'api-keys:manage': 'Create, list and revoke API keys',
+  'audit:read': 'View the audit log'
+};
+
+/**
+ * Permissions that only the owner can hold
+ * They cannot be granted to other roles through overrides.
+ */
+const OWNER_ONLY_PERMISSIONS = ['permissions:write', 'security:write', 'api-keys:manage'];
+
+/**
+ * Roles whose permissions can be customised per business
+ * Owners always hold every permission.
+ */
+const CONFIGURABLE_ROLES = ['admin', 'manager', 'employee'];
+
+/**
+ * Permissions that can be granted to API keys
+ */
+const API_KEY_SCOPES = Object.keys(PERMISSIONS).filter(
+  permission => !OWNER_ONLY_PERMISSIONS.includes(permission)
+);
+
+/**
+ * Default grants for each configurable role
+ */
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: Object.keys(PERMISSIONS).filter(
+    permission => !OWNER_ONLY_PERMISSIONS.includes(permission)
+  ),
+  manager: [
+    'profile:read',
+    'preferences:read',
+    'preferences:write',
+    'products:read',
+    'products:write',
+    'inventory:read',
+    'inventory:write',
+    'sales:read',
+    'sales:write',
+    'sales:override-price',
+    'invoices:read',
+    'invoices:write',
+    'payments:read',
+    'payments:write',
+    'customers:read',
+    'customers:write',
+    'purchasing:read',
+    'purchasing:write',
+    'expenses:read',
+    'expenses:write',
+    'members:read'
+  ],
+  employee: [
+    'profile:read',
+    'preferences:read',
+    'products:read',
+    'inventory:read',
+    'sales:read',
+    'sales:write',
+    'customers:read'
+  ]
+};
+
+module.exports = {
+  PERMISSIONS,
+  OWNER_ONLY_PERMISSIONS,
+  CONFIGURABLE_ROLES,
+  API_KEY_SCOPES,
+  DEFAULT_ROLE_PERMISSIONS
+};
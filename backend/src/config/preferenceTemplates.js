@@ -0,0 +1,386 @@
+/**
+ * Preference Templates Configuration
+ * Starting categories, units, product types and expense categories for each industry
+ */
+
+const { DEFAULT_EXPENSE_CATEGORIES } = require('./expenses');
+
+/**
+ * Industries a business can belong to
+ */
+const INDUSTRIES = [
+  'retail',
+  'restaurant',
+  'services',
+  'manufacturing',
+  'technology',
+  'healthcare',
+  'education',
+  'real-estate',
+  'finance',
+  'other'
+];
+
+/**
+ * Template used when a business's industry has none of its own
+ */
+const DEFAULT_TEMPLATE = 'other';
+
+// Units shared by several templates
+const UNITS = {
+  piece: { name: 'Piece', abbreviation: 'PCS', type: 'quantity' },
+  kilogram: { name: 'Kilogram', abbreviation: 'KG', type: 'weight' },
+  gram: { name: 'Gram', abbreviation: 'G', type: 'weight' },
+  liter: { name: 'Liter', abbreviation: 'L', type: 'volume' },
+  milliliter: { name: 'Milliliter', abbreviation: 'ML', type: 'volume' },
+  dozen: { name: 'Dozen', abbreviation: 'DZ', type: 'quantity' },
+  box: { name: 'Box', abbreviation: 'BOX', type: 'quantity' },
+  pack: { name: 'Pack', abbreviation: 'PK', type: 'quantity' },
+  meter: { name: 'Meter', abbreviation: 'M', type: 'length' },
+  hour: { name: 'Hour', abbreviation: 'HR', type: 'other' },
+  session: { name: 'Session', abbreviation: 'SES', type: 'other' },
+  month: { name: 'Month', abbreviation: 'MO', type: 'other' }
+};
+
+// Product types shared by several templates
+const PRODUCT_TYPES = {
+  physical: {
+    name: 'Physical Product',
+    description: 'Tangible goods that can be shipped',
+    requiresSerialNumber: false,
+    requiresExpiryDate: false,
+    trackInventory: true
+  },
+  perishable: {
+    name: 'Perishable',
+    description: 'Products with expiry dates',
+    requiresSerialNumber: false,
+    requiresExpiryDate: true,
+    trackInventory: true
+  },
+  service: {
+    name: 'Service',
+    description: 'Non-physical services',
+    requiresSerialNumber: false,
+    requiresExpiryDate: false,
+    trackInventory: false
+  },
+  serialized: {
+    name: 'Serialized Product',
+    description: 'Items tracked by serial number',
+    requiresSerialNumber: true,
+    requiresExpiryDate: false,
+    trackInventory: true
+  },
+  subscription: {
+    name: 'Subscription',
+    description: 'Recurring plans billed per period',
+    requiresSerialNumber: false,
+    requiresExpiryDate: false,
+    trackInventory: false
+  }
+};
+
+/**
+ * Add expense categories to the defaults every business gets
+ * @param {Array} extra - Industry-specific expense categories
+ * @returns {Array}
+ */
+const expenseCategories = (extra = []) => [
+  ...DEFAULT_EXPENSE_CATEGORIES.filter(category => category.name !== 'Other'),
+  ...extra,
+  DEFAULT_EXPENSE_CATEGORIES.find(category => category.name === 'Other')
+];
+
+/**
+ * Preference templates, keyed by industry
+ *  - label: name shown when choosing a template
+ *  - description: what the template is suited to
+ *  - preferences: items of each preference list, without IDs
+ */
+const PREFERENCE_TEMPLATES = {
+  retail: {
+    label: 'Retail',
+    description: 'Shops selling general merchandise',
+    preferences: {
+      categories: [
+        { name: 'Electronics', description: 'Electronic devices and accessories', icon: '💻', color: '#3b82f6' },
+        { name: 'Clothing', description: 'Apparel and fashion items', icon: '👕', color: '#ec4899' },
+        { name: 'Food & Beverages', description: 'Food items and drinks', icon: '🍔', color: '#f59e0b' }
+      ],
+      units: [UNITS.piece, UNITS.kilogram, UNITS.liter, UNITS.dozen],
+      productTypes: [PRODUCT_TYPES.physical, PRODUCT_TYPES.perishable, PRODUCT_TYPES.service],
+      expenseCategories: expenseCategories()
+    }
+  },
+  restaurant: {
+    label: 'Restaurant',
+    description: 'Restaurants, cafés, bars and caterers',
+    preferences: {
+      categories: [
+        { name: 'Starters', description: 'Appetisers, soups and salads', icon: '🥗', color: '#22c55e' },
+        { name: 'Main Courses', description: 'Main dishes', icon: '🍛', color: '#f97316' },
+        { name: 'Desserts', description: 'Sweets and pastries', icon: '🍰', color: '#ec4899' },
+        { name: 'Drinks', description: 'Soft drinks, juices and hot drinks', icon: '🥤', color: '#0ea5e9' },
+        { name: 'Ingredients', description: 'Kitchen stock used to prepare dishes', icon: '🧺', color: '#a16207' }
+      ],
+      units: [
+        UNITS.piece,
+        { name: 'Plate', abbreviation: 'PLT', type: 'quantity' },
+        { name: 'Portion', abbreviation: 'PRT', type: 'quantity' },
+        { name: 'Bottle', abbreviation: 'BTL', type: 'quantity' },
+        UNITS.kilogram,
+        UNITS.gram,
+        UNITS.liter,
+        UNITS.milliliter
+      ],
+      productTypes: [
+        {
+          name: 'Menu Item',
+          description: 'Dishes prepared to order',
+          requiresSerialNumber: false,
+          requiresExpiryDate: false,
+          trackInventory: false
+        },
+        {
+          name: 'Ingredient',
+          description: 'Perishable kitchen stock',
+          requiresSerialNumber: false,
+          requiresExpiryDate: true,
+          trackInventory: true
+        },
+        { ...PRODUCT_TYPES.physical, name: 'Packaged Good', description: 'Drinks and goods sold as bought' }
+      ],
+      expenseCategories: expenseCategories([
+        { name: 'Kitchen Equipment', description: 'Cookware, appliances and repairs', color: '#78716c' },
+        { name: 'Licenses & Permits', description: 'Food safety, liquor and trading permits', color: '#14b8a6' }
+      ])
+    }
+  },
+  services: {
+    label: 'Professional services',
+    description: 'Agencies, consultants, salons and repair shops',
+    preferences: {
+      categories: [
+        { name: 'Consulting', description: 'Advice and expertise', icon: '💼', color: '#6366f1' },
+        { name: 'Maintenance', description: 'Repairs and upkeep', icon: '🔧', color: '#f59e0b' },
+        { name: 'Supplies', description: 'Parts and products sold with services', icon: '📦', color: '#10b981' }
+      ],
+      units: [UNITS.hour, UNITS.session, UNITS.piece, UNITS.month],
+      productTypes: [PRODUCT_TYPES.service, PRODUCT_TYPES.physical, PRODUCT_TYPES.subscription],
+      expenseCategories: expenseCategories([
+        { name: 'Professional Fees', description: 'Subcontractors, legal and accounting', color: '#a855f7' }
+      ])
+    }
+  },
+  manufacturing: {
+    label: 'Manufacturing',
+    description: 'Producers turning raw materials into goods',
+    preferences: {
+      categories: [
+        { name: 'Raw Materials', description: 'Inputs to production', icon: '🪵', color: '#a16207' },
+        { name: 'Components', description: 'Parts assembled into products', icon: '⚙️', color: '#64748b' },
+        { name: 'Finished Goods', description: 'Products ready for sale', icon: '📦', color: '#22c55e' },
+        { name: 'Packaging', description: 'Boxes, labels and wrapping', icon: '🏷️', color: '#f59e0b' }
+      ],
+      units: [
+        UNITS.piece,
+        UNITS.kilogram,
+        { name: 'Tonne', abbreviation: 'T', type: 'weight' },
+        UNITS.liter,
+        UNITS.meter,
+        UNITS.box,
+        { name: 'Pallet', abbreviation: 'PLT', type: 'quantity' }
+      ],
+      productTypes: [
+        {
+          name: 'Raw Material',
+          description: 'Stock consumed in production',
+          requiresSerialNumber: false,
+          requiresExpiryDate: false,
+          trackInventory: true
+        },
+        { ...PRODUCT_TYPES.physical, name: 'Finished Good', description: 'Manufactured products for sale' },
+        PRODUCT_TYPES.serialized,
+        PRODUCT_TYPES.perishable
+      ],
+      expenseCategories: expenseCategories([
+        { name: 'Machinery & Maintenance', description: 'Equipment, spare parts and servicing', color: '#78716c' }
+      ])
+    }
+  },
+  technology: {
+    label: 'Technology',
+    description: 'Software, hardware and IT service companies',
+    preferences: {
+      categories: [
+        { name: 'Software', description: 'Applications and licences', icon: '💿', color: '#6366f1' },
+        { name: 'Hardware', description: 'Devices and equipment', icon: '🖥️', color: '#3b82f6' },
+        { name: 'Support', description: 'Support and managed services', icon: '🛠️', color: '#10b981' }
+      ],
+      units: [
+        UNITS.piece,
+        { name: 'License', abbreviation: 'LIC', type: 'quantity' },
+        { name: 'Seat', abbreviation: 'SEAT', type: 'quantity' },
+        UNITS.hour,
+        UNITS.month
+      ],
+      productTypes: [
+        { ...PRODUCT_TYPES.serialized, name: 'Hardware', description: 'Devices tracked by serial number' },
+        PRODUCT_TYPES.subscription,
+        {
+          name: 'Digital Product',
+          description: 'Software and licences delivered electronically',
+          requiresSerialNumber: false,
+          requiresExpiryDate: false,
+          trackInventory: false
+        },
+        PRODUCT_TYPES.service
+      ],
+      expenseCategories: expenseCategories([
+        { name: 'Software & Hosting', description: 'Cloud services, tools and subscriptions', color: '#6366f1' }
+      ])
+    }
+  },
+  healthcare: {
+    label: 'Healthcare',
+    description: 'Clinics, pharmacies and laboratories',
+    preferences: {
+      categories: [
+        { name: 'Medications', description: 'Prescription and over-the-counter drugs', icon: '💊', color: '#ef4444' },
+        { name: 'Medical Supplies', description: 'Consumables used in care', icon: '🩹', color: '#f59e0b' },
+        { name: 'Equipment', description: 'Diagnostic and treatment equipment', icon: '🩺', color: '#3b82f6' },
+        { name: 'Consultations', description: 'Appointments and procedures', icon: '🏥', color: '#10b981' }
+      ],
+      units: [
+        { name: 'Tablet', abbreviation: 'TAB', type: 'quantity' },
+        { name: 'Capsule', abbreviation: 'CAP', type: 'quantity' },
+        { name: 'Vial', abbreviation: 'VIAL', type: 'quantity' },
+        { name: 'Bottle', abbreviation: 'BTL', type: 'quantity' },
+        UNITS.milliliter,
+        { name: 'Milligram', abbreviation: 'MG', type: 'weight' },
+        UNITS.box,
+        UNITS.piece,
+        UNITS.session
+      ],
+      productTypes: [
+        {
+          name: 'Medication',
+          description: 'Drugs tracked by batch expiry',
+          requiresSerialNumber: false,
+          requiresExpiryDate: true,
+          trackInventory: true
+        },
+        { ...PRODUCT_TYPES.perishable, name: 'Consumable', description: 'Supplies with expiry dates' },
+        { ...PRODUCT_TYPES.serialized, name: 'Medical Device', description: 'Equipment tracked by serial number' },
+        { ...PRODUCT_TYPES.service, name: 'Consultation', description: 'Appointments and procedures' }
+      ],
+      expenseCategories: expenseCategories([
+        { name: 'Insurance', description: 'Malpractice and property insurance', color: '#14b8a6' },
+        { name: 'Licenses & Permits', description: 'Practice licences and accreditation', color: '#a855f7' }
+      ])
+    }
+  },
+  education: {
+    label: 'Education',
+    description: 'Schools, training centres and tutors',
+    preferences: {
+      categories: [
+        { name: 'Tuition', description: 'Courses and classes', icon: '🎓', color: '#6366f1' },
+        { name: 'Books & Materials', description: 'Textbooks and learning materials', icon: '📚', color: '#f59e0b' },
+        { name: 'Uniforms', description: 'Uniforms and kits', icon: '👔', color: '#3b82f6' }
+      ],
+      units: [
+        { name: 'Term', abbreviation: 'TERM', type: 'other' },
+        UNITS.session,
+        UNITS.hour,
+        UNITS.month,
+        UNITS.piece,
+        { name: 'Set', abbreviation: 'SET', type: 'quantity' }
+      ],
+      productTypes: [
+        {
+          name: 'Course',
+          description: 'Classes and programmes',
+          requiresSerialNumber: false,
+          requiresExpiryDate: false,
+          trackInventory: false
+        },
+        { ...PRODUCT_TYPES.physical, name: 'Learning Material', description: 'Books and materials for sale' },
+        PRODUCT_TYPES.service
+      ],
+      expenseCategories: expenseCategories([
+        { name: 'Teaching Materials', description: 'Classroom supplies and resources', color: '#f97316' }
+      ])
+    }
+  },
+  'real-estate': {
+    label: 'Real estate',
+    description: 'Agencies, property managers and landlords',
+    preferences: {
+      categories: [
+        { name: 'Rentals', description: 'Residential and commercial lettings', icon: '🏠', color: '#3b82f6' },
+        { name: 'Sales', description: 'Property sales and commissions', icon: '🏡', color: '#22c55e' },
+        { name: 'Property Management', description: 'Management and facility services', icon: '🔑', color: '#f59e0b' }
+      ],
+      units: [
+        UNITS.month,
+        { name: 'Year', abbreviation: 'YR', type: 'other' },
+        { name: 'Square Meter', abbreviation: 'SQM', type: 'other' },
+        { name: 'Unit', abbreviation: 'UNIT', type: 'quantity' }
+      ],
+      productTypes: [
+        {
+          name: 'Lease',
+          description: 'Rent charged per period',
+          requiresSerialNumber: false,
+          requiresExpiryDate: false,
+          trackInventory: false
+        },
+        { ...PRODUCT_TYPES.service, name: 'Agency Service', description: 'Commissions and management fees' }
+      ],
+      expenseCategories: expenseCategories([
+        { name: 'Property Maintenance', description: 'Repairs, cleaning and security', color: '#78716c' },
+        { name: 'Insurance', description: 'Building and liability insurance', color: '#14b8a6' }
+      ])
+    }
+  },
+  finance: {
+    label: 'Finance',
+    description: 'Accountants, brokers and financial advisers',
+    preferences: {
+      categories: [
+        { name: 'Advisory', description: 'Financial planning and advice', icon: '📈', color: '#6366f1' },
+        { name: 'Accounting', description: 'Bookkeeping, audit and tax', icon: '🧾', color: '#10b981' },
+        { name: 'Fees & Charges', description: 'Transaction and account fees', icon: '💳', color: '#f59e0b' }
+      ],
+      units: [UNITS.hour, UNITS.month, { name: 'Transaction', abbreviation: 'TXN', type: 'quantity' }],
+      productTypes: [
+        PRODUCT_TYPES.service,
+        { ...PRODUCT_TYPES.subscription, name: 'Retainer', description: 'Recurring engagements billed per period' }
+      ],
+      expenseCategories: expenseCategories([
+        { name: 'Compliance', description: 'Regulatory fees, audits and licences', color: '#a855f7' }
+      ])
+    }
+  },
+  other: {
+    label: 'General',
+    description: 'A small starting set for any business',
+    preferences: {
+      categories: [
+        { name: 'Products', description: 'Goods you sell', icon: '📦', color: '#6366f1' },
+        { name: 'Services', description: 'Work you charge for', icon: '🛠️', color: '#10b981' }
+      ],
+      units: [UNITS.piece, UNITS.kilogram, UNITS.liter, UNITS.hour],
+      productTypes: [PRODUCT_TYPES.physical, PRODUCT_TYPES.perishable, PRODUCT_TYPES.service],
+      expenseCategories: expenseCategories()
+    }
+  }
+};
+
+module.exports = {
+  INDUSTRIES,
+  DEFAULT_TEMPLATE,
+  PREFERENCE_TEMPLATES
+};
@@ -0,0 +1,73 @@
+/**
+ * Preferences Configuration
+ * Describes the preference lists a business manages and what refers to their items
+ */
+
+/**
+ * Kinds of unit of measurement
+ */
+const UNIT_TYPES = ['weight', 'volume', 'length', 'quantity', 'other'];
+
+/**
+ * Preference lists, keyed by their field in Business.preferences
+ *  - label: singular name used in messages
+ *  - uniqueField: field that must be unique within the list, ignoring case
+ *  - fields: editable fields, with the defaults used for new items
+ *    (categories also have a parent, the ID of the category they sit under)
+ *  - references: models whose field holds the ID of an item in the list
+ */
+const PREFERENCE_SECTIONS = {
+  categories: {
+    label: 'Category',
+    uniqueField: 'name',
+    fields: {
+      name: undefined,
+      description: '',
+      icon: '📦',
+      color: '#6366f1',
+      isActive: true,
+      parent: null
+    },
+    references: [{ model: 'Product', field: 'category', label: 'product' }]
+  },
+  units: {
+    label: 'Unit',
+    uniqueField: 'abbreviation',
+    fields: {
+      name: undefined,
+      abbreviation: undefined,
+      type: 'quantity',
+      isActive: true
+    },
+    references: [{ model: 'Product', field: 'unit', label: 'product' }]
+  },
+  productTypes: {
+    label: 'Product type',
+    uniqueField: 'name',
+    fields: {
+      name: undefined,
+      description: '',
+      requiresSerialNumber: false,
+      requiresExpiryDate: false,
+      trackInventory: true,
+      isActive: true
+    },
+    references: [{ model: 'Product', field: 'productType', label: 'product' }]
+  },
+  expenseCategories: {
+    label: 'Expense category',
+    uniqueField: 'name',
+    fields: {
+      name: undefined,
+      description: '',
+      color: '#6b7280',
+      isActive: true
+    },
+    references: [{ model: 'Expense', field: 'category', label: 'expense' }]
+  }
+};
+
+module.exports = {
+  UNIT_TYPES,
+  PREFERENCE_SECTIONS
+};
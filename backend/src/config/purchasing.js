@@ -0,0 +1,29 @@
+/**
+ * Purchasing Configuration
+ * Defines purchase order statuses and numbering
+ */
+
+/**
+ * Purchase order lifecycle statuses
+ * Drafts can still be edited. Ordered and partially received orders accept
+ * receipts; received orders are complete and closed orders accept nothing more.
+ */
+const PURCHASE_ORDER_STATUSES = ['draft', 'ordered', 'partially-received', 'received', 'closed', 'cancelled'];
+
+/**
+ * Statuses in which stock can be received against an order
+ */
+const RECEIVABLE_STATUSES = ['ordered', 'partially-received'];
+
+/**
+ * Purchase order numbers look like PO-00042
+ */
+const PURCHASE_ORDER_PREFIX = 'PO';
+const PURCHASE_ORDER_DIGITS = 5;
+
+module.exports = {
+  PURCHASE_ORDER_STATUSES,
+  RECEIVABLE_STATUSES,
+  PURCHASE_ORDER_PREFIX,
+  PURCHASE_ORDER_DIGITS
+};
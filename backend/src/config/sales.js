@@ -0,0 +1,28 @@
+/**
+ * Sales Configuration
+ * Defines sale statuses, accepted tenders and receipt numbering
+ */
+
+/**
+ * Sale lifecycle statuses
+ * Open orders can still be edited; completed sales have moved stock and revenue.
+ */
+const SALE_STATUSES = ['open', 'completed', 'cancelled'];
+
+/**
+ * Tender types accepted at checkout
+ */
+const TENDER_TYPES = ['cash', 'card', 'transfer'];
+
+/**
+ * Receipt numbers look like RCP-000042
+ */
+const RECEIPT_NUMBER_PREFIX = 'RCP';
+const RECEIPT_NUMBER_DIGITS = 6;
+
+module.exports = {
+  SALE_STATUSES,
+  TENDER_TYPES,
+  RECEIPT_NUMBER_PREFIX,
+  RECEIPT_NUMBER_DIGITS
+};
@@ -0,0 +1,36 @@
+/**
+ * Upload Configuration
+ * Defines accepted business logo files and the sizes they are resized to
+ */
+
+/**
+ * File types accepted for logos
+ */
+const LOGO_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+/**
+ * Largest logo upload accepted, in bytes
+ */
+const LOGO_MAX_FILE_SIZE = 2 * 1024 * 1024;
+
+/**
+ * Resized copies made of each logo, as PNGs that fit within size x size pixels
+ * Logos are never enlarged.
+ */
+const LOGO_VARIANTS = [
+  { name: 'large', size: 512 },
+  { name: 'medium', size: 256 },
+  { name: 'small', size: 64 }
+];
+
+/**
+ * Variant whose URL is stored in Business.logo
+ */
+const LOGO_DEFAULT_VARIANT = 'medium';
+
+module.exports = {
+  LOGO_MIME_TYPES,
+  LOGO_MAX_FILE_SIZE,
+  LOGO_VARIANTS,
+  LOGO_DEFAULT_VARIANT
+};
@@ -0,0 +1,125 @@
+/**
+ * API Key Controller
+ * Handles creating, listing and revoking API keys for a business
+ */
+
+const ApiKey = require('../models/ApiKey');
+const { API_KEY_SCOPES } = require('../config/permissions');
+const { recordAudit } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+/**
+ * Create an API key
+ * The full key is only returned in this response.
+ * @route POST /api/business/api-keys
+ * @access Private (api-keys:manage)
+ */
+exports.createApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    const invalid = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `These scopes cannot be granted to API keys: ${invalid.join(', ')}`
+      });
+    }
+
+    const { key, prefix, keyHash } = ApiKey.generateKey();
+
+    const apiKey = await ApiKey.create({
+      business: req.user.business._id,
+      name,
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresAt || null,
+      createdBy: req.user._id
+    });
+
+    await recordAudit(req, 'api-key.created', {
+      targetType: 'ApiKey',
+      targetId: apiKey._id,
+      metadata: { name: apiKey.name, scopes: apiKey.scopes }
+    });
+
+    logger.info(`API key bk_${prefix} created for business: ${req.user.business.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: {
+        key,
+        apiKey: apiKey.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Create API key error:', error);
+    next(error);
+  }
+};
+
+/**
+ * List API keys
+ * @route GET /api/business/api-keys
+ * @access Private (api-keys:manage)
+ */
+exports.getApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find({ business: req.user.business._id })
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        apiKeys: apiKeys.map(apiKey => apiKey.toPublicProfile()),
+        availableScopes: API_KEY_SCOPES
+      }
+    });
+  } catch (error) {
+    logger.error('Get API keys error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Revoke an API key
+ * @route DELETE /api/business/api-keys/:id
+ * @access Private (api-keys:manage)
+ */
+exports.revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, business: req.user.business._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy: req.user._id } },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found or already revoked'
+      });
+    }
+
+    await recordAudit(req, 'api-key.revoked', {
+      targetType: 'ApiKey',
+      targetId: apiKey._id,
+      metadata: { name: apiKey.name }
+    });
+
+    logger.info(`API key bk_${apiKey.prefix} revoked for business: ${req.user.business.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked',
+      data: {
+        apiKey: apiKey.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Revoke API key error:', error);
+    next(error);
+  }
+};
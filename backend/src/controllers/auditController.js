@@ -0,0 +1,45 @@
+/**
+ * Audit Controller
+ * Handles reading the audit log for a business
+ */
+
+const AuditLog = require('../models/AuditLog');
+const { paginatedResponse } = require('../utils/apiResponse');
+const { parsePagination } = require('../utils/query');
+const logger = require('../utils/logger');
+
+/**
+ * Get audit log entries, newest first
+ * Supports ?page, ?limit, ?action, ?actorType and ?apiKey filters.
+ * @route GET /api/business/audit-logs
+ * @access Private (audit:read)
+ */
+exports.getAuditLogs = async (req, res, next) => {
+  try {
+    const { page, limit } = parsePagination(req.query);
+
+    const filter = { business: req.user.business._id };
+    if (typeof req.query.action === 'string') {
+      filter.action = req.query.action;
+    }
+    if (typeof req.query.actorType === 'string') {
+      filter['actor.type'] = req.query.actorType;
+    }
+    if (typeof req.query.apiKey === 'string') {
+      filter['actor.apiKey'] = req.query.apiKey;
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    paginatedResponse(res, 200, 'Audit log retrieved', entries, { page, limit, total });
+  } catch (error) {
+    logger.error('Get audit logs error:', error);
+    next(error);
+  }
+};
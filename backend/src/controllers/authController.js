@@ -3,25 +3,62 @@
  * Handles user registration, login, and authentication logic
  */
 
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const User = require('../models/User');
 const Business = require('../models/Business');
+const Membership = require('../models/Membership');
+const Session = require('../models/Session');
+const {
+  generateAccessToken,
+  generateTwoFactorChallenge,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSession,
+  revokeUserSessions
+} = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const { getRolePermissions } = require('../utils/permissions');
+const { buildTemplatePreferences } = require('../utils/preferences');
+const {
+  simulatePasswordCheck,
+  registerFailedLogin,
+  clearFailedLogins
+} = require('../utils/loginProtection');
 const logger = require('../utils/logger');
 
+const RESET_PASSWORD_EXPIRE_MINUTES = () =>
+  parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES) || 30;
+const EMAIL_VERIFICATION_EXPIRE_HOURS = () =>
+  parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
 /**
- * Generate JWT Token
- * @param {String} id - User ID
- * @returns {String} - JWT token
+ * Generate a verification token and email the link to the user
+ * @param {Object} user - User document
  */
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+const sendVerificationEmail = async (user) => {
+  const expiresInHours = EMAIL_VERIFICATION_EXPIRE_HOURS();
+  const verificationToken = user.createEmailVerificationToken(expiresInHours);
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${emailTemplates.getClientUrl()}/verify-email/${verificationToken}`;
+
+  await sendMail({
+    to: user.email,
+    ...emailTemplates.emailVerification({
+      firstName: user.firstName,
+      verifyUrl,
+      expiresInHours
+    })
   });
 };
 
 /**
  * Register new user and create business
+ * The business starts with the preference template of its industry, or the
+ * one named in preferenceTemplate.
  * @route POST /api/auth/register
  * @access Public
  */
@@ -38,6 +75,7 @@ exports.register = async (req, res, next) => {
       phone,
       businessName,
       industry,
+      preferenceTemplate,
       businessEmail,
       businessPhone
     } = req.body;
@@ -69,12 +107,10 @@ exports.register = async (req, res, next) => {
       lastName,
       email,
       password,
-      phone,
-      role: 'owner'
+      phone
     });
 
-    // Save without validation to bypass the required business field
-    await tempUser.save({ session, validateBeforeSave: false });
+    await tempUser.save({ session });
 
     // Step 2: Create business with the user's ID as owner
     const business = new Business({
@@ -82,13 +118,20 @@ exports.register = async (req, res, next) => {
       industry: industry || 'other',
       email: businessEmail || email,
       phone: businessPhone || phone,
-      owner: tempUser._id
+      owner: tempUser._id,
+      ...(preferenceTemplate && { preferences: buildTemplatePreferences(preferenceTemplate) })
     });
 
     await business.save({ session });
 
-    // Step 3: Update user with business reference
-    tempUser.business = business._id;
+    // Step 3: Make the user the business owner and sign them into it
+    const [membership] = await Membership.create(
+      [{ user: tempUser._id, business: business._id, role: 'owner' }],
+      { session }
+    );
+    await Business.syncEmployeeCount(business._id, session);
+
+    tempUser.applyMembership(membership);
     tempUser.lastLogin = new Date();
 
     // Now save with validation
@@ -98,17 +141,26 @@ exports.register = async (req, res, next) => {
     await session.commitTransaction();
     session.endSession();
 
-    // Generate token
-    const token = generateToken(tempUser._id);
+    // Generate tokens
+    const { token, refreshToken } = await issueAuthTokens(tempUser, req);
 
     logger.info(`New user registered: ${email}`);
 
+    // Registration succeeds even if the verification email cannot be sent;
+    // the user can request another one later
+    try {
+      await sendVerificationEmail(tempUser);
+    } catch (mailError) {
+      logger.error('Verification email failed:', mailError);
+    }
+
     // Send response
     res.status(201).json({
       success: true,
       message: 'Registration successful',
       data: {
         token,
+        refreshToken,
         user: tempUser.toPublicProfile(),
         business: business.toPublicProfile()
       }
@@ -161,53 +213,74 @@ exports.login = async (req, res, next) => {
     }
 
     // Find user and include password field
-    const user = await User.findOne({ email })
-      .select('+password')
-      .populate('business');
+    const user = await User.findOne({ email }).select('+password');
 
-    // Check if user exists
+    // Unknown emails, locked accounts and wrong passwords all get the same
+    // response so the endpoint does not reveal which accounts exist
     if (!user) {
+      await simulatePasswordCheck(password);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Check if user is active
-    if (!user.isActive) {
+    // Locked accounts are refused without checking the password
+    if (user.isLocked()) {
+      await simulatePasswordCheck(password);
+      logger.warn(`Login attempt on locked account: ${email}`);
       return res.status(401).json({
         success: false,
-        message: 'Your account has been deactivated. Please contact support.'
+        message: 'Invalid credentials'
       });
     }
 
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await registerFailedLogin(user);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Check if business exists
-    if (!user.business) {
-      return res.status(403).json({
+    // Check if user is active
+    if (!user.isActive) {
+      return res.status(401).json({
         success: false,
-        message: 'No business associated with this account. Please contact support.'
+        message: 'Your account has been deactivated. Please contact support.'
       });
     }
 
-    // Check if business is active
-    if (!user.business.isActive) {
+    // Sign into the last used business, or the first one still available
+    const membership = await Membership.findActiveForUser(user._id, user.business);
+    if (!membership) {
       return res.status(403).json({
         success: false,
-        message: 'Your business account is not active. Please contact support.'
+        message: 'You are not an active member of any active business. Please contact support.'
+      });
+    }
+    user.applyMembership(membership);
+
+    // Enrolled users must complete the second step before receiving tokens
+    if (user.twoFactor?.enabled) {
+      logger.info(`Two-factor challenge issued for: ${email}`);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          requiresTwoFactor: true,
+          challengeToken: generateTwoFactorChallenge(user)
+        }
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    await clearFailedLogins(user);
+
+    // Generate tokens
+    const { token, refreshToken } = await issueAuthTokens(user, req);
 
     // Update last login
     user.lastLogin = new Date();
@@ -224,8 +297,11 @@ exports.login = async (req, res, next) => {
       message: 'Login successful',
       data: {
         token,
+        refreshToken,
         user: user.toPublicProfile(),
-        business: user.business.toPublicProfile()
+        business: user.business.toPublicProfile(),
+        // Members of businesses that require 2FA can only enrol until they do
+        twoFactorSetupRequired: !!user.business.security?.requireTwoFactor
       }
     });
   } catch (error) {
@@ -241,23 +317,22 @@ exports.login = async (req, res, next) => {
  */
 exports.getMe = async (req, res, next) => {
   try {
-    // User is already attached to req by auth middleware
-    const user = await User.findById(req.user.id)
-      .populate('business')
-      .select('-password');
+    // User is already attached to req by auth middleware, scoped to the token's business
+    const business = await Business.findById(req.user.business._id);
 
-    if (!user) {
+    if (!business) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Business not found'
       });
     }
 
     res.status(200).json({
       success: true,
       data: {
-        user: user.toPublicProfile(),
-        business: user.business ? user.business.toPublicProfile() : null
+        user: req.user.toPublicProfile(),
+        business: business.toPublicProfile(),
+        permissions: getRolePermissions(business, req.user.role)
       }
     });
   } catch (error) {
@@ -310,12 +385,15 @@ exports.updatePassword = async (req, res, next) => {
       });
     }
 
-    // Update password
+    // Update password and invalidate every existing session
     user.password = newPassword;
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
     await user.save();
+    await revokeUserSessions(user._id, 'password-changed');
 
-    // Generate new token
-    const token = generateToken(user._id);
+    // Issue new tokens for the current client, in the business it was using
+    user.applyMembership(req.membership);
+    const { token, refreshToken } = await issueAuthTokens(user, req);
 
     logger.info(`Password updated for user: ${user.email}`);
 
@@ -323,7 +401,8 @@ exports.updatePassword = async (req, res, next) => {
       success: true,
       message: 'Password updated successfully',
       data: {
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -333,12 +412,270 @@ exports.updatePassword = async (req, res, next) => {
 };
 
 /**
- * Logout user (client-side token removal)
+ * Send a password reset link
+ * Always responds the same way so account existence is not leaked
+ * @route POST /api/auth/forgot-password
+ * @access Public
+ */
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    if (user && user.isActive) {
+      const expiresInMinutes = RESET_PASSWORD_EXPIRE_MINUTES();
+      const resetToken = user.createPasswordResetToken(expiresInMinutes);
+      await user.save({ validateBeforeSave: false });
+
+      const resetUrl = `${emailTemplates.getClientUrl()}/reset-password/${resetToken}`;
+
+      try {
+        await sendMail({
+          to: user.email,
+          ...emailTemplates.passwordReset({
+            firstName: user.firstName,
+            resetUrl,
+            expiresInMinutes
+          })
+        });
+
+        logger.info(`Password reset requested for user: ${user.email}`);
+      } catch (mailError) {
+        // Don't leave a usable token behind if it never reached the user
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpire = undefined;
+        await user.save({ validateBeforeSave: false });
+
+        // Answer as for any other email, so failures do not reveal which accounts exist
+        logger.error('Password reset email failed:', mailError);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Reset password using a token from the reset email
+ * @route POST /api/auth/reset-password/:token
+ * @access Public
+ */
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      resetPasswordToken: hashedToken,
+      resetPasswordExpire: { $gt: new Date() }
+    }).select('+password');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset token is invalid or has expired'
+      });
+    }
+
+    // Set new password and consume the token
+    user.password = req.body.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+
+    // Proving control of the email address also lifts any lockout
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+
+    // Invalidate every existing session
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await user.save();
+    await revokeUserSessions(user._id, 'password-changed');
+
+    logger.info(`Password reset for user: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successful. Please log in with your new password.'
+    });
+  } catch (error) {
+    logger.error('Reset password error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Verify email address using a token from the verification email
+ * @route GET /api/auth/verify-email/:token
+ * @access Public
+ */
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      emailVerificationToken: hashedToken,
+      emailVerificationExpire: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is invalid or has expired'
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Email verified for user: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        user: user.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Verify email error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Resend the email verification link
+ * @route POST /api/auth/resend-verification
+ * @access Private
+ */
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    logger.info(`Verification email resent to: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * @route POST /api/auth/refresh
+ * @access Public
+ */
+exports.refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    const rotated = await rotateRefreshToken(refreshToken, req);
+
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(rotated.userId);
+
+    if (!user || !user.isActive) {
+      await revokeSession(rotated.sessionId, 'account-deactivated');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    // The session stays scoped to its business while the membership lasts
+    const membership = await Membership.findOne({
+      user: user._id,
+      business: rotated.businessId,
+      isActive: true
+    }).populate('business', 'isActive');
+
+    if (!membership || !membership.business?.isActive) {
+      await revokeSession(rotated.sessionId, 'membership-ended');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+    user.applyMembership(membership);
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token: generateAccessToken(user, rotated.sessionId),
+        refreshToken: rotated.refreshToken
+      }
+    });
+  } catch (error) {
+    logger.error('Refresh token error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Logout user and revoke the current session's tokens
  * @route POST /api/auth/logout
  * @access Private
  */
 exports.logout = async (req, res, next) => {
   try {
+    // Revoke the session of the access token used for this request
+    if (req.auth?.sessionId) {
+      await revokeSession(req.auth.sessionId, 'logout');
+    }
+
+    // Also revoke the supplied refresh token, if it belongs to another session
+    if (req.body?.refreshToken) {
+      await revokeRefreshToken(req.body.refreshToken, 'logout', req.user._id);
+    }
+
     logger.info(`User logged out: ${req.user.email}`);
 
     res.status(200).json({
@@ -348,4 +685,78 @@ exports.logout = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * List the businesses the current user belongs to
+ * @route GET /api/auth/businesses
+ * @access Private
+ */
+exports.getBusinesses = async (req, res, next) => {
+  try {
+    const memberships = await Membership.find({ user: req.user._id, isActive: true })
+      .populate('business', 'name industry logo isActive')
+      .sort({ joinedAt: 1 });
+
+    const available = memberships.filter(membership => membership.business?.isActive);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        businesses: available.map(membership =>
+          membership.toPublicProfile(req.user.business._id)
+        )
+      }
+    });
+  } catch (error) {
+    logger.error('Get businesses error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Switch the current session to another business
+ * Returns an access token scoped to the chosen business; the session's
+ * refresh token keeps working and now refreshes into that business.
+ * @route POST /api/auth/businesses/:businessId/switch
+ * @access Private
+ */
+exports.switchBusiness = async (req, res, next) => {
+  try {
+    const membership = await Membership.findOne({
+      user: req.user._id,
+      business: req.params.businessId,
+      isActive: true
+    }).populate('business');
+
+    if (!membership || !membership.business?.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business not found or you are not an active member'
+      });
+    }
+
+    const user = req.user;
+    user.applyMembership(membership);
+    await User.updateOne({ _id: user._id }, { business: membership.business._id });
+    await Session.updateOne({ _id: req.auth.sessionId }, { business: membership.business._id });
+
+    logger.info(`User ${user.email} switched to business: ${membership.business.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Switched business successfully',
+      data: {
+        token: generateAccessToken(user, req.auth.sessionId),
+        user: user.toPublicProfile(),
+        business: membership.business.toPublicProfile(),
+        permissions: getRolePermissions(membership.business, membership.role),
+        twoFactorSetupRequired:
+          !!membership.business.security?.requireTwoFactor && !user.twoFactor?.enabled
+      }
+    });
+  } catch (error) {
+    logger.error('Switch business error:', error);
+    next(error);
+  }
+};
@@ -4,12 +4,120 @@
  */
 
 const Business = require('../models/Business');
+const Counter = require('../models/Counter');
+const { DEFAULT_EXPIRY_WARNING_DAYS } = require('../config/inventory');
+const { DEFAULT_INVOICE_SETTINGS } = require('../config/invoices');
+const { PREFERENCE_SECTIONS } = require('../config/preferences');
+const { LOGO_VARIANTS, LOGO_DEFAULT_VARIANT } = require('../config/uploads');
+const { resizeImage } = require('../utils/images');
+const { EXTENSIONS, generateKey, putFile, removeFiles, fileUrl } = require('../utils/storage');
+const {
+  findPreferenceReferences,
+  describeReferences,
+  findCategoryTreeProblem,
+  buildCategoryTree
+} = require('../utils/preferences');
+const { resourceTag, checkIfMatch, guardVersion } = require('../utils/etag');
+const { recordAudit } = require('../utils/audit');
 const logger = require('../utils/logger');
 
+/**
+ * Names of the versioned resources, used in messages
+ */
+const RESOURCE_LABELS = {
+  profile: 'Business profile',
+  preferences: 'Preferences'
+};
+
+/**
+ * Set the ETag of a versioned resource and answer a conditional GET
+ * Clients revalidate on every use, as the resource can change at any time.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} business - Business document
+ * @param {String} resource - 'profile' or 'preferences'
+ * @returns {Boolean} - Whether a 304 response was sent
+ */
+const sendNotModified = (req, res, business, resource) => {
+  res.set({
+    ETag: resourceTag(business, resource),
+    'Cache-Control': 'private, no-cache'
+  });
+
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Reject an update whose If-Match header is missing or out of date
+ * A stale update gets the current state and ETag back, so the client can
+ * reapply its changes and retry.
+ * @param {Object} res - Express response object
+ * @param {Object} business - Business document as it is now
+ * @param {String} resource - 'profile' or 'preferences'
+ * @param {String} problem - 'missing' or 'mismatch'
+ */
+const preconditionResponse = (res, business, resource, problem) => {
+  const label = RESOURCE_LABELS[resource];
+  res.set('ETag', resourceTag(business, resource));
+
+  if (problem === 'missing') {
+    return res.status(428).json({
+      success: false,
+      message: `Send the ETag of the ${label.toLowerCase()} you edited in the If-Match header`
+    });
+  }
+
+  return res.status(412).json({
+    success: false,
+    message: `${label} changed after you loaded it. Review the current version and try again.`,
+    data: resource === 'profile'
+      ? { business: business.toPublicProfile() }
+      : { preferences: business.preferences }
+  });
+};
+
+/**
+ * Save a versioned resource unless someone else changed it since it was loaded
+ * @param {Object} res - Express response object
+ * @param {Object} business - Business document with the changes applied
+ * @param {String} resource - 'profile' or 'preferences'
+ * @returns {Promise<Boolean>} - Whether it was saved; if not, a response was sent
+ */
+const saveVersioned = async (res, business, resource) => {
+  guardVersion(business, resource);
+
+  try {
+    await business.save();
+    return true;
+  } catch (error) {
+    // Saves that replace lists also check __v, and fail with a VersionError
+    if (error.name !== 'DocumentNotFoundError' && error.name !== 'VersionError') throw error;
+  }
+
+  const current = await Business.findById(business._id);
+  if (!current) {
+    res.status(404).json({
+      success: false,
+      message: 'Business not found'
+    });
+    return false;
+  }
+
+  preconditionResponse(res, current, resource, 'mismatch');
+  return false;
+};
+
 /**
  * Get business preferences
+ * Categories are also returned as a tree of subcategories, and flattened
+ * with their path of names, e.g. "Electronics > Phones > Chargers".
  * @route GET /api/business/preferences
- * @access Private (Owner only)
+ * @access Private (preferences:read)
  */
 exports.getPreferences = async (req, res, next) => {
   try {
@@ -28,25 +136,34 @@ exports.getPreferences = async (req, res, next) => {
       business.preferences = {
         categories: [],
         units: [],
-        productTypes: []
+        productTypes: [],
+        expenseCategories: []
       };
       await business.save();
     }
 
+    if (sendNotModified(req, res, business, 'preferences')) return;
+
     logger.info(`Preferences retrieved for business: ${business.name}`);
 
+    const { tree, paths } = buildCategoryTree(business.preferences.categories || []);
+
     res.status(200).json({
       success: true,
       message: 'Preferences retrieved successfully',
       data: {
         preferences: business.preferences,
+        categoryTree: tree,
+        categoryPaths: paths,
         stats: {
           totalCategories: business.preferences.categories?.length || 0,
           activeCategories: business.preferences.categories?.filter(c => c.isActive).length || 0,
           totalUnits: business.preferences.units?.length || 0,
           activeUnits: business.preferences.units?.filter(u => u.isActive).length || 0,
           totalProductTypes: business.preferences.productTypes?.length || 0,
-          activeProductTypes: business.preferences.productTypes?.filter(pt => pt.isActive).length || 0
+          activeProductTypes: business.preferences.productTypes?.filter(pt => pt.isActive).length || 0,
+          totalExpenseCategories: business.preferences.expenseCategories?.length || 0,
+          activeExpenseCategories: business.preferences.expenseCategories?.filter(ec => ec.isActive).length || 0
         }
       }
     });
@@ -58,12 +175,16 @@ exports.getPreferences = async (req, res, next) => {
 
 /**
  * Update business preferences
+ * Replaces whole lists. Items sent with their _id keep their creation date,
+ * and items still used by products or expenses cannot be left out.
+ * Category parents must be the _id of another category in the list.
+ * Requires the If-Match header with the ETag of the preferences being edited.
  * @route PUT /api/business/preferences
- * @access Private (Owner only)
+ * @access Private (preferences:write)
  */
 exports.updatePreferences = async (req, res, next) => {
   try {
-    const { categories, units, productTypes } = req.body;
+    const { categories, units, productTypes, expenseCategories } = req.body;
 
     // Get business from authenticated user
     const business = await Business.findById(req.user.business._id);
@@ -75,11 +196,28 @@ exports.updatePreferences = async (req, res, next) => {
       });
     }
 
+    const problem = checkIfMatch(req, business, 'preferences');
+    if (problem) {
+      return preconditionResponse(res, business, 'preferences', problem);
+    }
+
+    // Items as they were before this update
+    const previousItems = Object.fromEntries(
+      Object.keys(PREFERENCE_SECTIONS).map(section => [
+        section,
+        (business.preferences?.[section] || []).map(item => ({
+          _id: item._id,
+          name: item.name,
+          createdAt: item.createdAt
+        }))
+      ])
+    );
+
     // Validate that at least one preference field is provided
-    if (!categories && !units && !productTypes) {
+    if (!categories && !units && !productTypes && !expenseCategories) {
       return res.status(400).json({
         success: false,
-        message: 'At least one preference field (categories, units, or productTypes) must be provided'
+        message: 'At least one preference field (categories, units, productTypes or expenseCategories) must be provided'
       });
     }
 
@@ -116,14 +254,26 @@ exports.updatePreferences = async (req, res, next) => {
         }
       }
 
+      // Existing IDs are kept so products referencing an item stay linked
       business.preferences.categories = categories.map(cat => ({
+        ...(cat._id && { _id: cat._id }),
         name: cat.name.trim(),
         description: cat.description?.trim() || '',
         icon: cat.icon?.trim() || '📦',
         color: cat.color?.trim() || '#6366f1',
         isActive: cat.isActive !== undefined ? cat.isActive : true,
+        parent: cat.parent || null,
         createdAt: cat.createdAt || new Date()
       }));
+
+      // Parents must be categories of the new list, without loops
+      const treeProblem = findCategoryTreeProblem(business.preferences.categories);
+      if (treeProblem) {
+        return res.status(400).json({
+          success: false,
+          message: treeProblem
+        });
+      }
     }
 
     // Update units if provided
@@ -166,6 +316,7 @@ exports.updatePreferences = async (req, res, next) => {
       }
 
       business.preferences.units = units.map(unit => ({
+        ...(unit._id && { _id: unit._id }),
         name: unit.name.trim(),
         abbreviation: unit.abbreviation.toUpperCase().trim(),
         type: unit.type || 'quantity',
@@ -208,6 +359,7 @@ exports.updatePreferences = async (req, res, next) => {
       }
 
       business.preferences.productTypes = productTypes.map(pt => ({
+        ...(pt._id && { _id: pt._id }),
         name: pt.name.trim(),
         description: pt.description?.trim() || '',
         requiresSerialNumber: pt.requiresSerialNumber || false,
@@ -218,11 +370,85 @@ exports.updatePreferences = async (req, res, next) => {
       }));
     }
 
+    // Update expense categories if provided
+    if (expenseCategories) {
+      // Validate expense categories
+      if (!Array.isArray(expenseCategories)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Expense categories must be an array'
+        });
+      }
+
+      // Check for duplicate expense category names
+      const expenseNames = expenseCategories.map(ec => ec.name?.toLowerCase().trim());
+      const duplicates = expenseNames.filter((name, index) =>
+        expenseNames.indexOf(name) !== index
+      );
+
+      if (duplicates.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Duplicate expense category names found: ${duplicates.join(', ')}`
+        });
+      }
+
+      // Validate each expense category
+      for (const expenseCategory of expenseCategories) {
+        if (!expenseCategory.name || expenseCategory.name.trim() === '') {
+          return res.status(400).json({
+            success: false,
+            message: 'Each expense category must have a name'
+          });
+        }
+      }
+
+      business.preferences.expenseCategories = expenseCategories.map(ec => ({
+        ...(ec._id && { _id: ec._id }),
+        name: ec.name.trim(),
+        description: ec.description?.trim() || '',
+        color: ec.color?.trim() || '#6b7280',
+        isActive: ec.isActive !== undefined ? ec.isActive : true,
+        createdAt: ec.createdAt || new Date()
+      }));
+    }
+
+    for (const [section, previous] of Object.entries(previousItems)) {
+      if (!req.body[section]) continue;
+
+      const kept = new Map(business.preferences[section].map(item => [item._id.toString(), item]));
+      for (const item of previous) {
+        if (kept.has(item._id.toString())) {
+          kept.get(item._id.toString()).createdAt = item.createdAt;
+        }
+      }
+
+      const removed = previous.filter(item => !kept.has(item._id.toString()));
+      const references = await findPreferenceReferences(business._id, section, removed.map(item => item._id));
+      if (references.size > 0) {
+        const inUse = removed
+          .filter(item => references.has(item._id.toString()))
+          .map(item => `${item.name} (${describeReferences(references.get(item._id.toString()))})`);
+
+        return res.status(400).json({
+          success: false,
+          message: `Items still in use cannot be removed. Deactivate them instead: ${inUse.join(', ')}`
+        });
+      }
+    }
+
     // Save updated business
-    await business.save();
+    if (!(await saveVersioned(res, business, 'preferences'))) return;
 
     logger.info(`Preferences updated for business: ${business.name}`);
 
+    await recordAudit(req, 'business.preferences-updated', {
+      targetType: 'Business',
+      targetId: business._id,
+      metadata: { sections: Object.keys(req.body) }
+    });
+
+    res.set('ETag', resourceTag(business, 'preferences'));
     res.status(200).json({
       success: true,
       message: 'Preferences updated successfully',
@@ -234,7 +460,9 @@ exports.updatePreferences = async (req, res, next) => {
           totalUnits: business.preferences.units.length,
           activeUnits: business.preferences.units.filter(u => u.isActive).length,
           totalProductTypes: business.preferences.productTypes.length,
-          activeProductTypes: business.preferences.productTypes.filter(pt => pt.isActive).length
+          activeProductTypes: business.preferences.productTypes.filter(pt => pt.isActive).length,
+          totalExpenseCategories: business.preferences.expenseCategories.length,
+          activeExpenseCategories: business.preferences.expenseCategories.filter(ec => ec.isActive).length
         }
       }
     });
@@ -247,7 +475,7 @@ exports.updatePreferences = async (req, res, next) => {
 /**
  * Get business profile
  * @route GET /api/business/profile
- * @access Private
+ * @access Private (profile:read)
  */
 exports.getProfile = async (req, res, next) => {
   try {
@@ -261,6 +489,8 @@ exports.getProfile = async (req, res, next) => {
       });
     }
 
+    if (sendNotModified(req, res, business, 'profile')) return;
+
     res.status(200).json({
       success: true,
       data: {
@@ -279,8 +509,9 @@ exports.getProfile = async (req, res, next) => {
 
 /**
  * Update business profile
+ * Requires the If-Match header with the ETag of the profile being edited.
  * @route PUT /api/business/profile
- * @access Private (Owner only)
+ * @access Private (profile:write)
  */
 exports.updateProfile = async (req, res, next) => {
   try {
@@ -307,6 +538,11 @@ exports.updateProfile = async (req, res, next) => {
       });
     }
 
+    const problem = checkIfMatch(req, business, 'profile');
+    if (problem) {
+      return preconditionResponse(res, business, 'profile', problem);
+    }
+
     // Update fields if provided
     if (name) business.name = name;
     if (description !== undefined) business.description = description;
@@ -320,10 +556,17 @@ exports.updateProfile = async (req, res, next) => {
     if (registrationNumber !== undefined) business.registrationNumber = registrationNumber;
     if (taxId !== undefined) business.taxId = taxId;
 
-    await business.save();
+    if (!(await saveVersioned(res, business, 'profile'))) return;
 
     logger.info(`Business profile updated: ${business.name}`);
 
+    await recordAudit(req, 'business.profile-updated', {
+      targetType: 'Business',
+      targetId: business._id,
+      metadata: { fields: Object.keys(req.body) }
+    });
+
+    res.set('ETag', resourceTag(business, 'profile'));
     res.status(200).json({
       success: true,
       message: 'Business profile updated successfully',
@@ -335,4 +578,430 @@ exports.updateProfile = async (req, res, next) => {
     logger.error('Update business profile error:', error);
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Remove replaced logo files, logging rather than failing if storage errors
+ * @param {Array} keys - Storage keys
+ */
+const removeLogoFiles = async (keys) => {
+  try {
+    await removeFiles(...keys);
+  } catch (error) {
+    logger.error('Remove logo files error:', error);
+  }
+};
+
+/**
+ * Upload the business logo
+ * Expects multipart form data with a JPEG, PNG or WebP image in the "logo"
+ * field. The original is kept alongside resized PNG variants, and the files
+ * of the logo it replaces are deleted.
+ * @route PUT /api/business/logo
+ * @access Private (profile:write)
+ */
+exports.uploadLogo = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attach the logo image in the "logo" field'
+      });
+    }
+
+    const business = await Business.findById(req.user.business._id);
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business not found'
+      });
+    }
+
+    const resized = await resizeImage(req.file.buffer, LOGO_VARIANTS);
+
+    // Variants share the original's random name, e.g. <name>.jpg and <name>-small.png
+    const baseKey = generateKey(`logos/${business._id}`);
+    const originalKey = `${baseKey}${EXTENSIONS[req.file.mimetype]}`;
+    const variants = resized.map(variant => ({
+      name: variant.name,
+      key: `${baseKey}-${variant.name}.png`,
+      width: variant.width,
+      height: variant.height,
+      size: variant.size
+    }));
+    const newKeys = [originalKey, ...variants.map(variant => variant.key)];
+    const previousKeys = business.logoKeys();
+
+    try {
+      await putFile(originalKey, req.file.buffer, { contentType: req.file.mimetype });
+      for (const [index, variant] of variants.entries()) {
+        await putFile(variant.key, resized[index].buffer, { contentType: 'image/png' });
+      }
+
+      business.logoFiles = {
+        originalKey,
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+        variants,
+        uploadedAt: new Date()
+      };
+      business.logo = fileUrl(variants.find(variant => variant.name === LOGO_DEFAULT_VARIANT).key);
+      business.$inc('versions.profile', 1);
+      await business.save();
+    } catch (error) {
+      await removeLogoFiles(newKeys);
+      throw error;
+    }
+
+    await removeLogoFiles(previousKeys);
+
+    logger.info(`Logo uploaded for business: ${business.name}`);
+
+    await recordAudit(req, 'business.logo-updated', {
+      targetType: 'Business',
+      targetId: business._id,
+      metadata: { originalName: req.file.originalname, size: req.file.size }
+    });
+
+    res.set('ETag', resourceTag(business, 'profile'));
+    res.status(200).json({
+      success: true,
+      message: 'Logo uploaded successfully',
+      data: {
+        business: business.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Upload logo error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Remove the business logo and its files
+ * @route DELETE /api/business/logo
+ * @access Private (profile:write)
+ */
+exports.deleteLogo = async (req, res, next) => {
+  try {
+    const business = await Business.findById(req.user.business._id);
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business not found'
+      });
+    }
+
+    const previousKeys = business.logoKeys();
+    business.logo = null;
+    business.logoFiles = undefined;
+    business.$inc('versions.profile', 1);
+    await business.save();
+
+    await removeLogoFiles(previousKeys);
+
+    logger.info(`Logo removed for business: ${business.name}`);
+
+    await recordAudit(req, 'business.logo-removed', {
+      targetType: 'Business',
+      targetId: business._id
+    });
+
+    res.set('ETag', resourceTag(business, 'profile'));
+    res.status(200).json({
+      success: true,
+      message: 'Logo removed successfully',
+      data: {
+        business: business.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Delete logo error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get business security settings
+ * @route GET /api/business/security
+ * @access Private (profile:read)
+ */
+exports.getSecuritySettings = async (req, res, next) => {
+  try {
+    const business = await Business.findById(req.user.business._id).select('name security');
+
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        security: {
+          requireTwoFactor: !!business.security?.requireTwoFactor
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get security settings error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update business security settings
+ * @route PUT /api/business/security
+ * @access Private (security:write)
+ */
+exports.updateSecuritySettings = async (req, res, next) => {
+  try {
+    const { requireTwoFactor } = req.body;
+
+    // Avoid locking the owner out of their own settings
+    if (requireTwoFactor && !req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable two-factor authentication on your own account before requiring it for members'
+      });
+    }
+
+    const business = await Business.findByIdAndUpdate(
+      req.user.business._id,
+      { $set: { 'security.requireTwoFactor': requireTwoFactor } },
+      { new: true }
+    );
+
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business not found'
+      });
+    }
+
+    logger.info(`Security settings updated for business: ${business.name}`);
+
+    await recordAudit(req, 'business.security-updated', {
+      targetType: 'Business',
+      targetId: business._id,
+      metadata: { requireTwoFactor }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Security settings updated successfully',
+      data: {
+        security: {
+          requireTwoFactor: business.security.requireTwoFactor
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Update security settings error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get business inventory settings
+ * @route GET /api/business/inventory-settings
+ * @access Private (inventory:read)
+ */
+exports.getInventorySettings = async (req, res, next) => {
+  try {
+    const business = await Business.findById(req.user.business._id).select('name inventorySettings');
+
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        inventorySettings: {
+          allowNegativeStock: !!business.inventorySettings?.allowNegativeStock,
+          expiryWarningDays: business.inventorySettings?.expiryWarningDays ?? DEFAULT_EXPIRY_WARNING_DAYS
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get inventory settings error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update business inventory settings
+ * @route PUT /api/business/inventory-settings
+ * @access Private (profile:write)
+ */
+exports.updateInventorySettings = async (req, res, next) => {
+  try {
+    const changes = {};
+    for (const field of ['allowNegativeStock', 'expiryWarningDays']) {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field];
+      }
+    }
+
+    const business = await Business.findByIdAndUpdate(
+      req.user.business._id,
+      {
+        $set: Object.fromEntries(
+          Object.entries(changes).map(([field, value]) => [`inventorySettings.${field}`, value])
+        )
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business not found'
+      });
+    }
+
+    logger.info(`Inventory settings updated for business: ${business.name}`);
+
+    await recordAudit(req, 'business.inventory-settings-updated', {
+      targetType: 'Business',
+      targetId: business._id,
+      metadata: changes
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Inventory settings updated successfully',
+      data: {
+        inventorySettings: {
+          allowNegativeStock: business.inventorySettings.allowNegativeStock,
+          expiryWarningDays: business.inventorySettings.expiryWarningDays
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Update inventory settings error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Build the public view of a business's invoice settings
+ * @param {Object} business - Business document
+ * @param {Number} nextNumber - Next number of the invoice sequence
+ * @returns {Object}
+ */
+const invoiceSettingsProfile = (business, nextNumber) => {
+  const settings = { ...DEFAULT_INVOICE_SETTINGS, ...business.toObject().invoiceSettings };
+
+  return {
+    prefix: settings.prefix,
+    digits: settings.digits,
+    defaultDueDays: settings.defaultDueDays,
+    defaultTerms: settings.defaultTerms || '',
+    nextNumber
+  };
+};
+
+/**
+ * Get business invoice settings
+ * @route GET /api/business/invoice-settings
+ * @access Private (invoices:read)
+ */
+exports.getInvoiceSettings = async (req, res, next) => {
+  try {
+    const business = await Business.findById(req.user.business._id).select('name invoiceSettings');
+
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business not found'
+      });
+    }
+
+    const nextNumber = await Counter.peek(business._id, 'invoice');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invoiceSettings: invoiceSettingsProfile(business, nextNumber)
+      }
+    });
+  } catch (error) {
+    logger.error('Get invoice settings error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update business invoice settings
+ * nextNumber moves the invoice sequence forward; it cannot reuse numbers
+ * already issued.
+ * @route PUT /api/business/invoice-settings
+ * @access Private (profile:write)
+ */
+exports.updateInvoiceSettings = async (req, res, next) => {
+  try {
+    let nextNumber = await Counter.peek(req.user.business._id, 'invoice');
+
+    if (req.body.nextNumber !== undefined && req.body.nextNumber < nextNumber) {
+      return res.status(400).json({
+        success: false,
+        message: `Invoice numbers below ${nextNumber} have already been used`
+      });
+    }
+
+    const changes = {};
+    for (const field of ['prefix', 'digits', 'defaultDueDays', 'defaultTerms']) {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field];
+      }
+    }
+
+    const business = await Business.findByIdAndUpdate(
+      req.user.business._id,
+      {
+        $set: Object.fromEntries(
+          Object.entries(changes).map(([field, value]) => [`invoiceSettings.${field}`, value])
+        )
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business not found'
+      });
+    }
+
+    if (req.body.nextNumber !== undefined) {
+      nextNumber = await Counter.advanceTo(business._id, 'invoice', req.body.nextNumber);
+    }
+
+    logger.info(`Invoice settings updated for business: ${business.name}`);
+
+    await recordAudit(req, 'business.invoice-settings-updated', {
+      targetType: 'Business',
+      targetId: business._id,
+      metadata: { ...changes, nextNumber: req.body.nextNumber }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invoice settings updated successfully',
+      data: {
+        invoiceSettings: invoiceSettingsProfile(business, nextNumber)
+      }
+    });
+  } catch (error) {
+    logger.error('Update invoice settings error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,559 @@
+/**
+ * Customer Controller
+ * Handles customer records, duplicate detection, merging and history
+ */
+
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Sale = require('../models/Sale');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const { roundMoney } = require('../utils/money');
+const { paginatedResponse } = require('../utils/apiResponse');
+const { recordAudit } = require('../utils/audit');
+const { MAX_PAGE_SIZE, escapeRegex, parsePagination } = require('../utils/query');
+const logger = require('../utils/logger');
+
+// Fields that can be set through the API
+const CUSTOMER_FIELDS = [
+  'name',
+  'company',
+  'email',
+  'phone',
+  'billingAddress',
+  'shippingAddress',
+  'tags',
+  'notes',
+  'creditLimit',
+  'openingBalance',
+  'isActive'
+];
+
+/**
+ * Create an error that the error handler sends with the given status
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error}
+ */
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Find a customer of the current business
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - Customer document, or null if a response was sent
+ */
+const findCustomer = async (req, res) => {
+  const customer = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Customer.findOne({ _id: req.params.id, business: req.user.business._id })
+    : null;
+
+  if (!customer) {
+    res.status(404).json({
+      success: false,
+      message: 'Customer not found'
+    });
+    return null;
+  }
+
+  return customer;
+};
+
+/**
+ * Send a 409 listing likely duplicates, unless the request allows them
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} customer - Customer document with the requested changes
+ * @returns {Promise<Boolean>} - True if a response was sent
+ */
+const rejectDuplicates = async (req, res, customer) => {
+  if (req.body.allowDuplicate || !customer.isActive) {
+    return false;
+  }
+
+  const duplicates = await Customer.findDuplicates(customer);
+  if (duplicates.length === 0) {
+    return false;
+  }
+
+  res.status(409).json({
+    success: false,
+    message: 'A customer with this email or phone number already exists. Send allowDuplicate to save anyway.',
+    data: {
+      duplicates: duplicates.map(duplicate => duplicate.toPublicProfile())
+    }
+  });
+  return true;
+};
+
+/**
+ * Current balance owed by a customer: opening balance plus unpaid invoices, less credit
+ * @param {Object} customer - Customer document
+ * @returns {Promise<Number>}
+ */
+const customerBalance = async (customer) => {
+  const outstanding = await Invoice.outstandingForCustomer(customer.business, customer._id);
+  return roundMoney(customer.openingBalance + outstanding - customer.creditBalance);
+};
+
+/**
+ * List customers, alphabetically
+ * Supports ?page, ?limit, ?search (name, company, email or phone), ?tag
+ * and ?isActive (defaults to active customers only).
+ * @route GET /api/customers
+ * @access Private (customers:read)
+ */
+exports.getCustomers = async (req, res, next) => {
+  try {
+    const { page, limit } = parsePagination(req.query);
+
+    const filter = {
+      business: req.user.business._id,
+      isActive: req.query.isActive !== 'false'
+    };
+    if (req.query.isActive === 'all') {
+      delete filter.isActive;
+    }
+    if (typeof req.query.tag === 'string' && req.query.tag.trim()) {
+      filter.tags = req.query.tag.trim().toLowerCase();
+    }
+    if (typeof req.query.search === 'string' && req.query.search.trim()) {
+      const search = req.query.search.trim();
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ name: pattern }, { company: pattern }, { email: pattern }];
+
+      const digits = search.replace(/\D/g, '');
+      if (digits.length >= 3) {
+        filter.$or.push({ phoneNormalized: new RegExp(digits) });
+      }
+    }
+
+    const [customers, total] = await Promise.all([
+      Customer.find(filter)
+        .sort({ name: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Customer.countDocuments(filter)
+    ]);
+
+    paginatedResponse(
+      res,
+      200,
+      'Customers retrieved successfully',
+      customers.map(customer => customer.toPublicProfile()),
+      { page, limit, total }
+    );
+  } catch (error) {
+    logger.error('Get customers error:', error);
+    next(error);
+  }
+};
+
+/**
+ * List groups of active customers sharing an email or phone number
+ * @route GET /api/customers/duplicates
+ * @access Private (customers:read)
+ */
+exports.getDuplicates = async (req, res, next) => {
+  try {
+    const groupBy = (field) => Customer.aggregate([
+      { $match: { business: req.user.business._id, isActive: true, [field]: { $nin: [null, ''] } } },
+      { $group: { _id: `$${field}`, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: MAX_PAGE_SIZE }
+    ]);
+
+    const [byEmail, byPhone] = await Promise.all([groupBy('email'), groupBy('phoneNormalized')]);
+
+    const ids = [...byEmail, ...byPhone].flatMap(group => group.ids);
+    const customers = await Customer.find({ _id: { $in: ids } });
+    const customerMap = new Map(customers.map(customer => [customer._id.toString(), customer]));
+
+    const toGroup = (matchedOn) => (group) => ({
+      matchedOn,
+      value: group._id,
+      customers: group.ids.map(id => customerMap.get(id.toString()).toPublicProfile())
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        groups: [...byEmail.map(toGroup('email')), ...byPhone.map(toGroup('phone'))]
+      }
+    });
+  } catch (error) {
+    logger.error('Get duplicate customers error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a single customer with their current balance
+ * @route GET /api/customers/:id
+ * @access Private (customers:read)
+ */
+exports.getCustomer = async (req, res, next) => {
+  try {
+    const customer = await findCustomer(req, res);
+    if (!customer) return;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        customer: {
+          ...customer.toPublicProfile(),
+          balance: await customerBalance(customer)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get customer error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create a customer
+ * Rejected with 409 when an active customer has the same email or phone,
+ * unless allowDuplicate is true.
+ * @route POST /api/customers
+ * @access Private (customers:write)
+ */
+exports.createCustomer = async (req, res, next) => {
+  try {
+    const customer = new Customer({
+      business: req.user.business._id,
+      createdBy: req.user._id
+    });
+    for (const field of CUSTOMER_FIELDS) {
+      if (req.body[field] !== undefined) {
+        customer[field] = req.body[field];
+      }
+    }
+
+    if (await rejectDuplicates(req, res, customer)) return;
+
+    await customer.save();
+
+    logger.info(`Customer created for business: ${req.user.business.name}`);
+
+    await recordAudit(req, 'customer.created', {
+      targetType: 'Customer',
+      targetId: customer._id,
+      metadata: { name: customer.name }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Customer created successfully',
+      data: {
+        customer: customer.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Create customer error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update a customer
+ * Only the supplied fields are changed. Changing the email or phone is
+ * checked for duplicates like creation.
+ * @route PUT /api/customers/:id
+ * @access Private (customers:write)
+ */
+exports.updateCustomer = async (req, res, next) => {
+  try {
+    const customer = await findCustomer(req, res);
+    if (!customer) return;
+
+    if (customer.mergedInto) {
+      return res.status(400).json({
+        success: false,
+        message: 'This customer was merged into another record and can no longer be changed'
+      });
+    }
+
+    for (const field of CUSTOMER_FIELDS) {
+      if (req.body[field] !== undefined) {
+        customer[field] = req.body[field];
+      }
+    }
+
+    const contactChanged = customer.isModified('email') || customer.isModified('phone') || customer.isModified('isActive');
+    if (contactChanged && await rejectDuplicates(req, res, customer)) return;
+
+    await customer.save();
+
+    await recordAudit(req, 'customer.updated', {
+      targetType: 'Customer',
+      targetId: customer._id,
+      metadata: { fields: CUSTOMER_FIELDS.filter(field => req.body[field] !== undefined) }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Customer updated successfully',
+      data: {
+        customer: customer.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Update customer error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a customer
+ * Customers with sales, invoices or payments are kept for their history and can only be deactivated.
+ * @route DELETE /api/customers/:id
+ * @access Private (customers:write)
+ */
+exports.deleteCustomer = async (req, res, next) => {
+  try {
+    const customer = await findCustomer(req, res);
+    if (!customer) return;
+
+    const [hasSales, hasInvoices, hasPayments] = await Promise.all([
+      Sale.exists({ business: customer.business, customerId: customer._id }),
+      Invoice.exists({ business: customer.business, customerId: customer._id }),
+      Payment.exists({ business: customer.business, customerId: customer._id })
+    ]);
+    if (hasSales || hasInvoices || hasPayments) {
+      return res.status(400).json({
+        success: false,
+        message: 'Customers with sales, invoices or payments cannot be deleted. Deactivate the customer instead.'
+      });
+    }
+
+    await customer.deleteOne();
+
+    logger.info(`Customer ${customer._id} deleted for business: ${req.user.business.name}`);
+
+    await recordAudit(req, 'customer.deleted', {
+      targetType: 'Customer',
+      targetId: customer._id,
+      metadata: { name: customer.name }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Customer deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete customer error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Merge duplicate customers into this one
+ * Sales, invoices and payments of the source customers move to the target.
+ * Tags are combined, missing contact details are filled in from the sources
+ * and opening and credit balances are added together. The sources are deactivated and
+ * point at the target through mergedInto. Everything is read and written in one
+ * transaction, so balance changes made during the merge are not lost.
+ * @route POST /api/customers/:id/merge
+ * @access Private (customers:write)
+ */
+exports.mergeCustomers = async (req, res, next) => {
+  try {
+    const target = await findCustomer(req, res);
+    if (!target) return;
+
+    if (!target.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Customers can only be merged into an active customer'
+      });
+    }
+
+    const sourceIds = [...new Set(req.body.sourceIds.map(String))];
+    if (sourceIds.includes(target._id.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A customer cannot be merged into itself'
+      });
+    }
+
+    const session = await mongoose.startSession();
+    let merged;
+    let sourceCount;
+    try {
+      session.startTransaction();
+
+      // Read both sides inside the transaction so a payment or credit change
+      // committed in the meantime is part of the totals, or aborts the merge
+      const current = await Customer.findOne({ _id: target._id, isActive: true }).session(session);
+      if (!current) {
+        throw requestError('Customers can only be merged into an active customer');
+      }
+
+      const sources = await Customer.find({
+        _id: { $in: sourceIds },
+        business: current.business,
+        isActive: true
+      }).session(session);
+      if (sources.length !== sourceIds.length) {
+        throw requestError('Every customer to merge must be an active customer of this business');
+      }
+      sourceCount = sources.length;
+
+      let openingBalance = 0;
+      let creditBalance = 0;
+      for (const source of sources) {
+        current.tags = [...current.tags, ...source.tags];
+        openingBalance += source.openingBalance || 0;
+        creditBalance += source.creditBalance || 0;
+        for (const field of ['company', 'email', 'phone']) {
+          if (!current[field] && source[field]) {
+            current[field] = source[field];
+          }
+        }
+        for (const field of ['billingAddress', 'shippingAddress']) {
+          if (!current[field] && source[field]) {
+            current[field] = source[field].toObject();
+          }
+        }
+        if (source.notes) {
+          current.notes = [current.notes, source.notes].filter(Boolean).join('\n\n').slice(0, 2000);
+        }
+      }
+
+      const moved = { customerId: current._id };
+      await Sale.updateMany({ business: current.business, customerId: { $in: sourceIds } }, { $set: moved }, { session });
+      await Invoice.updateMany({ business: current.business, customerId: { $in: sourceIds } }, { $set: moved }, { session });
+      await Payment.updateMany({ business: current.business, customerId: { $in: sourceIds } }, { $set: moved }, { session });
+
+      await Customer.updateMany(
+        { _id: { $in: sourceIds }, isActive: true },
+        { $set: { isActive: false, mergedInto: current._id, creditBalance: 0 } },
+        { session }
+      );
+
+      // Only the merged fields are written here; balances are added below
+      await current.save({ session });
+
+      // Add the balances in the update itself, rounded like other credit changes
+      await Customer.updateOne(
+        { _id: current._id },
+        [{
+          $set: {
+            openingBalance: { $round: [{ $add: [{ $ifNull: ['$openingBalance', 0] }, roundMoney(openingBalance)] }, 2] },
+            creditBalance: { $round: [{ $add: [{ $ifNull: ['$creditBalance', 0] }, roundMoney(creditBalance)] }, 2] }
+          }
+        }],
+        { session }
+      );
+
+      merged = await Customer.findById(current._id).session(session);
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    logger.info(`${sourceCount} customer(s) merged into ${target._id} for business: ${req.user.business.name}`);
+
+    await recordAudit(req, 'customer.merged', {
+      targetType: 'Customer',
+      targetId: target._id,
+      metadata: { sourceIds }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Customers merged successfully',
+      data: {
+        customer: merged.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Merge customers error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a customer's history: sales, invoices and payments, newest first
+ * Supports ?limit (default 50) and ?before (ISO date) to page back in time.
+ * @route GET /api/customers/:id/timeline
+ * @access Private (customers:read)
+ */
+exports.getTimeline = async (req, res, next) => {
+  try {
+    const customer = await findCustomer(req, res);
+    if (!customer) return;
+
+    const { limit } = parsePagination(req.query, 50);
+    const before = req.query.before ? new Date(req.query.before) : null;
+    const createdAt = before && !isNaN(before) ? { $lt: before } : undefined;
+
+    const filter = { business: customer.business, customerId: customer._id };
+    if (createdAt) filter.createdAt = createdAt;
+
+    const paymentFilter = { business: customer.business, customerId: customer._id };
+    if (createdAt) paymentFilter.date = createdAt;
+
+    const [sales, invoices, payments] = await Promise.all([
+      Sale.find(filter).sort({ createdAt: -1 }).limit(limit),
+      Invoice.find(filter).sort({ createdAt: -1 }).limit(limit),
+      Payment.find(paymentFilter).sort({ date: -1 }).limit(limit)
+    ]);
+
+    const events = [
+      ...sales.map(sale => ({
+        type: 'sale',
+        id: sale._id,
+        date: sale.createdAt,
+        reference: sale.receiptNumber || null,
+        status: sale.status,
+        total: sale.total
+      })),
+      ...invoices.map(invoice => ({
+        type: 'invoice',
+        id: invoice._id,
+        date: invoice.createdAt,
+        reference: invoice.invoiceNumber || null,
+        status: invoice.status,
+        total: invoice.total,
+        balanceDue: invoice.balanceDue,
+        dueDate: invoice.dueDate
+      })),
+      ...payments.map(payment => ({
+        type: 'payment',
+        id: payment._id,
+        date: payment.date,
+        reference: payment.paymentNumber,
+        method: payment.method,
+        total: payment.amount,
+        creditAmount: payment.creditAmount,
+        refundedAmount: payment.refundedAmount
+      }))
+    ]
+      .sort((a, b) => b.date - a.date)
+      .slice(0, limit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        customer: customer.toPublicProfile(),
+        balance: await customerBalance(customer),
+        events
+      }
+    });
+  } catch (error) {
+    logger.error('Get customer timeline error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,509 @@
+/**
+ * Expense Controller
+ * Handles expenses, their receipt attachments and spending summaries
+ */
+
+const mongoose = require('mongoose');
+const Business = require('../models/Business');
+const Supplier = require('../models/Supplier');
+const Expense = require('../models/Expense');
+const { EXPENSE_PAYMENT_METHODS } = require('../config/expenses');
+const { findPreferenceItem } = require('../utils/preferences');
+const { roundMoney } = require('../utils/money');
+const { paginatedResponse } = require('../utils/apiResponse');
+const { generateKey, putFile, getFile, removeFiles } = require('../utils/storage');
+const { recordAudit } = require('../utils/audit');
+const { escapeRegex, parsePagination } = require('../utils/query');
+const logger = require('../utils/logger');
+
+const RECEIPT_DIRECTORY = 'receipts';
+
+// Fields that can be set through the API
+const EXPENSE_FIELDS = [
+  'date',
+  'category',
+  'description',
+  'vendor',
+  'amount',
+  'taxAmount',
+  'paymentMethod',
+  'reference',
+  'notes'
+];
+
+/**
+ * Find an expense of the current business
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - Expense document, or null if a response was sent
+ */
+const findExpense = async (req, res) => {
+  const expense = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Expense.findOne({ _id: req.params.id, business: req.user.business._id })
+    : null;
+
+  if (!expense) {
+    res.status(404).json({
+      success: false,
+      message: 'Expense not found'
+    });
+    return null;
+  }
+
+  return expense;
+};
+
+/**
+ * Build the date range filter from ?from and ?to
+ * @param {Object} query - Request query
+ * @returns {Object|undefined} - Mongo condition on the expense date
+ */
+const dateRange = (query) => {
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+
+  const range = {};
+  if (from && !isNaN(from)) range.$gte = from;
+  if (to && !isNaN(to)) range.$lte = to;
+
+  return Object.keys(range).length > 0 ? range : undefined;
+};
+
+/**
+ * Apply requested fields to an expense
+ * The category must be an active expense category, unless the expense already
+ * had it. A supplier, when given, fills in the vendor name.
+ * @param {Object} expense - Expense document
+ * @param {Object} business - Business document with preferences
+ * @param {Object} body - Request body
+ * @returns {Promise<Array>} - Error messages, empty if the expense is valid
+ */
+const applyExpenseChanges = async (expense, business, body) => {
+  const previousCategory = expense.category;
+
+  for (const field of EXPENSE_FIELDS) {
+    if (body[field] !== undefined) {
+      expense[field] = body[field];
+    }
+  }
+
+  const errors = [];
+  const category = findPreferenceItem(business, 'expenseCategories', expense.category);
+  if (!category) {
+    errors.push('Expense category not found in business preferences');
+  } else if (!category.isActive && !(previousCategory && previousCategory.equals(category._id))) {
+    errors.push(`Expense category '${category.name}' is not active`);
+  }
+
+  if (body.supplier !== undefined) {
+    const supplier = body.supplier
+      ? await Supplier.findOne({ _id: body.supplier, business: business._id })
+      : null;
+    if (body.supplier && !supplier) {
+      errors.push('Supplier not found');
+    } else {
+      expense.supplier = supplier ? supplier._id : null;
+      if (supplier && body.vendor === undefined) {
+        expense.vendor = supplier.name;
+      }
+    }
+  }
+
+  if (expense.taxAmount > expense.amount) {
+    errors.push('Tax amount cannot exceed the expense amount');
+  }
+
+  return errors;
+};
+
+/**
+ * Storage key of a receipt file
+ * @param {String} fileName - Expense.receipt.fileName
+ * @returns {String|undefined}
+ */
+const receiptKey = (fileName) => (fileName ? `${RECEIPT_DIRECTORY}/${fileName}` : undefined);
+
+/**
+ * Store an uploaded receipt and attach it to an expense
+ * @param {Object} expense - Expense document
+ * @param {Object} file - Multer file
+ * @returns {Promise<String|undefined>} - Storage key of the receipt it replaces
+ */
+const attachReceipt = async (expense, file) => {
+  const previous = receiptKey(expense.receipt?.fileName);
+  const key = generateKey(RECEIPT_DIRECTORY, file.mimetype);
+
+  await putFile(key, file.buffer, { contentType: file.mimetype });
+
+  expense.receipt = {
+    fileName: key.slice(RECEIPT_DIRECTORY.length + 1),
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    uploadedAt: new Date()
+  };
+
+  return previous;
+};
+
+/**
+ * List expenses, most recent first
+ * Supports ?page, ?limit, ?from, ?to, ?category, ?supplier, ?paymentMethod
+ * and ?search (description or vendor).
+ * @route GET /api/expenses
+ * @access Private (expenses:read)
+ */
+exports.getExpenses = async (req, res, next) => {
+  try {
+    const { page, limit } = parsePagination(req.query);
+
+    const filter = { business: req.user.business._id };
+    const date = dateRange(req.query);
+    if (date) {
+      filter.date = date;
+    }
+    if (mongoose.Types.ObjectId.isValid(req.query.category)) {
+      filter.category = req.query.category;
+    }
+    if (mongoose.Types.ObjectId.isValid(req.query.supplier)) {
+      filter.supplier = req.query.supplier;
+    }
+    if (EXPENSE_PAYMENT_METHODS.includes(req.query.paymentMethod)) {
+      filter.paymentMethod = req.query.paymentMethod;
+    }
+    if (typeof req.query.search === 'string' && req.query.search.trim()) {
+      const pattern = new RegExp(escapeRegex(req.query.search.trim()), 'i');
+      filter.$or = [{ description: pattern }, { vendor: pattern }];
+    }
+
+    const [expenses, total] = await Promise.all([
+      Expense.find(filter)
+        .sort({ date: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Expense.countDocuments(filter)
+    ]);
+
+    paginatedResponse(
+      res,
+      200,
+      'Expenses retrieved successfully',
+      expenses.map(expense => expense.toPublicProfile()),
+      { page, limit, total }
+    );
+  } catch (error) {
+    logger.error('Get expenses error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Total spending by category
+ * Supports ?from and ?to.
+ * @route GET /api/expenses/summary
+ * @access Private (expenses:read)
+ */
+exports.getExpenseSummary = async (req, res, next) => {
+  try {
+    const business = await Business.findById(req.user.business._id).select('currency preferences');
+
+    const match = { business: business._id };
+    const date = dateRange(req.query);
+    if (date) {
+      match.date = date;
+    }
+
+    const rows = await Expense.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$category',
+          count: { $sum: 1 },
+          amount: { $sum: '$amount' },
+          taxAmount: { $sum: '$taxAmount' }
+        }
+      },
+      { $sort: { amount: -1 } }
+    ]);
+
+    const categories = rows.map(row => ({
+      category: row._id,
+      name: findPreferenceItem(business, 'expenseCategories', row._id)?.name || null,
+      count: row.count,
+      amount: roundMoney(row.amount),
+      taxAmount: roundMoney(row.taxAmount)
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        currency: business.currency,
+        count: categories.reduce((sum, row) => sum + row.count, 0),
+        amount: roundMoney(categories.reduce((sum, row) => sum + row.amount, 0)),
+        taxAmount: roundMoney(categories.reduce((sum, row) => sum + row.taxAmount, 0)),
+        categories
+      }
+    });
+  } catch (error) {
+    logger.error('Get expense summary error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a single expense
+ * @route GET /api/expenses/:id
+ * @access Private (expenses:read)
+ */
+exports.getExpense = async (req, res, next) => {
+  try {
+    const expense = await findExpense(req, res);
+    if (!expense) return;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        expense: expense.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Get expense error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Record an expense
+ * Accepts JSON, or multipart form data with the receipt in the "receipt" field.
+ * @route POST /api/expenses
+ * @access Private (expenses:write)
+ */
+exports.createExpense = async (req, res, next) => {
+  try {
+    const business = await Business.findById(req.user.business._id).select('name currency preferences');
+
+    const expense = new Expense({
+      business: business._id,
+      currency: business.currency,
+      createdBy: req.user._id
+    });
+
+    const errors = await applyExpenseChanges(expense, business, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expense is not valid',
+        errors
+      });
+    }
+
+    if (req.file) {
+      await attachReceipt(expense, req.file);
+    }
+
+    try {
+      await expense.save();
+    } catch (error) {
+      await removeFiles(receiptKey(expense.receipt?.fileName));
+      throw error;
+    }
+
+    logger.info(`Expense recorded for business: ${business.name}`);
+
+    await recordAudit(req, 'expense.created', {
+      targetType: 'Expense',
+      targetId: expense._id,
+      metadata: { amount: expense.amount, category: expense.category }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Expense recorded successfully',
+      data: {
+        expense: expense.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Create expense error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update an expense
+ * Only the supplied fields are changed.
+ * @route PUT /api/expenses/:id
+ * @access Private (expenses:write)
+ */
+exports.updateExpense = async (req, res, next) => {
+  try {
+    const expense = await findExpense(req, res);
+    if (!expense) return;
+
+    const business = await Business.findById(req.user.business._id).select('name preferences');
+
+    const errors = await applyExpenseChanges(expense, business, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expense is not valid',
+        errors
+      });
+    }
+
+    await expense.save();
+
+    await recordAudit(req, 'expense.updated', {
+      targetType: 'Expense',
+      targetId: expense._id,
+      metadata: { fields: EXPENSE_FIELDS.filter(field => req.body[field] !== undefined) }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Expense updated successfully',
+      data: {
+        expense: expense.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Update expense error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete an expense and its receipt
+ * @route DELETE /api/expenses/:id
+ * @access Private (expenses:write)
+ */
+exports.deleteExpense = async (req, res, next) => {
+  try {
+    const expense = await findExpense(req, res);
+    if (!expense) return;
+
+    await expense.deleteOne();
+    await removeFiles(receiptKey(expense.receipt?.fileName));
+
+    logger.info(`Expense ${expense._id} deleted for business: ${req.user.business.name}`);
+
+    await recordAudit(req, 'expense.deleted', {
+      targetType: 'Expense',
+      targetId: expense._id,
+      metadata: { amount: expense.amount, description: expense.description }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Expense deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete expense error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Attach or replace an expense's receipt
+ * Expects multipart form data with the file in the "receipt" field.
+ * @route POST /api/expenses/:id/receipt
+ * @access Private (expenses:write)
+ */
+exports.uploadReceipt = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attach the receipt file in the "receipt" field'
+      });
+    }
+
+    const expense = await findExpense(req, res);
+    if (!expense) return;
+
+    const previous = await attachReceipt(expense, req.file);
+    try {
+      await expense.save();
+    } catch (error) {
+      await removeFiles(receiptKey(expense.receipt.fileName));
+      throw error;
+    }
+    await removeFiles(previous);
+
+    res.status(200).json({
+      success: true,
+      message: 'Receipt uploaded successfully',
+      data: {
+        expense: expense.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Upload receipt error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Download an expense's receipt
+ * @route GET /api/expenses/:id/receipt
+ * @access Private (expenses:read)
+ */
+exports.getReceipt = async (req, res, next) => {
+  try {
+    const expense = await findExpense(req, res);
+    if (!expense) return;
+
+    if (!expense.receipt?.fileName) {
+      return res.status(404).json({
+        success: false,
+        message: 'This expense has no receipt'
+      });
+    }
+
+    const file = await getFile(receiptKey(expense.receipt.fileName));
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt file not found'
+      });
+    }
+
+    const fileName = expense.receipt.originalName.replace(/["\\\r\n]/g, '');
+    res.set({
+      'Content-Type': expense.receipt.mimeType,
+      'Content-Disposition': `inline; filename="${fileName}"`
+    });
+    res.send(file);
+  } catch (error) {
+    logger.error('Get receipt error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Remove an expense's receipt
+ * @route DELETE /api/expenses/:id/receipt
+ * @access Private (expenses:write)
+ */
+exports.deleteReceipt = async (req, res, next) => {
+  try {
+    const expense = await findExpense(req, res);
+    if (!expense) return;
+
+    const previous = receiptKey(expense.receipt?.fileName);
+    expense.receipt = undefined;
+    await expense.save();
+    await removeFiles(previous);
+
+    res.status(200).json({
+      success: true,
+      message: 'Receipt removed successfully',
+      data: {
+        expense: expense.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Delete receipt error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,398 @@
+/**
+ * Inventory Controller
+ * Handles stock balances and the stock movement ledger
+ */
+
+const mongoose = require('mongoose');
+const Business = require('../models/Business');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const StockLot = require('../models/StockLot');
+const SerialNumber = require('../models/SerialNumber');
+const {
+  MOVEMENT_TYPES,
+  MOVEMENT_DIRECTIONS,
+  SERIAL_STATUSES,
+  DEFAULT_EXPIRY_WARNING_DAYS
+} = require('../config/inventory');
+const { findPreferenceItem, getProductRules } = require('../utils/preferences');
+const { postTrackedMovement } = require('../utils/stockTracking');
+const { paginatedResponse } = require('../utils/apiResponse');
+const { escapeRegex, parsePagination } = require('../utils/query');
+const logger = require('../utils/logger');
+
+const MAX_EXPIRY_WARNING_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Find a product of the current business
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - Product document, or null if a response was sent
+ */
+const findProduct = async (req, res) => {
+  const product = mongoose.Types.ObjectId.isValid(req.params.productId)
+    ? await Product.findOne({ _id: req.params.productId, business: req.user.business._id })
+    : null;
+
+  if (!product) {
+    res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+    return null;
+  }
+
+  return product;
+};
+
+/**
+ * Get stock on hand for products that track inventory
+ * Supports ?page, ?limit, ?search, ?isActive and ?lowStock=true filters.
+ * @route GET /api/inventory
+ * @access Private (inventory:read)
+ */
+exports.getInventory = async (req, res, next) => {
+  try {
+    const { page, limit } = parsePagination(req.query);
+
+    const business = await Business.findById(req.user.business._id).select('preferences');
+    const trackedTypes = (business.preferences?.productTypes || [])
+      .filter(productType => productType.trackInventory !== false)
+      .map(productType => productType._id);
+
+    const filter = {
+      business: req.user.business._id,
+      productType: { $in: trackedTypes }
+    };
+    if (typeof req.query.search === 'string' && req.query.search.trim()) {
+      const pattern = new RegExp(escapeRegex(req.query.search.trim()), 'i');
+      filter.$or = [{ name: pattern }, { sku: pattern }];
+    }
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+    if (req.query.lowStock === 'true') {
+      filter.reorderLevel = { $ne: null };
+      filter.$expr = { $lte: ['$quantityOnHand', '$reorderLevel'] };
+    }
+
+    const [products, total] = await Promise.all([
+      Product.find(filter)
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Product.countDocuments(filter)
+    ]);
+
+    const balances = products.map(product => {
+      const unit = findPreferenceItem(business, 'units', product.unit);
+
+      return {
+        product: {
+          id: product._id,
+          sku: product.sku,
+          name: product.name,
+          isActive: product.isActive
+        },
+        unit: unit ? { id: unit._id, name: unit.name, abbreviation: unit.abbreviation } : null,
+        quantityOnHand: product.quantityOnHand,
+        reorderLevel: product.reorderLevel,
+        lowStock: product.reorderLevel != null && product.quantityOnHand <= product.reorderLevel,
+        stockValue: product.quantityOnHand * (product.costPrice || 0)
+      };
+    });
+
+    paginatedResponse(res, 200, 'Inventory retrieved successfully', balances, { page, limit, total });
+  } catch (error) {
+    logger.error('Get inventory error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the stock movement history of a product, newest first
+ * Supports ?page, ?limit, ?type, ?from and ?to filters.
+ * @route GET /api/inventory/:productId/movements
+ * @access Private (inventory:read)
+ */
+exports.getMovements = async (req, res, next) => {
+  try {
+    const product = await findProduct(req, res);
+    if (!product) return;
+
+    const { page, limit } = parsePagination(req.query);
+
+    const filter = { business: req.user.business._id, product: product._id };
+    if (MOVEMENT_TYPES.includes(req.query.type)) {
+      filter.type = req.query.type;
+    }
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if (from && !isNaN(from)) {
+      filter.createdAt = { ...filter.createdAt, $gte: from };
+    }
+    if (to && !isNaN(to)) {
+      filter.createdAt = { ...filter.createdAt, $lte: to };
+    }
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find(filter)
+        .populate('createdBy', 'firstName lastName email')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      StockMovement.countDocuments(filter)
+    ]);
+
+    paginatedResponse(
+      res,
+      200,
+      'Stock movements retrieved successfully',
+      movements.map(movement => movement.toPublicProfile()),
+      { page, limit, total }
+    );
+  } catch (error) {
+    logger.error('Get stock movements error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Record a stock movement for a product
+ * Outgoing movements cannot take stock below zero unless the business
+ * allows negative stock. Serialized products take one serial number per
+ * unit, and products that require expiry dates move stock through lots.
+ * @route POST /api/inventory/:productId/movements
+ * @access Private (inventory:write)
+ */
+exports.recordMovement = async (req, res, next) => {
+  try {
+    const product = await findProduct(req, res);
+    if (!product) return;
+
+    const { type, quantity, reason, serialNumbers, lotNumber, expiryDate } = req.body;
+    const business = await Business.findById(req.user.business._id)
+      .select('name preferences inventorySettings');
+
+    if (!getProductRules(business, product.productType).trackInventory) {
+      return res.status(400).json({
+        success: false,
+        message: 'This product type does not track inventory'
+      });
+    }
+
+    const unit = findPreferenceItem(business, 'units', product.unit);
+    if (unit?.type === 'quantity' && !Number.isInteger(quantity)) {
+      return res.status(400).json({
+        success: false,
+        message: `Quantity must be a whole number of ${unit.name.toLowerCase()}s`
+      });
+    }
+
+    const directions = MOVEMENT_DIRECTIONS[type];
+    const direction = directions.length === 1 ? directions[0] : req.body.direction;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let movement;
+    try {
+      movement = await postTrackedMovement(
+        business,
+        product,
+        {
+          type,
+          quantity: direction === 'out' ? -quantity : quantity,
+          reason,
+          createdBy: req.user._id,
+          serialNumbers,
+          lotNumber,
+          expiryDate
+        },
+        {
+          allowNegative: !!business.inventorySettings?.allowNegativeStock,
+          session
+        }
+      );
+
+      await session.commitTransaction();
+      session.endSession();
+    } catch (error) {
+      await session.abortTransaction();
+      session.endSession();
+
+      if (error.code === 'INSUFFICIENT_STOCK') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          data: {
+            available: error.available
+          }
+        });
+      }
+      throw error;
+    }
+
+    logger.info(`Stock ${type} of ${movement.quantity} recorded for ${product.sku} (business: ${business.name})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock movement recorded successfully',
+      data: {
+        movement: movement.toPublicProfile(),
+        quantityOnHand: movement.balanceAfter
+      }
+    });
+  } catch (error) {
+    logger.error('Record stock movement error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the lots of a product in first-expired-first-out order
+ * Empty lots are left out unless ?includeEmpty=true.
+ * @route GET /api/inventory/:productId/lots
+ * @access Private (inventory:read)
+ */
+exports.getLots = async (req, res, next) => {
+  try {
+    const product = await findProduct(req, res);
+    if (!product) return;
+
+    const filter = { business: req.user.business._id, product: product._id };
+    if (req.query.includeEmpty !== 'true') {
+      filter.quantityOnHand = { $gt: 0 };
+    }
+
+    const lots = await StockLot.find(filter).sort({ expiryDate: 1, _id: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        lots: lots.map(lot => lot.toPublicProfile())
+      }
+    });
+  } catch (error) {
+    logger.error('Get stock lots error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the serial numbers of a product
+ * Lists units in stock unless ?status asks for another status.
+ * @route GET /api/inventory/:productId/serials
+ * @access Private (inventory:read)
+ */
+exports.getSerialNumbers = async (req, res, next) => {
+  try {
+    const product = await findProduct(req, res);
+    if (!product) return;
+
+    const { page, limit } = parsePagination(req.query);
+
+    const filter = {
+      business: req.user.business._id,
+      product: product._id,
+      status: SERIAL_STATUSES.includes(req.query.status) ? req.query.status : 'in-stock'
+    };
+    if (typeof req.query.search === 'string' && req.query.search.trim()) {
+      filter.serialNumber = new RegExp(escapeRegex(req.query.search.trim()), 'i');
+    }
+
+    const [units, total] = await Promise.all([
+      SerialNumber.find(filter)
+        .sort({ expiryDate: 1, serialNumber: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      SerialNumber.countDocuments(filter)
+    ]);
+
+    paginatedResponse(
+      res,
+      200,
+      'Serial numbers retrieved successfully',
+      units.map(unit => unit.toPublicProfile()),
+      { page, limit, total }
+    );
+  } catch (error) {
+    logger.error('Get serial numbers error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Report stock that has expired or expires soon, earliest first
+ * Looks ahead ?days days, defaulting to the business's expiry warning setting.
+ * @route GET /api/inventory/expiring
+ * @access Private (inventory:read)
+ */
+exports.getExpiringStock = async (req, res, next) => {
+  try {
+    const business = await Business.findById(req.user.business._id).select('inventorySettings');
+
+    const requestedDays = parseInt(req.query.days);
+    const days = requestedDays > 0
+      ? Math.min(requestedDays, MAX_EXPIRY_WARNING_DAYS)
+      : business.inventorySettings?.expiryWarningDays || DEFAULT_EXPIRY_WARNING_DAYS;
+
+    const now = new Date();
+    const cutoff = new Date(now.getTime() + days * DAY_MS);
+
+    const [lots, units] = await Promise.all([
+      StockLot.find({
+        business: business._id,
+        quantityOnHand: { $gt: 0 },
+        expiryDate: { $lte: cutoff }
+      }).populate('product', 'sku name'),
+      SerialNumber.find({
+        business: business._id,
+        status: 'in-stock',
+        expiryDate: { $ne: null, $lte: cutoff }
+      }).populate('product', 'sku name')
+    ]);
+
+    const describe = (product) => product ? { id: product._id, sku: product.sku, name: product.name } : null;
+    const daysLeft = (expiryDate) => Math.ceil((expiryDate - now) / DAY_MS);
+
+    const items = [
+      ...lots.map(lot => ({
+        product: describe(lot.product),
+        lotNumber: lot.lotNumber,
+        serialNumber: null,
+        quantity: lot.quantityOnHand,
+        expiryDate: lot.expiryDate,
+        daysUntilExpiry: daysLeft(lot.expiryDate),
+        isExpired: lot.isExpired(now)
+      })),
+      ...units.map(unit => ({
+        product: describe(unit.product),
+        lotNumber: null,
+        serialNumber: unit.serialNumber,
+        quantity: 1,
+        expiryDate: unit.expiryDate,
+        daysUntilExpiry: daysLeft(unit.expiryDate),
+        isExpired: unit.expiryDate <= now
+      }))
+    ].sort((a, b) => a.expiryDate - b.expiryDate);
+
+    const sumQuantity = (list) => list.reduce((total, item) => total + item.quantity, 0);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        days,
+        summary: {
+          expiredQuantity: sumQuantity(items.filter(item => item.isExpired)),
+          expiringQuantity: sumQuantity(items.filter(item => !item.isExpired))
+        },
+        items
+      }
+    });
+  } catch (error) {
+    logger.error('Get expiring stock error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,728 @@
+/**
+ * Invoice Controller
+ * Handles customer invoices: drafting, sending, voiding, PDF rendering and receivables aging
+ */
+
+const mongoose = require('mongoose');
+const Business = require('../models/Business');
+const Product = require('../models/Product');
+const Invoice = require('../models/Invoice');
+const Customer = require('../models/Customer');
+const Counter = require('../models/Counter');
+const { INVOICE_STATUSES, OUTSTANDING_INVOICE_STATUSES, DEFAULT_INVOICE_SETTINGS } = require('../config/invoices');
+const { AGING_BUCKETS } = require('../config/payments');
+const { renderInvoicePdf } = require('../utils/invoicePdf');
+const { roundMoney, formatMoney } = require('../utils/money');
+const { paginatedResponse } = require('../utils/apiResponse');
+const { sendMail } = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const { recordAudit } = require('../utils/audit');
+const { escapeRegex, parsePagination } = require('../utils/query');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Business fields printed on invoices
+const BUSINESS_INVOICE_FIELDS = 'name email phone address taxId logo logoFiles currency invoiceSettings';
+
+/**
+ * Create an error that the error handler sends with the given status
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error}
+ */
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Find an invoice of the current business, bringing its overdue status up to date
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - Invoice document, or null if a response was sent
+ */
+const findInvoice = async (req, res) => {
+  const invoice = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Invoice.findOne({ _id: req.params.id, business: req.user.business._id })
+    : null;
+
+  if (!invoice) {
+    res.status(404).json({
+      success: false,
+      message: 'Invoice not found'
+    });
+    return null;
+  }
+
+  const status = invoice.status;
+  invoice.refreshStatus();
+  if (invoice.status !== status) {
+    await invoice.save();
+  }
+
+  return invoice;
+};
+
+/**
+ * Send the response for an invoice in the wrong status for an action
+ * @param {Object} res - Express response object
+ * @param {Object} invoice - Invoice document
+ * @param {String} action - What was attempted, e.g. 'edited'
+ */
+const wrongStatusResponse = (res, invoice, action) => {
+  return res.status(400).json({
+    success: false,
+    message: `This invoice is ${invoice.status.replace('-', ' ')} and cannot be ${action}`
+  });
+};
+
+/**
+ * Turn requested line items into invoice items
+ * Lines may reference catalog products, which supply the description and
+ * price when they are not given. Invoices do not move stock.
+ * @param {Object} business - Business document
+ * @param {Array} items - Line items from the request
+ * @returns {Promise<Object>} - { items, errors }
+ */
+const buildInvoiceItems = async (business, items) => {
+  const productIds = items.filter(item => item.product).map(item => item.product);
+  const products = productIds.length > 0
+    ? await Product.find({ _id: { $in: productIds }, business: business._id })
+    : [];
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+  const errors = [];
+  const invoiceItems = items.map((item, index) => {
+    const product = item.product ? productMap.get(String(item.product)) : null;
+    if (item.product && !product) {
+      errors.push(`Item ${index + 1}: product not found`);
+      return null;
+    }
+
+    const description = item.description || product?.name;
+    const unitPrice = item.unitPrice ?? product?.sellingPrice;
+    if (!description) {
+      errors.push(`Item ${index + 1}: description is required`);
+    }
+    if (unitPrice === undefined) {
+      errors.push(`Item ${index + 1}: unit price is required`);
+    }
+
+    return {
+      product: product ? product._id : null,
+      description,
+      quantity: item.quantity,
+      unitPrice,
+      discount: item.discount || 0,
+      taxRate: item.taxRate || 0
+    };
+  });
+
+  return { items: invoiceItems, errors };
+};
+
+/**
+ * Apply requested fields to a draft invoice and recalculate it
+ * A customer record, when given, supplies the billed customer's details
+ * unless they are sent as well.
+ * @param {Object} invoice - Invoice document
+ * @param {Object} business - Business document
+ * @param {Object} body - Request body
+ * @returns {Promise<Array>} - Error messages, empty if the invoice is valid
+ */
+const applyInvoiceChanges = async (invoice, business, body) => {
+  if (body.items !== undefined) {
+    const { items, errors } = await buildInvoiceItems(business, body.items);
+    if (errors.length > 0) {
+      return errors;
+    }
+    invoice.items = items;
+  }
+
+  if (body.customerId !== undefined) {
+    const customer = body.customerId
+      ? await Customer.findOne({ _id: body.customerId, business: business._id, isActive: true })
+      : null;
+    if (body.customerId && !customer) {
+      return ['Customer not found or inactive'];
+    }
+
+    invoice.customerId = customer ? customer._id : null;
+    if (customer && body.customer === undefined) {
+      invoice.customer = {
+        name: customer.name,
+        email: customer.email,
+        phone: customer.phone,
+        address: customer.billingAddress?.toObject()
+      };
+    }
+  }
+
+  for (const field of ['customer', 'discount', 'dueDate', 'notes', 'terms']) {
+    if (body[field] !== undefined) {
+      invoice[field] = body[field];
+    }
+  }
+
+  return invoice.calculateTotals();
+};
+
+/**
+ * Format an invoice number from the business's numbering settings
+ * @param {Object} settings - Business.invoiceSettings
+ * @param {Number} seq - Sequence number
+ * @returns {String}
+ */
+const formatInvoiceNumber = (settings, seq) => {
+  const prefix = settings?.prefix ?? DEFAULT_INVOICE_SETTINGS.prefix;
+  const number = String(seq).padStart(settings?.digits || DEFAULT_INVOICE_SETTINGS.digits, '0');
+
+  return prefix ? `${prefix}-${number}` : number;
+};
+
+/**
+ * Run a function in a transaction, passing it the session
+ * @param {Function} work - async (session) => {}
+ */
+const inTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+    await work(session);
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Check that issuing an invoice keeps its customer within their credit limit
+ * @param {Object} invoice - Draft invoice document
+ * @returns {Promise<String|null>} - Error message, or null if within the limit
+ */
+const checkCreditLimit = async (invoice) => {
+  if (!invoice.customerId) return null;
+
+  const customer = await Customer.findOne({ _id: invoice.customerId, business: invoice.business });
+  if (!customer || customer.creditLimit === null || customer.creditLimit === undefined) return null;
+
+  const outstanding = await Invoice.outstandingForCustomer(invoice.business, customer._id);
+  const balance = roundMoney(customer.openingBalance + outstanding - customer.creditBalance + invoice.total);
+  if (balance <= customer.creditLimit) return null;
+
+  return `Sending this invoice would take ${customer.name} to ${formatMoney(balance, invoice.currency)}, ` +
+    `over their credit limit of ${formatMoney(customer.creditLimit, invoice.currency)}`;
+};
+
+/**
+ * Email an invoice to its customer with the PDF attached
+ * @param {Object} invoice - Invoice document
+ * @param {Object} business - Business document
+ * @param {Buffer} pdf - Rendered invoice
+ */
+const emailInvoice = async (invoice, business, pdf) => {
+  await sendMail({
+    to: invoice.customer.email,
+    ...emailTemplates.invoiceIssued({
+      customerName: invoice.customer.name,
+      businessName: business.name,
+      invoiceNumber: invoice.invoiceNumber,
+      amountDue: formatMoney(invoice.balanceDue, invoice.currency),
+      dueDate: invoice.dueDate.toDateString()
+    }),
+    attachments: [
+      {
+        filename: `${invoice.invoiceNumber}.pdf`,
+        content: pdf,
+        contentType: 'application/pdf'
+      }
+    ]
+  });
+};
+
+/**
+ * List invoices, newest first
+ * Supports ?page, ?limit, ?status, ?customerId, ?from, ?to and ?search (number or customer).
+ * @route GET /api/invoices
+ * @access Private (invoices:read)
+ */
+exports.getInvoices = async (req, res, next) => {
+  try {
+    const { page, limit } = parsePagination(req.query);
+
+    await Invoice.markOverdue(req.user.business._id);
+
+    const filter = { business: req.user.business._id };
+    if (INVOICE_STATUSES.includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+    if (mongoose.Types.ObjectId.isValid(req.query.customerId)) {
+      filter.customerId = req.query.customerId;
+    }
+    if (typeof req.query.search === 'string' && req.query.search.trim()) {
+      const pattern = new RegExp(escapeRegex(req.query.search.trim()), 'i');
+      filter.$or = [{ invoiceNumber: pattern }, { 'customer.name': pattern }, { 'customer.email': pattern }];
+    }
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if (from && !isNaN(from)) {
+      filter.createdAt = { ...filter.createdAt, $gte: from };
+    }
+    if (to && !isNaN(to)) {
+      filter.createdAt = { ...filter.createdAt, $lte: to };
+    }
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Invoice.countDocuments(filter)
+    ]);
+
+    paginatedResponse(
+      res,
+      200,
+      'Invoices retrieved successfully',
+      invoices.map(invoice => invoice.toPublicProfile()),
+      { page, limit, total }
+    );
+  } catch (error) {
+    logger.error('Get invoices error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Accounts receivable aging: what each customer owes, by days past due
+ * Covers issued invoices still owed as at ?asOf (default today); amounts are
+ * the balances due now. Invoices without a customer record are grouped by
+ * the customer name printed on them. Customer credit is shown alongside and
+ * taken off the net balance.
+ * @route GET /api/invoices/aging
+ * @access Private (invoices:read)
+ */
+exports.getReceivablesAging = async (req, res, next) => {
+  try {
+    const requestedDate = req.query.asOf ? new Date(req.query.asOf) : null;
+    const asOf = requestedDate && !isNaN(requestedDate) ? requestedDate : new Date();
+    const businessId = req.user.business._id;
+
+    const [business, invoices, customersWithCredit] = await Promise.all([
+      Business.findById(businessId).select('currency'),
+      Invoice.find({
+        business: businessId,
+        status: { $in: OUTSTANDING_INVOICE_STATUSES },
+        issueDate: { $lte: asOf }
+      }).select('customerId customer.name total amountPaid dueDate'),
+      Customer.find({ business: businessId, creditBalance: { $gt: 0 } }).select('name creditBalance')
+    ]);
+
+    const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+    const rows = new Map();
+    const rowFor = (key, fields) => {
+      if (!rows.has(key)) {
+        rows.set(key, { ...fields, buckets: emptyBuckets(), total: 0, credit: 0, invoiceCount: 0 });
+      }
+      return rows.get(key);
+    };
+
+    for (const invoice of invoices) {
+      const row = invoice.customerId
+        ? rowFor(invoice.customerId.toString(), { customerId: invoice.customerId, name: invoice.customer.name })
+        : rowFor(`name:${invoice.customer.name.toLowerCase()}`, { customerId: null, name: invoice.customer.name });
+
+      const daysPastDue = invoice.dueDate ? Math.floor((asOf - invoice.dueDate) / DAY_MS) : 0;
+      const bucket = AGING_BUCKETS.find(candidate => daysPastDue <= candidate.maxDays);
+      row.buckets[bucket.key] = roundMoney(row.buckets[bucket.key] + invoice.balanceDue);
+      row.total = roundMoney(row.total + invoice.balanceDue);
+      row.invoiceCount += 1;
+    }
+
+    for (const customer of customersWithCredit) {
+      rowFor(customer._id.toString(), { customerId: customer._id, name: customer.name }).credit = customer.creditBalance;
+    }
+
+    // Show current customer names rather than the ones printed on old invoices
+    const customerIds = [...rows.values()].filter(row => row.customerId).map(row => row.customerId);
+    const names = await Customer.find({ _id: { $in: customerIds } }).select('name');
+    for (const customer of names) {
+      rows.get(customer._id.toString()).name = customer.name;
+    }
+
+    const customers = [...rows.values()]
+      .map(row => ({ ...row, net: roundMoney(row.total - row.credit) }))
+      .sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+
+    const totals = { buckets: emptyBuckets(), total: 0, credit: 0, net: 0 };
+    for (const row of customers) {
+      for (const bucket of AGING_BUCKETS) {
+        totals.buckets[bucket.key] = roundMoney(totals.buckets[bucket.key] + row.buckets[bucket.key]);
+      }
+      totals.total = roundMoney(totals.total + row.total);
+      totals.credit = roundMoney(totals.credit + row.credit);
+    }
+    totals.net = roundMoney(totals.total - totals.credit);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        asOf,
+        currency: business.currency,
+        buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+        customers,
+        totals
+      }
+    });
+  } catch (error) {
+    logger.error('Get receivables aging error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a single invoice
+ * @route GET /api/invoices/:id
+ * @access Private (invoices:read)
+ */
+exports.getInvoice = async (req, res, next) => {
+  try {
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invoice: invoice.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Get invoice error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create a draft invoice
+ * @route POST /api/invoices
+ * @access Private (invoices:write)
+ */
+exports.createInvoice = async (req, res, next) => {
+  try {
+    const business = await Business.findById(req.user.business._id).select(BUSINESS_INVOICE_FIELDS);
+
+    const invoice = new Invoice({
+      business: business._id,
+      currency: business.currency,
+      terms: business.invoiceSettings?.defaultTerms,
+      createdBy: req.user._id
+    });
+
+    const errors = await applyInvoiceChanges(invoice, business, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoice is not valid',
+        errors
+      });
+    }
+
+    await invoice.save();
+
+    logger.info(`Draft invoice created for business: ${business.name}`);
+
+    await recordAudit(req, 'invoice.created', {
+      targetType: 'Invoice',
+      targetId: invoice._id,
+      metadata: { customer: invoice.customer.name, total: invoice.total }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invoice created successfully',
+      data: {
+        invoice: invoice.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Create invoice error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update a draft invoice
+ * Only the supplied fields are changed; items replace the whole list.
+ * @route PUT /api/invoices/:id
+ * @access Private (invoices:write)
+ */
+exports.updateInvoice = async (req, res, next) => {
+  try {
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+
+    if (invoice.status !== 'draft') {
+      return wrongStatusResponse(res, invoice, 'edited');
+    }
+
+    const business = await Business.findById(req.user.business._id).select(BUSINESS_INVOICE_FIELDS);
+
+    const errors = await applyInvoiceChanges(invoice, business, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoice is not valid',
+        errors
+      });
+    }
+
+    await invoice.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Invoice updated successfully',
+      data: {
+        invoice: invoice.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Update invoice error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a draft invoice
+ * Issued invoices keep their number and can only be voided.
+ * @route DELETE /api/invoices/:id
+ * @access Private (invoices:write)
+ */
+exports.deleteInvoice = async (req, res, next) => {
+  try {
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+
+    if (invoice.status !== 'draft') {
+      return wrongStatusResponse(res, invoice, 'deleted');
+    }
+
+    await invoice.deleteOne();
+
+    logger.info(`Draft invoice ${invoice._id} deleted for business: ${req.user.business.name}`);
+
+    await recordAudit(req, 'invoice.deleted', {
+      targetType: 'Invoice',
+      targetId: invoice._id,
+      metadata: { customer: invoice.customer.name }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invoice deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete invoice error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Send an invoice
+ * A draft is issued: it takes the next invoice number, gets its issue and due
+ * dates and is added to revenue. Issued invoices are just emailed again.
+ * A draft for a customer with a credit limit is only issued if the customer's
+ * balance stays within it.
+ * The invoice is emailed to the customer unless email is false or the
+ * customer has no email address.
+ * @route POST /api/invoices/:id/send
+ * @access Private (invoices:write)
+ */
+exports.sendInvoice = async (req, res, next) => {
+  try {
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+
+    if (invoice.status === 'void') {
+      return wrongStatusResponse(res, invoice, 'sent');
+    }
+
+    const business = await Business.findById(req.user.business._id).select(BUSINESS_INVOICE_FIELDS);
+
+    if (invoice.status === 'draft') {
+      const issueDate = req.body.issueDate ? new Date(req.body.issueDate) : new Date();
+      const dueDays = business.invoiceSettings?.defaultDueDays ?? DEFAULT_INVOICE_SETTINGS.defaultDueDays;
+
+      if (invoice.dueDate && invoice.dueDate < issueDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'Due date cannot be before the issue date'
+        });
+      }
+
+      const creditError = await checkCreditLimit(invoice);
+      if (creditError) {
+        return res.status(400).json({
+          success: false,
+          message: creditError
+        });
+      }
+
+      await inTransaction(async (session) => {
+        // Issue the invoice only if it is still a draft, so two sends at the
+        // same time cannot number it twice or count its revenue twice
+        const claimed = await Invoice.updateOne(
+          { _id: invoice._id, business: business._id, status: 'draft' },
+          { $set: { status: 'sent' } },
+          { session }
+        );
+        if (claimed.matchedCount === 0) {
+          throw requestError('This invoice has already been sent or voided', 409);
+        }
+
+        const seq = await Counter.next(business._id, 'invoice', session);
+
+        invoice.invoiceNumber = formatInvoiceNumber(business.invoiceSettings, seq);
+        invoice.issueDate = issueDate;
+        invoice.dueDate = invoice.dueDate || new Date(issueDate.getTime() + dueDays * DAY_MS);
+        invoice.sentAt = new Date();
+        invoice.status = 'sent';
+        invoice.refreshStatus();
+        await invoice.save({ session });
+
+        await Business.updateOne(
+          { _id: business._id },
+          { $inc: { totalRevenue: roundMoney(invoice.total - invoice.taxTotal) } },
+          { session }
+        );
+      });
+
+      logger.info(`Invoice ${invoice.invoiceNumber} issued for business: ${business.name}`);
+
+      await recordAudit(req, 'invoice.sent', {
+        targetType: 'Invoice',
+        targetId: invoice._id,
+        metadata: { invoiceNumber: invoice.invoiceNumber, total: invoice.total }
+      });
+    }
+
+    let emailed = false;
+    if (req.body.email !== false && invoice.customer.email) {
+      try {
+        await emailInvoice(invoice, business, await renderInvoicePdf(invoice, business));
+        emailed = true;
+      } catch (mailError) {
+        logger.error('Invoice email failed:', mailError);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: emailed || req.body.email === false
+        ? 'Invoice sent successfully'
+        : 'Invoice issued, but it could not be emailed to the customer',
+      data: {
+        invoice: invoice.toPublicProfile(),
+        emailed
+      }
+    });
+  } catch (error) {
+    logger.error('Send invoice error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Void an issued invoice
+ * Invoices with payments must have them refunded first.
+ * @route POST /api/invoices/:id/void
+ * @access Private (invoices:write)
+ */
+exports.voidInvoice = async (req, res, next) => {
+  try {
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+
+    if (invoice.status === 'draft' || invoice.status === 'void') {
+      return wrongStatusResponse(res, invoice, 'voided');
+    }
+
+    if (invoice.amountPaid > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refund the payments on this invoice before voiding it'
+      });
+    }
+
+    await inTransaction(async (session) => {
+      // Check again in the transaction: a payment or another void may have
+      // landed since the invoice was read
+      const changes = { status: 'void', voidedAt: new Date(), voidReason: req.body.reason };
+      const voided = await Invoice.updateOne(
+        { _id: invoice._id, business: invoice.business, status: { $nin: ['draft', 'void'] }, amountPaid: 0 },
+        { $set: changes },
+        { session }
+      );
+      if (voided.matchedCount === 0) {
+        throw requestError('This invoice changed while it was being voided. Please try again.', 409);
+      }
+      invoice.set(changes);
+
+      await Business.updateOne(
+        { _id: invoice.business },
+        { $inc: { totalRevenue: -roundMoney(invoice.total - invoice.taxTotal) } },
+        { session }
+      );
+    });
+
+    logger.info(`Invoice ${invoice.invoiceNumber} voided for business: ${req.user.business.name}`);
+
+    await recordAudit(req, 'invoice.voided', {
+      targetType: 'Invoice',
+      targetId: invoice._id,
+      metadata: { invoiceNumber: invoice.invoiceNumber, reason: invoice.voidReason }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invoice voided successfully',
+      data: {
+        invoice: invoice.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Void invoice error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Download an invoice as a PDF
+ * @route GET /api/invoices/:id/pdf
+ * @access Private (invoices:read)
+ */
+exports.getInvoicePdf = async (req, res, next) => {
+  try {
+    const invoice = await findInvoice(req, res);
+    if (!invoice) return;
+
+    const business = await Business.findById(req.user.business._id).select(BUSINESS_INVOICE_FIELDS);
+    const pdf = await renderInvoicePdf(invoice, business);
+    const fileName = invoice.invoiceNumber || `draft-${invoice._id}`;
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${fileName}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.status(200).send(pdf);
+  } catch (error) {
+    logger.error('Get invoice PDF error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,752 @@
+/**
+ * Member Controller
+ * Handles team member invitations and management within a business
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Business = require('../models/Business');
+const Invitation = require('../models/Invitation');
+const Membership = require('../models/Membership');
+const { recordAudit } = require('../utils/audit');
+const {
+  issueAuthTokens,
+  revokeBusinessSessions
+} = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const logger = require('../utils/logger');
+
+const INVITATION_EXPIRE_DAYS = () => parseInt(process.env.INVITATION_EXPIRE_DAYS) || 7;
+
+/**
+ * Send the response for non-owners trying to manage admins
+ * @param {Object} res - Express response object
+ */
+const ownerOnlyAdminResponse = (res) => {
+  return res.status(403).json({
+    success: false,
+    message: 'Only the business owner can manage admins'
+  });
+};
+
+/**
+ * Get the public profile of a member in the current business
+ * @param {Object} membership - Membership with user populated
+ * @returns {Object}
+ */
+const toMemberProfile = (membership) => {
+  return {
+    ...membership.user.toPublicProfile(),
+    role: membership.role,
+    business: membership.business,
+    isActive: membership.isActive,
+    joinedAt: membership.joinedAt
+  };
+};
+
+/**
+ * Find a membership in the current user's business that may be managed
+ * Owners and the requesting user cannot be targeted, and only owners
+ * can manage admins.
+ * @param {Object} req - Express request object (params.id is the member's user ID)
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - Membership with user populated, or null if a response was sent
+ */
+const findManageableMember = async (req, res) => {
+  const membership = await Membership.findOne({
+    user: req.params.id,
+    business: req.user.business._id
+  }).populate('user');
+
+  if (!membership || !membership.user) {
+    res.status(404).json({
+      success: false,
+      message: 'Member not found'
+    });
+    return null;
+  }
+
+  if (membership.user._id.equals(req.user._id)) {
+    res.status(400).json({
+      success: false,
+      message: 'You cannot perform this action on your own account'
+    });
+    return null;
+  }
+
+  if (membership.role === 'owner') {
+    res.status(403).json({
+      success: false,
+      message: 'The business owner cannot be modified'
+    });
+    return null;
+  }
+
+  if (membership.role === 'admin' && req.user.role !== 'owner') {
+    ownerOnlyAdminResponse(res);
+    return null;
+  }
+
+  return membership;
+};
+
+/**
+ * Invite a team member by email
+ * @route POST /api/business/members/invite
+ * @access Private (members:write)
+ */
+exports.inviteMember = async (req, res, next) => {
+  try {
+    const { email, role } = req.body;
+    const businessId = req.user.business._id;
+
+    if (role === 'admin' && req.user.role !== 'owner') {
+      return ownerOnlyAdminResponse(res);
+    }
+
+    // Existing accounts can be invited unless they already belong to this business
+    const existingUser = await User.findOne({ email });
+    if (existingUser && await Membership.exists({ user: existingUser._id, business: businessId })) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user is already a member of your business'
+      });
+    }
+
+    // Replace any outstanding invitation for the same email
+    await Invitation.updateMany(
+      { business: businessId, email, status: 'pending' },
+      { status: 'revoked' }
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresInDays = INVITATION_EXPIRE_DAYS();
+
+    const invitation = await Invitation.create({
+      business: businessId,
+      email,
+      role,
+      tokenHash: Invitation.hashToken(token),
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+      invitedBy: req.user._id
+    });
+
+    try {
+      await sendMail({
+        to: email,
+        ...emailTemplates.teamInvitation({
+          businessName: req.user.business.name,
+          inviterName: req.user.getFullName(),
+          role,
+          acceptUrl: `${emailTemplates.getClientUrl()}/accept-invite/${token}`,
+          expiresInDays
+        })
+      });
+    } catch (mailError) {
+      invitation.status = 'revoked';
+      await invitation.save();
+
+      logger.error('Invitation email failed:', mailError);
+      return res.status(500).json({
+        success: false,
+        message: 'Could not send invitation email. Please try again later.'
+      });
+    }
+
+    logger.info(`Invitation sent to ${email} for business: ${req.user.business.name}`);
+
+    await recordAudit(req, 'member.invited', {
+      targetType: 'Invitation',
+      targetId: invitation._id,
+      metadata: { email, role: invitation.role }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: {
+        invitation: invitation.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Invite member error:', error);
+    next(error);
+  }
+};
+
+/**
+ * List invitations for the business
+ * @route GET /api/business/members/invitations
+ * @access Private (members:read)
+ */
+exports.getInvitations = async (req, res, next) => {
+  try {
+    const filter = { business: req.user.business._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const invitations = await Invitation.find(filter)
+      .populate('invitedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invitations: invitations.map(invitation => invitation.toPublicProfile())
+      }
+    });
+  } catch (error) {
+    logger.error('Get invitations error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Revoke a pending invitation
+ * @route DELETE /api/business/members/invitations/:id
+ * @access Private (members:write)
+ */
+exports.revokeInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.id, business: req.user.business._id, status: 'pending' },
+      { status: 'revoked' },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending invitation not found'
+      });
+    }
+
+    logger.info(`Invitation revoked for ${invitation.email}`);
+
+    await recordAudit(req, 'invitation.revoked', {
+      targetType: 'Invitation',
+      targetId: invitation._id,
+      metadata: { email: invitation.email }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully',
+      data: {
+        invitation: invitation.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Revoke invitation error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get invitation details from an invitation link
+ * @route GET /api/auth/invitations/:token
+ * @access Public
+ */
+exports.getInvitationByToken = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findOne({
+      tokenHash: Invitation.hashToken(req.params.token)
+    }).populate('business', 'name industry logo');
+
+    if (!invitation || !invitation.isPending()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        business: {
+          name: invitation.business.name,
+          industry: invitation.business.industry,
+          logo: invitation.business.logo
+        },
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    logger.error('Get invitation error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Claim a pending invitation within a transaction
+ * @param {String} token - Raw invitation token
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object>} - { invitation, business }, or { error: { status, message } }
+ */
+const claimInvitation = async (token, session) => {
+  // Claim the invitation so it cannot be accepted twice
+  const invitation = await Invitation.findOneAndUpdate(
+    {
+      tokenHash: Invitation.hashToken(token),
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    },
+    { status: 'accepted', acceptedAt: new Date() },
+    { new: true, session }
+  );
+
+  if (!invitation) {
+    return { error: { status: 400, message: 'Invitation is invalid or has expired' } };
+  }
+
+  const business = await Business.findById(invitation.business).session(session);
+
+  if (!business || !business.isActive) {
+    return { error: { status: 403, message: 'This business is no longer active' } };
+  }
+
+  return { invitation, business };
+};
+
+/**
+ * Accept an invitation and create the member's account
+ * People who already have an account accept from that account instead.
+ * @route POST /api/auth/accept-invite/:token
+ * @access Public
+ */
+exports.acceptInvitation = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { firstName, lastName, password, phone } = req.body;
+
+    const { invitation, business, error } = await claimInvitation(req.params.token, session);
+
+    if (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (await User.exists({ email: invitation.email }).session(session)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({
+        success: false,
+        message: 'An account with this email already exists. Log in to accept the invitation.'
+      });
+    }
+
+    const [user] = await User.create(
+      [
+        {
+          firstName,
+          lastName,
+          email: invitation.email,
+          password,
+          phone,
+          business: business._id,
+          // The invitation link proves ownership of the email address
+          isEmailVerified: true,
+          emailVerifiedAt: new Date(),
+          lastLogin: new Date()
+        }
+      ],
+      { session }
+    );
+
+    const [membership] = await Membership.create(
+      [
+        {
+          user: user._id,
+          business: business._id,
+          role: invitation.role,
+          invitedBy: invitation.invitedBy
+        }
+      ],
+      { session }
+    );
+
+    invitation.acceptedBy = user._id;
+    await invitation.save({ session });
+
+    await Business.syncEmployeeCount(business._id, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    user.applyMembership(membership);
+    const { token, refreshToken } = await issueAuthTokens(user, req);
+
+    logger.info(`Invitation accepted by ${user.email} for business: ${business.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted successfully',
+      data: {
+        token,
+        refreshToken,
+        user: user.toPublicProfile(),
+        business: business.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+
+    logger.error('Accept invitation error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A user with this email already exists'
+      });
+    }
+
+    next(error);
+  }
+};
+
+/**
+ * Accept an invitation with an existing account
+ * The new business is added to the user's businesses; switch to it to use it.
+ * @route POST /api/auth/invitations/:token/accept
+ * @access Private
+ */
+exports.acceptInvitationAsUser = async (req, res, next) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { invitation, business, error } = await claimInvitation(req.params.token, session);
+
+    if (error) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (invitation.email !== req.user.email) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    // Re-inviting a deactivated member restores their access with the new role
+    const membership = await Membership.findOneAndUpdate(
+      { user: req.user._id, business: business._id },
+      {
+        $set: { role: invitation.role, isActive: true, invitedBy: invitation.invitedBy },
+        $setOnInsert: { joinedAt: new Date() }
+      },
+      { new: true, upsert: true, session }
+    );
+
+    invitation.acceptedBy = req.user._id;
+    await invitation.save({ session });
+
+    await Business.syncEmployeeCount(business._id, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    membership.business = business;
+
+    logger.info(`Invitation accepted by ${req.user.email} for business: ${business.name}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation accepted. Switch to the business to start using it.',
+      data: {
+        membership: membership.toPublicProfile(req.user.business._id)
+      }
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+
+    logger.error('Accept invitation as user error:', error);
+    next(error);
+  }
+};
+
+/**
+ * List members of the business
+ * @route GET /api/business/members
+ * @access Private (members:read)
+ */
+exports.getMembers = async (req, res, next) => {
+  try {
+    const filter = { business: req.user.business._id };
+    if (req.query.role) {
+      filter.role = req.query.role;
+    }
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    const memberships = await Membership.find(filter)
+      .populate('user')
+      .sort({ joinedAt: 1 });
+
+    const members = memberships.filter(membership => membership.user);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        members: members.map(membership => ({
+          ...toMemberProfile(membership),
+          lastLogin: membership.user.lastLogin,
+          isLocked: membership.user.isLocked(),
+          lockUntil: membership.user.isLocked() ? membership.user.lockUntil : null
+        })),
+        total: members.length
+      }
+    });
+  } catch (error) {
+    logger.error('Get members error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Change a member's role
+ * @route PATCH /api/business/members/:id/role
+ * @access Private (members:write)
+ */
+exports.updateMemberRole = async (req, res, next) => {
+  try {
+    if (req.body.role === 'admin' && req.user.role !== 'owner') {
+      return ownerOnlyAdminResponse(res);
+    }
+
+    const membership = await findManageableMember(req, res);
+    if (!membership) return;
+    const member = membership.user;
+
+    membership.role = req.body.role;
+    await membership.save();
+
+    logger.info(`Role of ${member.email} changed to ${membership.role}`);
+
+    await recordAudit(req, 'member.role-changed', {
+      targetType: 'User',
+      targetId: member._id,
+      metadata: { email: member.email, role: membership.role }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: {
+        member: toMemberProfile(membership)
+      }
+    });
+  } catch (error) {
+    logger.error('Update member role error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Deactivate a member and end their sessions in this business
+ * Their account and other businesses are unaffected.
+ * @route PATCH /api/business/members/:id/deactivate
+ * @access Private (members:write)
+ */
+exports.deactivateMember = async (req, res, next) => {
+  try {
+    const membership = await findManageableMember(req, res);
+    if (!membership) return;
+    const member = membership.user;
+
+    membership.isActive = false;
+    await membership.save();
+    await revokeBusinessSessions(member._id, membership.business, 'membership-ended');
+    await Business.syncEmployeeCount(membership.business);
+
+    logger.info(`Member deactivated: ${member.email}`);
+
+    await recordAudit(req, 'member.deactivated', {
+      targetType: 'User',
+      targetId: member._id,
+      metadata: { email: member.email }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Member deactivated successfully',
+      data: {
+        member: toMemberProfile(membership)
+      }
+    });
+  } catch (error) {
+    logger.error('Deactivate member error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Reactivate a deactivated member
+ * @route PATCH /api/business/members/:id/activate
+ * @access Private (members:write)
+ */
+exports.activateMember = async (req, res, next) => {
+  try {
+    const membership = await findManageableMember(req, res);
+    if (!membership) return;
+    const member = membership.user;
+
+    membership.isActive = true;
+    await membership.save();
+    await Business.syncEmployeeCount(membership.business);
+
+    logger.info(`Member reactivated: ${member.email}`);
+
+    await recordAudit(req, 'member.activated', {
+      targetType: 'User',
+      targetId: member._id,
+      metadata: { email: member.email }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Member activated successfully',
+      data: {
+        member: toMemberProfile(membership)
+      }
+    });
+  } catch (error) {
+    logger.error('Activate member error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Unlock a member locked out by failed login attempts
+ * The lockout covers the whole account, so a business may only lift it for
+ * accounts that belong to no other business. Other members unlock their
+ * account themselves by resetting their password.
+ * @route PATCH /api/business/members/:id/unlock
+ * @access Private (members:write)
+ */
+exports.unlockMember = async (req, res, next) => {
+  try {
+    const membership = await findManageableMember(req, res);
+    if (!membership) return;
+    const member = membership.user;
+
+    if (await Membership.exists({ user: member._id, business: { $ne: membership.business } })) {
+      return res.status(403).json({
+        success: false,
+        message: 'This member also belongs to other businesses. ' +
+          'They can unlock their account by resetting their password.'
+      });
+    }
+
+    await User.resetLoginAttempts(member._id);
+
+    logger.info(`Member unlocked: ${member.email} by ${req.user.email}`);
+
+    await recordAudit(req, 'member.unlocked', {
+      targetType: 'User',
+      targetId: member._id,
+      metadata: { email: member.email }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Member unlocked successfully'
+    });
+  } catch (error) {
+    logger.error('Unlock member error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Force-logout a member from every device signed into this business
+ * @route DELETE /api/business/members/:id/sessions
+ * @access Private (members:write)
+ */
+exports.logoutMember = async (req, res, next) => {
+  try {
+    const membership = await findManageableMember(req, res);
+    if (!membership) return;
+    const member = membership.user;
+
+    const revoked = await revokeBusinessSessions(member._id, membership.business, 'revoked-by-admin');
+
+    logger.info(`${revoked} sessions of ${member.email} revoked by ${req.user.email}`);
+
+    await recordAudit(req, 'member.logged-out', {
+      targetType: 'User',
+      targetId: member._id,
+      metadata: { email: member.email, revokedSessions: revoked }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Member logged out from all devices',
+      data: {
+        revokedSessions: revoked
+      }
+    });
+  } catch (error) {
+    logger.error('Logout member error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Remove a member from the business
+ * The account is deleted as well if this was the only business it belonged to.
+ * @route DELETE /api/business/members/:id
+ * @access Private (members:write)
+ */
+exports.removeMember = async (req, res, next) => {
+  try {
+    const membership = await findManageableMember(req, res);
+    if (!membership) return;
+    const member = membership.user;
+
+    await revokeBusinessSessions(member._id, membership.business, 'membership-ended');
+    await membership.deleteOne();
+    await Business.syncEmployeeCount(membership.business);
+
+    if (!(await Membership.exists({ user: member._id }))) {
+      await member.deleteOne();
+    }
+
+    logger.info(`Member removed: ${member.email}`);
+
+    await recordAudit(req, 'member.removed', {
+      targetType: 'User',
+      targetId: member._id,
+      metadata: { email: member.email }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+  } catch (error) {
+    logger.error('Remove member error:', error);
+    next(error);
+  }
+};
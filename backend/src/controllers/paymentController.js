@@ -0,0 +1,503 @@
+/**
+ * Payment Controller
+ * Handles customer payments, their allocation to invoices, customer credit and refunds
+ */
+
+const mongoose = require('mongoose');
+const Business = require('../models/Business');
+const Invoice = require('../models/Invoice');
+const Customer = require('../models/Customer');
+const Payment = require('../models/Payment');
+const Counter = require('../models/Counter');
+const { OUTSTANDING_INVOICE_STATUSES } = require('../config/invoices');
+const { PAYMENT_METHODS, PAYMENT_NUMBER_PREFIX, PAYMENT_NUMBER_DIGITS } = require('../config/payments');
+const { roundMoney, formatMoney } = require('../utils/money');
+const { paginatedResponse } = require('../utils/apiResponse');
+const { recordAudit } = require('../utils/audit');
+const { parsePagination } = require('../utils/query');
+const logger = require('../utils/logger');
+
+/**
+ * Create an error that the error handler sends with the given status
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error}
+ */
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Find a payment of the current business
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - Payment document, or null if a response was sent
+ */
+const findPayment = async (req, res) => {
+  const payment = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Payment.findOne({ _id: req.params.id, business: req.user.business._id })
+    : null;
+
+  if (!payment) {
+    res.status(404).json({
+      success: false,
+      message: 'Payment not found'
+    });
+    return null;
+  }
+
+  return payment;
+};
+
+/**
+ * Format a payment number, e.g. PMT-000042
+ * @param {Number} seq - Sequence number
+ * @returns {String}
+ */
+const formatPaymentNumber = (seq) => `${PAYMENT_NUMBER_PREFIX}-${String(seq).padStart(PAYMENT_NUMBER_DIGITS, '0')}`;
+
+/**
+ * Work out how a payment is split across invoices
+ * Requested allocations are checked against the invoices; without them the
+ * payment pays the customer's oldest invoices first.
+ * @param {String} businessId - Business ID
+ * @param {Object} customer - Customer document, or null
+ * @param {Number} amount - Payment amount
+ * @param {Array} requested - Allocations from the request, or undefined
+ * @returns {Promise<Object>} - { allocations, customerId, errors }
+ */
+const planAllocations = async (businessId, customer, amount, requested) => {
+  if (!requested) {
+    const invoices = await Invoice.find({
+      business: businessId,
+      customerId: customer._id,
+      status: { $in: OUTSTANDING_INVOICE_STATUSES }
+    }).sort({ dueDate: 1, issueDate: 1, _id: 1 });
+
+    const allocations = [];
+    let remaining = amount;
+    for (const invoice of invoices) {
+      if (remaining <= 0) break;
+      const allocated = roundMoney(Math.min(remaining, invoice.balanceDue));
+      if (allocated <= 0) continue;
+      allocations.push({ invoice: invoice._id, invoiceNumber: invoice.invoiceNumber, amount: allocated });
+      remaining = roundMoney(remaining - allocated);
+    }
+
+    return { allocations, customerId: customer._id, errors: [] };
+  }
+
+  const invoiceIds = requested.map(allocation => String(allocation.invoice));
+  const invoices = await Invoice.find({ _id: { $in: invoiceIds }, business: businessId });
+  const invoiceMap = new Map(invoices.map(invoice => [invoice._id.toString(), invoice]));
+
+  const errors = [];
+  let customerId = customer ? customer._id : null;
+  const allocations = requested.map((allocation, index) => {
+    const invoice = invoiceMap.get(String(allocation.invoice));
+    const allocated = roundMoney(allocation.amount);
+
+    if (!invoice) {
+      errors.push(`Allocation ${index + 1}: invoice not found`);
+    } else if (invoiceIds.indexOf(String(allocation.invoice)) !== index) {
+      errors.push(`Allocation ${index + 1}: ${invoice.invoiceNumber} is listed more than once`);
+    } else if (!OUTSTANDING_INVOICE_STATUSES.includes(invoice.status)) {
+      errors.push(`Allocation ${index + 1}: ${invoice.invoiceNumber || 'this invoice'} is ${invoice.status.replace('-', ' ')}`);
+    } else if (customerId && invoice.customerId && !invoice.customerId.equals(customerId)) {
+      errors.push(`Allocation ${index + 1}: ${invoice.invoiceNumber} belongs to a different customer`);
+    } else if (allocated > invoice.balanceDue) {
+      errors.push(
+        `Allocation ${index + 1}: only ${formatMoney(invoice.balanceDue, invoice.currency)} is due on ${invoice.invoiceNumber}`
+      );
+    } else {
+      customerId = customerId || invoice.customerId || null;
+    }
+
+    return { invoice: invoice?._id, invoiceNumber: invoice?.invoiceNumber, amount: allocated };
+  });
+
+  const allocatedTotal = roundMoney(allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+  if (allocatedTotal > amount) {
+    errors.push('Allocations cannot add up to more than the payment amount');
+  }
+
+  return { allocations, customerId, errors };
+};
+
+/**
+ * Take an amount off an invoice's balance, or put it back with a negative amount
+ * The update only applies while the invoice still has that much due (or paid),
+ * so concurrent payments cannot overpay it.
+ * @param {Object} allocation - { invoice, invoiceNumber, amount }
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<Object>} - Updated invoice document
+ */
+const applyToInvoice = async (allocation, session) => {
+  const guard = allocation.amount > 0
+    ? {
+      status: { $in: OUTSTANDING_INVOICE_STATUSES },
+      $expr: { $gte: [{ $round: [{ $subtract: ['$total', '$amountPaid'] }, 2] }, allocation.amount] }
+    }
+    : { $expr: { $gte: [{ $round: ['$amountPaid', 2] }, -allocation.amount] } };
+
+  const invoice = await Invoice.findOneAndUpdate(
+    { _id: allocation.invoice, ...guard },
+    { $inc: { amountPaid: allocation.amount } },
+    { new: true, session }
+  );
+  if (!invoice) {
+    throw requestError(`${allocation.invoiceNumber} changed while the payment was being recorded. Please try again.`, 409);
+  }
+
+  invoice.amountPaid = roundMoney(invoice.amountPaid);
+  invoice.refreshStatus();
+  await invoice.save({ session });
+
+  return invoice;
+};
+
+/**
+ * Change a customer's credit balance
+ * Credit is only taken while the customer has enough of it.
+ * @param {String} customerId - Customer ID
+ * @param {Number} change - Amount to add, or a negative amount to take
+ * @param {Object} session - Mongoose session
+ */
+const changeCredit = async (customerId, change, session) => {
+  if (change === 0) return;
+
+  const filter = { _id: customerId };
+  if (change < 0) {
+    filter.creditBalance = { $gte: -change };
+  }
+
+  // Round as part of the update so repeated changes do not drift
+  const customer = await Customer.findOneAndUpdate(
+    filter,
+    [{ $set: { creditBalance: { $round: [{ $add: [{ $ifNull: ['$creditBalance', 0] }, change] }, 2] } } }],
+    { new: true, session }
+  );
+  if (!customer) {
+    throw requestError('The customer does not have enough credit');
+  }
+};
+
+/**
+ * List payments, newest first
+ * Supports ?page, ?limit, ?customerId, ?invoice, ?method, ?from and ?to (payment date).
+ * @route GET /api/payments
+ * @access Private (payments:read)
+ */
+exports.getPayments = async (req, res, next) => {
+  try {
+    const { page, limit } = parsePagination(req.query);
+
+    const filter = { business: req.user.business._id };
+    if (mongoose.Types.ObjectId.isValid(req.query.customerId)) {
+      filter.customerId = req.query.customerId;
+    }
+    if (mongoose.Types.ObjectId.isValid(req.query.invoice)) {
+      filter['allocations.invoice'] = req.query.invoice;
+    }
+    if (PAYMENT_METHODS.includes(req.query.method)) {
+      filter.method = req.query.method;
+    }
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if (from && !isNaN(from)) {
+      filter.date = { ...filter.date, $gte: from };
+    }
+    if (to && !isNaN(to)) {
+      filter.date = { ...filter.date, $lte: to };
+    }
+
+    const [payments, total] = await Promise.all([
+      Payment.find(filter)
+        .sort({ date: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Payment.countDocuments(filter)
+    ]);
+
+    paginatedResponse(
+      res,
+      200,
+      'Payments retrieved successfully',
+      payments.map(payment => payment.toPublicProfile()),
+      { page, limit, total }
+    );
+  } catch (error) {
+    logger.error('Get payments error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a single payment
+ * @route GET /api/payments/:id
+ * @access Private (payments:read)
+ */
+exports.getPayment = async (req, res, next) => {
+  try {
+    const payment = await findPayment(req, res);
+    if (!payment) return;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        payment: payment.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Get payment error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Record a payment
+ * The payment is split across the invoices in allocations, or across the
+ * customer's oldest unpaid invoices when allocations are not given. Whatever
+ * is left over is kept as credit on the customer's account. Payments made
+ * with method 'credit' spend that credit instead of new money.
+ * @route POST /api/payments
+ * @access Private (payments:write)
+ */
+exports.createPayment = async (req, res, next) => {
+  try {
+    const business = await Business.findById(req.user.business._id).select('name currency');
+    const amount = roundMoney(req.body.amount);
+
+    let customer = null;
+    if (req.body.customerId) {
+      customer = await Customer.findOne({ _id: req.body.customerId, business: business._id, isActive: true });
+      if (!customer) {
+        return res.status(400).json({
+          success: false,
+          message: 'Customer not found'
+        });
+      }
+    }
+
+    if (!customer && !req.body.allocations) {
+      return res.status(400).json({
+        success: false,
+        message: 'A payment needs a customer or the invoices it pays'
+      });
+    }
+
+    const { allocations, customerId, errors } = await planAllocations(
+      business._id,
+      customer,
+      amount,
+      req.body.allocations
+    );
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment could not be allocated',
+        errors
+      });
+    }
+
+    const creditAmount = roundMoney(amount - allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+    const method = req.body.method;
+
+    if (creditAmount > 0 && method === 'credit') {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${formatMoney(amount - creditAmount, business.currency)} of credit can be applied to these invoices`
+      });
+    }
+    if (creditAmount > 0 && !customerId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Overpayments can only be kept as credit for a customer record'
+      });
+    }
+    if (method === 'credit' && !customerId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Credit can only be applied for a customer record'
+      });
+    }
+
+    const payment = new Payment({
+      business: business._id,
+      customerId,
+      date: req.body.date ? new Date(req.body.date) : new Date(),
+      method,
+      amount,
+      currency: business.currency,
+      reference: req.body.reference,
+      notes: req.body.notes,
+      allocations,
+      creditAmount,
+      createdBy: req.user._id
+    });
+
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+
+      const seq = await Counter.next(business._id, 'payment', session);
+      payment.paymentNumber = formatPaymentNumber(seq);
+
+      for (const allocation of allocations) {
+        await applyToInvoice(allocation, session);
+      }
+      await changeCredit(customerId, method === 'credit' ? -amount : creditAmount, session);
+
+      await payment.save({ session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    logger.info(`Payment ${payment.paymentNumber} recorded for business: ${business.name}`);
+
+    await recordAudit(req, 'payment.created', {
+      targetType: 'Payment',
+      targetId: payment._id,
+      metadata: { paymentNumber: payment.paymentNumber, amount, creditAmount }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: creditAmount > 0
+        ? `Payment recorded. ${formatMoney(creditAmount, business.currency)} was kept as customer credit.`
+        : 'Payment recorded successfully',
+      data: {
+        payment: payment.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Create payment error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Refund all or part of a payment
+ * Credit the payment left on the customer's account is refunded first, then
+ * the most recent allocations are taken back off their invoices, which become
+ * due again. Refunds of 'credit' payments go back to the customer's credit.
+ * @route POST /api/payments/:id/refund
+ * @access Private (payments:write)
+ */
+exports.refundPayment = async (req, res, next) => {
+  try {
+    const payment = await findPayment(req, res);
+    if (!payment) return;
+
+    const amount = roundMoney(req.body.amount ?? payment.refundableAmount);
+    if (payment.refundableAmount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This payment has already been refunded in full'
+      });
+    }
+    if (amount > payment.refundableAmount) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${formatMoney(payment.refundableAmount, payment.currency)} of this payment can be refunded`
+      });
+    }
+
+    let remaining = amount;
+
+    // Unspent credit from this payment, as far as the customer still has it
+    let fromCredit = 0;
+    if (payment.creditAmount > 0) {
+      const customer = await Customer.findById(payment.customerId).select('creditBalance');
+      const creditRefunded = payment.refunds.reduce((sum, refund) => sum + refund.fromCredit, 0);
+      fromCredit = roundMoney(Math.min(remaining, payment.creditAmount - creditRefunded, customer?.creditBalance || 0));
+      remaining = roundMoney(remaining - fromCredit);
+    }
+
+    const reversed = [];
+    for (const allocation of [...payment.allocations].reverse()) {
+      if (remaining <= 0) break;
+      const taken = roundMoney(Math.min(remaining, allocation.amount - allocation.refunded));
+      if (taken <= 0) continue;
+      reversed.push({ allocation, taken });
+      remaining = roundMoney(remaining - taken);
+    }
+
+    if (remaining > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${formatMoney(amount - remaining, payment.currency)} can be refunded: ` +
+          'the rest of this payment\'s credit has already been used'
+      });
+    }
+
+    const refund = {
+      amount,
+      fromCredit,
+      allocations: reversed.map(({ allocation, taken }) => ({
+        invoice: allocation.invoice,
+        invoiceNumber: allocation.invoiceNumber,
+        amount: taken
+      })),
+      reason: req.body.reason,
+      refundedAt: new Date(),
+      refundedBy: req.user._id
+    };
+
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+
+      for (const { allocation, taken } of reversed) {
+        await applyToInvoice({ ...allocation.toObject(), amount: -taken }, session);
+        allocation.refunded = roundMoney(allocation.refunded + taken);
+      }
+
+      const returnedToCredit = payment.method === 'credit' ? roundMoney(amount - fromCredit) : 0;
+      await changeCredit(payment.customerId, roundMoney(returnedToCredit - fromCredit), session);
+
+      payment.refunds.push(refund);
+      payment.refundedAmount = roundMoney(payment.refundedAmount + amount);
+      await payment.save({ session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+
+      if (error.name === 'VersionError') {
+        throw requestError('This payment changed while the refund was being recorded. Please try again.', 409);
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    logger.info(`Payment ${payment.paymentNumber} refunded ${amount} for business: ${req.user.business.name}`);
+
+    await recordAudit(req, 'payment.refunded', {
+      targetType: 'Payment',
+      targetId: payment._id,
+      metadata: { paymentNumber: payment.paymentNumber, amount, reason: refund.reason }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: payment.method === 'credit'
+        ? 'Payment reversed. The amount was returned to the customer\'s credit.'
+        : 'Payment refunded successfully',
+      data: {
+        payment: payment.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Refund payment error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,191 @@
+/**
+ * Permission Controller
+ * Handles viewing and customising role permissions for a business
+ */
+
+const Business = require('../models/Business');
+const {
+  PERMISSIONS,
+  OWNER_ONLY_PERMISSIONS,
+  CONFIGURABLE_ROLES,
+  DEFAULT_ROLE_PERMISSIONS
+} = require('../config/permissions');
+const { getRolePermissions, isCustomized } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+/**
+ * Build the permission matrix for a business
+ * @param {Object} business - Business document
+ * @returns {Object} - Role to permission details
+ */
+const buildRoleMatrix = (business) => {
+  const roles = {
+    owner: {
+      permissions: getRolePermissions(business, 'owner'),
+      isCustomized: false,
+      isEditable: false
+    }
+  };
+
+  for (const role of CONFIGURABLE_ROLES) {
+    roles[role] = {
+      permissions: getRolePermissions(business, role),
+      defaults: DEFAULT_ROLE_PERMISSIONS[role],
+      isCustomized: isCustomized(business, role),
+      isEditable: true
+    };
+  }
+
+  return roles;
+};
+
+/**
+ * Get the permission matrix
+ * @route GET /api/business/permissions
+ * @access Private (permissions:read)
+ */
+exports.getPermissions = async (req, res, next) => {
+  try {
+    const business = await Business.findById(req.user.business._id);
+
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({
+          name,
+          description,
+          ownerOnly: OWNER_ONLY_PERMISSIONS.includes(name)
+        })),
+        roles: buildRoleMatrix(business)
+      }
+    });
+  } catch (error) {
+    logger.error('Get permissions error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Replace the permissions granted to a role
+ * @route PUT /api/business/permissions/:role
+ * @access Private (permissions:write)
+ */
+exports.updateRolePermissions = async (req, res, next) => {
+  try {
+    const { role } = req.params;
+    const { permissions } = req.body;
+
+    if (!CONFIGURABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Permissions can only be customised for: ${CONFIGURABLE_ROLES.join(', ')}`
+      });
+    }
+
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permissions: ${unknown.join(', ')}`
+      });
+    }
+
+    const ownerOnly = permissions.filter(permission => OWNER_ONLY_PERMISSIONS.includes(permission));
+    if (ownerOnly.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `These permissions are reserved for the owner: ${ownerOnly.join(', ')}`
+      });
+    }
+
+    const business = await Business.findByIdAndUpdate(
+      req.user.business._id,
+      { $set: { [`rolePermissions.${role}`]: [...new Set(permissions)] } },
+      { new: true }
+    );
+
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business not found'
+      });
+    }
+
+    logger.info(`Permissions for role '${role}' updated for business: ${business.name}`);
+
+    await recordAudit(req, 'permissions.updated', {
+      targetType: 'Business',
+      targetId: business._id,
+      metadata: { role, permissions: business.rolePermissions[role] }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role permissions updated successfully',
+      data: {
+        roles: buildRoleMatrix(business)
+      }
+    });
+  } catch (error) {
+    logger.error('Update role permissions error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Reset a role to its default permissions
+ * @route DELETE /api/business/permissions/:role
+ * @access Private (permissions:write)
+ */
+exports.resetRolePermissions = async (req, res, next) => {
+  try {
+    const { role } = req.params;
+
+    if (!CONFIGURABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Permissions can only be customised for: ${CONFIGURABLE_ROLES.join(', ')}`
+      });
+    }
+
+    const business = await Business.findByIdAndUpdate(
+      req.user.business._id,
+      { $unset: { [`rolePermissions.${role}`]: 1 } },
+      { new: true }
+    );
+
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business not found'
+      });
+    }
+
+    logger.info(`Permissions for role '${role}' reset for business: ${business.name}`);
+
+    await recordAudit(req, 'permissions.reset', {
+      targetType: 'Business',
+      targetId: business._id,
+      metadata: { role }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Role permissions reset to defaults',
+      data: {
+        roles: buildRoleMatrix(business)
+      }
+    });
+  } catch (error) {
+    logger.error('Reset role permissions error:', error);
+    next(error);
+  }
+};
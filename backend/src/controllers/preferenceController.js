@@ -0,0 +1,538 @@
+/**
+ * Preference Controller
+ * Handles single items of the preference lists: categories, units, product
+ * types and expense categories
+ *
+ * Each change is one atomic update of the business document, so people
+ * editing different items at the same time do not overwrite each other.
+ * Every change moves the preferences to a new version, and so a new ETag.
+ *
+ * Categories form a tree through their parent field: they are moved by
+ * updating the parent, and deleting one either moves its subcategories up
+ * or deletes them too.
+ */
+
+const mongoose = require('mongoose');
+const Business = require('../models/Business');
+const { PREFERENCE_SECTIONS } = require('../config/preferences');
+const {
+  findPreferenceItem,
+  findPreferenceReferences,
+  describeReferences,
+  findCategoryDescendants,
+  preferenceItemDefaults
+} = require('../utils/preferences');
+const { resourceVersion, versionFilter, versionIncrement } = require('../utils/etag');
+const { recordAudit } = require('../utils/audit');
+const { escapeRegex } = require('../utils/query');
+const logger = require('../utils/logger');
+
+// What deleting a category does with its subcategories
+const CHILDREN_ON_DELETE = ['move', 'delete'];
+
+/**
+ * Get the preference list named in the route
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} - { section, spec }, or null if a response was sent
+ */
+const findSection = (req, res) => {
+  const section = req.params.section;
+
+  if (!Object.hasOwn(PREFERENCE_SECTIONS, section)) {
+    res.status(404).json({
+      success: false,
+      message: 'Preference list not found'
+    });
+    return null;
+  }
+
+  return { section, spec: PREFERENCE_SECTIONS[section] };
+};
+
+/**
+ * Take the editable fields of a list item from the request body
+ * @param {Object} spec - Entry of PREFERENCE_SECTIONS
+ * @param {Object} body - Request body
+ * @returns {Object}
+ */
+const pickItemFields = (spec, body) => {
+  const fields = {};
+
+  for (const field of Object.keys(spec.fields)) {
+    if (body[field] === undefined) continue;
+
+    let value = body[field];
+    if (typeof value === 'string') {
+      value = value.trim();
+    }
+    if (field === 'abbreviation') {
+      value = value.toUpperCase();
+    }
+    fields[field] = value;
+  }
+
+  return fields;
+};
+
+/**
+ * Query that only matches while no other item in the list has the value
+ * @param {String} section - Preference list
+ * @param {Object} spec - Entry of PREFERENCE_SECTIONS
+ * @param {String} value - Value of the unique field
+ * @param {String} exceptId - Item allowed to have the value (optional)
+ * @returns {Object}
+ */
+const uniqueValueFilter = (section, spec, value, exceptId = null) => {
+  const match = { [spec.uniqueField]: new RegExp(`^${escapeRegex(value)}$`, 'i') };
+  if (exceptId) {
+    match._id = { $ne: new mongoose.Types.ObjectId(String(exceptId)) };
+  }
+
+  return { [`preferences.${section}`]: { $not: { $elemMatch: match } } };
+};
+
+/**
+ * Send the response for a duplicate name or abbreviation
+ * @param {Object} res - Express response object
+ * @param {Object} spec - Entry of PREFERENCE_SECTIONS
+ * @param {String} value - Duplicated value
+ */
+const duplicateResponse = (res, spec, value) => {
+  return res.status(400).json({
+    success: false,
+    message: `${spec.label} with ${spec.uniqueField} "${value}" already exists`
+  });
+};
+
+/**
+ * Load a preference list item of the current business
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {String} section - Preference list
+ * @param {Object} spec - Entry of PREFERENCE_SECTIONS
+ * @returns {Promise<Object|null>} - { business, item }, or null if a response was sent
+ */
+const findItem = async (req, res, section, spec) => {
+  const business = await Business.findById(req.user.business._id).select(`name versions preferences.${section}`);
+  const item = business ? findPreferenceItem(business, section, req.params.itemId) : null;
+
+  if (!item) {
+    res.status(404).json({
+      success: false,
+      message: `${spec.label} not found`
+    });
+    return null;
+  }
+
+  return { business, item };
+};
+
+/**
+ * Reload one item of a preference list
+ * @param {String} businessId - Business ID
+ * @param {String} section - Preference list
+ * @param {String} itemId - Item ID
+ * @returns {Promise<Object|null>}
+ */
+const reloadItem = async (businessId, section, itemId) => {
+  const business = await Business.findById(businessId).select(`preferences.${section}`);
+  return business ? findPreferenceItem(business, section, itemId) : null;
+};
+
+/**
+ * Send the response for a parent that does not exist
+ * @param {Object} res - Express response object
+ */
+const parentNotFoundResponse = (res) => {
+  return res.status(400).json({
+    success: false,
+    message: 'Parent category not found'
+  });
+};
+
+/**
+ * Add an item to a preference list
+ * Categories may name a parent category to be added as its subcategory.
+ * @route POST /api/business/preferences/:section
+ * @access Private (preferences:write)
+ */
+exports.addPreferenceItem = async (req, res, next) => {
+  try {
+    const found = findSection(req, res);
+    if (!found) return;
+    const { section, spec } = found;
+
+    const item = {
+      _id: new mongoose.Types.ObjectId(),
+      ...preferenceItemDefaults(section),
+      ...pickItemFields(spec, req.body),
+      createdAt: new Date()
+    };
+
+    const filter = { _id: req.user.business._id, ...uniqueValueFilter(section, spec, item[spec.uniqueField]) };
+    if (item.parent) {
+      filter['preferences.categories._id'] = item.parent;
+    }
+
+    const result = await Business.updateOne(
+      filter,
+      { $push: { [`preferences.${section}`]: item }, $inc: versionIncrement('preferences') },
+      { runValidators: true }
+    );
+    if (result.matchedCount === 0) {
+      if (item.parent && !(await reloadItem(req.user.business._id, section, item.parent))) {
+        return parentNotFoundResponse(res);
+      }
+      return duplicateResponse(res, spec, item[spec.uniqueField]);
+    }
+
+    logger.info(`${spec.label} "${item.name}" added for business: ${req.user.business.name}`);
+
+    await recordAudit(req, 'business.preference-item-added', {
+      targetType: 'Business',
+      targetId: req.user.business._id,
+      metadata: { section, itemId: item._id, name: item.name }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${spec.label} added successfully`,
+      data: {
+        item: await reloadItem(req.user.business._id, section, item._id)
+      }
+    });
+  } catch (error) {
+    logger.error('Add preference item error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update an item of a preference list
+ * Only the supplied fields are changed. Categories are moved by changing
+ * their parent, or made top-level with a null parent; a category cannot be
+ * moved under itself or one of its subcategories.
+ * @route PATCH /api/business/preferences/:section/:itemId
+ * @access Private (preferences:write)
+ */
+exports.updatePreferenceItem = async (req, res, next) => {
+  try {
+    const found = findSection(req, res);
+    if (!found) return;
+    const { section, spec } = found;
+
+    const current = await findItem(req, res, section, spec);
+    if (!current) return;
+
+    const fields = pickItemFields(spec, req.body);
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No fields to update'
+      });
+    }
+
+    const itemId = current.item._id;
+    const filter = { _id: current.business._id, [`preferences.${section}._id`]: itemId };
+    const uniqueValue = fields[spec.uniqueField];
+    if (uniqueValue !== undefined) {
+      Object.assign(filter, uniqueValueFilter(section, spec, uniqueValue, itemId));
+    }
+
+    // Moving under another category: the check below holds only for the tree as loaded
+    const moving = Boolean(fields.parent);
+    if (moving) {
+      const categories = current.business.preferences.categories;
+      if (!findPreferenceItem(current.business, section, fields.parent)) {
+        return parentNotFoundResponse(res);
+      }
+      if (itemId.equals(fields.parent) || findCategoryDescendants(categories, itemId).has(String(fields.parent))) {
+        return res.status(400).json({
+          success: false,
+          message: 'A category cannot be moved under itself or one of its subcategories'
+        });
+      }
+      Object.assign(filter, versionFilter('preferences', resourceVersion(current.business, 'preferences')));
+    }
+
+    const result = await Business.updateOne(
+      filter,
+      {
+        $set: Object.fromEntries(
+          Object.entries(fields).map(([field, value]) => [`preferences.${section}.$[item].${field}`, value])
+        ),
+        $inc: versionIncrement('preferences')
+      },
+      { arrayFilters: [{ 'item._id': itemId }], runValidators: true }
+    );
+
+    if (result.matchedCount === 0) {
+      const stillExists = await reloadItem(current.business._id, section, itemId);
+      if (!stillExists) {
+        return res.status(404).json({
+          success: false,
+          message: `${spec.label} not found`
+        });
+      }
+
+      const latest = moving ? await Business.findById(current.business._id).select('versions') : null;
+      if (latest && resourceVersion(latest, 'preferences') !== resourceVersion(current.business, 'preferences')) {
+        return res.status(409).json({
+          success: false,
+          message: 'Categories changed while moving the category. Reload them and try again.'
+        });
+      }
+      return duplicateResponse(res, spec, uniqueValue);
+    }
+
+    const item = await reloadItem(current.business._id, section, itemId);
+
+    logger.info(`${spec.label} "${item.name}" updated for business: ${current.business.name}`);
+
+    await recordAudit(req, 'business.preference-item-updated', {
+      targetType: 'Business',
+      targetId: current.business._id,
+      metadata: { section, itemId, fields: Object.keys(fields) }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${spec.label} updated successfully`,
+      data: {
+        item
+      }
+    });
+  } catch (error) {
+    logger.error('Update preference item error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Remove categories and move the subcategories left behind up a level
+ * Subcategories take the parent the deleted category has at the time of the
+ * update, so categories added or moved meanwhile are not left detached.
+ * @param {Object} businessId - Business ID
+ * @param {Object} categoryId - ID of the category being deleted
+ * @param {Array} removedIds - IDs of the categories to remove, including categoryId
+ * @returns {Promise<Boolean>} - Whether the category was still there to delete
+ */
+const removeCategories = async (businessId, categoryId, removedIds) => {
+  const listPath = '$preferences.categories';
+
+  const result = await Business.updateOne(
+    { _id: businessId, 'preferences.categories._id': categoryId },
+    [
+      {
+        $set: {
+          'preferences.categories': {
+            $let: {
+              vars: {
+                removed: {
+                  $arrayElemAt: [{ $filter: { input: listPath, cond: { $eq: ['$$this._id', categoryId] } } }, 0]
+                }
+              },
+              in: {
+                $map: {
+                  input: { $filter: { input: listPath, cond: { $not: [{ $in: ['$$this._id', removedIds] }] } } },
+                  as: 'category',
+                  in: {
+                    $cond: [
+                      { $in: [{ $ifNull: ['$$category.parent', null] }, removedIds] },
+                      { $mergeObjects: ['$$category', { parent: { $ifNull: ['$$removed.parent', null] } }] },
+                      '$$category'
+                    ]
+                  }
+                }
+              }
+            }
+          },
+          'versions.preferences': { $add: [{ $ifNull: ['$versions.preferences', 0] }, 1] }
+        }
+      }
+    ]
+  );
+
+  return result.matchedCount > 0;
+};
+
+/**
+ * Delete an item of a preference list
+ * Items that records still refer to cannot be deleted; deactivate them instead.
+ * Subcategories of a deleted category move up to its parent, or with
+ * ?children=delete are deleted with it, unless records refer to any of them.
+ * @route DELETE /api/business/preferences/:section/:itemId?children=move|delete
+ * @access Private (preferences:write)
+ */
+exports.deletePreferenceItem = async (req, res, next) => {
+  try {
+    const found = findSection(req, res);
+    if (!found) return;
+    const { section, spec } = found;
+
+    const children = req.query.children || 'move';
+    if (!CHILDREN_ON_DELETE.includes(children)) {
+      return res.status(400).json({
+        success: false,
+        message: `Children must be one of: ${CHILDREN_ON_DELETE.join(', ')}`
+      });
+    }
+
+    const current = await findItem(req, res, section, spec);
+    if (!current) return;
+    const { business, item } = current;
+
+    const removed = [item];
+    if (section === 'categories' && children === 'delete') {
+      const descendants = findCategoryDescendants(business.preferences.categories, item._id);
+      removed.push(...business.preferences.categories.filter(category => descendants.has(category._id.toString())));
+    }
+
+    const references = await findPreferenceReferences(business._id, section, removed.map(entry => entry._id));
+    if (references.size === 1 && references.has(item._id.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: `${item.name} is used by ${describeReferences(references.get(item._id.toString()))} ` +
+          'and cannot be deleted. Deactivate it instead.'
+      });
+    }
+    if (references.size > 0) {
+      const inUse = removed
+        .filter(entry => references.has(entry._id.toString()))
+        .map(entry => `${entry.name} (${describeReferences(references.get(entry._id.toString()))})`);
+
+      return res.status(400).json({
+        success: false,
+        message: `Categories still in use cannot be deleted. Deactivate them instead: ${inUse.join(', ')}`
+      });
+    }
+
+    if (section === 'categories') {
+      const deleted = await removeCategories(business._id, item._id, removed.map(entry => entry._id));
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: `${spec.label} not found`
+        });
+      }
+    } else {
+      await Business.updateOne(
+        { _id: business._id },
+        { $pull: { [`preferences.${section}`]: { _id: item._id } }, $inc: versionIncrement('preferences') }
+      );
+    }
+
+    logger.info(`${spec.label} "${item.name}" deleted for business: ${business.name}`);
+
+    await recordAudit(req, 'business.preference-item-deleted', {
+      targetType: 'Business',
+      targetId: business._id,
+      metadata: {
+        section,
+        itemId: item._id,
+        name: item.name,
+        ...(removed.length > 1 && { subcategories: removed.slice(1).map(entry => entry.name) })
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${spec.label} deleted successfully`,
+      data: {
+        deletedIds: removed.map(entry => entry._id)
+      }
+    });
+  } catch (error) {
+    logger.error('Delete preference item error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Reorder a preference list
+ * The order must list every item of the list exactly once. The list is
+ * reordered in place, so changes made to items meanwhile are kept; items
+ * added or deleted meanwhile make the request fail with 409.
+ * @route PUT /api/business/preferences/:section/order
+ * @access Private (preferences:write)
+ */
+exports.reorderPreferenceItems = async (req, res, next) => {
+  try {
+    const found = findSection(req, res);
+    if (!found) return;
+    const { section, spec } = found;
+
+    const business = await Business.findById(req.user.business._id).select(`name preferences.${section}`);
+    const currentIds = business.preferences[section].map(item => item._id.toString());
+    const order = req.body.order.map(String);
+
+    const sameItems = order.length === currentIds.length &&
+      new Set(order).size === order.length &&
+      order.every(id => currentIds.includes(id));
+    if (!sameItems) {
+      return res.status(400).json({
+        success: false,
+        message: `The order must list every ${spec.label.toLowerCase()} exactly once`
+      });
+    }
+
+    const listPath = `$preferences.${section}`;
+    const orderIds = order.map(id => new mongoose.Types.ObjectId(id));
+    const result = await Business.updateOne(
+      {
+        _id: business._id,
+        $expr: {
+          $and: [
+            { $eq: [{ $size: listPath }, orderIds.length] },
+            { $setEquals: [`${listPath}._id`, orderIds] }
+          ]
+        }
+      },
+      [
+        {
+          $set: {
+            [`preferences.${section}`]: {
+              $map: {
+                input: orderIds,
+                as: 'id',
+                in: {
+                  $arrayElemAt: [{ $filter: { input: listPath, cond: { $eq: ['$$this._id', '$$id'] } } }, 0]
+                }
+              }
+            },
+            'versions.preferences': { $add: [{ $ifNull: ['$versions.preferences', 0] }, 1] }
+          }
+        }
+      ]
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Items were added or removed while reordering. Reload the list and try again.'
+      });
+    }
+
+    const updated = await Business.findById(business._id).select(`preferences.${section}`);
+
+    logger.info(`${spec.label} list reordered for business: ${business.name}`);
+
+    await recordAudit(req, 'business.preference-items-reordered', {
+      targetType: 'Business',
+      targetId: business._id,
+      metadata: { section }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Order saved successfully',
+      data: {
+        items: updated.preferences[section]
+      }
+    });
+  } catch (error) {
+    logger.error('Reorder preference items error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,172 @@
+/**
+ * Preference Template Controller
+ * Lists the industry preference templates and previews or applies one to the
+ * current business
+ */
+
+const Business = require('../models/Business');
+const { PREFERENCE_SECTIONS } = require('../config/preferences');
+const { PREFERENCE_TEMPLATES } = require('../config/preferenceTemplates');
+const { templateForIndustry, planTemplate } = require('../utils/preferences');
+const { resourceTag, guardVersion } = require('../utils/etag');
+const { recordAudit } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+/**
+ * Get the template named in the route
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {String|null} - Template key, or null if a response was sent
+ */
+const findTemplate = (req, res) => {
+  const key = req.params.template;
+
+  if (!Object.hasOwn(PREFERENCE_TEMPLATES, key)) {
+    res.status(404).json({
+      success: false,
+      message: 'Preference template not found'
+    });
+    return null;
+  }
+
+  return key;
+};
+
+/**
+ * Load the current business and work out the changes a template makes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - { business, template, mode, sections, plan },
+ *   or null if a response was sent
+ */
+const planRequest = async (req, res) => {
+  const template = findTemplate(req, res);
+  if (!template) return null;
+
+  const business = await Business.findById(req.user.business._id);
+  if (!business) {
+    res.status(404).json({
+      success: false,
+      message: 'Business not found'
+    });
+    return null;
+  }
+
+  const mode = req.body.mode || 'merge';
+  const sections = req.body.sections ? [...new Set(req.body.sections)] : Object.keys(PREFERENCE_SECTIONS);
+  const plan = await planTemplate(business, template, mode, sections);
+
+  return { business, template, mode, sections, plan };
+};
+
+/**
+ * List the preference templates
+ * @route GET /api/business/preference-templates
+ * @access Private (preferences:read)
+ */
+exports.getPreferenceTemplates = async (req, res, next) => {
+  try {
+    const recommended = templateForIndustry(req.user.business.industry);
+
+    const templates = Object.entries(PREFERENCE_TEMPLATES).map(([key, template]) => ({
+      key,
+      label: template.label,
+      description: template.description,
+      recommended: key === recommended,
+      counts: Object.fromEntries(
+        Object.entries(template.preferences).map(([section, items]) => [section, items.length])
+      )
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        templates
+      }
+    });
+  } catch (error) {
+    logger.error('Get preference templates error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Preview a preference template without changing anything
+ * Body: { mode: 'merge' | 'replace', sections: [...] }, both optional.
+ * @route POST /api/business/preference-templates/:template/preview
+ * @access Private (preferences:read)
+ */
+exports.previewPreferenceTemplate = async (req, res, next) => {
+  try {
+    const planned = await planRequest(req, res);
+    if (!planned) return;
+    const { template, mode, plan } = planned;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        template,
+        mode,
+        changes: plan.changes,
+        preferences: plan.preferences
+      }
+    });
+  } catch (error) {
+    logger.error('Preview preference template error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Apply a preference template to the business
+ * Merging only adds the template items a list lacks. Replacing makes the
+ * lists match the template; items records still use are deactivated
+ * rather than removed.
+ * @route POST /api/business/preference-templates/:template/apply
+ * @access Private (preferences:write)
+ */
+exports.applyPreferenceTemplate = async (req, res, next) => {
+  try {
+    const planned = await planRequest(req, res);
+    if (!planned) return;
+    const { business, template, mode, sections, plan } = planned;
+
+    for (const section of sections) {
+      business.preferences[section] = plan.preferences[section];
+    }
+
+    // The plan was made from the loaded lists, so fail if they changed meanwhile
+    guardVersion(business, 'preferences');
+    try {
+      await business.save();
+    } catch (error) {
+      if (error.name !== 'DocumentNotFoundError' && error.name !== 'VersionError') throw error;
+
+      return res.status(409).json({
+        success: false,
+        message: 'Preferences changed while the template was being applied. Please try again.'
+      });
+    }
+
+    logger.info(`Preference template "${template}" applied (${mode}) for business: ${business.name}`);
+
+    await recordAudit(req, 'business.preference-template-applied', {
+      targetType: 'Business',
+      targetId: business._id,
+      metadata: { template, mode, sections, changes: plan.changes }
+    });
+
+    res.set('ETag', resourceTag(business, 'preferences'));
+    res.status(200).json({
+      success: true,
+      message: `${PREFERENCE_TEMPLATES[template].label} template applied successfully`,
+      data: {
+        changes: plan.changes,
+        preferences: business.preferences
+      }
+    });
+  } catch (error) {
+    logger.error('Apply preference template error:', error);
+    next(error);
+  }
+};
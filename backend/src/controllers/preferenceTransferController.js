@@ -0,0 +1,439 @@
+/**
+ * Preference Transfer Controller
+ * Exports the preference lists as JSON or CSV and imports them into a
+ * business, e.g. to copy a catalog setup from one branch to another
+ *
+ * IDs differ between businesses, so category parents are given by name.
+ */
+
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Business = require('../models/Business');
+const { PREFERENCE_SECTIONS } = require('../config/preferences');
+const { createPreferenceItemValidation } = require('../middleware/validation');
+const { findCategoryTreeProblem, preferenceItemDefaults } = require('../utils/preferences');
+const { toCsv, parseCsv } = require('../utils/csv');
+const { resourceTag, guardVersion } = require('../utils/etag');
+const { recordAudit } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+const EXPORT_FORMATS = ['json', 'csv'];
+
+// Most items one import may contain
+const MAX_IMPORT_ITEMS = 1000;
+
+// CSV columns: the list an item belongs to, then every item field
+const CSV_COLUMNS = [
+  'section',
+  ...new Set(Object.values(PREFERENCE_SECTIONS).flatMap(spec => Object.keys(spec.fields)))
+];
+
+/**
+ * Take the exported fields of a list item
+ * @param {String} section - Key of PREFERENCE_SECTIONS
+ * @param {Object} item - Preference subdocument
+ * @param {Map} categoryNames - Category ID string to name, for parents
+ * @returns {Object}
+ */
+const exportItem = (section, item, categoryNames) => Object.fromEntries(
+  Object.keys(PREFERENCE_SECTIONS[section].fields)
+    .filter(field => item[field] !== undefined && item[field] !== null)
+    .map(field => [field, field === 'parent' ? categoryNames.get(String(item.parent)) : item[field]])
+);
+
+/**
+ * Whether an imported value differs from the stored one
+ * @param {*} stored - Field of the existing item
+ * @param {*} imported - Field of the imported item
+ * @returns {Boolean}
+ */
+const isChanged = (stored, imported) => String(stored ?? null) !== String(imported ?? null);
+
+/**
+ * Read the items of a CSV import
+ * Empty cells are left out, and "true"/"false" become booleans.
+ * @param {String} text - CSV document with a header row
+ * @returns {Object} - { entries: [{ section, row, item }], errors }
+ */
+const readCsvImport = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(column => column.trim());
+  const errors = columns
+    .filter(column => !CSV_COLUMNS.includes(column))
+    .map(column => ({ row: 1, field: column, message: `Unknown column "${column}"` }));
+
+  if (!columns.includes('section')) {
+    errors.push({ row: 1, field: 'section', message: 'The CSV needs a "section" column' });
+  }
+  if (errors.length > 0) return { entries: [], errors };
+
+  const entries = rows.map((cells, index) => {
+    const item = {};
+    columns.forEach((column, position) => {
+      const value = (cells[position] ?? '').trim();
+      if (value === '' || column === 'section') return;
+      item[column] = value === 'true' || value === 'false' ? value === 'true' : value;
+    });
+
+    return { section: (cells[columns.indexOf('section')] ?? '').trim(), row: index + 2, item };
+  });
+
+  return { entries, errors };
+};
+
+/**
+ * Read the items of a JSON import, shaped like the JSON export
+ * Fields other than the list's item fields are ignored.
+ * @param {Object} body - Request body
+ * @returns {Object} - { entries: [{ section, row, item }], errors }
+ */
+const readJsonImport = (body) => {
+  const preferences = body?.preferences;
+  if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+    return { entries: [], errors: [{ field: 'preferences', message: 'Send the lists to import in "preferences"' }] };
+  }
+
+  const entries = [];
+  const errors = [];
+  for (const [section, items] of Object.entries(preferences)) {
+    if (!Array.isArray(items)) {
+      errors.push({ section, field: section, message: 'Each list must be an array' });
+      continue;
+    }
+
+    items.forEach((item, index) => {
+      const fields = Object.keys(PREFERENCE_SECTIONS[section]?.fields || {});
+      const picked = item && typeof item === 'object'
+        ? Object.fromEntries(fields.filter(field => item[field] !== undefined).map(field => [field, item[field]]))
+        : {};
+      entries.push({ section, row: index + 1, item: picked });
+    });
+  }
+
+  return { entries, errors };
+};
+
+/**
+ * Check one imported item with the rules used when adding an item
+ * The rules trim text fields in place.
+ * @param {String} section - List the item is imported into
+ * @param {Object} item - Imported fields
+ * @returns {Promise<Array>} - [{ field, message }]
+ */
+const validateItem = async (section, item) => {
+  const req = { body: item, params: { section } };
+  for (const rule of createPreferenceItemValidation) {
+    await rule.run(req);
+  }
+
+  return validationResult(req)
+    .array({ onlyFirstError: true })
+    .map(error => ({ field: error.path, message: error.msg }));
+};
+
+/**
+ * Turn the parent names of imported categories into IDs
+ * A parent can be an existing category or one the same import adds, which
+ * is given its ID here. A null or empty parent moves a category to the top
+ * level; categories imported without a parent keep the one they have.
+ * @param {Object} business - Business document
+ * @param {Array} planned - [{ section, row, item, existing, parentName }]
+ * @param {Array} errors - Import errors, added to
+ */
+const resolveCategoryParents = (business, planned, errors) => {
+  const entries = planned.filter(entry => entry.section === 'categories');
+  if (!entries.some(entry => entry.parentName !== undefined)) return;
+
+  const current = business.preferences?.categories || [];
+  const idsByName = new Map(current.map(category => [category.name.trim().toLowerCase(), category._id]));
+  for (const entry of entries) {
+    if (!entry.existing) {
+      entry.item._id = new mongoose.Types.ObjectId();
+    }
+    idsByName.set(entry.item.name.toLowerCase(), entry.existing?._id ?? entry.item._id);
+  }
+
+  for (const entry of entries) {
+    const { parentName } = entry;
+    if (parentName === undefined) continue;
+
+    if (parentName === null || parentName === '') {
+      entry.item.parent = null;
+    } else if (typeof parentName !== 'string') {
+      entry.invalid = true;
+      errors.push({ section: 'categories', row: entry.row, field: 'parent', message: 'Parent must be a category name' });
+    } else if (!idsByName.has(parentName.trim().toLowerCase())) {
+      entry.invalid = true;
+      errors.push({
+        section: 'categories',
+        row: entry.row,
+        field: 'parent',
+        message: `Parent category "${parentName}" not found`
+      });
+    } else {
+      entry.item.parent = idsByName.get(parentName.trim().toLowerCase());
+    }
+  }
+
+  // Check the tree the import would leave behind
+  const tree = new Map(current.map(category => [
+    String(category._id),
+    { _id: category._id, name: category.name, parent: category.parent }
+  ]));
+  for (const { item, existing } of entries) {
+    const id = String(existing?._id ?? item._id);
+    const node = tree.get(id) || { _id: item._id, name: item.name, parent: null };
+    tree.set(id, { ...node, ...(item.parent !== undefined && { parent: item.parent }) });
+  }
+
+  const problem = findCategoryTreeProblem([...tree.values()]);
+  if (problem) {
+    errors.push({ section: 'categories', field: 'parent', message: problem });
+  }
+};
+
+/**
+ * Work out what an import changes, without changing anything
+ * Items are matched to existing ones by name, or abbreviation for units,
+ * ignoring case; matches are updated, the rest added. Items the import does
+ * not mention are left alone.
+ * @param {Object} business - Business document
+ * @param {Array} entries - [{ section, row, item }]
+ * @returns {Promise<Object>} - { changes, duplicates, errors, sections }
+ */
+const planImport = async (business, entries) => {
+  const sections = Object.fromEntries(
+    Object.keys(PREFERENCE_SECTIONS).map(section => [section, { added: [], updated: [], unchanged: [] }])
+  );
+  const changes = [];
+  const duplicates = [];
+  const errors = [];
+  const seen = new Map();
+  const planned = [];
+
+  for (const { section, row, item } of entries) {
+    const spec = PREFERENCE_SECTIONS[section];
+    if (!spec) {
+      errors.push({ section, row, field: 'section', message: `Unknown list "${section}"` });
+      continue;
+    }
+
+    // Parents are names here, resolved once every imported category is known
+    const parentName = item.parent;
+    delete item.parent;
+
+    const itemErrors = await validateItem(section, item);
+    if (itemErrors.length > 0) {
+      errors.push(...itemErrors.map(error => ({ section, row, ...error })));
+      continue;
+    }
+    if (item.abbreviation !== undefined) {
+      item.abbreviation = item.abbreviation.toUpperCase();
+    }
+
+    // Same rules as updatePreferences: names ignore case, abbreviations are uppercase
+    const value = item[spec.uniqueField].toLowerCase();
+    const key = `${section}:${value}`;
+    if (seen.has(key)) {
+      duplicates.push({ section, row, value: item[spec.uniqueField], firstRow: seen.get(key) });
+      continue;
+    }
+    seen.set(key, row);
+
+    const existing = (business.preferences?.[section] || [])
+      .find(current => String(current[spec.uniqueField]).trim().toLowerCase() === value);
+
+    planned.push({ section, row, item, existing, parentName });
+  }
+
+  resolveCategoryParents(business, planned, errors);
+
+  for (const { section, item, existing, invalid } of planned) {
+    if (invalid) continue;
+
+    if (!existing) {
+      sections[section].added.push(item.name);
+      changes.push({ section, item });
+    } else if (Object.keys(item).some(field => isChanged(existing[field], item[field]))) {
+      sections[section].updated.push(item.name);
+      changes.push({ section, item, existing });
+    } else {
+      sections[section].unchanged.push(item.name);
+    }
+  }
+
+  return { changes, duplicates, errors, sections };
+};
+
+/**
+ * Export the preference lists
+ * JSON exports can be imported as they are; CSV exports have one row per
+ * item, with the list it belongs to in the "section" column.
+ * @route GET /api/business/preferences/export?format=json|csv
+ * @access Private (preferences:read)
+ */
+exports.exportPreferences = async (req, res, next) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const business = await Business.findById(req.user.business._id).select('name preferences');
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business not found'
+      });
+    }
+
+    const categoryNames = new Map(
+      (business.preferences?.categories || []).map(category => [String(category._id), category.name])
+    );
+    const preferences = Object.fromEntries(
+      Object.keys(PREFERENCE_SECTIONS).map(section => [
+        section,
+        (business.preferences?.[section] || []).map(item => exportItem(section, item, categoryNames))
+      ])
+    );
+    const fileName = `preferences-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    logger.info(`Preferences exported (${format}) for business: ${business.name}`);
+
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'csv') {
+      const rows = Object.entries(preferences)
+        .flatMap(([section, items]) => items.map(item => ({ section, ...item })));
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      return res.status(200).send(toCsv(CSV_COLUMNS, rows));
+    }
+
+    res.status(200).json({
+      exportedAt: new Date(),
+      business: business.name,
+      preferences
+    });
+  } catch (error) {
+    logger.error('Export preferences error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Import preference lists
+ * Send a JSON export as the body, or a CSV export with Content-Type
+ * text/csv. With ?dryRun=true nothing is saved and the report of additions,
+ * updates, duplicates and validation errors is returned. Otherwise nothing
+ * is saved unless the import has no duplicates or errors.
+ * @route POST /api/business/preferences/import
+ * @access Private (preferences:write)
+ */
+exports.importPreferences = async (req, res, next) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+
+    const { entries, errors: formatErrors } = req.is('text/csv')
+      ? readCsvImport(typeof req.body === 'string' ? req.body : '')
+      : readJsonImport(req.body);
+
+    if (formatErrors.length === 0 && entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The import has no items'
+      });
+    }
+    if (entries.length > MAX_IMPORT_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `An import cannot contain more than ${MAX_IMPORT_ITEMS} items`
+      });
+    }
+
+    const business = await Business.findById(req.user.business._id);
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business not found'
+      });
+    }
+
+    const plan = await planImport(business, entries);
+    const errors = [...formatErrors, ...plan.errors];
+    const report = {
+      dryRun,
+      summary: {
+        added: plan.changes.filter(change => !change.existing).length,
+        updated: plan.changes.filter(change => change.existing).length,
+        unchanged: Object.values(plan.sections).reduce((sum, section) => sum + section.unchanged.length, 0),
+        duplicates: plan.duplicates.length,
+        errors: errors.length
+      },
+      sections: plan.sections,
+      duplicates: plan.duplicates,
+      errors
+    };
+
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        message: 'Import checked; nothing was saved',
+        data: report
+      });
+    }
+
+    if (errors.length > 0 || plan.duplicates.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The import has duplicates or invalid items; nothing was saved',
+        data: report
+      });
+    }
+
+    for (const { section, item, existing } of plan.changes) {
+      if (existing) {
+        Object.assign(existing, item);
+      } else {
+        business.preferences[section].push({ ...preferenceItemDefaults(section), ...item });
+      }
+    }
+
+    // The report was made from the loaded lists, so fail if they changed meanwhile
+    guardVersion(business, 'preferences');
+    try {
+      await business.save();
+    } catch (error) {
+      if (error.name !== 'DocumentNotFoundError' && error.name !== 'VersionError') throw error;
+
+      return res.status(409).json({
+        success: false,
+        message: 'Preferences changed while importing. Please try again.'
+      });
+    }
+
+    logger.info(`Preferences imported for business: ${business.name}`);
+
+    await recordAudit(req, 'business.preferences-imported', {
+      targetType: 'Business',
+      targetId: business._id,
+      metadata: { format: req.is('text/csv') ? 'csv' : 'json', ...report.summary }
+    });
+
+    res.set('ETag', resourceTag(business, 'preferences'));
+    res.status(200).json({
+      success: true,
+      message: 'Preferences imported successfully',
+      data: {
+        ...report,
+        preferences: business.preferences
+      }
+    });
+  } catch (error) {
+    logger.error('Import preferences error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,363 @@
+/**
+ * Product Controller
+ * Handles the product catalog for a business
+ */
+
+const Business = require('../models/Business');
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const { findPreferenceItem, getProductRules } = require('../utils/preferences');
+const { paginatedResponse } = require('../utils/apiResponse');
+const { recordAudit } = require('../utils/audit');
+const { escapeRegex, parsePagination } = require('../utils/query');
+const logger = require('../utils/logger');
+
+// Fields a client may set directly on a product
+const PRODUCT_FIELDS = [
+  'sku',
+  'name',
+  'description',
+  'category',
+  'unit',
+  'productType',
+  'costPrice',
+  'sellingPrice',
+  'images',
+  'reorderLevel',
+  'shelfLifeDays',
+  'isActive'
+];
+
+const PREFERENCE_REFERENCES = [
+  { field: 'category', section: 'categories', label: 'Category' },
+  { field: 'unit', section: 'units', label: 'Unit' },
+  { field: 'productType', section: 'productTypes', label: 'Product type' }
+];
+
+/**
+ * Check a product against the business's preferences and product-type rules
+ * References must point at active preference items, except ones the product
+ * already had (so deactivating a category does not block editing its products).
+ * @param {Object} business - Business document
+ * @param {Object} product - Product document with the requested changes applied
+ * @param {Object} previous - Previous reference values ({} for new products)
+ * @returns {Array} - Error messages, empty if the product is valid
+ */
+const checkProductRules = (business, product, previous = {}) => {
+  const errors = [];
+
+  for (const { field, section, label } of PREFERENCE_REFERENCES) {
+    const id = product[field];
+    if (!id) continue;
+
+    const item = findPreferenceItem(business, section, id);
+    const unchanged = previous[field] && previous[field].equals(id);
+
+    if (!item) {
+      errors.push(`${label} not found in business preferences`);
+    } else if (!item.isActive && !unchanged) {
+      errors.push(`${label} '${item.name}' is not active`);
+    }
+  }
+
+  const rules = getProductRules(business, product.productType);
+  const unit = findPreferenceItem(business, 'units', product.unit);
+
+  if ((rules.requiresSerialNumber || rules.requiresExpiryDate) && !rules.trackInventory) {
+    errors.push('Product types that require serial numbers or expiry dates must track inventory');
+  }
+
+  // Stock already on hand has no serial numbers to issue from
+  const previousRules = previous.productType ? getProductRules(business, previous.productType) : null;
+  const becomesSerialized = rules.requiresSerialNumber && previousRules && !previousRules.requiresSerialNumber;
+  if (becomesSerialized && product.quantityOnHand !== 0) {
+    errors.push('Stock on hand must be zero before switching to a product type that requires serial numbers');
+  }
+
+  if (!rules.trackInventory && product.quantityOnHand !== 0) {
+    errors.push('Product types that do not track inventory cannot be used while stock is on hand');
+  }
+
+  if (!rules.trackInventory && product.reorderLevel != null) {
+    errors.push('Reorder level can only be set for product types that track inventory');
+  }
+
+  if (rules.requiresSerialNumber && unit && unit.type !== 'quantity') {
+    errors.push('Serialized products must use a quantity unit');
+  }
+
+  if (!rules.requiresExpiryDate && product.shelfLifeDays != null) {
+    errors.push('Shelf life can only be set for product types that require expiry dates');
+  }
+
+  return errors;
+};
+
+/**
+ * Send the response for a duplicate SKU
+ * @param {Object} res - Express response object
+ */
+const duplicateSkuResponse = (res) => {
+  return res.status(400).json({
+    success: false,
+    message: 'A product with this SKU already exists'
+  });
+};
+
+/**
+ * List products
+ * Supports ?page, ?limit, ?search, ?category, ?productType and ?isActive filters.
+ * @route GET /api/products
+ * @access Private (products:read)
+ */
+exports.getProducts = async (req, res, next) => {
+  try {
+    const { page, limit } = parsePagination(req.query);
+
+    const filter = { business: req.user.business._id };
+    if (typeof req.query.search === 'string' && req.query.search.trim()) {
+      const pattern = new RegExp(escapeRegex(req.query.search.trim()), 'i');
+      filter.$or = [{ name: pattern }, { sku: pattern }];
+    }
+    if (typeof req.query.category === 'string') {
+      filter.category = req.query.category;
+    }
+    if (typeof req.query.productType === 'string') {
+      filter.productType = req.query.productType;
+    }
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    const [business, products, total] = await Promise.all([
+      Business.findById(req.user.business._id).select('preferences'),
+      Product.find(filter)
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Product.countDocuments(filter)
+    ]);
+
+    paginatedResponse(
+      res,
+      200,
+      'Products retrieved successfully',
+      products.map(product => product.toPublicProfile(business)),
+      { page, limit, total }
+    );
+  } catch (error) {
+    logger.error('Get products error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a single product
+ * @route GET /api/products/:id
+ * @access Private (products:read)
+ */
+exports.getProduct = async (req, res, next) => {
+  try {
+    const product = await Product.findOne({
+      _id: req.params.id,
+      business: req.user.business._id
+    });
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const business = await Business.findById(req.user.business._id).select('preferences');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        product: product.toPublicProfile(business)
+      }
+    });
+  } catch (error) {
+    logger.error('Get product error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create a product
+ * @route POST /api/products
+ * @access Private (products:write)
+ */
+exports.createProduct = async (req, res, next) => {
+  try {
+    const business = await Business.findById(req.user.business._id).select('name preferences');
+
+    if (!business) {
+      return res.status(404).json({
+        success: false,
+        message: 'Business not found'
+      });
+    }
+
+    const product = new Product({
+      business: business._id,
+      createdBy: req.user._id
+    });
+    for (const field of PRODUCT_FIELDS) {
+      if (req.body[field] !== undefined) {
+        product[field] = req.body[field];
+      }
+    }
+
+    const errors = checkProductRules(business, product);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product does not match business preferences',
+        errors
+      });
+    }
+
+    await product.save();
+
+    logger.info(`Product ${product.sku} created for business: ${business.name}`);
+
+    await recordAudit(req, 'product.created', {
+      targetType: 'Product',
+      targetId: product._id,
+      metadata: { sku: product.sku, name: product.name }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Product created successfully',
+      data: {
+        product: product.toPublicProfile(business)
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateSkuResponse(res);
+    }
+
+    logger.error('Create product error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update a product
+ * Only the supplied fields are changed.
+ * @route PUT /api/products/:id
+ * @access Private (products:write)
+ */
+exports.updateProduct = async (req, res, next) => {
+  try {
+    const [business, product] = await Promise.all([
+      Business.findById(req.user.business._id).select('name preferences'),
+      Product.findOne({ _id: req.params.id, business: req.user.business._id })
+    ]);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const previous = {
+      category: product.category,
+      unit: product.unit,
+      productType: product.productType
+    };
+
+    for (const field of PRODUCT_FIELDS) {
+      if (req.body[field] !== undefined) {
+        product[field] = req.body[field];
+      }
+    }
+
+    const errors = checkProductRules(business, product, previous);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product does not match business preferences',
+        errors
+      });
+    }
+
+    const changedFields = product.modifiedPaths();
+    await product.save();
+
+    logger.info(`Product ${product.sku} updated for business: ${business.name}`);
+
+    await recordAudit(req, 'product.updated', {
+      targetType: 'Product',
+      targetId: product._id,
+      metadata: { sku: product.sku, fields: changedFields }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Product updated successfully',
+      data: {
+        product: product.toPublicProfile(business)
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateSkuResponse(res);
+    }
+
+    logger.error('Update product error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a product
+ * Products with stock movements are kept for the ledger and can only be deactivated.
+ * @route DELETE /api/products/:id
+ * @access Private (products:write)
+ */
+exports.deleteProduct = async (req, res, next) => {
+  try {
+    const product = await Product.findOne({
+      _id: req.params.id,
+      business: req.user.business._id
+    });
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (await StockMovement.exists({ product: product._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Products with stock movements cannot be deleted. Deactivate the product instead.'
+      });
+    }
+
+    await product.deleteOne();
+
+    logger.info(`Product ${product.sku} deleted for business: ${req.user.business.name}`);
+
+    await recordAudit(req, 'product.deleted', {
+      targetType: 'Product',
+      targetId: product._id,
+      metadata: { sku: product.sku, name: product.name }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Product deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete product error:', error);
+    next(error);
+  }
+};
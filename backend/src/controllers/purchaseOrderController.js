@@ -0,0 +1,589 @@
+/**
+ * Purchase Order Controller
+ * Handles ordering stock from suppliers and receiving it into inventory
+ */
+
+const mongoose = require('mongoose');
+const Business = require('../models/Business');
+const Product = require('../models/Product');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Counter = require('../models/Counter');
+const {
+  PURCHASE_ORDER_STATUSES,
+  RECEIVABLE_STATUSES,
+  PURCHASE_ORDER_PREFIX,
+  PURCHASE_ORDER_DIGITS
+} = require('../config/purchasing');
+const { findPreferenceItem, getProductRules } = require('../utils/preferences');
+const { postTrackedMovement } = require('../utils/stockTracking');
+const { paginatedResponse } = require('../utils/apiResponse');
+const { recordAudit } = require('../utils/audit');
+const { escapeRegex, parsePagination } = require('../utils/query');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create an error that the error handler sends with the given status
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error}
+ */
+const requestError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Find a purchase order of the current business
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - Purchase order document, or null if a response was sent
+ */
+const findPurchaseOrder = async (req, res) => {
+  const order = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await PurchaseOrder.findOne({ _id: req.params.id, business: req.user.business._id })
+    : null;
+
+  if (!order) {
+    res.status(404).json({
+      success: false,
+      message: 'Purchase order not found'
+    });
+    return null;
+  }
+
+  return order;
+};
+
+/**
+ * Send the response for an order in the wrong status for an action
+ * @param {Object} res - Express response object
+ * @param {Object} order - Purchase order document
+ * @param {String} action - What was attempted, e.g. 'edited'
+ */
+const wrongStatusResponse = (res, order, action) => {
+  return res.status(400).json({
+    success: false,
+    message: `This purchase order is ${order.status.replace('-', ' ')} and cannot be ${action}`
+  });
+};
+
+/**
+ * Turn requested lines into purchase order items costed from the catalog
+ * @param {Object} business - Business document with preferences
+ * @param {Array} items - Line items from the request
+ * @returns {Promise<Object>} - { items, errors }
+ */
+const buildOrderItems = async (business, items) => {
+  const products = await Product.find({
+    _id: { $in: items.map(item => item.product) },
+    business: business._id
+  });
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+  const errors = [];
+  const seen = new Set();
+  const orderItems = items.map((item, index) => {
+    const product = productMap.get(String(item.product));
+    if (!product || !product.isActive) {
+      errors.push(`Item ${index + 1}: product not found or inactive`);
+      return null;
+    }
+    if (seen.has(product._id.toString())) {
+      errors.push(`Item ${index + 1}: ${product.name} is already on this order`);
+    }
+    seen.add(product._id.toString());
+
+    const unit = findPreferenceItem(business, 'units', product.unit);
+    if (unit?.type === 'quantity' && !Number.isInteger(item.quantity)) {
+      errors.push(`Item ${index + 1}: ${product.name} is ordered in whole ${unit.name.toLowerCase()}s`);
+    }
+
+    return {
+      product: product._id,
+      sku: product.sku,
+      name: product.name,
+      quantityOrdered: item.quantity,
+      unitCost: item.unitCost ?? product.costPrice
+    };
+  });
+
+  return { items: orderItems, errors };
+};
+
+/**
+ * Apply requested fields to a draft order and recalculate it
+ * @param {Object} order - Purchase order document
+ * @param {Object} business - Business document with preferences
+ * @param {Object} body - Request body
+ * @returns {Promise<Array>} - Error messages, empty if the order is valid
+ */
+const applyOrderChanges = async (order, business, body) => {
+  if (body.supplier !== undefined) {
+    const supplier = await Supplier.findOne({ _id: body.supplier, business: business._id, isActive: true });
+    if (!supplier) {
+      return ['Supplier not found or inactive'];
+    }
+    order.supplier = supplier._id;
+  }
+
+  if (body.items !== undefined) {
+    const { items, errors } = await buildOrderItems(business, body.items);
+    if (errors.length > 0) {
+      return errors;
+    }
+    order.items = items;
+  }
+
+  for (const field of ['expectedDate', 'notes']) {
+    if (body[field] !== undefined) {
+      order[field] = body[field];
+    }
+  }
+
+  order.calculateTotals();
+  return [];
+};
+
+/**
+ * List purchase orders, newest first
+ * Supports ?page, ?limit, ?status, ?supplier and ?search (order number).
+ * @route GET /api/purchase-orders
+ * @access Private (purchasing:read)
+ */
+exports.getPurchaseOrders = async (req, res, next) => {
+  try {
+    const { page, limit } = parsePagination(req.query);
+
+    const filter = { business: req.user.business._id };
+    if (PURCHASE_ORDER_STATUSES.includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+    if (mongoose.Types.ObjectId.isValid(req.query.supplier)) {
+      filter.supplier = req.query.supplier;
+    }
+    if (typeof req.query.search === 'string' && req.query.search.trim()) {
+      filter.poNumber = new RegExp(escapeRegex(req.query.search.trim()), 'i');
+    }
+
+    const [orders, total] = await Promise.all([
+      PurchaseOrder.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PurchaseOrder.countDocuments(filter)
+    ]);
+
+    paginatedResponse(
+      res,
+      200,
+      'Purchase orders retrieved successfully',
+      orders.map(order => order.toPublicProfile()),
+      { page, limit, total }
+    );
+  } catch (error) {
+    logger.error('Get purchase orders error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a single purchase order
+ * @route GET /api/purchase-orders/:id
+ * @access Private (purchasing:read)
+ */
+exports.getPurchaseOrder = async (req, res, next) => {
+  try {
+    const order = await findPurchaseOrder(req, res);
+    if (!order) return;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        purchaseOrder: order.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Get purchase order error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create a draft purchase order
+ * Unit costs default to the products' cost prices.
+ * @route POST /api/purchase-orders
+ * @access Private (purchasing:write)
+ */
+exports.createPurchaseOrder = async (req, res, next) => {
+  try {
+    const business = await Business.findById(req.user.business._id).select('name currency preferences');
+
+    const order = new PurchaseOrder({
+      business: business._id,
+      currency: business.currency,
+      createdBy: req.user._id
+    });
+
+    const errors = await applyOrderChanges(order, business, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Purchase order is not valid',
+        errors
+      });
+    }
+
+    await order.save();
+
+    logger.info(`Draft purchase order created for business: ${business.name}`);
+
+    await recordAudit(req, 'purchase-order.created', {
+      targetType: 'PurchaseOrder',
+      targetId: order._id,
+      metadata: { supplier: order.supplier, total: order.total }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Purchase order created successfully',
+      data: {
+        purchaseOrder: order.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Create purchase order error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update a draft purchase order
+ * Only the supplied fields are changed; items replace the whole list.
+ * @route PUT /api/purchase-orders/:id
+ * @access Private (purchasing:write)
+ */
+exports.updatePurchaseOrder = async (req, res, next) => {
+  try {
+    const order = await findPurchaseOrder(req, res);
+    if (!order) return;
+
+    if (order.status !== 'draft') {
+      return wrongStatusResponse(res, order, 'edited');
+    }
+
+    const business = await Business.findById(req.user.business._id).select('name preferences');
+
+    const errors = await applyOrderChanges(order, business, req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Purchase order is not valid',
+        errors
+      });
+    }
+
+    await order.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order updated successfully',
+      data: {
+        purchaseOrder: order.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Update purchase order error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a draft purchase order
+ * @route DELETE /api/purchase-orders/:id
+ * @access Private (purchasing:write)
+ */
+exports.deletePurchaseOrder = async (req, res, next) => {
+  try {
+    const order = await findPurchaseOrder(req, res);
+    if (!order) return;
+
+    if (order.status !== 'draft') {
+      return wrongStatusResponse(res, order, 'deleted');
+    }
+
+    await order.deleteOne();
+
+    logger.info(`Draft purchase order ${order._id} deleted for business: ${req.user.business.name}`);
+
+    await recordAudit(req, 'purchase-order.deleted', {
+      targetType: 'PurchaseOrder',
+      targetId: order._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete purchase order error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Place a draft purchase order with its supplier
+ * The order takes the next purchase order number. Without an expected date,
+ * one is worked out from the supplier's lead time.
+ * @route POST /api/purchase-orders/:id/order
+ * @access Private (purchasing:write)
+ */
+exports.placePurchaseOrder = async (req, res, next) => {
+  try {
+    const order = await findPurchaseOrder(req, res);
+    if (!order) return;
+
+    if (order.status !== 'draft') {
+      return wrongStatusResponse(res, order, 'ordered');
+    }
+
+    const supplier = await Supplier.findOne({ _id: order.supplier, business: order.business });
+    if (!supplier || !supplier.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'The supplier on this order is no longer active'
+      });
+    }
+
+    const seq = await Counter.next(order.business, 'purchase-order');
+    order.poNumber = `${PURCHASE_ORDER_PREFIX}-${String(seq).padStart(PURCHASE_ORDER_DIGITS, '0')}`;
+    order.status = 'ordered';
+    order.orderedAt = new Date();
+    if (!order.expectedDate && supplier.leadTimeDays !== null && supplier.leadTimeDays !== undefined) {
+      order.expectedDate = new Date(order.orderedAt.getTime() + supplier.leadTimeDays * DAY_MS);
+    }
+    await order.save();
+
+    logger.info(`Purchase order ${order.poNumber} placed for business: ${req.user.business.name}`);
+
+    await recordAudit(req, 'purchase-order.ordered', {
+      targetType: 'PurchaseOrder',
+      targetId: order._id,
+      metadata: { poNumber: order.poNumber, total: order.total }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order placed successfully',
+      data: {
+        purchaseOrder: order.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Place purchase order error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Receive stock against a purchase order
+ * Each line posts a receipt movement at the cost actually charged, which
+ * defaults to the ordered cost. Lines cannot take a product past the quantity
+ * ordered. The order becomes partially received or received.
+ * @route POST /api/purchase-orders/:id/receive
+ * @access Private (purchasing:write)
+ */
+exports.receivePurchaseOrder = async (req, res, next) => {
+  try {
+    const order = await findPurchaseOrder(req, res);
+    if (!order) return;
+
+    if (!RECEIVABLE_STATUSES.includes(order.status)) {
+      return wrongStatusResponse(res, order, 'received');
+    }
+
+    const business = await Business.findById(req.user.business._id)
+      .select('name preferences inventorySettings');
+    const receivedAt = req.body.receivedAt ? new Date(req.body.receivedAt) : new Date();
+
+    const session = await mongoose.startSession();
+    try {
+      session.startTransaction();
+
+      const lines = [];
+      for (const [index, line] of req.body.items.entries()) {
+        const item = order.items.find(orderItem => orderItem.product.toString() === String(line.product));
+        if (!item) {
+          throw requestError(`Item ${index + 1}: product is not on this order`);
+        }
+
+        const outstanding = item.quantityOrdered - item.quantityReceived;
+        if (line.quantity > outstanding) {
+          throw requestError(`Item ${index + 1}: only ${outstanding} of ${item.name} still to receive`);
+        }
+
+        const product = await Product.findOne({ _id: item.product, business: business._id }).session(session);
+        if (!product) {
+          throw requestError(`Item ${index + 1}: ${item.name} no longer exists`);
+        }
+
+        const unitCost = line.unitCost ?? item.unitCost;
+        const receiptLine = { product: product._id, quantity: line.quantity, unitCost };
+
+        if (getProductRules(business, product.productType).trackInventory) {
+          try {
+            const movement = await postTrackedMovement(
+              business,
+              product,
+              {
+                type: 'receipt',
+                quantity: line.quantity,
+                unitCost,
+                reason: `Received on ${order.poNumber}`,
+                reference: { type: 'PurchaseOrder', id: order._id },
+                createdBy: req.user._id,
+                serialNumbers: line.serialNumbers,
+                lotNumber: line.lotNumber,
+                expiryDate: line.expiryDate
+              },
+              { session }
+            );
+
+            receiptLine.movement = movement._id;
+            receiptLine.serialNumbers = movement.serialNumbers;
+            receiptLine.lotNumber = movement.lots?.[0]?.lotNumber;
+          } catch (error) {
+            if (error.statusCode) {
+              error.message = `${item.name}: ${error.message}`;
+            }
+            throw error;
+          }
+        }
+
+        item.quantityReceived += line.quantity;
+        lines.push(receiptLine);
+      }
+
+      order.receipts.push({
+        receivedAt,
+        receivedBy: req.user._id,
+        items: lines,
+        notes: req.body.notes
+      });
+      order.refreshReceiptStatus(receivedAt);
+      await order.save({ session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+
+      if (error.name === 'VersionError') {
+        throw requestError('This purchase order changed while the receipt was being recorded. Please try again.', 409);
+      }
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    logger.info(`Stock received on ${order.poNumber} for business: ${business.name}`);
+
+    await recordAudit(req, 'purchase-order.received', {
+      targetType: 'PurchaseOrder',
+      targetId: order._id,
+      metadata: { poNumber: order.poNumber, status: order.status }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: order.status === 'received' ? 'Purchase order fully received' : 'Partial receipt recorded',
+      data: {
+        purchaseOrder: order.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Receive purchase order error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Close a received or partially received purchase order
+ * Closing a partially received order writes off the quantities still outstanding.
+ * @route POST /api/purchase-orders/:id/close
+ * @access Private (purchasing:write)
+ */
+exports.closePurchaseOrder = async (req, res, next) => {
+  try {
+    const order = await findPurchaseOrder(req, res);
+    if (!order) return;
+
+    if (!['partially-received', 'received'].includes(order.status)) {
+      return wrongStatusResponse(res, order, 'closed');
+    }
+
+    order.status = 'closed';
+    order.closedAt = new Date();
+    await order.save();
+
+    logger.info(`Purchase order ${order.poNumber} closed for business: ${req.user.business.name}`);
+
+    await recordAudit(req, 'purchase-order.closed', {
+      targetType: 'PurchaseOrder',
+      targetId: order._id,
+      metadata: { poNumber: order.poNumber }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order closed successfully',
+      data: {
+        purchaseOrder: order.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Close purchase order error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Cancel a purchase order that has not received anything
+ * @route POST /api/purchase-orders/:id/cancel
+ * @access Private (purchasing:write)
+ */
+exports.cancelPurchaseOrder = async (req, res, next) => {
+  try {
+    const order = await findPurchaseOrder(req, res);
+    if (!order) return;
+
+    if (!['draft', 'ordered'].includes(order.status)) {
+      return wrongStatusResponse(res, order, 'cancelled');
+    }
+
+    order.status = 'cancelled';
+    order.cancelledAt = new Date();
+    await order.save();
+
+    logger.info(`Purchase order ${order._id} cancelled for business: ${req.user.business.name}`);
+
+    await recordAudit(req, 'purchase-order.cancelled', {
+      targetType: 'PurchaseOrder',
+      targetId: order._id,
+      metadata: { poNumber: order.poNumber }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order cancelled successfully',
+      data: {
+        purchaseOrder: order.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Cancel purchase order error:', error);
+    next(error);
+  }
+};
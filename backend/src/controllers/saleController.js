@@ -0,0 +1,564 @@
+/**
+ * Sale Controller
+ * Handles sales orders and point-of-sale checkout
+ */
+
+const mongoose = require('mongoose');
+const Business = require('../models/Business');
+const Product = require('../models/Product');
+const Sale = require('../models/Sale');
+const Customer = require('../models/Customer');
+const Counter = require('../models/Counter');
+const { SALE_STATUSES, RECEIPT_NUMBER_PREFIX, RECEIPT_NUMBER_DIGITS } = require('../config/sales');
+const { findPreferenceItem, getProductRules } = require('../utils/preferences');
+const { postTrackedMovement } = require('../utils/stockTracking');
+const { roundMoney } = require('../utils/money');
+const { paginatedResponse } = require('../utils/apiResponse');
+const { recordAudit } = require('../utils/audit');
+const { requestHasPermission } = require('../utils/permissions');
+const { escapeRegex, parsePagination } = require('../utils/query');
+const logger = require('../utils/logger');
+
+/**
+ * Turn requested line items into sale items priced from the catalog
+ * Items sent with another unitPrice or with a discount are listed as price overrides.
+ * @param {Object} business - Business document with preferences
+ * @param {Array} items - Line items from the request
+ * @returns {Promise<Object>} - { items, errors, priceOverrides }
+ */
+const buildSaleItems = async (business, items) => {
+  const products = await Product.find({
+    _id: { $in: items.map(item => item.product) },
+    business: business._id
+  });
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+  const errors = [];
+  const priceOverrides = [];
+  const saleItems = items.map((item, index) => {
+    const product = productMap.get(String(item.product));
+    if (!product || !product.isActive) {
+      errors.push(`Item ${index + 1}: product not found or inactive`);
+      return null;
+    }
+
+    const unit = findPreferenceItem(business, 'units', product.unit);
+    if (unit?.type === 'quantity' && !Number.isInteger(item.quantity)) {
+      errors.push(`Item ${index + 1}: ${product.name} is sold in whole ${unit.name.toLowerCase()}s`);
+    }
+
+    const unitPrice = item.unitPrice ?? product.sellingPrice;
+    const discount = item.discount || 0;
+    if (unitPrice !== product.sellingPrice || discount > 0) {
+      priceOverrides.push({ product: product._id, name: product.name, catalogPrice: product.sellingPrice, unitPrice, discount });
+    }
+
+    return {
+      product: product._id,
+      sku: product.sku,
+      name: product.name,
+      unit: unit ? { name: unit.name, abbreviation: unit.abbreviation } : undefined,
+      quantity: item.quantity,
+      unitPrice,
+      discount,
+      taxRate: item.taxRate || 0,
+      serialNumbers: item.serialNumbers,
+      lotNumber: item.lotNumber
+    };
+  });
+
+  return { items: saleItems, errors, priceOverrides };
+};
+
+/**
+ * Complete a sale: take stock for tracked products, assign the receipt
+ * number and add the sale to the business's revenue, all in one transaction
+ * A saved order is only completed if it is still open; otherwise the error has status 409.
+ * @param {Object} sale - Sale document with totals and payments applied
+ * @param {Object} business - Business document with preferences and inventory settings
+ * @param {Object} user - User completing the sale
+ */
+const completeSale = async (sale, business, user) => {
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    // Claim a saved order first, so a second checkout sent at the same time
+    // finds it no longer open instead of completing it again
+    if (!sale.isNew) {
+      const claimed = await Sale.updateOne(
+        { _id: sale._id, business: business._id, status: 'open' },
+        { $set: { status: 'completed' } },
+        { session }
+      );
+      if (claimed.matchedCount === 0) {
+        const error = new Error('This sale is no longer open and cannot be checked out');
+        error.statusCode = 409;
+        throw error;
+      }
+    }
+
+    for (const item of sale.items) {
+      const product = await Product.findOne({ _id: item.product, business: business._id }).session(session);
+      if (!product) {
+        const error = new Error(`${item.name} no longer exists`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      if (!getProductRules(business, product.productType).trackInventory) {
+        continue;
+      }
+
+      try {
+        const movement = await postTrackedMovement(
+          business,
+          product,
+          {
+            type: 'sale',
+            quantity: -item.quantity,
+            reference: { type: 'Sale', id: sale._id },
+            createdBy: user._id,
+            serialNumbers: item.serialNumbers,
+            lotNumber: item.lotNumber
+          },
+          {
+            allowNegative: !!business.inventorySettings?.allowNegativeStock,
+            session
+          }
+        );
+
+        item.movement = movement._id;
+        item.serialNumbers = movement.serialNumbers;
+        item.lots = movement.lots?.map(({ lotNumber, expiryDate, quantity }) => ({
+          lotNumber,
+          expiryDate,
+          quantity: -quantity
+        }));
+      } catch (error) {
+        if (error.statusCode) {
+          error.message = `${item.name}: ${error.message}`;
+        }
+        throw error;
+      }
+    }
+
+    const seq = await Counter.next(business._id, 'receipt', session);
+    sale.receiptNumber = `${RECEIPT_NUMBER_PREFIX}-${String(seq).padStart(RECEIPT_NUMBER_DIGITS, '0')}`;
+    sale.status = 'completed';
+    sale.completedBy = user._id;
+    sale.completedAt = new Date();
+    await sale.save({ session });
+
+    await Business.updateOne(
+      { _id: business._id },
+      { $inc: { totalRevenue: roundMoney(sale.total - sale.taxTotal) } },
+      { session }
+    );
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Find a sale of the current business
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - Sale document, or null if a response was sent
+ */
+const findSale = async (req, res) => {
+  const sale = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Sale.findOne({ _id: req.params.id, business: req.user.business._id })
+    : null;
+
+  if (!sale) {
+    res.status(404).json({
+      success: false,
+      message: 'Sale not found'
+    });
+    return null;
+  }
+
+  return sale;
+};
+
+/**
+ * Send the response for a sale that no longer accepts changes
+ * @param {Object} res - Express response object
+ * @param {Object} sale - Sale document
+ */
+const notOpenResponse = (res, sale) => {
+  return res.status(400).json({
+    success: false,
+    message: `This sale is ${sale.status} and can no longer be changed`
+  });
+};
+
+/**
+ * Send the response for prices changed without the permission to do so
+ * @param {Object} res - Express response object
+ * @param {Array} priceOverrides - [{ name, catalogPrice, unitPrice, discount }]
+ */
+const priceOverrideResponse = (res, priceOverrides) => {
+  return res.status(403).json({
+    success: false,
+    message: 'Selling at a price other than the catalog price or giving discounts requires the sales:override-price permission',
+    errors: priceOverrides.map(({ name, catalogPrice }) => (catalogPrice === undefined
+      ? `${name} cannot be discounted`
+      : `${name} sells at ${catalogPrice} without discount`))
+  });
+};
+
+/**
+ * Record the items of a sale sold at other than their catalog price or discounted
+ * @param {Object} req - Express request object
+ * @param {Object} sale - Saved sale document
+ * @param {Array} priceOverrides - [{ product, name, catalogPrice, unitPrice, discount }]
+ */
+const auditPriceOverrides = async (req, sale, priceOverrides) => {
+  if (priceOverrides.length === 0) return;
+
+  await recordAudit(req, 'sale.price-overridden', {
+    targetType: 'Sale',
+    targetId: sale._id,
+    metadata: { receiptNumber: sale.receiptNumber, items: priceOverrides }
+  });
+};
+
+/**
+ * Apply requested items, discount and details to a sale and recalculate it
+ * A customer record, when given, supplies the customer name unless one is sent.
+ * Items priced other than the catalog and discounts on items or the whole sale
+ * need the sales:override-price permission.
+ * @param {Object} req - Express request object
+ * @param {Object} sale - Sale document
+ * @param {Object} business - Business document with preferences
+ * @returns {Promise<Object>} - { errors, priceOverrides, forbidden }: errors is
+ *   empty if the sale is valid; forbidden is set when prices were changed
+ *   without the permission
+ */
+const applySaleChanges = async (req, sale, business) => {
+  const body = req.body;
+  let priceOverrides = [];
+
+  if (body.items !== undefined) {
+    const built = await buildSaleItems(business, body.items);
+    if (built.errors.length > 0) {
+      return { errors: built.errors, priceOverrides };
+    }
+
+    priceOverrides = built.priceOverrides;
+    sale.items = built.items;
+  }
+
+  if (body.discount > 0) {
+    priceOverrides.push({ name: 'Whole sale', discount: body.discount });
+  }
+  if (priceOverrides.length > 0 && !requestHasPermission(req, 'sales:override-price')) {
+    return { errors: [], priceOverrides, forbidden: true };
+  }
+
+  if (body.customerId !== undefined) {
+    const customer = body.customerId
+      ? await Customer.findOne({ _id: body.customerId, business: business._id, isActive: true })
+      : null;
+    if (body.customerId && !customer) {
+      return { errors: ['Customer not found or inactive'], priceOverrides };
+    }
+
+    sale.customerId = customer ? customer._id : null;
+    if (customer && body.customerName === undefined) {
+      sale.customerName = customer.name;
+    }
+  }
+
+  for (const field of ['discount', 'customerName', 'notes']) {
+    if (body[field] !== undefined) {
+      sale[field] = body[field];
+    }
+  }
+
+  return { errors: sale.calculateTotals(), priceOverrides };
+};
+
+/**
+ * List sales, newest first
+ * Supports ?page, ?limit, ?status, ?customerId, ?from, ?to and ?search (receipt number or customer).
+ * @route GET /api/sales
+ * @access Private (sales:read)
+ */
+exports.getSales = async (req, res, next) => {
+  try {
+    const { page, limit } = parsePagination(req.query);
+
+    const filter = { business: req.user.business._id };
+    if (SALE_STATUSES.includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+    if (mongoose.Types.ObjectId.isValid(req.query.customerId)) {
+      filter.customerId = req.query.customerId;
+    }
+    if (typeof req.query.search === 'string' && req.query.search.trim()) {
+      const pattern = new RegExp(escapeRegex(req.query.search.trim()), 'i');
+      filter.$or = [{ receiptNumber: pattern }, { customerName: pattern }];
+    }
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if (from && !isNaN(from)) {
+      filter.createdAt = { ...filter.createdAt, $gte: from };
+    }
+    if (to && !isNaN(to)) {
+      filter.createdAt = { ...filter.createdAt, $lte: to };
+    }
+
+    const [sales, total] = await Promise.all([
+      Sale.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Sale.countDocuments(filter)
+    ]);
+
+    paginatedResponse(
+      res,
+      200,
+      'Sales retrieved successfully',
+      sales.map(sale => sale.toPublicProfile()),
+      { page, limit, total }
+    );
+  } catch (error) {
+    logger.error('Get sales error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a single sale
+ * @route GET /api/sales/:id
+ * @access Private (sales:read)
+ */
+exports.getSale = async (req, res, next) => {
+  try {
+    const sale = await findSale(req, res);
+    if (!sale) return;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sale: sale.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Get sale error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create a sale
+ * With payments the sale is checked out immediately (point of sale);
+ * without them it is saved as an open order.
+ * @route POST /api/sales
+ * @access Private (sales:write)
+ */
+exports.createSale = async (req, res, next) => {
+  try {
+    const business = await Business.findById(req.user.business._id)
+      .select('name preferences inventorySettings');
+
+    const sale = new Sale({
+      business: business._id,
+      createdBy: req.user._id
+    });
+
+    const { errors, priceOverrides, forbidden } = await applySaleChanges(req, sale, business);
+    if (forbidden) {
+      return priceOverrideResponse(res, priceOverrides);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sale is not valid',
+        errors
+      });
+    }
+
+    if (req.body.payments) {
+      const paymentError = sale.applyPayments(req.body.payments);
+      if (paymentError) {
+        return res.status(400).json({
+          success: false,
+          message: paymentError
+        });
+      }
+
+      await completeSale(sale, business, req.user);
+
+      logger.info(`Sale ${sale.receiptNumber} completed for business: ${business.name}`);
+
+      await recordAudit(req, 'sale.completed', {
+        targetType: 'Sale',
+        targetId: sale._id,
+        metadata: { receiptNumber: sale.receiptNumber, total: sale.total }
+      });
+    } else {
+      await sale.save();
+
+      logger.info(`Sales order created for business: ${business.name}`);
+    }
+
+    await auditPriceOverrides(req, sale, priceOverrides);
+
+    res.status(201).json({
+      success: true,
+      message: sale.status === 'completed' ? 'Sale completed successfully' : 'Sales order created successfully',
+      data: {
+        sale: sale.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Create sale error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update an open sales order
+ * Only the supplied fields are changed; items replace the whole list.
+ * @route PUT /api/sales/:id
+ * @access Private (sales:write)
+ */
+exports.updateSale = async (req, res, next) => {
+  try {
+    const sale = await findSale(req, res);
+    if (!sale) return;
+
+    if (sale.status !== 'open') {
+      return notOpenResponse(res, sale);
+    }
+
+    const business = await Business.findById(req.user.business._id).select('name preferences');
+
+    const { errors, priceOverrides, forbidden } = await applySaleChanges(req, sale, business);
+    if (forbidden) {
+      return priceOverrideResponse(res, priceOverrides);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sale is not valid',
+        errors
+      });
+    }
+
+    await sale.save();
+
+    await auditPriceOverrides(req, sale, priceOverrides);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sales order updated successfully',
+      data: {
+        sale: sale.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Update sale error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Check out an open sales order
+ * @route POST /api/sales/:id/checkout
+ * @access Private (sales:write)
+ */
+exports.checkoutSale = async (req, res, next) => {
+  try {
+    const sale = await findSale(req, res);
+    if (!sale) return;
+
+    if (sale.status !== 'open') {
+      return notOpenResponse(res, sale);
+    }
+
+    const business = await Business.findById(req.user.business._id)
+      .select('name preferences inventorySettings');
+
+    const paymentError = sale.applyPayments(req.body.payments);
+    if (paymentError) {
+      return res.status(400).json({
+        success: false,
+        message: paymentError
+      });
+    }
+
+    await completeSale(sale, business, req.user);
+
+    logger.info(`Sale ${sale.receiptNumber} completed for business: ${business.name}`);
+
+    await recordAudit(req, 'sale.completed', {
+      targetType: 'Sale',
+      targetId: sale._id,
+      metadata: { receiptNumber: sale.receiptNumber, total: sale.total }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Sale completed successfully',
+      data: {
+        sale: sale.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Checkout sale error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Cancel an open sales order
+ * @route POST /api/sales/:id/cancel
+ * @access Private (sales:write)
+ */
+exports.cancelSale = async (req, res, next) => {
+  try {
+    const existing = await findSale(req, res);
+    if (!existing) return;
+
+    // Only cancel if a concurrent checkout has not completed the order first
+    const sale = await Sale.findOneAndUpdate(
+      { _id: existing._id, status: 'open' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+
+    if (!sale) {
+      return notOpenResponse(res, await Sale.findById(existing._id));
+    }
+
+    logger.info(`Sales order ${sale._id} cancelled for business: ${req.user.business.name}`);
+
+    await recordAudit(req, 'sale.cancelled', {
+      targetType: 'Sale',
+      targetId: sale._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Sales order cancelled successfully',
+      data: {
+        sale: sale.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Cancel sale error:', error);
+    next(error);
+  }
+};
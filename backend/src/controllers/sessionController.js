@@ -0,0 +1,95 @@
+/**
+ * Session Controller
+ * Lets users see and revoke the devices they are logged in on
+ */
+
+const Session = require('../models/Session');
+const { revokeSession, revokeUserSessions } = require('../utils/tokens');
+const logger = require('../utils/logger');
+
+/**
+ * List the current user's active sessions
+ * @route GET /api/auth/sessions
+ * @access Private
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => session.toPublicProfile(req.auth?.sessionId))
+      }
+    });
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ * @route DELETE /api/auth/sessions/:id
+ * @access Private
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session._id, 'revoked-by-user');
+
+    logger.info(`Session ${session._id} revoked by user: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Log out everywhere except the current session
+ * @route DELETE /api/auth/sessions
+ * @access Private
+ */
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revoked = await revokeUserSessions(
+      req.user._id,
+      'revoked-by-user',
+      req.auth?.sessionId
+    );
+
+    logger.info(`${revoked} other sessions revoked by user: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out from all other sessions',
+      data: {
+        revokedSessions: revoked
+      }
+    });
+  } catch (error) {
+    logger.error('Revoke other sessions error:', error);
+    next(error);
+  }
+};
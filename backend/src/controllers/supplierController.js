@@ -0,0 +1,334 @@
+/**
+ * Supplier Controller
+ * Handles supplier records and their purchasing history
+ */
+
+const mongoose = require('mongoose');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { roundMoney } = require('../utils/money');
+const { paginatedResponse } = require('../utils/apiResponse');
+const { recordAudit } = require('../utils/audit');
+const { escapeRegex, parsePagination } = require('../utils/query');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Orders looked at when building a supplier's history
+const HISTORY_ORDER_LIMIT = 200;
+
+// Fields that can be set through the API
+const SUPPLIER_FIELDS = [
+  'name',
+  'contactName',
+  'email',
+  'phone',
+  'address',
+  'leadTimeDays',
+  'paymentTerms',
+  'notes',
+  'isActive'
+];
+
+/**
+ * Find a supplier of the current business
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - Supplier document, or null if a response was sent
+ */
+const findSupplier = async (req, res) => {
+  const supplier = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Supplier.findOne({ _id: req.params.id, business: req.user.business._id })
+    : null;
+
+  if (!supplier) {
+    res.status(404).json({
+      success: false,
+      message: 'Supplier not found'
+    });
+    return null;
+  }
+
+  return supplier;
+};
+
+/**
+ * Send the response for a duplicate supplier name
+ * @param {Object} res - Express response object
+ */
+const duplicateNameResponse = (res) => {
+  return res.status(400).json({
+    success: false,
+    message: 'A supplier with this name already exists'
+  });
+};
+
+/**
+ * List suppliers, alphabetically
+ * Supports ?page, ?limit, ?search (name, contact or email) and ?isActive.
+ * @route GET /api/suppliers
+ * @access Private (purchasing:read)
+ */
+exports.getSuppliers = async (req, res, next) => {
+  try {
+    const { page, limit } = parsePagination(req.query);
+
+    const filter = { business: req.user.business._id };
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+    if (typeof req.query.search === 'string' && req.query.search.trim()) {
+      const pattern = new RegExp(escapeRegex(req.query.search.trim()), 'i');
+      filter.$or = [{ name: pattern }, { contactName: pattern }, { email: pattern }];
+    }
+
+    const [suppliers, total] = await Promise.all([
+      Supplier.find(filter)
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Supplier.countDocuments(filter)
+    ]);
+
+    paginatedResponse(
+      res,
+      200,
+      'Suppliers retrieved successfully',
+      suppliers.map(supplier => supplier.toPublicProfile()),
+      { page, limit, total }
+    );
+  } catch (error) {
+    logger.error('Get suppliers error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a single supplier
+ * @route GET /api/suppliers/:id
+ * @access Private (purchasing:read)
+ */
+exports.getSupplier = async (req, res, next) => {
+  try {
+    const supplier = await findSupplier(req, res);
+    if (!supplier) return;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        supplier: supplier.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    logger.error('Get supplier error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create a supplier
+ * @route POST /api/suppliers
+ * @access Private (purchasing:write)
+ */
+exports.createSupplier = async (req, res, next) => {
+  try {
+    const supplier = new Supplier({
+      business: req.user.business._id,
+      createdBy: req.user._id
+    });
+    for (const field of SUPPLIER_FIELDS) {
+      if (req.body[field] !== undefined) {
+        supplier[field] = req.body[field];
+      }
+    }
+
+    await supplier.save();
+
+    logger.info(`Supplier created for business: ${req.user.business.name}`);
+
+    await recordAudit(req, 'supplier.created', {
+      targetType: 'Supplier',
+      targetId: supplier._id,
+      metadata: { name: supplier.name }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Supplier created successfully',
+      data: {
+        supplier: supplier.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateNameResponse(res);
+    }
+
+    logger.error('Create supplier error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update a supplier
+ * Only the supplied fields are changed.
+ * @route PUT /api/suppliers/:id
+ * @access Private (purchasing:write)
+ */
+exports.updateSupplier = async (req, res, next) => {
+  try {
+    const supplier = await findSupplier(req, res);
+    if (!supplier) return;
+
+    for (const field of SUPPLIER_FIELDS) {
+      if (req.body[field] !== undefined) {
+        supplier[field] = req.body[field];
+      }
+    }
+
+    await supplier.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier updated successfully',
+      data: {
+        supplier: supplier.toPublicProfile()
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return duplicateNameResponse(res);
+    }
+
+    logger.error('Update supplier error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a supplier
+ * Suppliers with purchase orders are kept for their history and can only be deactivated.
+ * @route DELETE /api/suppliers/:id
+ * @access Private (purchasing:write)
+ */
+exports.deleteSupplier = async (req, res, next) => {
+  try {
+    const supplier = await findSupplier(req, res);
+    if (!supplier) return;
+
+    if (await PurchaseOrder.exists({ business: supplier.business, supplier: supplier._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Suppliers with purchase orders cannot be deleted. Deactivate the supplier instead.'
+      });
+    }
+
+    await supplier.deleteOne();
+
+    logger.info(`Supplier ${supplier._id} deleted for business: ${req.user.business.name}`);
+
+    await recordAudit(req, 'supplier.deleted', {
+      targetType: 'Supplier',
+      targetId: supplier._id,
+      metadata: { name: supplier.name }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete supplier error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a supplier's price and lead time history
+ * Prices are the costs actually received per product, newest first, with the
+ * last and quantity-weighted average cost. Lead times run from when an order
+ * was placed to its first delivery.
+ * @route GET /api/suppliers/:id/history
+ * @access Private (purchasing:read)
+ */
+exports.getSupplierHistory = async (req, res, next) => {
+  try {
+    const supplier = await findSupplier(req, res);
+    if (!supplier) return;
+
+    const orders = await PurchaseOrder.find({
+      business: supplier.business,
+      supplier: supplier._id,
+      'receipts.0': { $exists: true }
+    })
+      .sort({ orderedAt: -1 })
+      .limit(HISTORY_ORDER_LIMIT);
+
+    const products = new Map();
+    const leadTimes = [];
+
+    for (const order of orders) {
+      const names = new Map(order.items.map(item => [item.product.toString(), item]));
+
+      for (const receipt of order.receipts) {
+        for (const line of receipt.items) {
+          const key = line.product.toString();
+          if (!products.has(key)) {
+            const item = names.get(key);
+            products.set(key, { product: line.product, sku: item?.sku, name: item?.name, receipts: [] });
+          }
+
+          products.get(key).receipts.push({
+            poNumber: order.poNumber,
+            receivedAt: receipt.receivedAt,
+            quantity: line.quantity,
+            unitCost: line.unitCost
+          });
+        }
+      }
+
+      const firstReceipt = order.receipts.reduce(
+        (first, receipt) => (receipt.receivedAt < first ? receipt.receivedAt : first),
+        order.receipts[0].receivedAt
+      );
+      if (order.orderedAt) {
+        leadTimes.push({
+          poNumber: order.poNumber,
+          orderedAt: order.orderedAt,
+          firstReceivedAt: firstReceipt,
+          leadTimeDays: roundMoney((firstReceipt - order.orderedAt) / DAY_MS)
+        });
+      }
+    }
+
+    const prices = [...products.values()].map(entry => {
+      entry.receipts.sort((a, b) => b.receivedAt - a.receivedAt);
+
+      const quantity = entry.receipts.reduce((sum, receipt) => sum + receipt.quantity, 0);
+      const cost = entry.receipts.reduce((sum, receipt) => sum + receipt.quantity * receipt.unitCost, 0);
+
+      return {
+        ...entry,
+        lastCost: entry.receipts[0].unitCost,
+        averageCost: quantity > 0 ? roundMoney(cost / quantity) : null
+      };
+    });
+
+    const averageLeadTimeDays = leadTimes.length > 0
+      ? roundMoney(leadTimes.reduce((sum, entry) => sum + entry.leadTimeDays, 0) / leadTimes.length)
+      : null;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        supplier: supplier.toPublicProfile(),
+        prices,
+        leadTimes,
+        averageLeadTimeDays
+      }
+    });
+  } catch (error) {
+    logger.error('Get supplier history error:', error);
+    next(error);
+  }
+};
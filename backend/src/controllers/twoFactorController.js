@@ -0,0 +1,358 @@
+/**
+ * Two-Factor Authentication Controller
+ * Handles TOTP enrollment, recovery codes and the second login step
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const Membership = require('../models/Membership');
+const totp = require('../utils/totp');
+const {
+  issueAuthTokens,
+  verifyTwoFactorChallenge
+} = require('../utils/tokens');
+const {
+  registerFailedLogin,
+  clearFailedLogins
+} = require('../utils/loginProtection');
+const logger = require('../utils/logger');
+
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+/**
+ * Hash a recovery code for storage/comparison
+ * @param {String} code - Recovery code
+ * @returns {String} - SHA-256 hex digest
+ */
+const hashRecoveryCode = (code) => {
+  return crypto
+    .createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+    .digest('hex');
+};
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Object} - { codes: raw codes to show once, hashes: values to store }
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(hashRecoveryCode)
+  };
+};
+
+/**
+ * Check a TOTP code or recovery code against an enrolled user
+ * Consumes the recovery code or records the used time step; the caller saves.
+ * @param {Object} user - User document with two-factor fields selected
+ * @param {Object} input - { code, recoveryCode }
+ * @returns {Boolean} - True if the second factor is valid
+ */
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = totp.verifyCode(user.twoFactor.secret, code, {
+      afterStep: user.twoFactor.lastUsedStep ?? -1
+    });
+
+    if (step === null) {
+      return false;
+    }
+
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const index = (user.twoFactor.recoveryCodes || []).indexOf(hash);
+
+    if (index === -1) {
+      return false;
+    }
+
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Start two-factor enrollment
+ * @route POST /api/auth/2fa/setup
+ * @access Private
+ */
+exports.setup = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Two-factor setup started for user: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: totp.buildOtpauthUri({
+          secret,
+          accountName: user.email,
+          issuer: process.env.TWO_FACTOR_ISSUER || 'Brillix'
+        })
+      }
+    });
+  } catch (error) {
+    logger.error('Two-factor setup error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @route POST /api/auth/2fa/confirm
+ * @access Private
+ */
+exports.confirm = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup before confirming'
+      });
+    }
+
+    const step = totp.verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Two-factor authentication enabled for user: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+  } catch (error) {
+    logger.error('Two-factor confirm error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Disable two-factor authentication
+ * @route POST /api/auth/2fa/disable
+ * @access Private
+ */
+exports.disable = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // Any business the user is active in may require it
+    const memberships = await Membership.find({ user: user._id, isActive: true })
+      .populate('business', 'security');
+    if (memberships.some(membership => membership.business?.security?.requireTwoFactor)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A business you belong to requires two-factor authentication for all members'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password || '');
+    if (!isPasswordValid || !verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Two-factor authentication disabled for user: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    logger.error('Two-factor disable error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Replace recovery codes with a new set
+ * @route POST /api/auth/2fa/recovery-codes
+ * @access Private
+ */
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!verifySecondFactor(user, { code: req.body.code })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Recovery codes regenerated for user: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+  } catch (error) {
+    logger.error('Regenerate recovery codes error:', error);
+    next(error);
+  }
+};
+
+/**
+ * Complete a login with the second factor
+ * @route POST /api/auth/2fa/verify
+ * @access Public (requires a challenge token from login)
+ */
+exports.verifyLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const decoded = verifyTwoFactorChallenge(challengeToken);
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+
+    if (
+      !user ||
+      !user.isActive ||
+      !user.twoFactor?.enabled ||
+      (decoded.tv || 0) !== (user.tokenVersion || 0)
+    ) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired. Please log in again.'
+      });
+    }
+
+    // Guessing codes counts towards the same lockout as guessing passwords
+    if (user.isLocked()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      await registerFailedLogin(user);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const membership = await Membership.findActiveForUser(user._id, user.business);
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not an active member of any active business. Please contact support.'
+      });
+    }
+    user.applyMembership(membership);
+
+    await clearFailedLogins(user);
+
+    const { token, refreshToken } = await issueAuthTokens(user, req);
+
+    user.lastLogin = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`User logged in with two-factor authentication: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        token,
+        refreshToken,
+        user: user.toPublicProfile(),
+        business: user.business.toPublicProfile(),
+        ...(recoveryCode && {
+          remainingRecoveryCodes: user.twoFactor.recoveryCodes.length
+        })
+      }
+    });
+  } catch (error) {
+    logger.error('Two-factor verify error:', error);
+    next(error);
+  }
+};
@@ -5,13 +5,178 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const Membership = require('../models/Membership');
+const { isSessionActive } = require('../utils/tokens');
+const { requestHasPermission } = require('../utils/permissions');
 const logger = require('../utils/logger');
 
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Business fields needed by the authorization middleware
+const BUSINESS_AUTH_FIELDS = 'name industry subscriptionPlan rolePermissions security isActive';
+
+// Avoid a write on every request when tracking API key usage
+const API_KEY_TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Restrictions applied to users who have not verified their email
+ *  - off: no restrictions
+ *  - restricted: blocked from routes guarded by requireVerifiedEmail (default)
+ *  - read-only: blocked from every write outside /api/auth
+ * @returns {String} - Active policy
+ */
+const getEmailVerificationPolicy = () => {
+  return process.env.EMAIL_VERIFICATION_POLICY || 'restricted';
+};
+
+/**
+ * Send the response for users blocked by the verification policy
+ * @param {Object} res - Express response object
+ */
+const emailNotVerifiedResponse = (res) => {
+  return res.status(403).json({
+    success: false,
+    code: 'EMAIL_NOT_VERIFIED',
+    message: 'Please verify your email address to perform this action'
+  });
+};
+
+/**
+ * Check whether an access token has been revoked
+ * @param {Object} decoded - Decoded JWT payload
+ * @param {Object} user - User document the token was issued to
+ * @param {Object} req - Express request object
+ * @returns {Promise<Boolean>} - True if the token must be rejected
+ */
+const isTokenRevoked = async (decoded, user, req) => {
+  // Password changes and similar events bump the user's token version
+  if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+    return true;
+  }
+
+  // Logout, session revocation and refresh token reuse end the session
+  if (!decoded.sid || !(await isSessionActive(decoded.sid, req))) {
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Find the active membership a request is scoped to
+ * @param {String} userId - User ID
+ * @param {String} businessId - Business the token or key is scoped to
+ * @returns {Promise<Object|null>} - Membership with business populated, or null
+ */
+const findScopedMembership = async (userId, businessId) => {
+  if (!businessId) {
+    return null;
+  }
+
+  const membership = await Membership.findOne({
+    user: userId,
+    business: businessId,
+    isActive: true
+  }).populate('business', BUSINESS_AUTH_FIELDS);
+
+  return membership?.business?.isActive ? membership : null;
+};
+
+/**
+ * Check the key presented in the X-API-Key header
+ * The key acts on behalf of the owner who created it, who must still be an
+ * active member of the key's business.
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} - { apiKey, user, membership }, or null if the key is not usable
+ */
+const verifyApiKey = async (req) => {
+  const parsed = ApiKey.parseKey(req.get('x-api-key'));
+  if (!parsed) {
+    return null;
+  }
+
+  const apiKey = await ApiKey.findOne({ prefix: parsed.prefix }).select('+keyHash');
+  if (!apiKey || !apiKey.matchesSecret(parsed.secret) || !apiKey.isUsable()) {
+    logger.warn(`Rejected API key bk_${parsed.prefix} from IP: ${req.ip}`);
+    return null;
+  }
+
+  const user = await User.findById(apiKey.createdBy).select('-password');
+  const membership = user?.isActive
+    ? await findScopedMembership(user._id, apiKey.business)
+    : null;
+
+  return membership ? { apiKey, user, membership } : null;
+};
+
+/**
+ * Identify the API key a request is made with, ahead of rate limiting
+ * Only a key that verifies is kept, as req.apiKeyIdentity, so the limiters
+ * never trust the raw header. protect rejects the other keys.
+ */
+exports.identifyApiKey = async (req, res, next) => {
+  try {
+    if (req.get('x-api-key')) {
+      req.apiKeyIdentity = await verifyApiKey(req);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
- * Protect routes - Verify JWT token
+ * Authenticate a request made with an X-API-Key header
+ * The key acts on behalf of the owner who created it, limited to its scopes.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const authenticateApiKey = async (req, res, next) => {
+  const identity = req.apiKeyIdentity !== undefined ? req.apiKeyIdentity : await verifyApiKey(req);
+  if (!identity) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized. Invalid API key.'
+    });
+  }
+
+  // Account endpoints (sessions, passwords, 2FA) are for humans only
+  if (req.originalUrl.startsWith('/api/auth/')) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot be used for account endpoints'
+    });
+  }
+
+  const { apiKey, user, membership } = identity;
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > API_KEY_TOUCH_INTERVAL_MS) {
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } }
+    );
+  }
+
+  apiKey.keyHash = undefined;
+  user.applyMembership(membership);
+  req.user = user;
+  req.membership = membership;
+  req.apiKey = apiKey;
+  req.auth = { apiKeyId: apiKey._id, businessId: apiKey.business };
+  next();
+};
+
+/**
+ * Protect routes - Verify JWT token or API key
  */
 exports.protect = async (req, res, next) => {
   try {
+    // Machine-to-machine requests authenticate with an API key instead
+    if (req.get('x-api-key')) {
+      return await authenticateApiKey(req, res, next);
+    }
+
     let token;
 
     // Check if token exists in Authorization header
@@ -35,10 +200,16 @@ exports.protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Only access tokens may be used to call the API
+      if (decoded.type !== 'access') {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized. Invalid token.'
+        });
+      }
+
       // Find user by ID from token and exclude password
-      const user = await User.findById(decoded.id)
-        .populate('business', 'name industry subscriptionPlan')
-        .select('-password');
+      const user = await User.findById(decoded.id).select('-password');
 
       // Check if user still exists
       if (!user) {
@@ -56,8 +227,51 @@ exports.protect = async (req, res, next) => {
         });
       }
 
-      // Attach user to request object
+      // Check the token has not been revoked by logout or password change
+      if (await isTokenRevoked(decoded, user, req)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked. Please log in again.'
+        });
+      }
+
+      // Business and role come from the membership the token is scoped to
+      const membership = await findScopedMembership(user._id, decoded.bid);
+      if (!membership) {
+        return res.status(401).json({
+          success: false,
+          message: 'You no longer have access to this business'
+        });
+      }
+      user.applyMembership(membership);
+
+      // Unverified users are read-only outside the auth routes under this policy
+      if (
+        !user.isEmailVerified &&
+        getEmailVerificationPolicy() === 'read-only' &&
+        !SAFE_METHODS.includes(req.method) &&
+        !req.originalUrl.startsWith('/api/auth/')
+      ) {
+        return emailNotVerifiedResponse(res);
+      }
+
+      // Businesses requiring 2FA only let unenrolled members reach the auth routes
+      if (
+        user.business?.security?.requireTwoFactor &&
+        !user.twoFactor?.enabled &&
+        !req.originalUrl.startsWith('/api/auth/')
+      ) {
+        return res.status(403).json({
+          success: false,
+          code: 'TWO_FACTOR_REQUIRED',
+          message: 'Your business requires two-factor authentication. Please enable it to continue.'
+        });
+      }
+
+      // Attach user, membership and token details to request object
       req.user = user;
+      req.membership = membership;
+      req.auth = { sessionId: decoded.sid, businessId: membership.business._id };
       next();
     } catch (error) {
       logger.error('Token verification failed:', error.message);
@@ -87,6 +301,37 @@ exports.authorize = (...roles) => {
   };
 };
 
+/**
+ * Require named permissions
+ * The user's role must hold every listed permission in their business,
+ * and API keys must also have each permission in their scopes.
+ * @param  {...String} permissions - Required permissions
+ */
+exports.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.filter(permission => !requestHasPermission(req, permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You do not have permission to perform this action (requires: ${missing.join(', ')})`
+      });
+    }
+    next();
+  };
+};
+
+/**
+ * Require a verified email address
+ * Has no effect when the verification policy is 'off'
+ */
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (getEmailVerificationPolicy() !== 'off' && !req.user.isEmailVerified) {
+    return emailNotVerifiedResponse(res);
+  }
+  next();
+};
+
 /**
  * Optional authentication - Attach user if token exists
  * Doesn't block the request if no token is provided
@@ -105,9 +350,17 @@ exports.optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.id).select('-password');
-        if (user && user.isActive) {
+        const user = decoded.type === 'access'
+          ? await User.findById(decoded.id).select('-password')
+          : null;
+        const membership = user && user.isActive && !(await isTokenRevoked(decoded, user, req))
+          ? await findScopedMembership(user._id, decoded.bid)
+          : null;
+        if (membership) {
+          user.applyMembership(membership);
           req.user = user;
+          req.membership = membership;
+          req.auth = { sessionId: decoded.sid, businessId: membership.business._id };
         }
       } catch (error) {
         // Token invalid, but we don't block the request
@@ -43,12 +43,23 @@ const errorHandler = (err, req, res, next) => {
     message = `${field} already exists`;
   }
 
+  // MongoDB write conflict: another transaction changed the same document
+  if (err.code === 112) {
+    statusCode = 409;
+    message = 'This record changed while the request was being processed. Please try again.';
+  }
+
   // Mongoose CastError (invalid ObjectId)
   if (err.name === 'CastError') {
     statusCode = 400;
     message = `Invalid ${err.path}: ${err.value}`;
   }
 
+  // Multer upload errors (file too large, unexpected field, ...)
+  if (err.name === 'MulterError') {
+    statusCode = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     statusCode = 401;
@@ -4,15 +4,19 @@
  */
 
 const rateLimit = require('express-rate-limit');
+const { ipKeyGenerator } = require('express-rate-limit');
 const logger = require('../utils/logger');
 
 /**
  * General API rate limiter
  * 100 requests per 15 minutes
+ * Requests made with a verified API key are limited per key by apiKeyLimiter
+ * instead; identifyApiKey must run first. Invalid keys count against the IP.
  */
 exports.apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per windowMs
+  skip: (req) => Boolean(req.apiKeyIdentity),
   message: {
     success: false,
     message: 'Too many requests from this IP, please try again later.'
@@ -30,12 +34,18 @@ exports.apiLimiter = rateLimit({
 
 /**
  * Strict rate limiter for authentication routes
- * 5 requests per 15 minutes
+ * 10 requests per 15 minutes per IP and account, so one user guessing
+ * passwords does not lock out everyone behind a shared office IP.
+ * Per-account lockout is handled by the login controller.
  */
 exports.authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // Limit each IP to 5 requests per windowMs
+  max: 10, // Limit each IP/account pair to 10 requests per windowMs
   skipSuccessfulRequests: false,
+  keyGenerator: (req) => {
+    const email = typeof req.body?.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    return `${ipKeyGenerator(req.ip)}:${email}`;
+  },
   message: {
     success: false,
     message: 'Too many login attempts, please try again after 15 minutes.'
@@ -49,6 +59,43 @@ exports.authLimiter = rateLimit({
   }
 });
 
+/**
+ * Coarse per-IP limiter for login routes
+ * 100 requests per 15 minutes, catches credential stuffing across many accounts
+ */
+exports.loginIpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+  handler: (req, res) => {
+    logger.warn(`Login IP rate limit exceeded for IP: ${req.ip}`);
+    res.status(429).json({
+      success: false,
+      message: 'Too many login attempts from this IP, please try again later.'
+    });
+  }
+});
+
+/**
+ * Refresh token rate limiter
+ * 60 token refreshes per 15 minutes per IP, enough for several signed-in
+ * users behind one address while slowing down stolen or guessed tokens
+ */
+exports.refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60,
+  message: {
+    success: false,
+    message: 'Too many token refresh requests, please try again later.'
+  },
+  handler: (req, res) => {
+    logger.warn(`Refresh rate limit exceeded for IP: ${req.ip}`);
+    res.status(429).json({
+      success: false,
+      message: 'Too many token refresh requests, please try again later.'
+    });
+  }
+});
+
 /**
  * Registration rate limiter
  * 3 registrations per hour per IP
@@ -67,4 +114,65 @@ exports.registerLimiter = rateLimit({
       message: 'Too many accounts created from this IP, please try again later.'
     });
   }
-});
\ No newline at end of file
+});
+
+/**
+ * Password reset rate limiter
+ * 5 reset requests per hour per IP
+ */
+exports.passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: {
+    success: false,
+    message: 'Too many password reset requests, please try again later.'
+  },
+  handler: (req, res) => {
+    logger.warn(`Password reset rate limit exceeded for IP: ${req.ip}`);
+    res.status(429).json({
+      success: false,
+      message: 'Too many password reset requests, please try again later.'
+    });
+  }
+});
+
+/**
+ * Verification email rate limiter
+ * 3 resend requests per hour per IP
+ */
+exports.verificationEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3,
+  message: {
+    success: false,
+    message: 'Too many verification emails requested, please try again later.'
+  },
+  handler: (req, res) => {
+    logger.warn(`Verification email rate limit exceeded for IP: ${req.ip}`);
+    res.status(429).json({
+      success: false,
+      message: 'Too many verification emails requested, please try again later.'
+    });
+  }
+});
+
+/**
+ * API key rate limiter
+ * API_KEY_RATE_LIMIT requests (default 1000) per 15 minutes per key
+ * Keyed on the key identifyApiKey verified, never on the raw header.
+ */
+exports.apiKeyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: () => parseInt(process.env.API_KEY_RATE_LIMIT) || 1000,
+  skip: (req) => !req.apiKeyIdentity,
+  keyGenerator: (req) => `api-key:${req.apiKeyIdentity.apiKey._id}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn(`API key rate limit exceeded for key: bk_${req.apiKeyIdentity.apiKey.prefix}`);
+    res.status(429).json({
+      success: false,
+      message: 'Too many requests for this API key, please try again later.'
+    });
+  }
+});
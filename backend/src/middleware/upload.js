@@ -0,0 +1,48 @@
+/**
+ * Upload Middleware
+ * Accepts multipart file uploads with multer
+ * Files are held in memory; controllers store them through utils/storage.
+ */
+
+const multer = require('multer');
+const { RECEIPT_MIME_TYPES, RECEIPT_MAX_FILE_SIZE } = require('../config/expenses');
+const { LOGO_MIME_TYPES, LOGO_MAX_FILE_SIZE } = require('../config/uploads');
+const { EXTENSIONS } = require('../utils/storage');
+
+/**
+ * Build a multer middleware that accepts a single file
+ * @param {Object} options - { field, mimeTypes, maxFileSize }
+ * @returns {Function} - Express middleware
+ */
+const singleFileUpload = ({ field, mimeTypes, maxFileSize }) => {
+  return multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileSize, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!mimeTypes.includes(file.mimetype)) {
+        const error = new Error(`Only ${mimeTypes.map(type => EXTENSIONS[type]).join(', ')} files are accepted`);
+        error.statusCode = 400;
+        return cb(error);
+      }
+      cb(null, true);
+    }
+  }).single(field);
+};
+
+/**
+ * Expense receipt upload (form field "receipt")
+ */
+exports.receiptUpload = singleFileUpload({
+  field: 'receipt',
+  mimeTypes: RECEIPT_MIME_TYPES,
+  maxFileSize: RECEIPT_MAX_FILE_SIZE
+});
+
+/**
+ * Business logo upload (form field "logo")
+ */
+exports.logoUpload = singleFileUpload({
+  field: 'logo',
+  mimeTypes: LOGO_MIME_TYPES,
+  maxFileSize: LOGO_MAX_FILE_SIZE
+});
@@ -4,6 +4,12 @@
  */
 
 const { body, validationResult } = require('express-validator');
+const { MANUAL_MOVEMENT_TYPES } = require('../config/inventory');
+const { TENDER_TYPES } = require('../config/sales');
+const { EXPENSE_PAYMENT_METHODS } = require('../config/expenses');
+const { PAYMENT_METHODS } = require('../config/payments');
+const { UNIT_TYPES, PREFERENCE_SECTIONS } = require('../config/preferences');
+const { INDUSTRIES, PREFERENCE_TEMPLATES } = require('../config/preferenceTemplates');
 
 /**
  * Handle validation errors
@@ -58,8 +64,13 @@ exports.registerValidation = [
 
   body('industry')
     .optional()
-    .isIn(['retail', 'restaurant', 'services', 'manufacturing', 'technology', 'healthcare', 'education', 'real-estate', 'finance', 'other'])
-    .withMessage('Invalid industry type')
+    .isIn(INDUSTRIES)
+    .withMessage('Invalid industry type'),
+
+  body('preferenceTemplate')
+    .optional()
+    .isIn(Object.keys(PREFERENCE_TEMPLATES))
+    .withMessage('Invalid preference template')
 ];
 
 /**
@@ -76,6 +87,927 @@ exports.loginValidation = [
     .notEmpty().withMessage('Password is required')
 ];
 
+/**
+ * Forgot password validation rules
+ */
+exports.forgotPasswordValidation = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email')
+    .normalizeEmail()
+];
+
+/**
+ * Reset password validation rules
+ */
+exports.resetPasswordValidation = [
+  body('password')
+    .notEmpty().withMessage('Password is required')
+    .isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+];
+
+/**
+ * Member invitation validation rules
+ */
+exports.inviteMemberValidation = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email')
+    .normalizeEmail(),
+
+  body('role')
+    .notEmpty().withMessage('Role is required')
+    .isIn(['admin', 'manager', 'employee'])
+    .withMessage('Role must be one of: admin, manager, employee')
+];
+
+/**
+ * Accept invitation validation rules
+ */
+exports.acceptInviteValidation = [
+  body('firstName')
+    .trim()
+    .notEmpty().withMessage('First name is required')
+    .isLength({ min: 2, max: 50 }).withMessage('First name must be between 2 and 50 characters'),
+
+  body('lastName')
+    .trim()
+    .notEmpty().withMessage('Last name is required')
+    .isLength({ min: 2, max: 50 }).withMessage('Last name must be between 2 and 50 characters'),
+
+  body('password')
+    .notEmpty().withMessage('Password is required')
+    .isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+];
+
+/**
+ * Member role change validation rules
+ */
+exports.memberRoleValidation = [
+  body('role')
+    .notEmpty().withMessage('Role is required')
+    .isIn(['admin', 'manager', 'employee'])
+    .withMessage('Role must be one of: admin, manager, employee')
+];
+
+/**
+ * Role permissions validation rules
+ */
+exports.rolePermissionsValidation = [
+  body('permissions')
+    .isArray().withMessage('Permissions must be an array'),
+
+  body('permissions.*')
+    .isString().withMessage('Each permission must be a string')
+];
+
+/**
+ * API key creation validation rules
+ */
+exports.createApiKeyValidation = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('API key name is required')
+    .isLength({ max: 100 }).withMessage('API key name cannot exceed 100 characters'),
+
+  body('scopes')
+    .isArray({ min: 1 }).withMessage('Scopes must be a non-empty array'),
+
+  body('scopes.*')
+    .isString().withMessage('Each scope must be a string'),
+
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('expiresAt must be a valid date')
+    .toDate()
+    .custom(value => value > new Date()).withMessage('expiresAt must be in the future')
+];
+
+/**
+ * Two-factor code validation rules
+ */
+exports.twoFactorCodeValidation = [
+  body('code')
+    .trim()
+    .notEmpty().withMessage('Authentication code is required')
+    .matches(/^\d{6}$/).withMessage('Authentication code must be 6 digits')
+];
+
+/**
+ * Two-factor login validation rules
+ */
+exports.twoFactorLoginValidation = [
+  body('challengeToken')
+    .notEmpty().withMessage('Challenge token is required'),
+
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .trim()
+    .notEmpty().withMessage('Provide an authentication code or a recovery code')
+];
+
+/**
+ * Security settings validation rules
+ */
+exports.securitySettingsValidation = [
+  body('requireTwoFactor')
+    .isBoolean().withMessage('requireTwoFactor must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Product field validation rules
+ * @param {Boolean} isUpdate - Make required fields optional for partial updates
+ * @returns {Array} - express-validator chains
+ */
+const productFieldRules = (isUpdate) => {
+  const required = (chain, message) => (isUpdate ? chain.optional() : chain.notEmpty().withMessage(message));
+
+  return [
+    required(body('sku'), 'SKU is required')
+      .isString().withMessage('SKU must be a string')
+      .trim()
+      .isLength({ min: 1, max: 50 }).withMessage('SKU must be between 1 and 50 characters')
+      .matches(/^[A-Za-z0-9._-]+$/).withMessage('SKU can only contain letters, numbers, dots, dashes and underscores'),
+
+    required(body('name'), 'Product name is required')
+      .isString().withMessage('Product name must be a string')
+      .trim()
+      .isLength({ min: 1, max: 200 }).withMessage('Product name must be between 1 and 200 characters'),
+
+    body('description')
+      .optional({ values: 'null' })
+      .isString().withMessage('Description must be a string')
+      .isLength({ max: 2000 }).withMessage('Description cannot exceed 2000 characters'),
+
+    body('category')
+      .optional({ values: 'null' })
+      .isMongoId().withMessage('Invalid category ID'),
+
+    required(body('unit'), 'Unit is required')
+      .isMongoId().withMessage('Invalid unit ID'),
+
+    required(body('productType'), 'Product type is required')
+      .isMongoId().withMessage('Invalid product type ID'),
+
+    body('costPrice')
+      .optional()
+      .isFloat({ min: 0 }).withMessage('Cost price must be a non-negative number')
+      .toFloat(),
+
+    required(body('sellingPrice'), 'Selling price is required')
+      .isFloat({ min: 0 }).withMessage('Selling price must be a non-negative number')
+      .toFloat(),
+
+    body('images')
+      .optional()
+      .isArray({ max: 10 }).withMessage('Images must be an array of at most 10 URLs'),
+
+    body('images.*')
+      .isURL().withMessage('Each image must be a valid URL'),
+
+    body('reorderLevel')
+      .optional({ values: 'null' })
+      .isInt({ min: 0 }).withMessage('Reorder level must be a non-negative integer')
+      .toInt(),
+
+    body('shelfLifeDays')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 }).withMessage('Shelf life must be a positive number of days')
+      .toInt(),
+
+    body('isActive')
+      .optional()
+      .isBoolean().withMessage('isActive must be a boolean')
+      .toBoolean()
+  ];
+};
+
+/**
+ * Product creation validation rules
+ */
+exports.createProductValidation = productFieldRules(false);
+
+/**
+ * Product update validation rules
+ */
+exports.updateProductValidation = productFieldRules(true);
+
+/**
+ * Inventory settings validation rules
+ */
+exports.inventorySettingsValidation = [
+  body('allowNegativeStock')
+    .optional()
+    .isBoolean().withMessage('allowNegativeStock must be a boolean')
+    .toBoolean(),
+
+  body('expiryWarningDays')
+    .optional()
+    .isInt({ min: 1, max: 365 }).withMessage('Expiry warning must be between 1 and 365 days')
+    .toInt()
+];
+
+/**
+ * Stock movement validation rules
+ */
+exports.stockMovementValidation = [
+  body('type')
+    .notEmpty().withMessage('Movement type is required')
+    .isIn(MANUAL_MOVEMENT_TYPES)
+    .withMessage(`Movement type must be one of: ${MANUAL_MOVEMENT_TYPES.join(', ')}`),
+
+  body('quantity')
+    .notEmpty().withMessage('Quantity is required')
+    .isFloat({ gt: 0 }).withMessage('Quantity must be a positive number')
+    .toFloat(),
+
+  body('direction')
+    .if(body('type').isIn(['adjustment', 'transfer']))
+    .notEmpty().withMessage('Direction is required for adjustments and transfers')
+    .isIn(['in', 'out']).withMessage('Direction must be in or out'),
+
+  body('reason')
+    .if(body('type').isIn(['adjustment', 'damage', 'transfer']))
+    .trim()
+    .notEmpty().withMessage('A reason is required for adjustments, damage and transfers'),
+
+  body('reason')
+    .optional()
+    .isString().withMessage('Reason must be a string')
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
+
+  body('serialNumbers')
+    .optional()
+    .isArray({ max: 1000 }).withMessage('Serial numbers must be an array of at most 1000 items'),
+
+  body('serialNumbers.*')
+    .isString().withMessage('Each serial number must be a string')
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Each serial number must be 1-100 characters'),
+
+  body('lotNumber')
+    .optional()
+    .isString().withMessage('Lot number must be a string')
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Lot number must be 1-100 characters'),
+
+  body('expiryDate')
+    .optional()
+    .isISO8601().withMessage('Expiry date must be a valid date')
+];
+
+/**
+ * Checkout payment validation rules
+ * @param {Boolean} isRequired - Whether payments must be supplied
+ * @returns {Array} - express-validator chains
+ */
+const paymentRules = (isRequired) => [
+  (isRequired ? body('payments').exists().withMessage('Payments are required') : body('payments').optional())
+    .isArray({ min: 1, max: 10 }).withMessage('Payments must be an array of 1 to 10 tenders'),
+
+  body('payments.*.method')
+    .isIn(TENDER_TYPES).withMessage(`Payment method must be one of: ${TENDER_TYPES.join(', ')}`),
+
+  body('payments.*.amount')
+    .isFloat({ gt: 0 }).withMessage('Payment amount must be a positive number')
+    .toFloat(),
+
+  body('payments.*.reference')
+    .optional()
+    .isString().withMessage('Payment reference must be a string')
+    .trim()
+    .isLength({ max: 100 }).withMessage('Payment reference cannot exceed 100 characters')
+];
+
+/**
+ * Sale field validation rules
+ * @param {Boolean} isUpdate - Make items optional for partial updates
+ * @returns {Array} - express-validator chains
+ */
+const saleFieldRules = (isUpdate) => [
+  (isUpdate ? body('items').optional() : body('items').exists().withMessage('Items are required'))
+    .isArray({ min: 1, max: 200 }).withMessage('Items must be an array of 1 to 200 lines'),
+
+  body('items.*.product')
+    .isMongoId().withMessage('Invalid product ID'),
+
+  body('items.*.quantity')
+    .isFloat({ gt: 0 }).withMessage('Quantity must be a positive number')
+    .toFloat(),
+
+  body('items.*.unitPrice')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Unit price must be a non-negative number')
+    .toFloat(),
+
+  body('items.*.discount')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Discount must be a non-negative number')
+    .toFloat(),
+
+  body('items.*.taxRate')
+    .optional()
+    .isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100')
+    .toFloat(),
+
+  body('items.*.serialNumbers')
+    .optional()
+    .isArray({ max: 1000 }).withMessage('Serial numbers must be an array of at most 1000 items'),
+
+  body('items.*.serialNumbers.*')
+    .isString().withMessage('Each serial number must be a string')
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Each serial number must be 1-100 characters'),
+
+  body('items.*.lotNumber')
+    .optional()
+    .isString().withMessage('Lot number must be a string')
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Lot number must be 1-100 characters'),
+
+  body('discount')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Discount must be a non-negative number')
+    .toFloat(),
+
+  body('customerId')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid customer ID'),
+
+  body('customerName')
+    .optional()
+    .isString().withMessage('Customer name must be a string')
+    .trim()
+    .isLength({ max: 200 }).withMessage('Customer name cannot exceed 200 characters'),
+
+  body('notes')
+    .optional()
+    .isString().withMessage('Notes must be a string')
+    .isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+];
+
+/**
+ * Sale creation validation rules
+ * Payments are optional: without them the sale is saved as an open order.
+ */
+exports.createSaleValidation = [...saleFieldRules(false), ...paymentRules(false)];
+
+/**
+ * Sales order update validation rules
+ */
+exports.updateSaleValidation = saleFieldRules(true);
+
+/**
+ * Sale checkout validation rules
+ */
+exports.checkoutSaleValidation = paymentRules(true);
+
+/**
+ * Invoice settings validation rules
+ */
+exports.invoiceSettingsValidation = [
+  body('prefix')
+    .optional()
+    .isString().withMessage('Invoice prefix must be a string')
+    .trim()
+    .matches(/^[A-Za-z0-9]{0,10}$/).withMessage('Invoice prefix can only contain up to 10 letters and numbers'),
+
+  body('digits')
+    .optional()
+    .isInt({ min: 1, max: 10 }).withMessage('Digits must be between 1 and 10')
+    .toInt(),
+
+  body('nextNumber')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Next number must be a positive integer')
+    .toInt(),
+
+  body('defaultDueDays')
+    .optional()
+    .isInt({ min: 0, max: 365 }).withMessage('Default due days must be between 0 and 365')
+    .toInt(),
+
+  body('defaultTerms')
+    .optional()
+    .isString().withMessage('Default terms must be a string')
+    .isLength({ max: 2000 }).withMessage('Default terms cannot exceed 2000 characters')
+];
+
+/**
+ * Invoice field validation rules
+ * @param {Boolean} isUpdate - Make required fields optional for partial updates
+ * @returns {Array} - express-validator chains
+ */
+const invoiceFieldRules = (isUpdate) => {
+  const required = (chain, message) => (isUpdate ? chain.optional() : chain.exists().withMessage(message));
+
+  return [
+    body('customerId')
+      .optional({ values: 'null' })
+      .isMongoId().withMessage('Invalid customer ID'),
+
+    // A customer record can stand in for the printed customer details
+    body('customer')
+      .if((value, { req }) => value !== undefined || (!isUpdate && !req.body.customerId))
+      .exists().withMessage('Customer is required')
+      .isObject().withMessage('Customer must be an object'),
+
+    body('customer.name')
+      .if(body('customer').exists())
+      .isString().withMessage('Customer name must be a string')
+      .trim()
+      .isLength({ min: 1, max: 200 }).withMessage('Customer name must be between 1 and 200 characters'),
+
+    body('customer.email')
+      .optional({ values: 'falsy' })
+      .isEmail().withMessage('Please provide a valid customer email')
+      .normalizeEmail(),
+
+    body('customer.phone')
+      .optional()
+      .isString().withMessage('Customer phone must be a string')
+      .trim(),
+
+    body('customer.address')
+      .optional()
+      .isObject().withMessage('Customer address must be an object'),
+
+    required(body('items'), 'Items are required')
+      .isArray({ min: 1, max: 200 }).withMessage('Items must be an array of 1 to 200 lines'),
+
+    body('items.*.product')
+      .optional({ values: 'null' })
+      .isMongoId().withMessage('Invalid product ID'),
+
+    body('items.*.description')
+      .optional()
+      .isString().withMessage('Item description must be a string')
+      .trim()
+      .isLength({ min: 1, max: 500 }).withMessage('Item description must be between 1 and 500 characters'),
+
+    body('items.*.quantity')
+      .isFloat({ gt: 0 }).withMessage('Quantity must be a positive number')
+      .toFloat(),
+
+    body('items.*.unitPrice')
+      .optional()
+      .isFloat({ min: 0 }).withMessage('Unit price must be a non-negative number')
+      .toFloat(),
+
+    body('items.*.discount')
+      .optional()
+      .isFloat({ min: 0 }).withMessage('Discount must be a non-negative number')
+      .toFloat(),
+
+    body('items.*.taxRate')
+      .optional()
+      .isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100')
+      .toFloat(),
+
+    body('discount')
+      .optional()
+      .isFloat({ min: 0 }).withMessage('Discount must be a non-negative number')
+      .toFloat(),
+
+    body('dueDate')
+      .optional({ values: 'null' })
+      .isISO8601().withMessage('Due date must be a valid date'),
+
+    body('notes')
+      .optional()
+      .isString().withMessage('Notes must be a string')
+      .isLength({ max: 2000 }).withMessage('Notes cannot exceed 2000 characters'),
+
+    body('terms')
+      .optional()
+      .isString().withMessage('Terms must be a string')
+      .isLength({ max: 2000 }).withMessage('Terms cannot exceed 2000 characters')
+  ];
+};
+
+/**
+ * Invoice creation validation rules
+ */
+exports.createInvoiceValidation = invoiceFieldRules(false);
+
+/**
+ * Invoice update validation rules
+ */
+exports.updateInvoiceValidation = invoiceFieldRules(true);
+
+/**
+ * Invoice send validation rules
+ */
+exports.sendInvoiceValidation = [
+  body('issueDate')
+    .optional()
+    .isISO8601().withMessage('Issue date must be a valid date'),
+
+  body('email')
+    .optional()
+    .isBoolean().withMessage('email must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Invoice void validation rules
+ */
+exports.voidInvoiceValidation = [
+  body('reason')
+    .optional()
+    .isString().withMessage('Reason must be a string')
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+/**
+ * Payment validation rules
+ */
+exports.createPaymentValidation = [
+  body('customerId')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid customer ID'),
+
+  body('amount')
+    .exists().withMessage('Amount is required')
+    .isFloat({ gt: 0 }).withMessage('Amount must be a positive number')
+    .toFloat(),
+
+  body('method')
+    .exists().withMessage('Payment method is required')
+    .isIn(PAYMENT_METHODS).withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`),
+
+  body('date')
+    .optional()
+    .isISO8601().withMessage('Payment date must be a valid date'),
+
+  body('reference')
+    .optional()
+    .isString().withMessage('Reference must be a string')
+    .trim()
+    .isLength({ max: 100 }).withMessage('Reference cannot exceed 100 characters'),
+
+  body('notes')
+    .optional()
+    .isString().withMessage('Notes must be a string')
+    .isLength({ max: 2000 }).withMessage('Notes cannot exceed 2000 characters'),
+
+  body('allocations')
+    .optional()
+    .isArray({ min: 1, max: 100 }).withMessage('Allocations must be an array of 1 to 100 invoices'),
+
+  body('allocations.*.invoice')
+    .isMongoId().withMessage('Invalid invoice ID'),
+
+  body('allocations.*.amount')
+    .isFloat({ gt: 0 }).withMessage('Allocation amount must be a positive number')
+    .toFloat()
+];
+
+exports.refundPaymentValidation = [
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Refund amount must be a positive number')
+    .toFloat(),
+
+  body('reason')
+    .optional()
+    .isString().withMessage('Reason must be a string')
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+/**
+ * Address validation rules
+ * @param {String} field - Body field holding the address
+ * @returns {Array} - express-validator chains
+ */
+const addressRules = (field) => [
+  body(field)
+    .optional({ values: 'null' })
+    .isObject().withMessage(`${field} must be an object`),
+
+  body(['street', 'city', 'state', 'country', 'postalCode'].map(part => `${field}.${part}`))
+    .optional()
+    .isString().withMessage('Address fields must be strings')
+    .trim()
+    .isLength({ max: 200 }).withMessage('Address fields cannot exceed 200 characters')
+];
+
+/**
+ * Customer field validation rules
+ * @param {Boolean} isUpdate - Make the name optional for partial updates
+ * @returns {Array} - express-validator chains
+ */
+const customerFieldRules = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name').exists().withMessage('Customer name is required'))
+    .isString().withMessage('Customer name must be a string')
+    .trim()
+    .isLength({ min: 1, max: 200 }).withMessage('Customer name must be between 1 and 200 characters'),
+
+  body('company')
+    .optional()
+    .isString().withMessage('Company must be a string')
+    .trim()
+    .isLength({ max: 200 }).withMessage('Company cannot exceed 200 characters'),
+
+  body('email')
+    .optional({ values: 'falsy' })
+    .isEmail().withMessage('Please provide a valid email')
+    .normalizeEmail(),
+
+  body('phone')
+    .optional()
+    .isString().withMessage('Phone must be a string')
+    .trim()
+    .isLength({ max: 30 }).withMessage('Phone cannot exceed 30 characters'),
+
+  ...addressRules('billingAddress'),
+  ...addressRules('shippingAddress'),
+
+  body('tags')
+    .optional()
+    .isArray({ max: 50 }).withMessage('Tags must be an array of at most 50 items'),
+
+  body('tags.*')
+    .isString().withMessage('Each tag must be a string')
+    .trim()
+    .isLength({ min: 1, max: 50 }).withMessage('Each tag must be 1-50 characters'),
+
+  body('notes')
+    .optional()
+    .isString().withMessage('Notes must be a string')
+    .isLength({ max: 2000 }).withMessage('Notes cannot exceed 2000 characters'),
+
+  body('creditLimit')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('Credit limit must be a non-negative number')
+    .toFloat(),
+
+  body('openingBalance')
+    .optional()
+    .isFloat().withMessage('Opening balance must be a number')
+    .toFloat(),
+
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean')
+    .toBoolean(),
+
+  body('allowDuplicate')
+    .optional()
+    .isBoolean().withMessage('allowDuplicate must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Customer creation validation rules
+ */
+exports.createCustomerValidation = customerFieldRules(false);
+
+/**
+ * Customer update validation rules
+ */
+exports.updateCustomerValidation = customerFieldRules(true);
+
+/**
+ * Customer merge validation rules
+ */
+exports.mergeCustomersValidation = [
+  body('sourceIds')
+    .isArray({ min: 1, max: 20 }).withMessage('sourceIds must be an array of 1 to 20 customer IDs'),
+
+  body('sourceIds.*')
+    .isMongoId().withMessage('Invalid customer ID')
+];
+
+/**
+ * Supplier field validation rules
+ * @param {Boolean} isUpdate - Make the name optional for partial updates
+ * @returns {Array} - express-validator chains
+ */
+const supplierFieldRules = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name').exists().withMessage('Supplier name is required'))
+    .isString().withMessage('Supplier name must be a string')
+    .trim()
+    .isLength({ min: 1, max: 200 }).withMessage('Supplier name must be between 1 and 200 characters'),
+
+  body('contactName')
+    .optional()
+    .isString().withMessage('Contact name must be a string')
+    .trim()
+    .isLength({ max: 200 }).withMessage('Contact name cannot exceed 200 characters'),
+
+  body('email')
+    .optional({ values: 'falsy' })
+    .isEmail().withMessage('Please provide a valid email')
+    .normalizeEmail(),
+
+  body('phone')
+    .optional()
+    .isString().withMessage('Phone must be a string')
+    .trim()
+    .isLength({ max: 30 }).withMessage('Phone cannot exceed 30 characters'),
+
+  ...addressRules('address'),
+
+  body('leadTimeDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 365 }).withMessage('Lead time must be between 0 and 365 days')
+    .toInt(),
+
+  body('paymentTerms')
+    .optional()
+    .isString().withMessage('Payment terms must be a string')
+    .isLength({ max: 200 }).withMessage('Payment terms cannot exceed 200 characters'),
+
+  body('notes')
+    .optional()
+    .isString().withMessage('Notes must be a string')
+    .isLength({ max: 2000 }).withMessage('Notes cannot exceed 2000 characters'),
+
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Supplier creation validation rules
+ */
+exports.createSupplierValidation = supplierFieldRules(false);
+
+/**
+ * Supplier update validation rules
+ */
+exports.updateSupplierValidation = supplierFieldRules(true);
+
+/**
+ * Purchase order field validation rules
+ * @param {Boolean} isUpdate - Make required fields optional for partial updates
+ * @returns {Array} - express-validator chains
+ */
+const purchaseOrderFieldRules = (isUpdate) => [
+  (isUpdate ? body('supplier').optional() : body('supplier').exists().withMessage('Supplier is required'))
+    .isMongoId().withMessage('Invalid supplier ID'),
+
+  (isUpdate ? body('items').optional() : body('items').exists().withMessage('Items are required'))
+    .isArray({ min: 1, max: 200 }).withMessage('Items must be an array of 1 to 200 lines'),
+
+  body('items.*.product')
+    .isMongoId().withMessage('Invalid product ID'),
+
+  body('items.*.quantity')
+    .isFloat({ gt: 0 }).withMessage('Quantity must be a positive number')
+    .toFloat(),
+
+  body('items.*.unitCost')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Unit cost must be a non-negative number')
+    .toFloat(),
+
+  body('expectedDate')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('Expected date must be a valid date'),
+
+  body('notes')
+    .optional()
+    .isString().withMessage('Notes must be a string')
+    .isLength({ max: 2000 }).withMessage('Notes cannot exceed 2000 characters')
+];
+
+/**
+ * Purchase order creation validation rules
+ */
+exports.createPurchaseOrderValidation = purchaseOrderFieldRules(false);
+
+/**
+ * Purchase order update validation rules
+ */
+exports.updatePurchaseOrderValidation = purchaseOrderFieldRules(true);
+
+/**
+ * Purchase order receipt validation rules
+ */
+exports.receivePurchaseOrderValidation = [
+  body('items')
+    .isArray({ min: 1, max: 200 }).withMessage('Items must be an array of 1 to 200 lines'),
+
+  body('items.*.product')
+    .isMongoId().withMessage('Invalid product ID'),
+
+  body('items.*.quantity')
+    .isFloat({ gt: 0 }).withMessage('Quantity must be a positive number')
+    .toFloat(),
+
+  body('items.*.unitCost')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Unit cost must be a non-negative number')
+    .toFloat(),
+
+  body('items.*.serialNumbers')
+    .optional()
+    .isArray({ max: 1000 }).withMessage('Serial numbers must be an array of at most 1000 items'),
+
+  body('items.*.serialNumbers.*')
+    .isString().withMessage('Each serial number must be a string')
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Each serial number must be 1-100 characters'),
+
+  body('items.*.lotNumber')
+    .optional()
+    .isString().withMessage('Lot number must be a string')
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Lot number must be 1-100 characters'),
+
+  body('items.*.expiryDate')
+    .optional()
+    .isISO8601().withMessage('Expiry date must be a valid date'),
+
+  body('receivedAt')
+    .optional()
+    .isISO8601().withMessage('Received date must be a valid date'),
+
+  body('notes')
+    .optional()
+    .isString().withMessage('Notes must be a string')
+    .isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+];
+
+/**
+ * Expense field validation rules
+ * Fields may arrive as multipart form data, so numbers are parsed from strings.
+ * @param {Boolean} isUpdate - Make required fields optional for partial updates
+ * @returns {Array} - express-validator chains
+ */
+const expenseFieldRules = (isUpdate) => {
+  const required = (chain, message) => (isUpdate ? chain.optional() : chain.exists().withMessage(message));
+
+  return [
+    required(body('date'), 'Expense date is required')
+      .isISO8601().withMessage('Expense date must be a valid date'),
+
+    required(body('category'), 'Expense category is required')
+      .isMongoId().withMessage('Invalid expense category ID'),
+
+    required(body('description'), 'Description is required')
+      .isString().withMessage('Description must be a string')
+      .trim()
+      .isLength({ min: 1, max: 500 }).withMessage('Description must be between 1 and 500 characters'),
+
+    required(body('amount'), 'Amount is required')
+      .isFloat({ min: 0 }).withMessage('Amount must be a non-negative number')
+      .toFloat(),
+
+    body('taxAmount')
+      .optional()
+      .isFloat({ min: 0 }).withMessage('Tax amount must be a non-negative number')
+      .toFloat(),
+
+    required(body('paymentMethod'), 'Payment method is required')
+      .isIn(EXPENSE_PAYMENT_METHODS)
+      .withMessage(`Payment method must be one of: ${EXPENSE_PAYMENT_METHODS.join(', ')}`),
+
+    body('supplier')
+      .optional({ values: 'falsy' })
+      .isMongoId().withMessage('Invalid supplier ID'),
+
+    body('vendor')
+      .optional()
+      .isString().withMessage('Vendor must be a string')
+      .trim()
+      .isLength({ max: 200 }).withMessage('Vendor cannot exceed 200 characters'),
+
+    body('reference')
+      .optional()
+      .isString().withMessage('Reference must be a string')
+      .trim()
+      .isLength({ max: 100 }).withMessage('Reference cannot exceed 100 characters'),
+
+    body('notes')
+      .optional()
+      .isString().withMessage('Notes must be a string')
+      .isLength({ max: 2000 }).withMessage('Notes cannot exceed 2000 characters')
+  ];
+};
+
+/**
+ * Expense creation validation rules
+ */
+exports.createExpenseValidation = expenseFieldRules(false);
+
+/**
+ * Expense update validation rules
+ */
+exports.updateExpenseValidation = expenseFieldRules(true);
+
 /**
  * Business preferences validation rules
  */
@@ -89,6 +1021,11 @@ exports.preferencesValidation = [
     .notEmpty().withMessage('Category name is required')
     .isLength({ max: 100 }).withMessage('Category name cannot exceed 100 characters'),
 
+  body('categories.*.parent')
+    .if(body('categories').exists())
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Category parent must be a category ID'),
+
   body('units')
     .optional()
     .isArray().withMessage('Units must be an array'),
@@ -105,7 +1042,7 @@ exports.preferencesValidation = [
   body('units.*.type')
     .if(body('units').exists())
     .optional()
-    .isIn(['weight', 'volume', 'length', 'quantity', 'other'])
+    .isIn(UNIT_TYPES)
     .withMessage('Invalid unit type'),
 
   body('productTypes')
@@ -115,5 +1052,92 @@ exports.preferencesValidation = [
   body('productTypes.*.name')
     .if(body('productTypes').exists())
     .notEmpty().withMessage('Product type name is required')
-    .isLength({ max: 100 }).withMessage('Product type name cannot exceed 100 characters')
-];
\ No newline at end of file
+    .isLength({ max: 100 }).withMessage('Product type name cannot exceed 100 characters'),
+
+  body('expenseCategories')
+    .optional()
+    .isArray().withMessage('Expense categories must be an array'),
+
+  body('expenseCategories.*.name')
+    .if(body('expenseCategories').exists())
+    .notEmpty().withMessage('Expense category name is required')
+    .isLength({ max: 100 }).withMessage('Expense category name cannot exceed 100 characters')
+];
+
+/**
+ * Preference list item validation rules
+ * Fields that do not belong to the list in the route are ignored by the controller.
+ * @param {Boolean} isUpdate - Make the name optional for partial updates
+ * @returns {Array} - express-validator chains
+ */
+const preferenceItemRules = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name').exists().withMessage('Name is required'))
+    .isString().withMessage('Name must be a string')
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+
+  (isUpdate
+    ? body('abbreviation').optional()
+    : body('abbreviation')
+      .if((value, { req }) => req.params.section === 'units')
+      .exists().withMessage('Unit abbreviation is required'))
+    .isString().withMessage('Abbreviation must be a string')
+    .trim()
+    .isLength({ min: 1, max: 10 }).withMessage('Abbreviation must be between 1 and 10 characters'),
+
+  body('description')
+    .optional()
+    .isString().withMessage('Description must be a string')
+    .trim()
+    .isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+
+  body('icon')
+    .optional()
+    .isString().withMessage('Icon must be a string')
+    .trim()
+    .isLength({ max: 20 }).withMessage('Icon cannot exceed 20 characters'),
+
+  body('color')
+    .optional()
+    .isHexColor().withMessage('Color must be a hex color, e.g. #6366f1'),
+
+  body('type')
+    .optional()
+    .isIn(UNIT_TYPES).withMessage(`Unit type must be one of: ${UNIT_TYPES.join(', ')}`),
+
+  body(['isActive', 'requiresSerialNumber', 'requiresExpiryDate', 'trackInventory'])
+    .optional()
+    .isBoolean({ strict: true }).withMessage('Flags must be true or false'),
+
+  body('parent')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Parent must be a category ID')
+];
+
+exports.createPreferenceItemValidation = preferenceItemRules(false);
+exports.updatePreferenceItemValidation = preferenceItemRules(true);
+
+exports.reorderPreferenceItemsValidation = [
+  body('order')
+    .isArray({ min: 1, max: 500 }).withMessage('Order must be an array of item IDs'),
+
+  body('order.*')
+    .isMongoId().withMessage('Invalid item ID')
+];
+
+/**
+ * Preference template validation rules
+ */
+exports.preferenceTemplateValidation = [
+  body('mode')
+    .optional()
+    .isIn(['merge', 'replace']).withMessage('Mode must be merge or replace'),
+
+  body('sections')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Sections must be a non-empty array'),
+
+  body('sections.*')
+    .isIn(Object.keys(PREFERENCE_SECTIONS))
+    .withMessage(`Sections must be one of: ${Object.keys(PREFERENCE_SECTIONS).join(', ')}`)
+];
@@ -0,0 +1,155 @@
+/**
+ * API Key Model
+ * Scoped, hashed credentials for machine-to-machine integrations
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const KEY_PREFIX = 'bk';
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: true
+    },
+    name: {
+      type: String,
+      required: [true, 'API key name is required'],
+      trim: true,
+      maxlength: [100, 'API key name cannot exceed 100 characters']
+    },
+
+    // Public identifier embedded in the key, used for lookup and display
+    prefix: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    // SHA-256 hash of the secret part; the key itself is only shown once
+    keyHash: {
+      type: String,
+      required: true,
+      select: false
+    },
+
+    // Permissions the key may use (see config/permissions)
+    scopes: {
+      type: [String],
+      default: []
+    },
+
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+
+    // Usage tracking
+    lastUsedAt: Date,
+    lastUsedIp: String,
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Hash the secret part of a key
+ * @param {String} secret - Secret part of the key
+ * @returns {String} - SHA-256 hex digest
+ */
+apiKeySchema.statics.hashSecret = function (secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+/**
+ * Generate a new key
+ * @returns {Object} - { key: full key to show once, prefix, keyHash }
+ */
+apiKeySchema.statics.generateKey = function () {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+
+  return {
+    key: `${KEY_PREFIX}_${prefix}_${secret}`,
+    prefix,
+    keyHash: this.hashSecret(secret)
+  };
+};
+
+/**
+ * Split a presented key into its parts
+ * @param {String} key - Full API key
+ * @returns {Object|null} - { prefix, secret } or null if malformed
+ */
+apiKeySchema.statics.parseKey = function (key) {
+  const match = /^bk_([a-f0-9]{12})_([A-Za-z0-9_-]{20,})$/.exec(String(key || '').trim());
+  return match ? { prefix: match[1], secret: match[2] } : null;
+};
+
+/**
+ * Method to check the secret part of a presented key
+ * @param {String} secret - Secret part of the key
+ * @returns {Boolean}
+ */
+apiKeySchema.methods.matchesSecret = function (secret) {
+  const presented = Buffer.from(this.constructor.hashSecret(secret));
+  const stored = Buffer.from(this.keyHash);
+  return presented.length === stored.length && crypto.timingSafeEqual(presented, stored);
+};
+
+/**
+ * Method to check whether the key can be used
+ * @returns {Boolean}
+ */
+apiKeySchema.methods.isUsable = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+/**
+ * Method to get public key details (never includes the secret)
+ * @returns {Object}
+ */
+apiKeySchema.methods.toPublicProfile = function () {
+  let status = 'active';
+  if (this.revokedAt) {
+    status = 'revoked';
+  } else if (this.expiresAt && this.expiresAt <= new Date()) {
+    status = 'expired';
+  }
+
+  return {
+    id: this._id,
+    name: this.name,
+    prefix: `${KEY_PREFIX}_${this.prefix}`,
+    scopes: this.scopes,
+    status,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+    revokedAt: this.revokedAt
+  };
+};
+
+// Create indexes
+apiKeySchema.index({ business: 1, revokedAt: 1 });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,69 @@
+/**
+ * Audit Log Model
+ * Append-only record of sensitive changes made within a business
+ */
+
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: true
+    },
+
+    // Who performed the action
+    actor: {
+      type: {
+        type: String,
+        enum: ['user', 'api-key', 'system'],
+        required: true
+      },
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      apiKey: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ApiKey'
+      },
+      // Human-readable label kept even if the user or key is deleted
+      label: String
+    },
+
+    // Dotted action name, e.g. 'member.invited', 'api-key.revoked'
+    action: {
+      type: String,
+      required: true,
+      trim: true
+    },
+
+    // What the action was performed on
+    target: {
+      type: {
+        type: String,
+        trim: true
+      },
+      id: mongoose.Schema.Types.ObjectId
+    },
+
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+
+    ip: String,
+    userAgent: String
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// Create indexes
+auditLogSchema.index({ business: 1, createdAt: -1 });
+auditLogSchema.index({ business: 1, action: 1 });
+auditLogSchema.index({ 'actor.apiKey': 1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
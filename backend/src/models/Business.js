@@ -4,6 +4,12 @@
  */
 
 const mongoose = require('mongoose');
+const { DEFAULT_EXPIRY_WARNING_DAYS } = require('../config/inventory');
+const { DEFAULT_INVOICE_SETTINGS } = require('../config/invoices');
+const { UNIT_TYPES, PREFERENCE_SECTIONS } = require('../config/preferences');
+const { INDUSTRIES } = require('../config/preferenceTemplates');
+const { templateForIndustry, buildTemplatePreferences } = require('../utils/preferences');
+const { fileUrl } = require('../utils/storage');
 
 const businessSchema = new mongoose.Schema(
   {
@@ -23,18 +29,7 @@ const businessSchema = new mongoose.Schema(
     // Business Type
     industry: {
       type: String,
-      enum: [
-        'retail',
-        'restaurant',
-        'services',
-        'manufacturing',
-        'technology',
-        'healthcare',
-        'education',
-        'real-estate',
-        'finance',
-        'other'
-      ],
+      enum: INDUSTRIES,
       default: 'other'
     },
 
@@ -132,6 +127,11 @@ const businessSchema = new mongoose.Schema(
             type: Boolean,
             default: true
           },
+          // Category this one is a subcategory of; null at the top level
+          parent: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null
+          },
           createdAt: {
             type: Date,
             default: Date.now
@@ -155,7 +155,7 @@ const businessSchema = new mongoose.Schema(
           },
           type: {
             type: String,
-            enum: ['weight', 'volume', 'length', 'quantity', 'other'],
+            enum: UNIT_TYPES,
             default: 'quantity'
           },
           isActive: {
@@ -202,9 +202,110 @@ const businessSchema = new mongoose.Schema(
             default: Date.now
           }
         }
+      ],
+
+      // Expense Categories
+      expenseCategories: [
+        {
+          name: {
+            type: String,
+            required: true,
+            trim: true
+          },
+          description: {
+            type: String,
+            trim: true
+          },
+          color: {
+            type: String,
+            trim: true,
+            default: '#6b7280'
+          },
+          isActive: {
+            type: Boolean,
+            default: true
+          },
+          createdAt: {
+            type: Date,
+            default: Date.now
+          }
+        }
       ]
     },
 
+    // Role Permission Overrides
+    // Unset roles fall back to DEFAULT_ROLE_PERMISSIONS in config/permissions
+    rolePermissions: {
+      admin: {
+        type: [String],
+        default: undefined
+      },
+      manager: {
+        type: [String],
+        default: undefined
+      },
+      employee: {
+        type: [String],
+        default: undefined
+      }
+    },
+
+    // Inventory Settings
+    inventorySettings: {
+      // Let outgoing stock movements take stock on hand below zero
+      allowNegativeStock: {
+        type: Boolean,
+        default: false
+      },
+      // How many days ahead the expiring-soon report looks
+      expiryWarningDays: {
+        type: Number,
+        default: DEFAULT_EXPIRY_WARNING_DAYS,
+        min: [1, 'Expiry warning must be at least 1 day'],
+        max: [365, 'Expiry warning cannot exceed 365 days']
+      }
+    },
+
+    // Invoice Settings
+    invoiceSettings: {
+      // Invoice numbers are <prefix>-<sequence padded to digits>
+      prefix: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        default: DEFAULT_INVOICE_SETTINGS.prefix,
+        maxlength: [10, 'Invoice prefix cannot exceed 10 characters']
+      },
+      digits: {
+        type: Number,
+        default: DEFAULT_INVOICE_SETTINGS.digits,
+        min: [1, 'Invoice numbers need at least 1 digit'],
+        max: [10, 'Invoice numbers cannot exceed 10 digits']
+      },
+      // Days from issue to due date when an invoice has no due date
+      defaultDueDays: {
+        type: Number,
+        default: DEFAULT_INVOICE_SETTINGS.defaultDueDays,
+        min: [0, 'Default due days cannot be negative'],
+        max: [365, 'Default due days cannot exceed 365']
+      },
+      // Payment terms printed on new invoices
+      defaultTerms: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Default terms cannot exceed 2000 characters']
+      }
+    },
+
+    // Security Settings
+    security: {
+      // Every member must enrol in two-factor authentication
+      requireTwoFactor: {
+        type: Boolean,
+        default: false
+      }
+    },
+
     // Owner (Primary User)
     owner: {
       type: mongoose.Schema.Types.ObjectId,
@@ -229,19 +330,54 @@ const businessSchema = new mongoose.Schema(
     },
 
     // Logo and Branding
+    // URL of the logo shown in the app; set by uploading a logo
     logo: {
       type: String,
       default: null
     },
+    // Uploaded logo and its resized variants, by storage key
+    logoFiles: {
+      originalKey: {
+        type: String,
+        default: null
+      },
+      originalName: String,
+      mimeType: String,
+      size: Number,
+      variants: [
+        {
+          _id: false,
+          name: String,
+          key: String,
+          width: Number,
+          height: Number,
+          size: Number
+        }
+      ],
+      uploadedAt: Date
+    },
 
     // Business Metrics
     totalEmployees: {
       type: Number,
       default: 1
     },
+    // Net sales excluding tax, kept in step by completed sales
     totalRevenue: {
       type: Number,
       default: 0
+    },
+
+    // Edit counters of the profile and preferences, sent to clients as ETags
+    versions: {
+      profile: {
+        type: Number,
+        default: 0
+      },
+      preferences: {
+        type: Number,
+        default: 0
+      }
     }
   },
   {
@@ -250,78 +386,14 @@ const businessSchema = new mongoose.Schema(
 );
 
 /**
- * Initialize default preferences for new businesses
+ * Give new businesses the preference template of their industry
+ * Registration may already have filled the lists from a chosen template.
  */
 businessSchema.pre('save', function (next) {
-  // Only set defaults if preferences are not already set
-  if (this.isNew && (!this.preferences || !this.preferences.categories)) {
-    this.preferences = {
-      categories: [
-        {
-          name: 'Electronics',
-          description: 'Electronic devices and accessories',
-          icon: '💻',
-          color: '#3b82f6'
-        },
-        {
-          name: 'Clothing',
-          description: 'Apparel and fashion items',
-          icon: '👕',
-          color: '#ec4899'
-        },
-        {
-          name: 'Food & Beverages',
-          description: 'Food items and drinks',
-          icon: '🍔',
-          color: '#f59e0b'
-        }
-      ],
-      units: [
-        {
-          name: 'Piece',
-          abbreviation: 'PCS',
-          type: 'quantity'
-        },
-        {
-          name: 'Kilogram',
-          abbreviation: 'KG',
-          type: 'weight'
-        },
-        {
-          name: 'Liter',
-          abbreviation: 'L',
-          type: 'volume'
-        },
-        {
-          name: 'Dozen',
-          abbreviation: 'DZ',
-          type: 'quantity'
-        }
-      ],
-      productTypes: [
-        {
-          name: 'Physical Product',
-          description: 'Tangible goods that can be shipped',
-          requiresSerialNumber: false,
-          requiresExpiryDate: false,
-          trackInventory: true
-        },
-        {
-          name: 'Perishable',
-          description: 'Products with expiry dates',
-          requiresSerialNumber: false,
-          requiresExpiryDate: true,
-          trackInventory: true
-        },
-        {
-          name: 'Service',
-          description: 'Non-physical services',
-          requiresSerialNumber: false,
-          requiresExpiryDate: false,
-          trackInventory: false
-        }
-      ]
-    };
+  const hasPreferences = Object.keys(PREFERENCE_SECTIONS).some(section => this.preferences?.[section]?.length);
+
+  if (this.isNew && !hasPreferences) {
+    this.preferences = buildTemplatePreferences(templateForIndustry(this.industry));
   }
   next();
 });
@@ -341,11 +413,40 @@ businessSchema.methods.toPublicProfile = function () {
     address: this.address,
     currency: this.currency,
     logo: this.logo,
+    logoVariants: Object.fromEntries(
+      (this.logoFiles?.variants || []).map(variant => [variant.name, fileUrl(variant.key)])
+    ),
     subscriptionPlan: this.subscriptionPlan,
     createdAt: this.createdAt
   };
 };
 
+/**
+ * Storage keys of every file of the uploaded logo
+ * @returns {Array}
+ */
+businessSchema.methods.logoKeys = function () {
+  if (!this.logoFiles?.originalKey) return [];
+  return [this.logoFiles.originalKey, ...this.logoFiles.variants.map(variant => variant.key)];
+};
+
+/**
+ * Recalculate totalEmployees from the business's active memberships
+ * @param {String} businessId - Business ID
+ * @param {Object} session - Optional MongoDB session
+ * @returns {Promise<Number>} - Updated employee count
+ */
+businessSchema.statics.syncEmployeeCount = async function (businessId, session = null) {
+  const totalEmployees = await mongoose
+    .model('Membership')
+    .countDocuments({ business: businessId, isActive: true })
+    .session(session);
+
+  await this.updateOne({ _id: businessId }, { totalEmployees }, { session });
+
+  return totalEmployees;
+};
+
 // Create indexes
 businessSchema.index({ owner: 1 });
 businessSchema.index({ name: 1 });
@@ -0,0 +1,80 @@
+/**
+ * Counter Model
+ * Per-business sequences for receipt and document numbers
+ */
+
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema(
+  {
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: true
+    },
+    // Sequence name, e.g. 'receipt'
+    name: {
+      type: String,
+      required: true
+    },
+    seq: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Take the next number of a sequence, starting at 1
+ * Numbers taken inside an aborted transaction are handed out again.
+ * @param {String} businessId - Business ID
+ * @param {String} name - Sequence name
+ * @param {Object} session - Mongoose session (optional)
+ * @returns {Promise<Number>}
+ */
+counterSchema.statics.next = async function (businessId, name, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { business: businessId, name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  return counter.seq;
+};
+
+/**
+ * Get the number the sequence will hand out next
+ * @param {String} businessId - Business ID
+ * @param {String} name - Sequence name
+ * @returns {Promise<Number>}
+ */
+counterSchema.statics.peek = async function (businessId, name) {
+  const counter = await this.findOne({ business: businessId, name });
+  return (counter ? counter.seq : 0) + 1;
+};
+
+/**
+ * Move a sequence forward so it next hands out the given number
+ * Sequences never move backwards, so numbers already used are not reissued.
+ * @param {String} businessId - Business ID
+ * @param {String} name - Sequence name
+ * @param {Number} nextNumber - Number to hand out next
+ * @returns {Promise<Number>} - Number the sequence will hand out next
+ */
+counterSchema.statics.advanceTo = async function (businessId, name, nextNumber) {
+  const counter = await this.findOneAndUpdate(
+    { business: businessId, name },
+    { $max: { seq: nextNumber - 1 } },
+    { new: true, upsert: true }
+  );
+
+  return counter.seq + 1;
+};
+
+// Create indexes
+counterSchema.index({ business: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,178 @@
+/**
+ * Customer Model
+ * People and companies a business sells to and bills
+ */
+
+const mongoose = require('mongoose');
+const addressSchema = require('./schemas/address');
+
+/**
+ * Reduce a phone number to its digits for duplicate detection
+ * @param {String} phone - Phone number as entered
+ * @returns {String|null}
+ */
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits || null;
+};
+
+const customerSchema = new mongoose.Schema(
+  {
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: true
+    },
+
+    // Contact Details
+    name: {
+      type: String,
+      required: [true, 'Customer name is required'],
+      trim: true,
+      maxlength: [200, 'Customer name cannot exceed 200 characters']
+    },
+    company: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Company cannot exceed 200 characters']
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    phone: {
+      type: String,
+      trim: true
+    },
+    // Digits of the phone number, kept in step by the pre-save hook
+    phoneNormalized: {
+      type: String,
+      default: null
+    },
+
+    billingAddress: addressSchema,
+    shippingAddress: addressSchema,
+
+    tags: {
+      type: [String],
+      default: []
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Notes cannot exceed 2000 characters']
+    },
+
+    // Credit
+    // Most the customer may owe on invoices; null means no limit
+    creditLimit: {
+      type: Number,
+      default: null,
+      min: [0, 'Credit limit cannot be negative']
+    },
+    // Amount owed before the customer was added to the system
+    openingBalance: {
+      type: Number,
+      default: 0
+    },
+    // Overpayments kept on account, maintained by payments and refunds
+    creditBalance: {
+      type: Number,
+      default: 0,
+      min: [0, 'Credit balance cannot be negative']
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    // Set when the customer was merged into another record
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      default: null
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Normalise tags and the phone number before saving
+ */
+customerSchema.pre('save', function (next) {
+  if (this.isModified('phone')) {
+    this.phoneNormalized = normalizePhone(this.phone);
+  }
+  if (this.isModified('tags')) {
+    this.tags = [...new Set(this.tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  }
+  next();
+});
+
+/**
+ * Find other active customers of the business with the same email or phone
+ * @param {Object} customer - { business, email, phone, _id }
+ * @returns {Promise<Array>} - Matching customer documents
+ */
+customerSchema.statics.findDuplicates = function ({ business, email, phone, _id }) {
+  const matches = [];
+  if (email) {
+    matches.push({ email: String(email).trim().toLowerCase() });
+  }
+  const phoneNormalized = normalizePhone(phone);
+  if (phoneNormalized) {
+    matches.push({ phoneNormalized });
+  }
+
+  if (matches.length === 0) {
+    return Promise.resolve([]);
+  }
+
+  const filter = { business, isActive: true, $or: matches };
+  if (_id) {
+    filter._id = { $ne: _id };
+  }
+
+  return this.find(filter).limit(10);
+};
+
+/**
+ * Method to get public customer details
+ * @returns {Object}
+ */
+customerSchema.methods.toPublicProfile = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    company: this.company,
+    email: this.email,
+    phone: this.phone,
+    billingAddress: this.billingAddress,
+    shippingAddress: this.shippingAddress,
+    tags: this.tags,
+    notes: this.notes,
+    creditLimit: this.creditLimit,
+    openingBalance: this.openingBalance,
+    creditBalance: this.creditBalance,
+    isActive: this.isActive,
+    mergedInto: this.mergedInto,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Create indexes
+customerSchema.index({ business: 1, name: 1 });
+customerSchema.index({ business: 1, email: 1 });
+customerSchema.index({ business: 1, phoneNormalized: 1 });
+customerSchema.index({ business: 1, tags: 1 });
+
+module.exports = mongoose.model('Customer', customerSchema);
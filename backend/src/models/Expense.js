@@ -0,0 +1,154 @@
+/**
+ * Expense Model
+ * Money paid out by a business, with an optional receipt attachment
+ */
+
+const mongoose = require('mongoose');
+const { EXPENSE_PAYMENT_METHODS } = require('../config/expenses');
+const { roundMoney } = require('../utils/money');
+
+const expenseSchema = new mongoose.Schema(
+  {
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: true
+    },
+
+    // When the money was spent
+    date: {
+      type: Date,
+      required: [true, 'Expense date is required']
+    },
+    // ID of an item in the business's preferences.expenseCategories
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'Expense category is required']
+    },
+    description: {
+      type: String,
+      required: [true, 'Description is required'],
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+
+    // Who was paid: a supplier record, or just a name
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      default: null
+    },
+    vendor: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Vendor cannot exceed 200 characters']
+    },
+
+    // Total paid, including tax
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0, 'Amount cannot be negative']
+    },
+    // Portion of the amount that is tax
+    taxAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tax amount cannot be negative'],
+      validate: {
+        validator: function (value) {
+          return value <= this.amount;
+        },
+        message: 'Tax amount cannot exceed the expense amount'
+      }
+    },
+    // Business currency when the expense was recorded
+    currency: {
+      type: String,
+      required: true
+    },
+
+    paymentMethod: {
+      type: String,
+      enum: EXPENSE_PAYMENT_METHODS,
+      required: [true, 'Payment method is required']
+    },
+    // Transfer reference, cheque number, etc.
+    reference: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Reference cannot exceed 100 characters']
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Notes cannot exceed 2000 characters']
+    },
+
+    // Uploaded receipt; the file itself is kept in upload storage
+    receipt: {
+      fileName: String,
+      originalName: String,
+      mimeType: String,
+      size: Number,
+      uploadedAt: Date
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Amount paid excluding tax
+ */
+expenseSchema.virtual('netAmount').get(function () {
+  return roundMoney(this.amount - this.taxAmount);
+});
+
+/**
+ * Method to get public expense details
+ * @returns {Object}
+ */
+expenseSchema.methods.toPublicProfile = function () {
+  const receipt = this.receipt?.fileName
+    ? {
+      originalName: this.receipt.originalName,
+      mimeType: this.receipt.mimeType,
+      size: this.receipt.size,
+      uploadedAt: this.receipt.uploadedAt
+    }
+    : null;
+
+  return {
+    id: this._id,
+    date: this.date,
+    category: this.category,
+    description: this.description,
+    supplier: this.supplier,
+    vendor: this.vendor,
+    amount: this.amount,
+    taxAmount: this.taxAmount,
+    netAmount: this.netAmount,
+    currency: this.currency,
+    paymentMethod: this.paymentMethod,
+    reference: this.reference,
+    notes: this.notes,
+    receipt,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Create indexes
+expenseSchema.index({ business: 1, date: -1 });
+expenseSchema.index({ business: 1, category: 1, date: -1 });
+expenseSchema.index({ business: 1, supplier: 1, date: -1 });
+
+module.exports = mongoose.model('Expense', expenseSchema);
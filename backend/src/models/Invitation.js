@@ -0,0 +1,106 @@
+/**
+ * Invitation Model
+ * Tracks invitations for team members to join an existing business
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const invitationSchema = new mongoose.Schema(
+  {
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: true
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true,
+      match: [
+        /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+        'Please provide a valid email address'
+      ]
+    },
+
+    // Role the invitee receives on acceptance (owners cannot be invited)
+    role: {
+      type: String,
+      enum: ['admin', 'manager', 'employee'],
+      required: [true, 'Role is required']
+    },
+
+    // SHA-256 hash of the token sent in the invitation link
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'revoked'],
+      default: 'pending'
+    },
+
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    acceptedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Hash a raw invitation token
+ * @param {String} token - Raw token from the invitation link
+ * @returns {String} - SHA-256 hex digest
+ */
+invitationSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Method to check whether the invitation can still be accepted
+ * @returns {Boolean}
+ */
+invitationSchema.methods.isPending = function () {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+/**
+ * Method to get public invitation details
+ * @returns {Object}
+ */
+invitationSchema.methods.toPublicProfile = function () {
+  return {
+    id: this._id,
+    email: this.email,
+    role: this.role,
+    status: this.status === 'pending' && this.expiresAt <= new Date() ? 'expired' : this.status,
+    invitedBy: this.invitedBy,
+    expiresAt: this.expiresAt,
+    acceptedAt: this.acceptedAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Create indexes
+invitationSchema.index({ business: 1, status: 1 });
+invitationSchema.index({ email: 1 });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,327 @@
+/**
+ * Invoice Model
+ * Bills issued to customers, with line items, taxes and due dates
+ */
+
+const mongoose = require('mongoose');
+const { INVOICE_STATUSES, OUTSTANDING_INVOICE_STATUSES } = require('../config/invoices');
+const { roundMoney, calculateTotals } = require('../utils/money');
+const addressSchema = require('./schemas/address');
+
+const invoiceItemSchema = new mongoose.Schema(
+  {
+    // Catalog product the line bills for (optional)
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      default: null
+    },
+    description: {
+      type: String,
+      required: [true, 'Item description is required'],
+      trim: true,
+      maxlength: [500, 'Item description cannot exceed 500 characters']
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [0, 'Quantity cannot be negative']
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: [0, 'Unit price cannot be negative']
+    },
+    // Line discount as an amount
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative']
+    },
+    // Tax rate as a percentage
+    taxRate: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tax rate cannot be negative'],
+      max: [100, 'Tax rate cannot exceed 100%']
+    },
+
+    // Calculated by calculateTotals()
+    taxAmount: {
+      type: Number,
+      default: 0
+    },
+    lineTotal: {
+      type: Number,
+      default: 0
+    }
+  },
+  { _id: false }
+);
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: true
+    },
+
+    // Assigned from the business's invoice sequence when the invoice is sent
+    invoiceNumber: {
+      type: String,
+      default: undefined
+    },
+    status: {
+      type: String,
+      enum: INVOICE_STATUSES,
+      default: 'draft'
+    },
+
+    // Customer record billed, if any
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      default: null
+    },
+    // Who is billed, as printed on the invoice
+    customer: {
+      name: {
+        type: String,
+        required: [true, 'Customer name is required'],
+        trim: true,
+        maxlength: [200, 'Customer name cannot exceed 200 characters']
+      },
+      email: {
+        type: String,
+        trim: true,
+        lowercase: true
+      },
+      phone: {
+        type: String,
+        trim: true
+      },
+      address: addressSchema
+    },
+
+    items: {
+      type: [invoiceItemSchema],
+      validate: {
+        validator: items => items.length > 0,
+        message: 'An invoice needs at least one item'
+      }
+    },
+
+    // Invoice-level discount as an amount, spread over the lines before tax
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative']
+    },
+
+    // Business currency when the invoice was created
+    currency: {
+      type: String,
+      required: true
+    },
+
+    // Calculated by calculateTotals()
+    subtotal: {
+      type: Number,
+      default: 0
+    },
+    discountTotal: {
+      type: Number,
+      default: 0
+    },
+    taxTotal: {
+      type: Number,
+      default: 0
+    },
+    total: {
+      type: Number,
+      default: 0
+    },
+
+    amountPaid: {
+      type: Number,
+      default: 0,
+      min: [0, 'Amount paid cannot be negative']
+    },
+
+    issueDate: {
+      type: Date,
+      default: null
+    },
+    dueDate: {
+      type: Date,
+      default: null
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Notes cannot exceed 2000 characters']
+    },
+    terms: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Terms cannot exceed 2000 characters']
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    sentAt: {
+      type: Date,
+      default: null
+    },
+    paidAt: {
+      type: Date,
+      default: null
+    },
+    voidedAt: {
+      type: Date,
+      default: null
+    },
+    voidReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Void reason cannot exceed 500 characters']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Amount still owed on the invoice
+ */
+invoiceSchema.virtual('balanceDue').get(function () {
+  return roundMoney(this.total - this.amountPaid);
+});
+
+/**
+ * Calculate line and invoice totals
+ * @returns {Array} - Error messages, empty if the discounts fit the invoice
+ */
+invoiceSchema.methods.calculateTotals = function () {
+  const { errors, ...totals } = calculateTotals(this.items, this.discount);
+
+  if (errors.length === 0) {
+    Object.assign(this, totals);
+  }
+
+  return errors;
+};
+
+/**
+ * Work out the status of an issued invoice from its payments and due date
+ * Drafts and void invoices keep their status.
+ * @param {Date} now - Reference time
+ */
+invoiceSchema.methods.refreshStatus = function (now = new Date()) {
+  if (this.status === 'draft' || this.status === 'void') {
+    return;
+  }
+
+  if (this.balanceDue <= 0) {
+    this.status = 'paid';
+    this.paidAt = this.paidAt || now;
+    return;
+  }
+
+  this.paidAt = null;
+  if (this.dueDate && this.dueDate < now) {
+    this.status = 'overdue';
+  } else if (this.amountPaid > 0) {
+    this.status = 'partially-paid';
+  } else {
+    this.status = 'sent';
+  }
+};
+
+/**
+ * Mark a business's unpaid invoices that are past their due date as overdue
+ * @param {String} businessId - Business ID
+ * @returns {Promise}
+ */
+invoiceSchema.statics.markOverdue = function (businessId) {
+  return this.updateMany(
+    {
+      business: businessId,
+      status: { $in: OUTSTANDING_INVOICE_STATUSES.filter(status => status !== 'overdue') },
+      dueDate: { $lt: new Date() }
+    },
+    { $set: { status: 'overdue' } }
+  );
+};
+
+/**
+ * Total still owed on a customer's issued invoices
+ * @param {String} businessId - Business ID
+ * @param {String} customerId - Customer ID
+ * @param {Object} session - Optional MongoDB session
+ * @returns {Promise<Number>}
+ */
+invoiceSchema.statics.outstandingForCustomer = async function (businessId, customerId, session = null) {
+  const [result] = await this.aggregate([
+    {
+      $match: {
+        business: new mongoose.Types.ObjectId(String(businessId)),
+        customerId: new mongoose.Types.ObjectId(String(customerId)),
+        status: { $in: OUTSTANDING_INVOICE_STATUSES }
+      }
+    },
+    { $group: { _id: null, balance: { $sum: { $subtract: ['$total', '$amountPaid'] } } } }
+  ]).session(session);
+
+  return roundMoney(result?.balance || 0);
+};
+
+/**
+ * Method to get public invoice details
+ * @returns {Object}
+ */
+invoiceSchema.methods.toPublicProfile = function () {
+  return {
+    id: this._id,
+    invoiceNumber: this.invoiceNumber || null,
+    status: this.status,
+    customerId: this.customerId,
+    customer: this.customer,
+    items: this.items,
+    discount: this.discount,
+    currency: this.currency,
+    subtotal: this.subtotal,
+    discountTotal: this.discountTotal,
+    taxTotal: this.taxTotal,
+    total: this.total,
+    amountPaid: this.amountPaid,
+    balanceDue: this.balanceDue,
+    issueDate: this.issueDate,
+    dueDate: this.dueDate,
+    notes: this.notes,
+    terms: this.terms,
+    createdBy: this.createdBy,
+    sentAt: this.sentAt,
+    paidAt: this.paidAt,
+    voidedAt: this.voidedAt,
+    voidReason: this.voidReason,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Create indexes
+invoiceSchema.index(
+  { business: 1, invoiceNumber: 1 },
+  { unique: true, partialFilterExpression: { invoiceNumber: { $type: 'string' } } }
+);
+invoiceSchema.index({ business: 1, status: 1, dueDate: 1 });
+invoiceSchema.index({ business: 1, createdAt: -1 });
+invoiceSchema.index({ business: 1, customerId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
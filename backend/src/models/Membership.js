@@ -0,0 +1,99 @@
+/**
+ * Membership Model
+ * Links a user to a business with a role; a user may belong to several businesses
+ */
+
+const mongoose = require('mongoose');
+
+const membershipSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: true
+    },
+
+    // Role within this business
+    role: {
+      type: String,
+      enum: ['owner', 'admin', 'manager', 'employee'],
+      required: [true, 'Role is required']
+    },
+
+    // Deactivated members keep their account but lose access to this business
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Find the membership a user should be signed into
+ * Prefers the given business, otherwise the earliest joined active one.
+ * @param {String} userId - User ID
+ * @param {String} preferredBusinessId - Business to use if still accessible
+ * @returns {Promise<Object|null>} - Membership with business populated, or null
+ */
+membershipSchema.statics.findActiveForUser = async function (userId, preferredBusinessId = null) {
+  const memberships = await this.find({ user: userId, isActive: true })
+    .populate('business')
+    .sort({ joinedAt: 1 });
+
+  const usable = memberships.filter(membership => membership.business?.isActive);
+
+  return (
+    usable.find(membership => preferredBusinessId && membership.business._id.equals(preferredBusinessId)) ||
+    usable[0] ||
+    null
+  );
+};
+
+/**
+ * Method to get public membership details
+ * @param {String} currentBusinessId - Business of the requesting token
+ * @returns {Object}
+ */
+membershipSchema.methods.toPublicProfile = function (currentBusinessId) {
+  const business = this.business;
+
+  return {
+    id: this._id,
+    business: business?.name
+      ? {
+          id: business._id,
+          name: business.name,
+          industry: business.industry,
+          logo: business.logo,
+          isActive: business.isActive
+        }
+      : business,
+    role: this.role,
+    isActive: this.isActive,
+    joinedAt: this.joinedAt,
+    current: !!currentBusinessId && (business?._id || business).equals(currentBusinessId)
+  };
+};
+
+// Create indexes
+membershipSchema.index({ user: 1, business: 1 }, { unique: true });
+membershipSchema.index({ business: 1, isActive: 1 });
+
+module.exports = mongoose.model('Membership', membershipSchema);
@@ -0,0 +1,201 @@
+/**
+ * Payment Model
+ * Money received from customers, its allocation to invoices and any refunds
+ */
+
+const mongoose = require('mongoose');
+const { PAYMENT_METHODS } = require('../config/payments');
+const { roundMoney } = require('../utils/money');
+
+const allocationSchema = new mongoose.Schema(
+  {
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      required: true
+    },
+    // Invoice number at the time of payment
+    invoiceNumber: String,
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, 'Allocation must be greater than zero']
+    },
+    // Part of the allocation taken back off the invoice by refunds
+    refunded: {
+      type: Number,
+      default: 0
+    }
+  },
+  { _id: false }
+);
+
+const refundSchema = new mongoose.Schema(
+  {
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, 'Refund must be greater than zero']
+    },
+    // Part of the refund taken from the customer's credit balance
+    fromCredit: {
+      type: Number,
+      default: 0
+    },
+    // Part of the refund taken back off invoices
+    allocations: {
+      type: [
+        {
+          _id: false,
+          invoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' },
+          invoiceNumber: String,
+          amount: Number
+        }
+      ],
+      default: []
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Refund reason cannot exceed 500 characters']
+    },
+    refundedAt: {
+      type: Date,
+      default: Date.now
+    },
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }
+);
+
+const paymentSchema = new mongoose.Schema(
+  {
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: true
+    },
+    // Assigned from the business's payment sequence
+    paymentNumber: {
+      type: String,
+      required: true
+    },
+    // Customer record the payment came from; needed to keep overpayments as credit
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      default: null
+    },
+
+    date: {
+      type: Date,
+      default: Date.now
+    },
+    method: {
+      type: String,
+      enum: PAYMENT_METHODS,
+      required: [true, 'Payment method is required']
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+      min: [0.01, 'Amount must be greater than zero']
+    },
+    // Business currency when the payment was recorded
+    currency: {
+      type: String,
+      required: true
+    },
+    // Transfer reference, cheque number, etc.
+    reference: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Reference cannot exceed 100 characters']
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Notes cannot exceed 2000 characters']
+    },
+
+    allocations: {
+      type: [allocationSchema],
+      default: []
+    },
+    // Part of the amount not allocated to invoices, added to the customer's credit
+    creditAmount: {
+      type: Number,
+      default: 0
+    },
+
+    refunds: {
+      type: [refundSchema],
+      default: []
+    },
+    refundedAmount: {
+      type: Number,
+      default: 0
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    // Refunds read the payment before adjusting invoices, so concurrent saves must not overwrite each other
+    optimisticConcurrency: true
+  }
+);
+
+/**
+ * Amount applied to invoices, before refunds
+ */
+paymentSchema.virtual('allocatedAmount').get(function () {
+  return roundMoney(this.allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+});
+
+/**
+ * Amount that can still be refunded
+ */
+paymentSchema.virtual('refundableAmount').get(function () {
+  return roundMoney(this.amount - this.refundedAmount);
+});
+
+/**
+ * Method to get public payment details
+ * @returns {Object}
+ */
+paymentSchema.methods.toPublicProfile = function () {
+  return {
+    id: this._id,
+    paymentNumber: this.paymentNumber,
+    customerId: this.customerId,
+    date: this.date,
+    method: this.method,
+    amount: this.amount,
+    currency: this.currency,
+    reference: this.reference,
+    notes: this.notes,
+    allocations: this.allocations,
+    allocatedAmount: this.allocatedAmount,
+    creditAmount: this.creditAmount,
+    refunds: this.refunds,
+    refundedAmount: this.refundedAmount,
+    refundableAmount: this.refundableAmount,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Create indexes
+paymentSchema.index({ business: 1, paymentNumber: 1 }, { unique: true });
+paymentSchema.index({ business: 1, date: -1 });
+paymentSchema.index({ business: 1, customerId: 1, date: -1 });
+paymentSchema.index({ business: 1, 'allocations.invoice': 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
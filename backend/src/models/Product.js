@@ -0,0 +1,148 @@
+/**
+ * Product Model
+ * Catalog items classified by the business's categories, units and product types
+ */
+
+const mongoose = require('mongoose');
+const { findPreferenceItem, getProductRules } = require('../utils/preferences');
+
+const productSchema = new mongoose.Schema(
+  {
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: true
+    },
+
+    // Identification
+    sku: {
+      type: String,
+      required: [true, 'SKU is required'],
+      trim: true,
+      uppercase: true,
+      maxlength: [50, 'SKU cannot exceed 50 characters']
+    },
+    name: {
+      type: String,
+      required: [true, 'Product name is required'],
+      trim: true,
+      maxlength: [200, 'Product name cannot exceed 200 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Description cannot exceed 2000 characters']
+    },
+
+    // References to items in Business.preferences
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    unit: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'Unit is required']
+    },
+    productType: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'Product type is required']
+    },
+
+    // Pricing (in the business currency)
+    costPrice: {
+      type: Number,
+      default: 0,
+      min: [0, 'Cost price cannot be negative']
+    },
+    sellingPrice: {
+      type: Number,
+      required: [true, 'Selling price is required'],
+      min: [0, 'Selling price cannot be negative']
+    },
+
+    images: {
+      type: [String],
+      default: []
+    },
+
+    // Stock on hand, maintained by StockMovement.post(); never set directly
+    quantityOnHand: {
+      type: Number,
+      default: 0
+    },
+
+    // Inventory settings, only for product types that track inventory
+    reorderLevel: {
+      type: Number,
+      default: null,
+      min: [0, 'Reorder level cannot be negative']
+    },
+    // Default shelf life, only for product types that require expiry dates
+    shelfLifeDays: {
+      type: Number,
+      default: null,
+      min: [1, 'Shelf life must be at least 1 day']
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Method to get public product details
+ * Resolves preference references to names when the business is given.
+ * @param {Object} business - Business document (optional)
+ * @returns {Object}
+ */
+productSchema.methods.toPublicProfile = function (business) {
+  const describe = (section, id, fields) => {
+    const item = business ? findPreferenceItem(business, section, id) : null;
+    if (!item) {
+      return id ? { id } : null;
+    }
+
+    const details = { id: item._id };
+    for (const field of fields) {
+      details[field] = item[field];
+    }
+    return details;
+  };
+
+  return {
+    id: this._id,
+    sku: this.sku,
+    name: this.name,
+    description: this.description,
+    category: describe('categories', this.category, ['name', 'isActive']),
+    unit: describe('units', this.unit, ['name', 'abbreviation', 'type']),
+    productType: describe('productTypes', this.productType, ['name']),
+    rules: business ? getProductRules(business, this.productType) : undefined,
+    costPrice: this.costPrice,
+    sellingPrice: this.sellingPrice,
+    images: this.images,
+    quantityOnHand: this.quantityOnHand,
+    reorderLevel: this.reorderLevel,
+    shelfLifeDays: this.shelfLifeDays,
+    isActive: this.isActive,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Create indexes
+productSchema.index({ business: 1, sku: 1 }, { unique: true });
+productSchema.index({ business: 1, category: 1 });
+productSchema.index({ business: 1, isActive: 1 });
+
+module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,249 @@
+/**
+ * Purchase Order Model
+ * Stock ordered from suppliers and the receipts made against each order
+ */
+
+const mongoose = require('mongoose');
+const { PURCHASE_ORDER_STATUSES } = require('../config/purchasing');
+const { roundMoney } = require('../utils/money');
+
+const purchaseOrderItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    // Product details at the time of ordering
+    sku: String,
+    name: String,
+
+    // Quantities in the product's unit
+    quantityOrdered: {
+      type: Number,
+      required: true,
+      min: [0, 'Quantity cannot be negative']
+    },
+    quantityReceived: {
+      type: Number,
+      default: 0
+    },
+    // Agreed cost per unit
+    unitCost: {
+      type: Number,
+      required: true,
+      min: [0, 'Unit cost cannot be negative']
+    },
+    lineTotal: {
+      type: Number,
+      default: 0
+    }
+  },
+  { _id: false }
+);
+
+const receiptLineSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true
+    },
+    // Cost per unit actually charged for this delivery
+    unitCost: {
+      type: Number,
+      required: true,
+      min: [0, 'Unit cost cannot be negative']
+    },
+    serialNumbers: {
+      type: [String],
+      default: undefined
+    },
+    lotNumber: String,
+    // Stock movement posted for the line, if the product tracks inventory
+    movement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockMovement',
+      default: null
+    }
+  },
+  { _id: false }
+);
+
+const receiptSchema = new mongoose.Schema(
+  {
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    items: [receiptLineSchema],
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    }
+  }
+);
+
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: true
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      required: [true, 'Supplier is required']
+    },
+
+    // Assigned from the business's purchase order sequence when the order is placed
+    poNumber: {
+      type: String,
+      default: undefined
+    },
+    status: {
+      type: String,
+      enum: PURCHASE_ORDER_STATUSES,
+      default: 'draft'
+    },
+
+    items: {
+      type: [purchaseOrderItemSchema],
+      validate: {
+        validator: items => items.length > 0,
+        message: 'A purchase order needs at least one item'
+      }
+    },
+    receipts: {
+      type: [receiptSchema],
+      default: []
+    },
+
+    // Business currency when the order was created
+    currency: {
+      type: String,
+      required: true
+    },
+    // Calculated by calculateTotals()
+    total: {
+      type: Number,
+      default: 0
+    },
+
+    expectedDate: {
+      type: Date,
+      default: null
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Notes cannot exceed 2000 characters']
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    orderedAt: {
+      type: Date,
+      default: null
+    },
+    receivedAt: {
+      type: Date,
+      default: null
+    },
+    closedAt: {
+      type: Date,
+      default: null
+    },
+    cancelledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    // Receipts read the order before posting stock, so concurrent saves must not overwrite each other
+    optimisticConcurrency: true
+  }
+);
+
+/**
+ * Value of the stock received so far, at the received costs
+ */
+purchaseOrderSchema.virtual('receivedTotal').get(function () {
+  return roundMoney(
+    this.receipts.reduce(
+      (sum, receipt) => sum + receipt.items.reduce((lines, line) => lines + line.quantity * line.unitCost, 0),
+      0
+    )
+  );
+});
+
+/**
+ * Calculate line totals and the order total at the agreed costs
+ */
+purchaseOrderSchema.methods.calculateTotals = function () {
+  for (const item of this.items) {
+    item.lineTotal = roundMoney(item.quantityOrdered * item.unitCost);
+  }
+  this.total = roundMoney(this.items.reduce((sum, item) => sum + item.lineTotal, 0));
+};
+
+/**
+ * Set the status of an order being received from its item quantities
+ * @param {Date} now - Reference time
+ */
+purchaseOrderSchema.methods.refreshReceiptStatus = function (now = new Date()) {
+  const complete = this.items.every(item => item.quantityReceived >= item.quantityOrdered);
+
+  this.status = complete ? 'received' : 'partially-received';
+  this.receivedAt = complete ? now : null;
+};
+
+/**
+ * Method to get public purchase order details
+ * @returns {Object}
+ */
+purchaseOrderSchema.methods.toPublicProfile = function () {
+  return {
+    id: this._id,
+    poNumber: this.poNumber || null,
+    status: this.status,
+    supplier: this.supplier,
+    items: this.items,
+    receipts: this.receipts,
+    currency: this.currency,
+    total: this.total,
+    receivedTotal: this.receivedTotal,
+    expectedDate: this.expectedDate,
+    notes: this.notes,
+    createdBy: this.createdBy,
+    orderedAt: this.orderedAt,
+    receivedAt: this.receivedAt,
+    closedAt: this.closedAt,
+    cancelledAt: this.cancelledAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Create indexes
+purchaseOrderSchema.index(
+  { business: 1, poNumber: 1 },
+  { unique: true, partialFilterExpression: { poNumber: { $type: 'string' } } }
+);
+purchaseOrderSchema.index({ business: 1, status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ business: 1, supplier: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -0,0 +1,85 @@
+/**
+ * Refresh Token Model
+ * Persists hashed refresh tokens so they can be rotated and revoked
+ */
+
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    // Owner of the token
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    // SHA-256 hash of the opaque token handed to the client
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+
+    // All tokens rotated from the same login share a session
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session',
+      required: true
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+
+    // Rotation / revocation state
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedReason: {
+      type: String,
+      enum: ['rotated', 'session-revoked', null],
+      default: null
+    },
+    replacedBy: {
+      type: String,
+      default: null
+    },
+
+    // Client information at issue time
+    createdByIp: String,
+    userAgent: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Check whether the token can still be exchanged
+ * @returns {Boolean} - True if not revoked and not expired
+ */
+refreshTokenSchema.methods.isUsable = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Revoke every token issued for the given sessions
+ * @param {Object} filter - Session filter, e.g. { session: id } or { user: id }
+ */
+refreshTokenSchema.statics.revokeWhere = function (filter) {
+  return this.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'session-revoked' } }
+  );
+};
+
+// Create indexes
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ session: 1 });
+// Let MongoDB purge expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,311 @@
+/**
+ * Sale Model
+ * Sales orders and point-of-sale receipts
+ */
+
+const mongoose = require('mongoose');
+const { SALE_STATUSES, TENDER_TYPES } = require('../config/sales');
+const { roundMoney, calculateTotals } = require('../utils/money');
+
+const saleItemSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    // Product details at the time of sale
+    sku: String,
+    name: String,
+    unit: {
+      name: String,
+      abbreviation: String
+    },
+
+    // Quantity in the product's unit
+    quantity: {
+      type: Number,
+      required: true,
+      min: [0, 'Quantity cannot be negative']
+    },
+    unitPrice: {
+      type: Number,
+      required: true,
+      min: [0, 'Unit price cannot be negative']
+    },
+    // Line discount as an amount
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative']
+    },
+    // Tax rate as a percentage
+    taxRate: {
+      type: Number,
+      default: 0,
+      min: [0, 'Tax rate cannot be negative'],
+      max: [100, 'Tax rate cannot exceed 100%']
+    },
+
+    // Calculated by calculateTotals()
+    taxAmount: {
+      type: Number,
+      default: 0
+    },
+    lineTotal: {
+      type: Number,
+      default: 0
+    },
+
+    // Units picked for serialized or lot-tracked products
+    serialNumbers: {
+      type: [String],
+      default: undefined
+    },
+    lotNumber: String,
+
+    // Set when the sale is completed
+    movement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockMovement',
+      default: null
+    },
+    lots: {
+      type: [
+        {
+          _id: false,
+          lotNumber: String,
+          expiryDate: Date,
+          quantity: Number
+        }
+      ],
+      default: undefined
+    }
+  },
+  { _id: false }
+);
+
+const paymentSchema = new mongoose.Schema(
+  {
+    method: {
+      type: String,
+      enum: TENDER_TYPES,
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Payment amount cannot be negative']
+    },
+    // Card approval code, transfer reference, etc.
+    reference: {
+      type: String,
+      trim: true
+    }
+  },
+  { _id: false }
+);
+
+const saleSchema = new mongoose.Schema(
+  {
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: true
+    },
+
+    // Assigned from the business's receipt sequence when the sale completes
+    receiptNumber: {
+      type: String,
+      default: undefined
+    },
+    status: {
+      type: String,
+      enum: SALE_STATUSES,
+      default: 'open'
+    },
+
+    // Customer record the sale is for, if any
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      default: null
+    },
+    customerName: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Customer name cannot exceed 200 characters']
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+
+    items: {
+      type: [saleItemSchema],
+      validate: {
+        validator: items => items.length > 0,
+        message: 'A sale needs at least one item'
+      }
+    },
+
+    // Order-level discount as an amount, spread over the lines before tax
+    discount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative']
+    },
+
+    // Calculated by calculateTotals()
+    subtotal: {
+      type: Number,
+      default: 0
+    },
+    discountTotal: {
+      type: Number,
+      default: 0
+    },
+    taxTotal: {
+      type: Number,
+      default: 0
+    },
+    total: {
+      type: Number,
+      default: 0
+    },
+
+    payments: {
+      type: [paymentSchema],
+      default: []
+    },
+    amountPaid: {
+      type: Number,
+      default: 0
+    },
+    changeDue: {
+      type: Number,
+      default: 0
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    completedAt: {
+      type: Date,
+      default: null
+    },
+    cancelledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Calculate line and order totals
+ * @returns {Array} - Error messages, empty if the discounts fit the sale
+ */
+saleSchema.methods.calculateTotals = function () {
+  const { errors, ...totals } = calculateTotals(this.items, this.discount);
+
+  if (errors.length === 0) {
+    Object.assign(this, totals);
+  }
+
+  return errors;
+};
+
+/**
+ * Apply checkout tenders and work out the change due
+ * Change can only be given out of cash, so card and transfer tenders may not
+ * exceed the amount due.
+ * @param {Array} payments - [{ method, amount, reference }]
+ * @returns {String|null} - Error message, or null if the payments settle the sale
+ */
+saleSchema.methods.applyPayments = function (payments) {
+  const amountPaid = roundMoney(payments.reduce((sum, payment) => sum + payment.amount, 0));
+  const cash = roundMoney(
+    payments
+      .filter(payment => payment.method === 'cash')
+      .reduce((sum, payment) => sum + payment.amount, 0)
+  );
+
+  if (amountPaid < this.total) {
+    return `Payments of ${amountPaid} do not cover the total of ${this.total}`;
+  }
+
+  const changeDue = roundMoney(amountPaid - this.total);
+  if (changeDue > cash) {
+    return 'Card and transfer payments cannot exceed the amount due';
+  }
+
+  this.payments = payments;
+  this.amountPaid = amountPaid;
+  this.changeDue = changeDue;
+
+  return null;
+};
+
+/**
+ * Method to get public sale details
+ * @returns {Object}
+ */
+saleSchema.methods.toPublicProfile = function () {
+  return {
+    id: this._id,
+    receiptNumber: this.receiptNumber || null,
+    status: this.status,
+    customerId: this.customerId,
+    customerName: this.customerName,
+    notes: this.notes,
+    items: this.items.map(item => ({
+      product: item.product,
+      sku: item.sku,
+      name: item.name,
+      unit: item.unit,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      discount: item.discount,
+      taxRate: item.taxRate,
+      taxAmount: item.taxAmount,
+      lineTotal: item.lineTotal,
+      serialNumbers: item.serialNumbers,
+      lotNumber: item.lotNumber,
+      lots: item.lots
+    })),
+    discount: this.discount,
+    subtotal: this.subtotal,
+    discountTotal: this.discountTotal,
+    taxTotal: this.taxTotal,
+    total: this.total,
+    payments: this.payments,
+    amountPaid: this.amountPaid,
+    changeDue: this.changeDue,
+    createdBy: this.createdBy,
+    completedBy: this.completedBy,
+    completedAt: this.completedAt,
+    cancelledAt: this.cancelledAt,
+    createdAt: this.createdAt
+  };
+};
+
+// Create indexes
+saleSchema.index(
+  { business: 1, receiptNumber: 1 },
+  { unique: true, partialFilterExpression: { receiptNumber: { $type: 'string' } } }
+);
+saleSchema.index({ business: 1, status: 1, createdAt: -1 });
+saleSchema.index({ business: 1, completedAt: -1 });
+saleSchema.index({ business: 1, customerId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Sale', saleSchema);
@@ -0,0 +1,77 @@
+/**
+ * Serial Number Model
+ * Individual units of serialized products and where they are now
+ */
+
+const mongoose = require('mongoose');
+const { SERIAL_STATUSES } = require('../config/inventory');
+
+const serialNumberSchema = new mongoose.Schema(
+  {
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+
+    serialNumber: {
+      type: String,
+      required: [true, 'Serial number is required'],
+      trim: true,
+      maxlength: [100, 'Serial number cannot exceed 100 characters']
+    },
+    status: {
+      type: String,
+      enum: SERIAL_STATUSES,
+      default: 'in-stock'
+    },
+    // Only for product types that require expiry dates
+    expiryDate: {
+      type: Date,
+      default: null
+    },
+
+    // Movements that last brought the unit in and took it out
+    receivedMovement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockMovement'
+    },
+    issuedMovement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockMovement',
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Method to get public serial number details
+ * @returns {Object}
+ */
+serialNumberSchema.methods.toPublicProfile = function () {
+  return {
+    id: this._id,
+    product: this.product,
+    serialNumber: this.serialNumber,
+    status: this.status,
+    expiryDate: this.expiryDate,
+    receivedMovement: this.receivedMovement,
+    issuedMovement: this.issuedMovement,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Create indexes
+serialNumberSchema.index({ business: 1, product: 1, serialNumber: 1 }, { unique: true });
+serialNumberSchema.index({ business: 1, product: 1, status: 1 });
+serialNumberSchema.index({ business: 1, status: 1, expiryDate: 1 });
+
+module.exports = mongoose.model('SerialNumber', serialNumberSchema);
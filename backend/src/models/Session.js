@@ -0,0 +1,108 @@
+/**
+ * Session Model
+ * One record per login, tied to the tokens issued for it
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Business the session's access tokens are scoped to (see switch-business)
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business'
+    },
+
+    // Client information
+    userAgent: {
+      type: String,
+      trim: true
+    },
+    device: {
+      browser: String,
+      os: String,
+      type: {
+        type: String,
+        enum: ['desktop', 'mobile', 'tablet', 'unknown'],
+        default: 'unknown'
+      }
+    },
+    ip: String,
+
+    // Activity
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastUsedIp: String,
+
+    // Extended every time the refresh token is rotated
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+
+    // Revocation state
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        'logout',
+        'revoked-by-user',
+        'revoked-by-admin',
+        'reuse-detected',
+        'password-changed',
+        'account-deactivated',
+        'account-removed',
+        'membership-ended',
+        null
+      ],
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Method to check whether the session can still be used
+ * @returns {Boolean}
+ */
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Method to get public session details
+ * @param {String} currentSessionId - Session of the requesting client
+ * @returns {Object}
+ */
+sessionSchema.methods.toPublicProfile = function (currentSessionId) {
+  return {
+    id: this._id,
+    device: this.device,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    lastUsedIp: this.lastUsedIp,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: !!currentSessionId && this._id.equals(currentSessionId)
+  };
+};
+
+// Create indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Keep expired sessions for a while for auditing, then purge them
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Session', sessionSchema);
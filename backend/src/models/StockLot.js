@@ -0,0 +1,79 @@
+/**
+ * Stock Lot Model
+ * Batches of a product that share a lot number and expiry date
+ */
+
+const mongoose = require('mongoose');
+
+const stockLotSchema = new mongoose.Schema(
+  {
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+
+    lotNumber: {
+      type: String,
+      required: [true, 'Lot number is required'],
+      trim: true,
+      maxlength: [100, 'Lot number cannot exceed 100 characters']
+    },
+    expiryDate: {
+      type: Date,
+      required: [true, 'Expiry date is required']
+    },
+
+    // Total ever received into the lot, and what remains of it
+    quantityReceived: {
+      type: Number,
+      default: 0
+    },
+    quantityOnHand: {
+      type: Number,
+      default: 0,
+      min: [0, 'Lot quantity cannot be negative']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Whether the lot has passed its expiry date
+ * @param {Date} now - Reference time
+ * @returns {Boolean}
+ */
+stockLotSchema.methods.isExpired = function (now = new Date()) {
+  return this.expiryDate <= now;
+};
+
+/**
+ * Method to get public lot details
+ * @returns {Object}
+ */
+stockLotSchema.methods.toPublicProfile = function () {
+  return {
+    id: this._id,
+    product: this.product,
+    lotNumber: this.lotNumber,
+    expiryDate: this.expiryDate,
+    isExpired: this.isExpired(),
+    quantityReceived: this.quantityReceived,
+    quantityOnHand: this.quantityOnHand,
+    createdAt: this.createdAt
+  };
+};
+
+// Create indexes
+stockLotSchema.index({ business: 1, product: 1, lotNumber: 1 }, { unique: true });
+stockLotSchema.index({ business: 1, product: 1, expiryDate: 1 });
+stockLotSchema.index({ business: 1, expiryDate: 1, quantityOnHand: 1 });
+
+module.exports = mongoose.model('StockLot', stockLotSchema);
@@ -0,0 +1,211 @@
+/**
+ * Stock Movement Model
+ * Append-only ledger of every change to a product's stock on hand
+ */
+
+const mongoose = require('mongoose');
+const { MOVEMENT_TYPES } = require('../config/inventory');
+
+const stockMovementSchema = new mongoose.Schema(
+  {
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+
+    type: {
+      type: String,
+      enum: MOVEMENT_TYPES,
+      required: [true, 'Movement type is required']
+    },
+
+    // Signed change: positive adds stock, negative removes it
+    quantity: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: value => value !== 0,
+        message: 'Quantity cannot be zero'
+      }
+    },
+    // Product stock on hand after this movement
+    balanceAfter: {
+      type: Number,
+      required: true
+    },
+
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+
+    // Cost per unit of incoming stock, when known (e.g. purchase order receipts)
+    unitCost: {
+      type: Number,
+      default: undefined,
+      min: [0, 'Unit cost cannot be negative']
+    },
+
+    // Serialized units moved, for product types that require serial numbers
+    serialNumbers: {
+      type: [String],
+      default: undefined
+    },
+    // Lots moved, for product types that require expiry dates
+    lots: {
+      type: [
+        {
+          _id: false,
+          lot: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'StockLot'
+          },
+          lotNumber: String,
+          expiryDate: Date,
+          // Signed like the movement quantity
+          quantity: Number
+        }
+      ],
+      default: undefined
+    },
+
+    // Document that caused the movement, e.g. a sale or purchase order
+    reference: {
+      type: {
+        type: String,
+        trim: true
+      },
+      id: mongoose.Schema.Types.ObjectId
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+/**
+ * Movements are never edited or removed; corrections are new movements
+ */
+stockMovementSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Stock movements cannot be modified'));
+  }
+  next();
+});
+
+for (const operation of [
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+]) {
+  stockMovementSchema.pre(operation, function (next) {
+    next(new Error('Stock movements are append-only'));
+  });
+}
+
+/**
+ * Post a movement and update the product's stock on hand
+ * The balance is changed atomically, and outgoing movements are refused if
+ * they would take stock below zero unless allowNegative is set. Refusals
+ * throw an error with code 'INSUFFICIENT_STOCK' and the available quantity.
+ * @param {Object} movement - { business, product, type, quantity (signed), reason, unitCost, reference, createdBy }
+ * @param {Object} options - { allowNegative, session }
+ * @returns {Promise<Object>} - Created movement document
+ */
+stockMovementSchema.statics.post = async function (movement, { allowNegative = false, session = null } = {}) {
+  const Product = mongoose.model('Product');
+  const { business, product, quantity } = movement;
+
+  const filter = { _id: product, business };
+  if (quantity < 0 && !allowNegative) {
+    filter.quantityOnHand = { $gte: -quantity };
+  }
+
+  const updated = await Product.findOneAndUpdate(
+    filter,
+    { $inc: { quantityOnHand: quantity } },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    const current = await Product.findOne({ _id: product, business })
+      .select('quantityOnHand')
+      .session(session);
+
+    if (!current) {
+      const error = new Error('Product not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const error = new Error(`Insufficient stock. Only ${current.quantityOnHand} available.`);
+    error.statusCode = 400;
+    error.code = 'INSUFFICIENT_STOCK';
+    error.available = current.quantityOnHand;
+    throw error;
+  }
+
+  const [created] = await this.create(
+    [{ ...movement, balanceAfter: updated.quantityOnHand }],
+    { session }
+  );
+
+  return created;
+};
+
+/**
+ * Recompute a product's stock on hand from its movements
+ * @param {String} productId - Product ID
+ * @returns {Promise<Number>} - Sum of all movement quantities
+ */
+stockMovementSchema.statics.computeOnHand = async function (productId) {
+  const [result] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)) } },
+    { $group: { _id: null, total: { $sum: '$quantity' } } }
+  ]);
+
+  return result ? result.total : 0;
+};
+
+/**
+ * Method to get public movement details
+ * @returns {Object}
+ */
+stockMovementSchema.methods.toPublicProfile = function () {
+  return {
+    id: this._id,
+    product: this.product,
+    type: this.type,
+    quantity: this.quantity,
+    balanceAfter: this.balanceAfter,
+    reason: this.reason,
+    unitCost: this.unitCost,
+    serialNumbers: this.serialNumbers,
+    lots: this.lots,
+    reference: this.reference?.type ? this.reference : null,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt
+  };
+};
+
+// Create indexes
+stockMovementSchema.index({ business: 1, product: 1, createdAt: -1 });
+stockMovementSchema.index({ business: 1, type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,95 @@
+/**
+ * Supplier Model
+ * Vendors a business buys stock from
+ */
+
+const mongoose = require('mongoose');
+const addressSchema = require('./schemas/address');
+
+const supplierSchema = new mongoose.Schema(
+  {
+    business: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Business',
+      required: true
+    },
+
+    name: {
+      type: String,
+      required: [true, 'Supplier name is required'],
+      trim: true,
+      maxlength: [200, 'Supplier name cannot exceed 200 characters']
+    },
+    contactName: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Contact name cannot exceed 200 characters']
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    phone: {
+      type: String,
+      trim: true
+    },
+    address: addressSchema,
+
+    // Days the supplier usually takes to deliver, used for expected dates
+    leadTimeDays: {
+      type: Number,
+      default: null,
+      min: [0, 'Lead time cannot be negative']
+    },
+    paymentTerms: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Payment terms cannot exceed 200 characters']
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Notes cannot exceed 2000 characters']
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Method to get public supplier details
+ * @returns {Object}
+ */
+supplierSchema.methods.toPublicProfile = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    contactName: this.contactName,
+    email: this.email,
+    phone: this.phone,
+    address: this.address,
+    leadTimeDays: this.leadTimeDays,
+    paymentTerms: this.paymentTerms,
+    notes: this.notes,
+    isActive: this.isActive,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Create indexes
+supplierSchema.index({ business: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Supplier', supplierSchema);
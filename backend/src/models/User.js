@@ -3,6 +3,7 @@
  * Defines the schema for user authentication and profile
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
@@ -46,18 +47,12 @@ const userSchema = new mongoose.Schema(
       match: [/^[0-9+\-\s()]*$/, 'Please provide a valid phone number']
     },
 
-    // Business Reference
+    // Business selected most recently, used as the default at login.
+    // Access and roles come from Membership; protect() replaces this with
+    // the business the request's token is scoped to.
     business: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'Business',
-      required: true
-    },
-
-    // Role and Permissions
-    role: {
-      type: String,
-      enum: ['owner', 'admin', 'manager', 'employee'],
-      default: 'owner'
+      ref: 'Business'
     },
 
     // Account Status
@@ -69,6 +64,54 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false
     },
+    emailVerifiedAt: Date,
+
+    // Email Verification
+    emailVerificationToken: {
+      type: String,
+      select: false
+    },
+    emailVerificationExpire: {
+      type: Date,
+      select: false
+    },
+
+    // Two-Factor Authentication (TOTP)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      secret: {
+        type: String,
+        select: false
+      },
+      // Secret generated during setup, promoted to `secret` once confirmed
+      pendingSecret: {
+        type: String,
+        select: false
+      },
+      // SHA-256 hashes of unused one-time recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false
+      },
+      // Last accepted time step, prevents replaying a code
+      lastUsedStep: {
+        type: Number,
+        select: false
+      },
+      enabledAt: Date
+    },
+
+    // Brute-force Protection
+    failedLoginAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedLoginAt: Date,
+    // Logins are refused until this time (progressive delay or lockout)
+    lockUntil: Date,
 
     // Last Login
     lastLogin: {
@@ -77,7 +120,15 @@ const userSchema = new mongoose.Schema(
 
     // Password Reset
     resetPasswordToken: String,
-    resetPasswordExpire: Date
+    resetPasswordExpire: Date,
+
+    // Session Invalidation
+    // Incremented to invalidate every access token issued before the change
+    tokenVersion: {
+      type: Number,
+      default: 0
+    },
+    passwordChangedAt: Date
   },
   {
     timestamps: true // Adds createdAt and updatedAt
@@ -95,6 +146,11 @@ userSchema.pre('save', async function (next) {
   }
 
   try {
+    // Record when an existing password was changed
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
+
     // Generate salt
     const salt = await bcrypt.genSalt(
       parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10
@@ -117,6 +173,131 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+/**
+ * Method to generate a single-use password reset token
+ * Only the hash is stored; the raw token is returned to be emailed
+ * @param {Number} expiresInMinutes - Token lifetime
+ * @returns {String} - Raw reset token
+ */
+userSchema.methods.createPasswordResetToken = function (expiresInMinutes) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.resetPasswordToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+  this.resetPasswordExpire = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+/**
+ * Method to generate an email verification token
+ * Only the hash is stored; the raw token is returned to be emailed
+ * @param {Number} expiresInHours - Token lifetime
+ * @returns {String} - Raw verification token
+ */
+userSchema.methods.createEmailVerificationToken = function (expiresInHours) {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+  this.emailVerificationExpire = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+
+  return verificationToken;
+};
+
+/**
+ * Method to check whether logins are currently refused
+ * @returns {Boolean}
+ */
+userSchema.methods.isLocked = function () {
+  return !!this.lockUntil && this.lockUntil > new Date();
+};
+
+/**
+ * Record a failed login attempt and apply the lockout policy
+ * After LOGIN_DELAY_AFTER failures each further failure adds a doubling
+ * delay; after LOGIN_MAX_ATTEMPTS the account is locked for LOGIN_LOCK_MINUTES.
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} - { failedLoginAttempts, lockUntil, locked }
+ */
+userSchema.statics.recordFailedLogin = async function (userId) {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  const delayAfter = parseInt(process.env.LOGIN_DELAY_AFTER) || 3;
+  const lockMinutes = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+
+  // Increment atomically so parallel guesses are all counted
+  const user = await this.findByIdAndUpdate(
+    userId,
+    {
+      $inc: { failedLoginAttempts: 1 },
+      $set: { lastFailedLoginAt: new Date() }
+    },
+    { new: true }
+  );
+
+  if (!user) {
+    return null;
+  }
+
+  const attempts = user.failedLoginAttempts;
+  let lockUntil = null;
+
+  if (attempts >= maxAttempts) {
+    lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+  } else if (attempts >= delayAfter) {
+    lockUntil = new Date(Date.now() + 2 ** (attempts - delayAfter) * 1000);
+  }
+
+  if (lockUntil) {
+    await this.updateOne({ _id: userId }, { $set: { lockUntil } });
+  }
+
+  return {
+    failedLoginAttempts: attempts,
+    lockUntil,
+    locked: attempts === maxAttempts
+  };
+};
+
+/**
+ * Clear failed login tracking (successful login or manual unlock)
+ * @param {String} userId - User ID
+ */
+userSchema.statics.resetLoginAttempts = function (userId) {
+  return this.updateOne(
+    { _id: userId },
+    {
+      $set: { failedLoginAttempts: 0 },
+      $unset: { lockUntil: 1, lastFailedLoginAt: 1 }
+    }
+  );
+};
+
+/**
+ * Role in the business the user is currently acting in
+ * Not stored on the user; set from the membership by applyMembership().
+ */
+userSchema.virtual('role')
+  .get(function () {
+    return this.$locals.role;
+  })
+  .set(function (role) {
+    this.$locals.role = role;
+  });
+
+/**
+ * Method to scope the user to one of their memberships
+ * @param {Object} membership - Membership with business populated
+ */
+userSchema.methods.applyMembership = function (membership) {
+  this.business = membership.business;
+  this.role = membership.role;
+};
+
 /**
  * Method to get user's full name
  * @returns {String} - Full name
@@ -140,6 +321,7 @@ userSchema.methods.toPublicProfile = function () {
     business: this.business,
     isActive: this.isActive,
     isEmailVerified: this.isEmailVerified,
+    twoFactorEnabled: !!this.twoFactor?.enabled,
     createdAt: this.createdAt
   };
 };
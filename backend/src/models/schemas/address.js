@@ -0,0 +1,34 @@
+/**
+ * Address Schema
+ * Postal address embedded in customers and invoices
+ */
+
+const mongoose = require('mongoose');
+
+const addressSchema = new mongoose.Schema(
+  {
+    street: {
+      type: String,
+      trim: true
+    },
+    city: {
+      type: String,
+      trim: true
+    },
+    state: {
+      type: String,
+      trim: true
+    },
+    country: {
+      type: String,
+      trim: true
+    },
+    postalCode: {
+      type: String,
+      trim: true
+    }
+  },
+  { _id: false }
+);
+
+module.exports = addressSchema;
@@ -4,15 +4,27 @@
 
 const express = require('express');
 const authController = require('../controllers/authController');
+const memberController = require('../controllers/memberController');
+const twoFactorController = require('../controllers/twoFactorController');
+const sessionController = require('../controllers/sessionController');
 const { protect } = require('../middleware/auth');
 const {
   registerValidation,
   loginValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  acceptInviteValidation,
+  twoFactorCodeValidation,
+  twoFactorLoginValidation,
   validate
 } = require('../middleware/validation');
 const {
   authLimiter,
-  registerLimiter
+  loginIpLimiter,
+  registerLimiter,
+  passwordResetLimiter,
+  refreshLimiter,
+  verificationEmailLimiter
 } = require('../middleware/rateLimiter');
 
 const router = express.Router();
@@ -33,12 +45,59 @@ router.post(
 // Login user
 router.post(
   '/login',
+  loginIpLimiter,
   authLimiter,
   loginValidation,
   validate,
   authController.login
 );
 
+// Complete login with a two-factor code
+router.post(
+  '/2fa/verify',
+  loginIpLimiter,
+  authLimiter,
+  twoFactorLoginValidation,
+  validate,
+  twoFactorController.verifyLogin
+);
+
+// Request password reset link
+router.post(
+  '/forgot-password',
+  passwordResetLimiter,
+  forgotPasswordValidation,
+  validate,
+  authController.forgotPassword
+);
+
+// Reset password with emailed token
+router.post(
+  '/reset-password/:token',
+  passwordResetLimiter,
+  resetPasswordValidation,
+  validate,
+  authController.resetPassword
+);
+
+// Verify email address
+router.get('/verify-email/:token', authController.verifyEmail);
+
+// Preview a team invitation
+router.get('/invitations/:token', memberController.getInvitationByToken);
+
+// Accept a team invitation and create the member account
+router.post(
+  '/accept-invite/:token',
+  registerLimiter,
+  acceptInviteValidation,
+  validate,
+  memberController.acceptInvitation
+);
+
+// Exchange refresh token for a new token pair
+router.post('/refresh', refreshLimiter, authController.refresh);
+
 /**
  * Protected Routes
  */
@@ -49,6 +108,44 @@ router.get('/me', protect, authController.getMe);
 // Update password
 router.put('/update-password', protect, authController.updatePassword);
 
+// Resend email verification link
+router.post(
+  '/resend-verification',
+  protect,
+  verificationEmailLimiter,
+  authController.resendVerification
+);
+
+// Two-factor enrollment and management
+router.post('/2fa/setup', protect, twoFactorController.setup);
+router.post(
+  '/2fa/confirm',
+  protect,
+  twoFactorCodeValidation,
+  validate,
+  twoFactorController.confirm
+);
+router.post('/2fa/disable', protect, twoFactorController.disable);
+router.post(
+  '/2fa/recovery-codes',
+  protect,
+  twoFactorCodeValidation,
+  validate,
+  twoFactorController.regenerateRecoveryCodes
+);
+
+// Businesses the user belongs to
+router.get('/businesses', protect, authController.getBusinesses);
+router.post('/businesses/:businessId/switch', protect, authController.switchBusiness);
+
+// Accept a team invitation with the current account
+router.post('/invitations/:token/accept', protect, memberController.acceptInvitationAsUser);
+
+// Active sessions / devices
+router.get('/sessions', protect, sessionController.getSessions);
+router.delete('/sessions', protect, sessionController.revokeOtherSessions);
+router.delete('/sessions/:id', protect, sessionController.revokeSession);
+
 // Logout
 router.post('/logout', protect, authController.logout);
 
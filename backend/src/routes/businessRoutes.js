@@ -1,22 +1,242 @@
 const express = require('express');
 const businessController = require('../controllers/businessController');
-const { protect, authorize } = require('../middleware/auth');
-const { preferencesValidation, validate } = require('../middleware/validation');
+const memberController = require('../controllers/memberController');
+const preferenceController = require('../controllers/preferenceController');
+const preferenceTemplateController = require('../controllers/preferenceTemplateController');
+const preferenceTransferController = require('../controllers/preferenceTransferController');
+const permissionController = require('../controllers/permissionController');
+const apiKeyController = require('../controllers/apiKeyController');
+const auditController = require('../controllers/auditController');
+const { protect, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { logoUpload } = require('../middleware/upload');
+const {
+  preferencesValidation,
+  inviteMemberValidation,
+  memberRoleValidation,
+  rolePermissionsValidation,
+  securitySettingsValidation,
+  createApiKeyValidation,
+  inventorySettingsValidation,
+  invoiceSettingsValidation,
+  createPreferenceItemValidation,
+  updatePreferenceItemValidation,
+  reorderPreferenceItemsValidation,
+  preferenceTemplateValidation,
+  validate
+} = require('../middleware/validation');
 
 const router = express.Router();
 
 router.use(protect);
 
-router.get('/profile', businessController.getProfile);
-router.put('/profile', authorize('owner'), businessController.updateProfile);
+router.get('/profile', requirePermission('profile:read'), businessController.getProfile);
+router.put(
+  '/profile',
+  requirePermission('profile:write'),
+  requireVerifiedEmail,
+  businessController.updateProfile
+);
+router.put('/logo', requirePermission('profile:write'), logoUpload, businessController.uploadLogo);
+router.delete('/logo', requirePermission('profile:write'), businessController.deleteLogo);
+
+router.get('/security', requirePermission('profile:read'), businessController.getSecuritySettings);
+router.put(
+  '/security',
+  requirePermission('security:write'),
+  securitySettingsValidation,
+  validate,
+  businessController.updateSecuritySettings
+);
 
-router.get('/preferences', businessController.getPreferences);
+router.get(
+  '/inventory-settings',
+  requirePermission('inventory:read'),
+  businessController.getInventorySettings
+);
+router.put(
+  '/inventory-settings',
+  requirePermission('profile:write'),
+  inventorySettingsValidation,
+  validate,
+  businessController.updateInventorySettings
+);
+
+router.get(
+  '/invoice-settings',
+  requirePermission('invoices:read'),
+  businessController.getInvoiceSettings
+);
+router.put(
+  '/invoice-settings',
+  requirePermission('profile:write'),
+  invoiceSettingsValidation,
+  validate,
+  businessController.updateInvoiceSettings
+);
+
+router.get(
+  '/preferences',
+  requirePermission('preferences:read'),
+  businessController.getPreferences
+);
 router.put(
   '/preferences',
-  authorize('owner'),
+  requirePermission('preferences:write'),
+  requireVerifiedEmail,
   preferencesValidation,
   validate,
   businessController.updatePreferences
 );
+// Registered before the /preferences/:section routes so they are not taken as lists
+router.get(
+  '/preferences/export',
+  requirePermission('preferences:read'),
+  preferenceTransferController.exportPreferences
+);
+router.post(
+  '/preferences/import',
+  requirePermission('preferences:write'),
+  requireVerifiedEmail,
+  express.text({ type: 'text/csv', limit: '1mb' }),
+  preferenceTransferController.importPreferences
+);
+router.post(
+  '/preferences/:section',
+  requirePermission('preferences:write'),
+  requireVerifiedEmail,
+  createPreferenceItemValidation,
+  validate,
+  preferenceController.addPreferenceItem
+);
+router.put(
+  '/preferences/:section/order',
+  requirePermission('preferences:write'),
+  requireVerifiedEmail,
+  reorderPreferenceItemsValidation,
+  validate,
+  preferenceController.reorderPreferenceItems
+);
+router.patch(
+  '/preferences/:section/:itemId',
+  requirePermission('preferences:write'),
+  requireVerifiedEmail,
+  updatePreferenceItemValidation,
+  validate,
+  preferenceController.updatePreferenceItem
+);
+router.delete(
+  '/preferences/:section/:itemId',
+  requirePermission('preferences:write'),
+  requireVerifiedEmail,
+  preferenceController.deletePreferenceItem
+);
+
+router.get(
+  '/preference-templates',
+  requirePermission('preferences:read'),
+  preferenceTemplateController.getPreferenceTemplates
+);
+router.post(
+  '/preference-templates/:template/preview',
+  requirePermission('preferences:read'),
+  preferenceTemplateValidation,
+  validate,
+  preferenceTemplateController.previewPreferenceTemplate
+);
+router.post(
+  '/preference-templates/:template/apply',
+  requirePermission('preferences:write'),
+  requireVerifiedEmail,
+  preferenceTemplateValidation,
+  validate,
+  preferenceTemplateController.applyPreferenceTemplate
+);
+
+router.get('/members', requirePermission('members:read'), memberController.getMembers);
+router.post(
+  '/members/invite',
+  requirePermission('members:write'),
+  requireVerifiedEmail,
+  inviteMemberValidation,
+  validate,
+  memberController.inviteMember
+);
+router.get(
+  '/members/invitations',
+  requirePermission('members:read'),
+  memberController.getInvitations
+);
+router.delete(
+  '/members/invitations/:id',
+  requirePermission('members:write'),
+  memberController.revokeInvitation
+);
+router.patch(
+  '/members/:id/role',
+  requirePermission('members:write'),
+  memberRoleValidation,
+  validate,
+  memberController.updateMemberRole
+);
+router.patch(
+  '/members/:id/deactivate',
+  requirePermission('members:write'),
+  memberController.deactivateMember
+);
+router.patch(
+  '/members/:id/activate',
+  requirePermission('members:write'),
+  memberController.activateMember
+);
+router.patch(
+  '/members/:id/unlock',
+  requirePermission('members:write'),
+  memberController.unlockMember
+);
+router.delete(
+  '/members/:id/sessions',
+  requirePermission('members:write'),
+  memberController.logoutMember
+);
+router.delete(
+  '/members/:id',
+  requirePermission('members:write'),
+  memberController.removeMember
+);
+
+router.get(
+  '/permissions',
+  requirePermission('permissions:read'),
+  permissionController.getPermissions
+);
+router.put(
+  '/permissions/:role',
+  requirePermission('permissions:write'),
+  rolePermissionsValidation,
+  validate,
+  permissionController.updateRolePermissions
+);
+router.delete(
+  '/permissions/:role',
+  requirePermission('permissions:write'),
+  permissionController.resetRolePermissions
+);
+
+router.get('/api-keys', requirePermission('api-keys:manage'), apiKeyController.getApiKeys);
+router.post(
+  '/api-keys',
+  requirePermission('api-keys:manage'),
+  requireVerifiedEmail,
+  createApiKeyValidation,
+  validate,
+  apiKeyController.createApiKey
+);
+router.delete(
+  '/api-keys/:id',
+  requirePermission('api-keys:manage'),
+  apiKeyController.revokeApiKey
+);
+
+router.get('/audit-logs', requirePermission('audit:read'), auditController.getAuditLogs);
 
 module.exports = router;
\ No newline at end of file
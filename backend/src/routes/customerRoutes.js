@@ -0,0 +1,42 @@
+const express = require('express');
+const customerController = require('../controllers/customerController');
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  createCustomerValidation,
+  updateCustomerValidation,
+  mergeCustomersValidation,
+  validate
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', requirePermission('customers:read'), customerController.getCustomers);
+router.get('/duplicates', requirePermission('customers:read'), customerController.getDuplicates);
+router.get('/:id', requirePermission('customers:read'), customerController.getCustomer);
+router.get('/:id/timeline', requirePermission('customers:read'), customerController.getTimeline);
+router.post(
+  '/',
+  requirePermission('customers:write'),
+  createCustomerValidation,
+  validate,
+  customerController.createCustomer
+);
+router.put(
+  '/:id',
+  requirePermission('customers:write'),
+  updateCustomerValidation,
+  validate,
+  customerController.updateCustomer
+);
+router.delete('/:id', requirePermission('customers:write'), customerController.deleteCustomer);
+router.post(
+  '/:id/merge',
+  requirePermission('customers:write'),
+  mergeCustomersValidation,
+  validate,
+  customerController.mergeCustomers
+);
+
+module.exports = router;
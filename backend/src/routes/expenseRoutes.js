@@ -0,0 +1,38 @@
+const express = require('express');
+const expenseController = require('../controllers/expenseController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { receiptUpload } = require('../middleware/upload');
+const {
+  createExpenseValidation,
+  updateExpenseValidation,
+  validate
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', requirePermission('expenses:read'), expenseController.getExpenses);
+router.get('/summary', requirePermission('expenses:read'), expenseController.getExpenseSummary);
+router.get('/:id', requirePermission('expenses:read'), expenseController.getExpense);
+router.get('/:id/receipt', requirePermission('expenses:read'), expenseController.getReceipt);
+router.post(
+  '/',
+  requirePermission('expenses:write'),
+  receiptUpload,
+  createExpenseValidation,
+  validate,
+  expenseController.createExpense
+);
+router.put(
+  '/:id',
+  requirePermission('expenses:write'),
+  updateExpenseValidation,
+  validate,
+  expenseController.updateExpense
+);
+router.delete('/:id', requirePermission('expenses:write'), expenseController.deleteExpense);
+router.post('/:id/receipt', requirePermission('expenses:write'), receiptUpload, expenseController.uploadReceipt);
+router.delete('/:id/receipt', requirePermission('expenses:write'), expenseController.deleteReceipt);
+
+module.exports = router;
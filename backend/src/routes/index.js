@@ -7,6 +7,15 @@ const express = require('express');
 const healthController = require('../controllers/healthController');
 const authRoutes = require('./authRoutes');
 const businessRoutes = require('./businessRoutes');
+const productRoutes = require('./productRoutes');
+const inventoryRoutes = require('./inventoryRoutes');
+const saleRoutes = require('./saleRoutes');
+const invoiceRoutes = require('./invoiceRoutes');
+const paymentRoutes = require('./paymentRoutes');
+const customerRoutes = require('./customerRoutes');
+const supplierRoutes = require('./supplierRoutes');
+const purchaseOrderRoutes = require('./purchaseOrderRoutes');
+const expenseRoutes = require('./expenseRoutes');
 
 const router = express.Router();
 
@@ -26,4 +35,45 @@ router.use('/auth', authRoutes);
  */
 router.use('/business', businessRoutes);
 
+/**
+ * Product Routes
+ */
+router.use('/products', productRoutes);
+
+/**
+ * Inventory Routes
+ */
+router.use('/inventory', inventoryRoutes);
+
+/**
+ * Sale Routes
+ */
+router.use('/sales', saleRoutes);
+
+/**
+ * Invoice Routes
+ */
+router.use('/invoices', invoiceRoutes);
+
+/**
+ * Payment Routes
+ */
+router.use('/payments', paymentRoutes);
+
+/**
+ * Customer Routes
+ */
+router.use('/customers', customerRoutes);
+
+/**
+ * Purchasing Routes
+ */
+router.use('/suppliers', supplierRoutes);
+router.use('/purchase-orders', purchaseOrderRoutes);
+
+/**
+ * Expense Routes
+ */
+router.use('/expenses', expenseRoutes);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+const express = require('express');
+const inventoryController = require('../controllers/inventoryController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { stockMovementValidation, validate } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', requirePermission('inventory:read'), inventoryController.getInventory);
+router.get('/expiring', requirePermission('inventory:read'), inventoryController.getExpiringStock);
+router.get(
+  '/:productId/movements',
+  requirePermission('inventory:read'),
+  inventoryController.getMovements
+);
+router.post(
+  '/:productId/movements',
+  requirePermission('inventory:write'),
+  stockMovementValidation,
+  validate,
+  inventoryController.recordMovement
+);
+router.get('/:productId/lots', requirePermission('inventory:read'), inventoryController.getLots);
+router.get(
+  '/:productId/serials',
+  requirePermission('inventory:read'),
+  inventoryController.getSerialNumbers
+);
+
+module.exports = router;
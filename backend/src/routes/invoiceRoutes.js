@@ -0,0 +1,50 @@
+const express = require('express');
+const invoiceController = require('../controllers/invoiceController');
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  createInvoiceValidation,
+  updateInvoiceValidation,
+  sendInvoiceValidation,
+  voidInvoiceValidation,
+  validate
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', requirePermission('invoices:read'), invoiceController.getInvoices);
+router.get('/aging', requirePermission('invoices:read'), invoiceController.getReceivablesAging);
+router.get('/:id', requirePermission('invoices:read'), invoiceController.getInvoice);
+router.get('/:id/pdf', requirePermission('invoices:read'), invoiceController.getInvoicePdf);
+router.post(
+  '/',
+  requirePermission('invoices:write'),
+  createInvoiceValidation,
+  validate,
+  invoiceController.createInvoice
+);
+router.put(
+  '/:id',
+  requirePermission('invoices:write'),
+  updateInvoiceValidation,
+  validate,
+  invoiceController.updateInvoice
+);
+router.delete('/:id', requirePermission('invoices:write'), invoiceController.deleteInvoice);
+router.post(
+  '/:id/send',
+  requirePermission('invoices:write'),
+  sendInvoiceValidation,
+  validate,
+  invoiceController.sendInvoice
+);
+router.post(
+  '/:id/void',
+  requirePermission('invoices:write'),
+  voidInvoiceValidation,
+  validate,
+  invoiceController.voidInvoice
+);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const paymentController = require('../controllers/paymentController');
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  createPaymentValidation,
+  refundPaymentValidation,
+  validate
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', requirePermission('payments:read'), paymentController.getPayments);
+router.get('/:id', requirePermission('payments:read'), paymentController.getPayment);
+router.post(
+  '/',
+  requirePermission('payments:write'),
+  createPaymentValidation,
+  validate,
+  paymentController.createPayment
+);
+router.post(
+  '/:id/refund',
+  requirePermission('payments:write'),
+  refundPaymentValidation,
+  validate,
+  paymentController.refundPayment
+);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const productController = require('../controllers/productController');
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  createProductValidation,
+  updateProductValidation,
+  validate
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', requirePermission('products:read'), productController.getProducts);
+router.get('/:id', requirePermission('products:read'), productController.getProduct);
+router.post(
+  '/',
+  requirePermission('products:write'),
+  createProductValidation,
+  validate,
+  productController.createProduct
+);
+router.put(
+  '/:id',
+  requirePermission('products:write'),
+  updateProductValidation,
+  validate,
+  productController.updateProduct
+);
+router.delete('/:id', requirePermission('products:write'), productController.deleteProduct);
+
+module.exports = router;
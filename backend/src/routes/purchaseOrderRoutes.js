@@ -0,0 +1,43 @@
+const express = require('express');
+const purchaseOrderController = require('../controllers/purchaseOrderController');
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  createPurchaseOrderValidation,
+  updatePurchaseOrderValidation,
+  receivePurchaseOrderValidation,
+  validate
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', requirePermission('purchasing:read'), purchaseOrderController.getPurchaseOrders);
+router.get('/:id', requirePermission('purchasing:read'), purchaseOrderController.getPurchaseOrder);
+router.post(
+  '/',
+  requirePermission('purchasing:write'),
+  createPurchaseOrderValidation,
+  validate,
+  purchaseOrderController.createPurchaseOrder
+);
+router.put(
+  '/:id',
+  requirePermission('purchasing:write'),
+  updatePurchaseOrderValidation,
+  validate,
+  purchaseOrderController.updatePurchaseOrder
+);
+router.delete('/:id', requirePermission('purchasing:write'), purchaseOrderController.deletePurchaseOrder);
+router.post('/:id/order', requirePermission('purchasing:write'), purchaseOrderController.placePurchaseOrder);
+router.post(
+  '/:id/receive',
+  requirePermission('purchasing:write'),
+  receivePurchaseOrderValidation,
+  validate,
+  purchaseOrderController.receivePurchaseOrder
+);
+router.post('/:id/close', requirePermission('purchasing:write'), purchaseOrderController.closePurchaseOrder);
+router.post('/:id/cancel', requirePermission('purchasing:write'), purchaseOrderController.cancelPurchaseOrder);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const saleController = require('../controllers/saleController');
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  createSaleValidation,
+  updateSaleValidation,
+  checkoutSaleValidation,
+  validate
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', requirePermission('sales:read'), saleController.getSales);
+router.get('/:id', requirePermission('sales:read'), saleController.getSale);
+router.post(
+  '/',
+  requirePermission('sales:write'),
+  createSaleValidation,
+  validate,
+  saleController.createSale
+);
+router.put(
+  '/:id',
+  requirePermission('sales:write'),
+  updateSaleValidation,
+  validate,
+  saleController.updateSale
+);
+router.post(
+  '/:id/checkout',
+  requirePermission('sales:write'),
+  checkoutSaleValidation,
+  validate,
+  saleController.checkoutSale
+);
+router.post('/:id/cancel', requirePermission('sales:write'), saleController.cancelSale);
+
+module.exports = router;
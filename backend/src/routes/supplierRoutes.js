@@ -0,0 +1,33 @@
+const express = require('express');
+const supplierController = require('../controllers/supplierController');
+const { protect, requirePermission } = require('../middleware/auth');
+const {
+  createSupplierValidation,
+  updateSupplierValidation,
+  validate
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/', requirePermission('purchasing:read'), supplierController.getSuppliers);
+router.get('/:id', requirePermission('purchasing:read'), supplierController.getSupplier);
+router.get('/:id/history', requirePermission('purchasing:read'), supplierController.getSupplierHistory);
+router.post(
+  '/',
+  requirePermission('purchasing:write'),
+  createSupplierValidation,
+  validate,
+  supplierController.createSupplier
+);
+router.put(
+  '/:id',
+  requirePermission('purchasing:write'),
+  updateSupplierValidation,
+  validate,
+  supplierController.updateSupplier
+);
+router.delete('/:id', requirePermission('purchasing:write'), supplierController.deleteSupplier);
+
+module.exports = router;
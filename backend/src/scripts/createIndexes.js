@@ -7,6 +7,7 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const User = require('../models/User');
 const Business = require('../models/Business');
+const Membership = require('../models/Membership');
 const logger = require('../utils/logger');
 
 const createIndexes = async () => {
@@ -19,9 +20,13 @@ const createIndexes = async () => {
     await User.collection.createIndex({ email: 1 }, { unique: true });
     await User.collection.createIndex({ business: 1 });
     await User.collection.createIndex({ isActive: 1 });
-    await User.collection.createIndex({ role: 1 });
     logger.success('User indexes created');
 
+    // Create Membership indexes
+    await Membership.collection.createIndex({ user: 1, business: 1 }, { unique: true });
+    await Membership.collection.createIndex({ business: 1, isActive: 1 });
+    logger.success('Membership indexes created');
+
     // Create Business indexes
     await Business.collection.createIndex({ owner: 1 });
     await Business.collection.createIndex({ name: 1 });
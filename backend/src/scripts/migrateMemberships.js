@@ -0,0 +1,66 @@
+/**
+ * Migration Script: Move user roles into memberships
+ * Creates a Membership for every user from their stored business and role,
+ * then removes the role from the user document. Safe to run more than once.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Business = require('../models/Business');
+const Membership = require('../models/Membership');
+const logger = require('../utils/logger');
+
+const migrateMemberships = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    logger.info('Connected to MongoDB');
+
+    // Read raw documents: role is no longer part of the User schema
+    const users = await mongoose.connection
+      .collection('users')
+      .find({ business: { $exists: true, $ne: null } })
+      .project({ business: 1, role: 1, isActive: 1, createdAt: 1 })
+      .toArray();
+
+    logger.info(`Found ${users.length} users to migrate`);
+
+    let created = 0;
+    const businessIds = new Set();
+
+    for (const user of users) {
+      const result = await Membership.updateOne(
+        { user: user._id, business: user.business },
+        {
+          $setOnInsert: {
+            role: user.role || 'owner',
+            // Account deactivation used to mean losing access to the business
+            isActive: user.isActive !== false,
+            joinedAt: user.createdAt || new Date()
+          }
+        },
+        { upsert: true }
+      );
+
+      if (result.upsertedCount > 0) {
+        created++;
+      }
+      businessIds.add(String(user.business));
+    }
+
+    await mongoose.connection
+      .collection('users')
+      .updateMany({ role: { $exists: true } }, { $unset: { role: '' } });
+
+    for (const businessId of businessIds) {
+      await Business.syncEmployeeCount(businessId);
+    }
+
+    logger.success(`Created ${created} memberships for ${businessIds.size} businesses`);
+    process.exit(0);
+  } catch (error) {
+    logger.error('Membership migration error:', error);
+    process.exit(1);
+  }
+};
+
+migrateMemberships();
@@ -1,10 +1,12 @@
 /**
- * Migration Script: Add default preferences to existing businesses
+ * Migration Script: Add the preference template of their industry to existing businesses
  */
 
 require('dotenv').config();
 const mongoose = require('mongoose');
 const Business = require('../models/Business');
+const { DEFAULT_EXPENSE_CATEGORIES } = require('../config/expenses');
+const { templateForIndustry, buildTemplatePreferences } = require('../utils/preferences');
 const logger = require('../utils/logger');
 
 const migratePreferences = async () => {
@@ -23,63 +25,25 @@ const migratePreferences = async () => {
     logger.info(`Found ${businesses.length} businesses to migrate`);
 
     for (const business of businesses) {
-      // Set default preferences
-      business.preferences = {
-        categories: [
-          {
-            name: 'Electronics',
-            description: 'Electronic devices and accessories',
-            icon: '💻',
-            color: '#3b82f6'
-          },
-          {
-            name: 'Clothing',
-            description: 'Apparel and fashion items',
-            icon: '👕',
-            color: '#ec4899'
-          },
-          {
-            name: 'Food & Beverages',
-            description: 'Food items and drinks',
-            icon: '🍔',
-            color: '#f59e0b'
-          }
-        ],
-        units: [
-          { name: 'Piece', abbreviation: 'PCS', type: 'quantity' },
-          { name: 'Kilogram', abbreviation: 'KG', type: 'weight' },
-          { name: 'Liter', abbreviation: 'L', type: 'volume' },
-          { name: 'Dozen', abbreviation: 'DZ', type: 'quantity' }
-        ],
-        productTypes: [
-          {
-            name: 'Physical Product',
-            description: 'Tangible goods that can be shipped',
-            requiresSerialNumber: false,
-            requiresExpiryDate: false,
-            trackInventory: true
-          },
-          {
-            name: 'Perishable',
-            description: 'Products with expiry dates',
-            requiresSerialNumber: false,
-            requiresExpiryDate: true,
-            trackInventory: true
-          },
-          {
-            name: 'Service',
-            description: 'Non-physical services',
-            requiresSerialNumber: false,
-            requiresExpiryDate: false,
-            trackInventory: false
-          }
-        ]
-      };
+      // Set the preferences of the business's industry template
+      business.preferences = buildTemplatePreferences(templateForIndustry(business.industry));
+      business.$inc('versions.preferences', 1);
 
       await business.save();
       logger.success(`Migrated preferences for: ${business.name}`);
     }
 
+    // Businesses created before expense tracking get the default expense categories
+    const withoutExpenseCategories = await Business.updateMany(
+      { 'preferences.categories': { $exists: true }, 'preferences.expenseCategories': { $exists: false } },
+      {
+        $set: { 'preferences.expenseCategories': DEFAULT_EXPENSE_CATEGORIES },
+        // Invalidate ETags handed out before the categories were added
+        $inc: { 'versions.preferences': 1 }
+      }
+    );
+    logger.info(`Added expense categories to ${withoutExpenseCategories.modifiedCount} businesses`);
+
     logger.success(`Migration complete! ${businesses.length} businesses updated`);
     process.exit(0);
   } catch (error) {
@@ -0,0 +1,59 @@
+/**
+ * Audit Utility
+ * Records audit log entries attributed to the requesting user or API key
+ */
+
+const AuditLog = require('../models/AuditLog');
+const logger = require('./logger');
+
+/**
+ * Describe who is making the request
+ * @param {Object} req - Express request object
+ * @returns {Object} - Audit actor
+ */
+const getActor = (req) => {
+  if (req.apiKey) {
+    return {
+      type: 'api-key',
+      apiKey: req.apiKey._id,
+      user: req.apiKey.createdBy,
+      label: `API key "${req.apiKey.name}" (bk_${req.apiKey.prefix})`
+    };
+  }
+
+  if (req.user) {
+    return {
+      type: 'user',
+      user: req.user._id,
+      label: req.user.email
+    };
+  }
+
+  return { type: 'system', label: 'system' };
+};
+
+/**
+ * Record an audit entry
+ * Failures are logged and never interrupt the request.
+ * @param {Object} req - Express request object
+ * @param {String} action - Dotted action name, e.g. 'member.invited'
+ * @param {Object} details - { targetType, targetId, metadata, business }
+ */
+exports.recordAudit = async (req, action, details = {}) => {
+  try {
+    await AuditLog.create({
+      business: details.business || req.user?.business?._id,
+      actor: getActor(req),
+      action,
+      target: {
+        type: details.targetType,
+        id: details.targetId
+      },
+      metadata: details.metadata || {},
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  } catch (error) {
+    logger.error(`Failed to record audit entry '${action}':`, error);
+  }
+};
@@ -0,0 +1,98 @@
+/**
+ * CSV Utility
+ * Writes and reads comma-separated values (RFC 4180)
+ */
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a value for a CSV cell
+ * Cells that a spreadsheet would read as a formula get a leading apostrophe.
+ * @param {*} value - Cell value; null and undefined become empty cells
+ * @returns {String}
+ */
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document
+ * @param {Array} columns - Header names, also the keys read from each row
+ * @param {Array} rows - Objects keyed by column
+ * @returns {String}
+ */
+const toCsv = (columns, rows) => [
+  columns.map(formatCell).join(','),
+  ...rows.map(row => columns.map(column => formatCell(row[column])).join(','))
+].join('\r\n') + '\r\n';
+
+/**
+ * Split a CSV document into rows of cells
+ * Undoes the apostrophe formatCell puts before formula-like cells.
+ * @param {String} text - CSV document
+ * @returns {Array} - Rows, each an array of strings; blank lines are skipped
+ * @throws {Error} - With statusCode 400 if a quoted cell is not closed
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let index = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endCell = () => {
+    row.push(/^'[=+\-@\t\r]/.test(cell) ? cell.slice(1) : cell);
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  for (; index < text.length; index++) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    const error = new Error('The CSV has a quoted value that is never closed');
+    error.statusCode = 400;
+    throw error;
+  }
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+module.exports = {
+  toCsv,
+  parseCsv
+};
@@ -0,0 +1,146 @@
+/**
+ * Email Templates
+ * Builds the subject and body of transactional emails
+ */
+
+/**
+ * Escape user-supplied values before embedding them in HTML
+ * @param {String} value - Raw value
+ * @returns {String} - HTML-safe value
+ */
+const escapeHtml = (value = '') => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Base URL of the client application used in email links
+ * @returns {String}
+ */
+exports.getClientUrl = () => {
+  return process.env.CLIENT_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+};
+
+/**
+ * Password reset email
+ * @param {Object} options - { firstName, resetUrl, expiresInMinutes }
+ * @returns {Object} - { subject, text, html }
+ */
+exports.passwordReset = ({ firstName, resetUrl, expiresInMinutes }) => ({
+  subject: 'Reset your Brillix password',
+  text: [
+    `Hi ${firstName},`,
+    '',
+    'We received a request to reset your password. Use the link below to choose a new one:',
+    resetUrl,
+    '',
+    `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+    'If you did not request a password reset, you can safely ignore this email.'
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>We received a request to reset your password. Use the link below to choose a new one:</p>
+    <p><a href="${resetUrl}">Reset password</a></p>
+    <p>This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+    <p>If you did not request a password reset, you can safely ignore this email.</p>
+  `
+});
+
+/**
+ * Email verification email
+ * @param {Object} options - { firstName, verifyUrl, expiresInHours }
+ * @returns {Object} - { subject, text, html }
+ */
+exports.emailVerification = ({ firstName, verifyUrl, expiresInHours }) => ({
+  subject: 'Verify your Brillix email address',
+  text: [
+    `Hi ${firstName},`,
+    '',
+    'Please confirm your email address by opening the link below:',
+    verifyUrl,
+    '',
+    `This link expires in ${expiresInHours} hours.`
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>Please confirm your email address by opening the link below:</p>
+    <p><a href="${verifyUrl}">Verify email</a></p>
+    <p>This link expires in ${expiresInHours} hours.</p>
+  `
+});
+
+/**
+ * Team invitation email
+ * @param {Object} options - { businessName, inviterName, role, acceptUrl, expiresInDays }
+ * @returns {Object} - { subject, text, html }
+ */
+exports.teamInvitation = ({ businessName, inviterName, role, acceptUrl, expiresInDays }) => ({
+  subject: `You've been invited to join ${businessName} on Brillix`,
+  text: [
+    'Hi,',
+    '',
+    `${inviterName} has invited you to join ${businessName} as ${role}.`,
+    'Accept the invitation and set up your account using the link below:',
+    acceptUrl,
+    '',
+    `This invitation expires in ${expiresInDays} days.`
+  ].join('\n'),
+  html: `
+    <p>Hi,</p>
+    <p>${escapeHtml(inviterName)} has invited you to join <strong>${escapeHtml(businessName)}</strong> as ${escapeHtml(role)}.</p>
+    <p>Accept the invitation and set up your account using the link below:</p>
+    <p><a href="${acceptUrl}">Accept invitation</a></p>
+    <p>This invitation expires in ${expiresInDays} days.</p>
+  `
+});
+
+/**
+ * Account locked email
+ * @param {Object} options - { firstName, lockMinutes, resetUrl }
+ * @returns {Object} - { subject, text, html }
+ */
+exports.accountLocked = ({ firstName, lockMinutes, resetUrl }) => ({
+  subject: 'Your Brillix account has been temporarily locked',
+  text: [
+    `Hi ${firstName},`,
+    '',
+    `We locked your account for ${lockMinutes} minutes after several failed sign-in attempts.`,
+    'If this was you, wait and try again, or reset your password to unlock it now:',
+    resetUrl,
+    '',
+    'If this was not you, we recommend resetting your password.'
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>We locked your account for ${lockMinutes} minutes after several failed sign-in attempts.</p>
+    <p>If this was you, wait and try again, or <a href="${resetUrl}">reset your password</a> to unlock it now.</p>
+    <p>If this was not you, we recommend resetting your password.</p>
+  `
+});
+
+/**
+ * Invoice email, sent with the invoice PDF attached
+ * @param {Object} options - { customerName, businessName, invoiceNumber, amountDue, dueDate }
+ * @returns {Object} - { subject, text, html }
+ */
+exports.invoiceIssued = ({ customerName, businessName, invoiceNumber, amountDue, dueDate }) => ({
+  subject: `Invoice ${invoiceNumber} from ${businessName}`,
+  text: [
+    `Hi ${customerName},`,
+    '',
+    `Please find attached invoice ${invoiceNumber} from ${businessName} for ${amountDue}.`,
+    `Payment is due by ${dueDate}.`,
+    '',
+    'Thank you for your business.'
+  ].join('\n'),
+  html: `
+    <p>Hi ${escapeHtml(customerName)},</p>
+    <p>Please find attached invoice <strong>${escapeHtml(invoiceNumber)}</strong> from ${escapeHtml(businessName)} for ${escapeHtml(amountDue)}.</p>
+    <p>Payment is due by ${escapeHtml(dueDate)}.</p>
+    <p>Thank you for your business.</p>
+  `
+});
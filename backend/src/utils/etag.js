@@ -0,0 +1,81 @@
+/**
+ * ETag Utilities
+ * The business profile and preferences carry edit versions, exposed as ETags
+ * so clients can revalidate with If-None-Match and update with If-Match
+ */
+
+/**
+ * Current edit version of a business resource
+ * Businesses created before versioning have no counter yet and count as 0.
+ * @param {Object} business - Business document
+ * @param {String} resource - 'profile' or 'preferences'
+ * @returns {Number}
+ */
+const resourceVersion = (business, resource) => business.versions?.[resource] || 0;
+
+/**
+ * ETag of a business resource
+ * @param {Object} business - Business document
+ * @param {String} resource - 'profile' or 'preferences'
+ * @returns {String}
+ */
+const resourceTag = (business, resource) =>
+  `"${business._id}-${resource}-${resourceVersion(business, resource)}"`;
+
+/**
+ * Query that only matches while the resource is still at the given version
+ * @param {String} resource - 'profile' or 'preferences'
+ * @param {Number} version - Expected version
+ * @returns {Object}
+ */
+const versionFilter = (resource, version) => ({
+  [`versions.${resource}`]: version === 0 ? { $in: [0, null] } : version
+});
+
+/**
+ * $inc operand that bumps the resource version in a query update
+ * @param {String} resource - 'profile' or 'preferences'
+ * @returns {Object}
+ */
+const versionIncrement = (resource) => ({ [`versions.${resource}`]: 1 });
+
+/**
+ * Check the If-Match header of an update
+ * Tags are compared strongly, and "*" is not accepted: the client has to
+ * name the version its changes are based on.
+ * @param {Object} req - Express request object
+ * @param {Object} business - Business document
+ * @param {String} resource - 'profile' or 'preferences'
+ * @returns {String|null} - 'missing' or 'mismatch', or null if it matches
+ */
+const checkIfMatch = (req, business, resource) => {
+  const tags = (req.get('If-Match') || '')
+    .split(',')
+    .map(tag => tag.trim())
+    .filter(tag => tag && tag !== '*');
+
+  if (tags.length === 0) return 'missing';
+  return tags.includes(resourceTag(business, resource)) ? null : 'mismatch';
+};
+
+/**
+ * Make the next save of the document bump the resource version, and fail
+ * if someone else saved a change meanwhile
+ * @param {Object} business - Business document
+ * @param {String} resource - 'profile' or 'preferences'
+ */
+const guardVersion = (business, resource) => {
+  const version = resourceVersion(business, resource);
+
+  business.$where = versionFilter(resource, version);
+  business.set(`versions.${resource}`, version + 1);
+};
+
+module.exports = {
+  resourceVersion,
+  resourceTag,
+  versionFilter,
+  versionIncrement,
+  checkIfMatch,
+  guardVersion
+};
@@ -0,0 +1,41 @@
+/**
+ * Image Utility
+ * Resizes uploaded images with sharp
+ */
+
+const sharp = require('sharp');
+
+// Refuse images that would take too much memory to decode
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+/**
+ * Make resized PNG copies of an image
+ * Each copy fits within size x size pixels, keeps its aspect ratio and
+ * transparency, is turned upright from camera orientation data and carries
+ * no metadata. Images are never enlarged.
+ * @param {Buffer} buffer - Uploaded image
+ * @param {Array} variants - [{ name, size }]
+ * @returns {Promise<Array>} - [{ name, buffer, width, height, size }]
+ */
+exports.resizeImage = async (buffer, variants) => {
+  try {
+    await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (cause) {
+    const error = new Error('The file is not a readable image');
+    error.statusCode = 400;
+    error.cause = cause;
+    throw error;
+  }
+
+  return Promise.all(
+    variants.map(async ({ name, size }) => {
+      const { data, info } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .png()
+        .toBuffer({ resolveWithObject: true });
+
+      return { name, buffer: data, width: info.width, height: info.height, size: info.size };
+    })
+  );
+};
@@ -0,0 +1,266 @@
+/**
+ * Invoice PDF Utility
+ * Renders an invoice as a PDF document branded with the business's details
+ */
+
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const { formatMoney } = require('./money');
+const { getFile } = require('./storage');
+
+const PAGE_MARGIN = 50;
+const LOGO_SIZE = 70;
+
+// Table columns: [label, x offset, width, alignment]
+const COLUMNS = [
+  ['Description', 0, 200, 'left'],
+  ['Qty', 200, 45, 'right'],
+  ['Unit price', 245, 85, 'right'],
+  ['Discount', 330, 65, 'right'],
+  ['Tax', 395, 35, 'right'],
+  ['Amount', 430, 65, 'right']
+];
+
+/**
+ * Format a date for printing, e.g. "5 Mar 2025"
+ * @param {Date} date - Date
+ * @returns {String}
+ */
+const formatDate = (date) => {
+  return date
+    ? new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })
+    : '-';
+};
+
+/**
+ * Join the non-empty parts of an address into printable lines
+ * @param {Object} address - { street, city, state, country, postalCode }
+ * @returns {Array} - Address lines
+ */
+const addressLines = (address = {}) => {
+  if (!address) return [];
+
+  const cityLine = [address.city, address.state, address.postalCode].filter(Boolean).join(', ');
+  return [address.street, cityLine, address.country].filter(Boolean);
+};
+
+/**
+ * Load the business logo for embedding
+ * Uses the uploaded logo's large variant from storage. Older logos set as
+ * data URLs or files on local disk are also supported; anything else is skipped.
+ * @param {Object} business - Business document
+ * @returns {Promise<Buffer|String|null>} - Image data or file path
+ */
+const loadLogo = async (business) => {
+  const variant = business.logoFiles?.variants?.find(item => item.name === 'large');
+  if (variant) {
+    // A logo that cannot be read is left out rather than failing the invoice
+    return getFile(variant.key).catch(() => null);
+  }
+
+  const logo = business.logo;
+  if (!logo) return null;
+
+  const dataUrl = /^data:image\/(png|jpe?g);base64,(.+)$/i.exec(logo);
+  if (dataUrl) {
+    return Buffer.from(dataUrl[2], 'base64');
+  }
+
+  if (!/^https?:\/\//i.test(logo) && fs.existsSync(logo)) {
+    return logo;
+  }
+
+  return null;
+};
+
+/**
+ * Draw the business header: logo, name, address and tax ID
+ * @param {Object} doc - PDFKit document
+ * @param {Object} business - Business document
+ * @param {Buffer|String|null} logo - Image from loadLogo()
+ */
+const drawHeader = (doc, business, logo) => {
+  let textX = PAGE_MARGIN;
+
+  if (logo) {
+    try {
+      doc.image(logo, PAGE_MARGIN, PAGE_MARGIN, { fit: [LOGO_SIZE, LOGO_SIZE] });
+      textX += LOGO_SIZE + 15;
+    } catch (error) {
+      // Unsupported image formats are left out rather than failing the invoice
+    }
+  }
+
+  doc.font('Helvetica-Bold').fontSize(16).text(business.name, textX, PAGE_MARGIN);
+  doc.font('Helvetica').fontSize(9);
+  for (const line of addressLines(business.address)) {
+    doc.text(line, textX);
+  }
+  for (const line of [business.email, business.phone]) {
+    if (line) doc.text(line, textX);
+  }
+  if (business.taxId) {
+    doc.text(`Tax ID: ${business.taxId}`, textX);
+  }
+};
+
+/**
+ * Draw the invoice title, number, dates and the customer billed
+ * @param {Object} doc - PDFKit document
+ * @param {Object} invoice - Invoice document
+ */
+const drawDetails = (doc, invoice) => {
+  const right = doc.page.width - PAGE_MARGIN - 200;
+
+  doc.font('Helvetica-Bold').fontSize(22)
+    .text(invoice.status === 'draft' ? 'DRAFT INVOICE' : 'INVOICE', right, PAGE_MARGIN, { width: 200, align: 'right' });
+
+  doc.font('Helvetica').fontSize(9);
+  const details = [
+    ['Invoice no.', invoice.invoiceNumber || '-'],
+    ['Issue date', formatDate(invoice.issueDate)],
+    ['Due date', formatDate(invoice.dueDate)],
+    ['Status', invoice.status.replace('-', ' ').toUpperCase()]
+  ];
+  for (const [label, value] of details) {
+    doc.text(`${label}: ${value}`, right, doc.y, { width: 200, align: 'right' });
+  }
+
+  const top = Math.max(doc.y, PAGE_MARGIN + LOGO_SIZE) + 25;
+  doc.font('Helvetica-Bold').fontSize(10).text('Bill to', PAGE_MARGIN, top);
+  doc.font('Helvetica').fontSize(9).text(invoice.customer.name);
+  for (const line of [...addressLines(invoice.customer.address), invoice.customer.email, invoice.customer.phone]) {
+    if (line) doc.text(line);
+  }
+};
+
+/**
+ * Draw one row of the items table
+ * @param {Object} doc - PDFKit document
+ * @param {Array} values - Cell values in column order
+ * @param {Number} y - Row top
+ * @returns {Number} - Row height
+ */
+const drawRow = (doc, values, y) => {
+  let height = 0;
+
+  COLUMNS.forEach(([, offset, width, align], index) => {
+    const options = { width, align };
+    doc.text(values[index], PAGE_MARGIN + offset, y, options);
+    height = Math.max(height, doc.heightOfString(values[index], options));
+  });
+
+  return height + 6;
+};
+
+/**
+ * Draw the line items table
+ * @param {Object} doc - PDFKit document
+ * @param {Object} invoice - Invoice document
+ */
+const drawItems = (doc, invoice) => {
+  const tableWidth = COLUMNS[COLUMNS.length - 1][1] + COLUMNS[COLUMNS.length - 1][2];
+  let y = doc.y + 25;
+
+  doc.font('Helvetica-Bold').fontSize(9);
+  y += drawRow(doc, COLUMNS.map(([label]) => label), y);
+  doc.moveTo(PAGE_MARGIN, y - 3).lineTo(PAGE_MARGIN + tableWidth, y - 3).stroke();
+
+  doc.font('Helvetica');
+  for (const item of invoice.items) {
+    const values = [
+      item.description,
+      String(item.quantity),
+      formatMoney(item.unitPrice, invoice.currency),
+      item.discount ? formatMoney(item.discount, invoice.currency) : '-',
+      item.taxRate ? `${item.taxRate}%` : '-',
+      formatMoney(item.lineTotal, invoice.currency)
+    ];
+
+    const rowHeight = doc.heightOfString(item.description, { width: COLUMNS[0][2] }) + 6;
+    if (y + rowHeight > doc.page.height - PAGE_MARGIN) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+
+    y += drawRow(doc, values, y);
+  }
+
+  doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + tableWidth, y).stroke();
+  doc.y = y + 10;
+};
+
+/**
+ * Draw the totals block, then notes and terms
+ * @param {Object} doc - PDFKit document
+ * @param {Object} invoice - Invoice document
+ */
+const drawTotals = (doc, invoice) => {
+  const labelX = PAGE_MARGIN + 265;
+  const totals = [
+    ['Subtotal', invoice.subtotal],
+    ['Discount', invoice.discountTotal ? -invoice.discountTotal : 0],
+    ['Tax', invoice.taxTotal],
+    ['Total', invoice.total],
+    ['Amount paid', invoice.amountPaid],
+    ['Balance due', invoice.balanceDue]
+  ];
+
+  if (doc.y + totals.length * 14 > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+
+  for (const [label, amount] of totals) {
+    const bold = label === 'Total' || label === 'Balance due';
+    const y = doc.y;
+
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 10 : 9);
+    doc.text(label, labelX, y, { width: 130 });
+    doc.text(formatMoney(amount, invoice.currency), labelX + 130, y, { width: 100, align: 'right' });
+  }
+
+  for (const [heading, body] of [['Notes', invoice.notes], ['Terms', invoice.terms]]) {
+    if (!body) continue;
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(10).text(heading, PAGE_MARGIN, doc.y);
+    doc.font('Helvetica').fontSize(9).text(body, { width: doc.page.width - PAGE_MARGIN * 2 });
+  }
+};
+
+/**
+ * Render an invoice as a PDF
+ * @param {Object} invoice - Invoice document
+ * @param {Object} business - Business document (name, address, taxId, logo, logoFiles, email, phone)
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+const renderInvoicePdf = async (invoice, business) => {
+  const logo = await loadLogo(business);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: {
+        Title: `Invoice ${invoice.invoiceNumber || 'draft'}`,
+        Author: business.name
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    drawHeader(doc, business, logo);
+    drawDetails(doc, invoice);
+    drawItems(doc, invoice);
+    drawTotals(doc, invoice);
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  renderInvoicePdf
+};
@@ -0,0 +1,66 @@
+/**
+ * Login Protection Utility
+ * Per-account brute-force protection shared by the login steps
+ */
+
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+const emailTemplates = require('./emailTemplates');
+const logger = require('./logger');
+
+// Hash compared against when the email is unknown, so response timing
+// does not reveal whether an account exists
+let dummyPasswordHash = null;
+
+/**
+ * Spend the same time as a real password check
+ * @param {String} password - Submitted password
+ */
+exports.simulatePasswordCheck = async (password) => {
+  if (!dummyPasswordHash) {
+    dummyPasswordHash = await bcrypt.hash(
+      'brillix-dummy-password',
+      parseInt(process.env.BCRYPT_SALT_ROUNDS) || 10
+    );
+  }
+  await bcrypt.compare(password || '', dummyPasswordHash);
+};
+
+/**
+ * Record a failed login step and notify the user when the account locks
+ * @param {Object} user - User document
+ */
+exports.registerFailedLogin = async (user) => {
+  const result = await User.recordFailedLogin(user._id);
+
+  if (result?.locked) {
+    logger.warn(`Account locked after ${result.failedLoginAttempts} failed logins: ${user.email}`);
+
+    try {
+      await sendMail({
+        to: user.email,
+        ...emailTemplates.accountLocked({
+          firstName: user.firstName,
+          lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 15,
+          resetUrl: `${emailTemplates.getClientUrl()}/forgot-password`
+        })
+      });
+    } catch (mailError) {
+      logger.error('Account locked email failed:', mailError);
+    }
+  }
+};
+
+/**
+ * Clear failed login tracking after a successful login
+ * @param {Object} user - User document
+ */
+exports.clearFailedLogins = async (user) => {
+  if (user.failedLoginAttempts > 0 || user.lockUntil) {
+    await User.resetLoginAttempts(user._id);
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    user.lastFailedLoginAt = undefined;
+  }
+};
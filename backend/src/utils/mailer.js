@@ -0,0 +1,114 @@
+/**
+ * Mailer Utility
+ * Sends transactional emails through a pluggable transport
+ *
+ * Built-in transports:
+ *  - console: logs the message (default, for local development); outside
+ *    development the tokens in links are redacted so they never reach the logs
+ *  - file: writes each message as JSON to MAIL_OUTPUT_DIR
+ *
+ * Production transports (SMTP, SES, etc.) can be plugged in with setTransport().
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Hide the tokens in links, e.g. /reset-password/<token>, unless running in development
+ * @param {String} text - Message text
+ * @returns {String}
+ */
+const redactTokens = (text) => {
+  if (process.env.NODE_ENV === 'development' || !text) {
+    return text;
+  }
+
+  return text.replace(/(https?:\/\/\S*\/)[A-Za-z0-9_-]{16,}/g, '$1[redacted]');
+};
+
+/**
+ * Built-in transports
+ * Each transport exposes an async send(message) function
+ */
+const transports = {
+  console: {
+    send: async (message) => {
+      const attached = (message.attachments || []).map(attachment => attachment.filename);
+      logger.info(
+        `📧 Email to ${message.to}: ${message.subject}\n${redactTokens(message.text)}` +
+        (attached.length > 0 ? `\nAttachments: ${attached.join(', ')}` : '')
+      );
+    }
+  },
+
+  file: {
+    send: async (message) => {
+      const outputDir = process.env.MAIL_OUTPUT_DIR || path.join(process.cwd(), 'tmp', 'mail');
+      await fs.mkdir(outputDir, { recursive: true });
+
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9]/gi, '_')}.json`;
+      const attachments = (message.attachments || []).map(attachment => ({
+        ...attachment,
+        content: Buffer.from(attachment.content).toString('base64')
+      }));
+      await fs.writeFile(
+        path.join(outputDir, fileName),
+        JSON.stringify({ ...message, attachments, sentAt: new Date().toISOString() }, null, 2)
+      );
+    }
+  }
+};
+
+// Custom transport set at runtime (takes precedence over MAIL_TRANSPORT)
+let customTransport = null;
+
+/**
+ * Resolve the transport to use for the next message
+ * @returns {Object} - Transport with a send() function
+ */
+const getTransport = () => {
+  if (customTransport) {
+    return customTransport;
+  }
+
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return transport;
+};
+
+/**
+ * Plug in a custom transport
+ * @param {Object|null} transport - Object with an async send(message) function, or null to reset
+ */
+exports.setTransport = (transport) => {
+  if (transport && typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  customTransport = transport;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html, attachments }
+ * @param {Array} message.attachments - [{ filename, content (Buffer), contentType }] (optional)
+ * @returns {Promise}
+ */
+exports.sendMail = async ({ to, subject, text, html, attachments }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'Brillix <no-reply@brillix.app>',
+    to,
+    subject,
+    text,
+    html,
+    attachments
+  };
+
+  await getTransport().send(message);
+  logger.debug(`Email sent to ${to}: ${subject}`);
+};
@@ -0,0 +1,88 @@
+/**
+ * Money Utility
+ * Rounding and line-item totals for amounts in the business currency
+ */
+
+/**
+ * Round an amount to two decimal places
+ * @param {Number} amount - Amount
+ * @returns {Number}
+ */
+const roundMoney = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+/**
+ * Calculate line and document totals
+ * Line discounts come off each line, then the document discount is spread
+ * over the lines in proportion to their value, then tax is charged on what
+ * remains. Each item gets taxAmount and lineTotal set.
+ * @param {Array} items - [{ quantity, unitPrice, discount, taxRate }]
+ * @param {Number} discount - Document-level discount as an amount
+ * @returns {Object} - { errors, subtotal, discountTotal, taxTotal, total }
+ */
+const calculateTotals = (items, discount = 0) => {
+  const errors = [];
+
+  const nets = items.map((item, index) => {
+    const gross = roundMoney(item.quantity * item.unitPrice);
+    if ((item.discount || 0) > gross) {
+      errors.push(`Item ${index + 1}: discount cannot exceed the line amount`);
+    }
+    return { gross, net: roundMoney(gross - (item.discount || 0)) };
+  });
+
+  const netTotal = roundMoney(nets.reduce((sum, line) => sum + line.net, 0));
+  if (discount > netTotal) {
+    errors.push('Discount cannot exceed the total of the items');
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  // The last line takes whatever rounding leaves of the document discount
+  let discountLeft = discount;
+  let taxTotal = 0;
+
+  items.forEach((item, index) => {
+    const share = index === items.length - 1
+      ? discountLeft
+      : roundMoney(netTotal > 0 ? discount * nets[index].net / netTotal : 0);
+    discountLeft = roundMoney(discountLeft - share);
+
+    const taxable = roundMoney(nets[index].net - share);
+    item.taxAmount = roundMoney(taxable * (item.taxRate || 0) / 100);
+    item.lineTotal = roundMoney(taxable + item.taxAmount);
+    taxTotal += item.taxAmount;
+  });
+
+  const subtotal = roundMoney(nets.reduce((sum, line) => sum + line.gross, 0));
+  const discountTotal = roundMoney(items.reduce((sum, item) => sum + (item.discount || 0), 0) + discount);
+  taxTotal = roundMoney(taxTotal);
+
+  return {
+    errors,
+    subtotal,
+    discountTotal,
+    taxTotal,
+    total: roundMoney(subtotal - discountTotal + taxTotal)
+  };
+};
+
+/**
+ * Format an amount with its currency code, e.g. "NGN 1,250.00"
+ * @param {Number} amount - Amount
+ * @param {String} currency - ISO currency code
+ * @returns {String}
+ */
+const formatMoney = (amount, currency) => {
+  return new Intl.NumberFormat('en', {
+    style: 'currency',
+    currency,
+    currencyDisplay: 'code'
+  }).format(amount || 0);
+};
+
+module.exports = {
+  roundMoney,
+  calculateTotals,
+  formatMoney
+};
@@ -0,0 +1,62 @@
+/**
+ * Permission Utility
+ * Resolves the effective permissions of a role within a business
+ */
+
+const {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS
+} = require('../config/permissions');
+
+/**
+ * Get the permissions granted to a role in a business
+ * Per-business overrides replace the role's defaults.
+ * @param {Object} business - Business document (with rolePermissions)
+ * @param {String} role - User role
+ * @returns {Array<String>} - Granted permissions
+ */
+exports.getRolePermissions = (business, role) => {
+  if (role === 'owner') {
+    return Object.keys(PERMISSIONS);
+  }
+
+  const override = business?.rolePermissions?.[role];
+  if (Array.isArray(override)) {
+    return override.filter(permission => PERMISSIONS[permission]);
+  }
+
+  return DEFAULT_ROLE_PERMISSIONS[role] || [];
+};
+
+/**
+ * Check whether a role holds a permission in a business
+ * @param {Object} business - Business document
+ * @param {String} role - User role
+ * @param {String} permission - Permission name
+ * @returns {Boolean}
+ */
+exports.hasPermission = (business, role, permission) => {
+  return exports.getRolePermissions(business, role).includes(permission);
+};
+
+/**
+ * Check whether the user of a request holds a permission
+ * API keys must also have the permission in their scopes.
+ * @param {Object} req - Express request object, after protect
+ * @param {String} permission - Permission name
+ * @returns {Boolean}
+ */
+exports.requestHasPermission = (req, permission) => {
+  return exports.hasPermission(req.user.business, req.user.role, permission) &&
+    (!req.apiKey || req.apiKey.scopes.includes(permission));
+};
+
+/**
+ * Check whether a role's permissions differ from the defaults
+ * @param {Object} business - Business document
+ * @param {String} role - User role
+ * @returns {Boolean}
+ */
+exports.isCustomized = (business, role) => {
+  return Array.isArray(business?.rolePermissions?.[role]);
+};
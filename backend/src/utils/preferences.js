@@ -0,0 +1,307 @@
+/**
+ * Preferences Utility
+ * Looks up categories, units, product types and expense categories in a business's preferences,
+ * and builds them from industry templates
+ */
+
+const mongoose = require('mongoose');
+const { PREFERENCE_SECTIONS } = require('../config/preferences');
+const { DEFAULT_TEMPLATE, PREFERENCE_TEMPLATES } = require('../config/preferenceTemplates');
+
+// Rules applied when a product has no (or an unknown) product type
+const DEFAULT_PRODUCT_RULES = {
+  trackInventory: true,
+  requiresSerialNumber: false,
+  requiresExpiryDate: false
+};
+
+/**
+ * Find an item in one of the preference lists
+ * @param {Object} business - Business document
+ * @param {String} section - 'categories', 'units', 'productTypes' or 'expenseCategories'
+ * @param {String} id - Item ID
+ * @returns {Object|null} - Preference subdocument, or null if not found
+ */
+const findPreferenceItem = (business, section, id) => {
+  if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+
+  const items = business.preferences?.[section] || [];
+  return items.find(item => item._id.equals(id)) || null;
+};
+
+/**
+ * Get the inventory rules defined by a product type
+ * @param {Object} business - Business document
+ * @param {String} productTypeId - Product type ID
+ * @returns {Object} - { trackInventory, requiresSerialNumber, requiresExpiryDate }
+ */
+const getProductRules = (business, productTypeId) => {
+  const productType = findPreferenceItem(business, 'productTypes', productTypeId);
+
+  if (!productType) {
+    return { ...DEFAULT_PRODUCT_RULES };
+  }
+
+  return {
+    trackInventory: productType.trackInventory !== false,
+    requiresSerialNumber: !!productType.requiresSerialNumber,
+    requiresExpiryDate: !!productType.requiresExpiryDate
+  };
+};
+
+/**
+ * Find the records that still refer to items of a preference list
+ * @param {String} businessId - Business ID
+ * @param {String} section - Key of PREFERENCE_SECTIONS
+ * @param {Array} itemIds - Item IDs to check
+ * @returns {Promise<Map>} - Item ID string to [{ label, count }], for referenced items only
+ */
+const findPreferenceReferences = async (businessId, section, itemIds) => {
+  const references = new Map();
+  if (itemIds.length === 0) return references;
+
+  const ids = itemIds.map(id => new mongoose.Types.ObjectId(String(id)));
+  for (const { model, field, label } of PREFERENCE_SECTIONS[section].references) {
+    const rows = await mongoose.model(model).aggregate([
+      { $match: { business: new mongoose.Types.ObjectId(String(businessId)), [field]: { $in: ids } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+    ]);
+
+    for (const row of rows) {
+      const key = row._id.toString();
+      references.set(key, [...(references.get(key) || []), { label, count: row.count }]);
+    }
+  }
+
+  return references;
+};
+
+/**
+ * Describe references for a message, e.g. '3 products'
+ * @param {Array} references - [{ label, count }]
+ * @returns {String}
+ */
+const describeReferences = (references) => references
+  .map(({ label, count }) => `${count} ${label}${count === 1 ? '' : 's'}`)
+  .join(' and ');
+
+// Separates the category names of a category path
+const CATEGORY_PATH_SEPARATOR = ' > ';
+
+/**
+ * Find what stops a category list from forming a tree
+ * Every parent must be a category of the list, and following parents up
+ * must reach a top-level category.
+ * @param {Array} categories - Categories with _id, name and parent
+ * @returns {String|null} - Problem to report, or null if the list is a tree
+ */
+const findCategoryTreeProblem = (categories) => {
+  const byId = new Map(categories.map(category => [String(category._id), category]));
+
+  for (const category of categories) {
+    if (category.parent && !byId.has(String(category.parent))) {
+      return `The parent of ${category.name} is not a category in the list`;
+    }
+  }
+
+  for (const category of categories) {
+    // A tree reaches the top in fewer steps than there are categories
+    let node = category;
+    for (let steps = 0; node?.parent; steps++) {
+      if (steps === categories.length) {
+        return `${category.name} cannot be placed under itself or one of its subcategories`;
+      }
+      node = byId.get(String(node.parent));
+    }
+  }
+
+  return null;
+};
+
+/**
+ * IDs of the categories under a category, at any depth
+ * @param {Array} categories - Categories with _id and parent
+ * @param {String} id - Category ID
+ * @returns {Set} - ID strings, not including the category itself
+ */
+const findCategoryDescendants = (categories, id) => {
+  const descendants = new Set();
+  const pending = [String(id)];
+
+  while (pending.length > 0) {
+    const parentId = pending.pop();
+    for (const category of categories) {
+      const categoryId = String(category._id);
+      if (category.parent && String(category.parent) === parentId && !descendants.has(categoryId)) {
+        descendants.add(categoryId);
+        pending.push(categoryId);
+      }
+    }
+  }
+
+  return descendants;
+};
+
+/**
+ * Arrange categories as a tree
+ * Nodes keep the list order among their siblings. Categories whose parent is
+ * missing are shown at the top level.
+ * @param {Array} categories - Category subdocuments
+ * @returns {Object} - { tree, paths }: nested nodes with depth, path and
+ *   children, and the same categories flattened in tree order as
+ *   { _id, name, parent, isActive, depth, path }
+ */
+const buildCategoryTree = (categories) => {
+  const nodes = categories.map(category => ({
+    ...(category.toObject ? category.toObject() : category),
+    children: []
+  }));
+  const byId = new Map(nodes.map(node => [String(node._id), node]));
+
+  const tree = [];
+  for (const node of nodes) {
+    const parent = node.parent && byId.get(String(node.parent));
+    (parent ? parent.children : tree).push(node);
+  }
+
+  const paths = [];
+  const visit = (node, ancestors) => {
+    node.depth = ancestors.length;
+    node.path = [...ancestors, node.name].join(CATEGORY_PATH_SEPARATOR);
+    paths.push({
+      _id: node._id,
+      name: node.name,
+      parent: node.parent ?? null,
+      isActive: node.isActive,
+      depth: node.depth,
+      path: node.path
+    });
+    node.children.forEach(child => visit(child, [...ancestors, node.name]));
+  };
+  tree.forEach(node => visit(node, []));
+
+  return { tree, paths };
+};
+
+/**
+ * Field values given to new items of a preference list
+ * @param {String} section - Key of PREFERENCE_SECTIONS
+ * @returns {Object}
+ */
+const preferenceItemDefaults = (section) => Object.fromEntries(
+  Object.entries(PREFERENCE_SECTIONS[section].fields).filter(([, value]) => value !== undefined)
+);
+
+/**
+ * Template a business of an industry starts from
+ * @param {String} industry - Business industry
+ * @returns {String} - Key of PREFERENCE_TEMPLATES
+ */
+const templateForIndustry = (industry) =>
+  (Object.hasOwn(PREFERENCE_TEMPLATES, industry) ? industry : DEFAULT_TEMPLATE);
+
+/**
+ * Copy the preference lists of a template, ready to store on a business
+ * @param {String} templateKey - Key of PREFERENCE_TEMPLATES
+ * @returns {Object} - Lists keyed by section
+ */
+const buildTemplatePreferences = (templateKey) => Object.fromEntries(
+  Object.entries(PREFERENCE_TEMPLATES[templateKey].preferences)
+    .map(([section, items]) => [section, items.map(item => ({ ...item }))])
+);
+
+/**
+ * Work out how applying a template changes a business's preference lists
+ *  - merge: template items are added unless the list already has an item
+ *    with the same name (or abbreviation, for units); nothing else changes
+ *  - replace: lists become the template's items. Existing items matching a
+ *    template item keep their ID and creation date, so records stay linked;
+ *    other items are removed, or deactivated and kept if records use them.
+ *    Templates are flat: matched categories keep their parent, and
+ *    categories whose parent is removed move to the top level.
+ * @param {Object} business - Business document
+ * @param {String} templateKey - Key of PREFERENCE_TEMPLATES
+ * @param {String} mode - 'merge' or 'replace'
+ * @param {Array} sections - Keys of PREFERENCE_SECTIONS to change
+ * @returns {Promise<Object>} - { preferences, changes }: new lists and, per
+ *   section, the names of added, updated, removed and deactivated items
+ */
+const planTemplate = async (business, templateKey, mode, sections) => {
+  const template = PREFERENCE_TEMPLATES[templateKey].preferences;
+  const preferences = {};
+  const changes = {};
+
+  for (const section of sections) {
+    const spec = PREFERENCE_SECTIONS[section];
+    const defaults = preferenceItemDefaults(section);
+    const uniqueValue = (item) => String(item[spec.uniqueField]).trim().toLowerCase();
+
+    const current = (business.preferences?.[section] || []).map(item => item.toObject());
+    const existing = new Map(current.map(item => [uniqueValue(item), item]));
+    const change = { added: [], updated: [], removed: [], deactivated: [] };
+    let items;
+
+    if (mode === 'merge') {
+      items = [...current];
+      for (const templateItem of template[section]) {
+        if (existing.has(uniqueValue(templateItem))) continue;
+        items.push({ ...defaults, ...templateItem, createdAt: new Date() });
+        change.added.push(templateItem.name);
+      }
+    } else {
+      items = template[section].map(templateItem => {
+        const match = existing.get(uniqueValue(templateItem));
+        const fields = { ...defaults, ...templateItem, ...(match?.parent && { parent: match.parent }) };
+
+        if (!match) {
+          change.added.push(templateItem.name);
+          return { ...fields, createdAt: new Date() };
+        }
+
+        existing.delete(uniqueValue(templateItem));
+        if (Object.keys(fields).some(field => (match[field] ?? defaults[field]) !== fields[field])) {
+          change.updated.push(templateItem.name);
+        }
+        return { ...fields, _id: match._id, createdAt: match.createdAt };
+      });
+
+      const leftOver = [...existing.values()];
+      const references = await findPreferenceReferences(business._id, section, leftOver.map(item => item._id));
+      for (const item of leftOver) {
+        if (references.has(item._id.toString())) {
+          items.push({ ...item, isActive: false });
+          if (item.isActive !== false) change.deactivated.push(item.name);
+        } else {
+          change.removed.push(item.name);
+        }
+      }
+
+      if (section === 'categories') {
+        const keptIds = new Set(items.filter(item => item._id).map(item => String(item._id)));
+        items = items.map(item =>
+          (item.parent && !keptIds.has(String(item.parent)) ? { ...item, parent: null } : item));
+      }
+    }
+
+    preferences[section] = items;
+    changes[section] = change;
+  }
+
+  return { preferences, changes };
+};
+
+module.exports = {
+  findPreferenceItem,
+  getProductRules,
+  findPreferenceReferences,
+  describeReferences,
+  findCategoryTreeProblem,
+  findCategoryDescendants,
+  buildCategoryTree,
+  preferenceItemDefaults,
+  templateForIndustry,
+  buildTemplatePreferences,
+  planTemplate
+};
@@ -0,0 +1,31 @@
+/**
+ * Query Utility
+ * Reads list filters and pagination from the query string
+ */
+
+// Largest page a list endpoint returns
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {String} value - Raw string
+ * @returns {String}
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Read pagination parameters from the query string
+ * @param {Object} query - Express request query
+ * @param {Number} defaultLimit - Page size when none is given
+ * @returns {Object} - { page, limit }
+ */
+const parsePagination = (query, defaultLimit = 20) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_PAGE_SIZE)
+});
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  escapeRegex,
+  parsePagination
+};
@@ -0,0 +1,321 @@
+/**
+ * Stock Tracking Utility
+ * Applies a product type's serial number and expiry rules when stock moves
+ */
+
+const mongoose = require('mongoose');
+const StockLot = require('../models/StockLot');
+const SerialNumber = require('../models/SerialNumber');
+const StockMovement = require('../models/StockMovement');
+const { SERIAL_ISSUE_STATUS } = require('../config/inventory');
+const { getProductRules } = require('./preferences');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create an error that the error handler sends with the given status
+ * @param {String} message - Error message
+ * @param {Number} statusCode - HTTP status code
+ * @returns {Error}
+ */
+const trackingError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Error for a lot or serial number that changed while a movement was posted
+ * @returns {Error}
+ */
+const concurrentChangeError = () => {
+  return trackingError('Stock changed while the movement was being recorded. Please try again.', 409);
+};
+
+/**
+ * Check the serial numbers given for a movement
+ * @param {Array} serialNumbers - Serial numbers from the request
+ * @param {Number} count - Number of units moved
+ * @returns {Array} - Trimmed serial numbers
+ */
+const readSerialNumbers = (serialNumbers, count) => {
+  const list = (serialNumbers || []).map(serial => String(serial).trim()).filter(Boolean);
+
+  if (list.length !== count) {
+    throw trackingError(`This product requires exactly ${count} serial number(s), one per unit`);
+  }
+  if (new Set(list).size !== list.length) {
+    throw trackingError('Serial numbers must be unique');
+  }
+
+  return list;
+};
+
+/**
+ * Work out the expiry date of incoming stock
+ * Falls back to the product's default shelf life when no date is given.
+ * @param {Date|String} expiryDate - Expiry date from the request
+ * @param {Object} product - Product document
+ * @returns {Date}
+ */
+const resolveExpiryDate = (expiryDate, product) => {
+  if (expiryDate) {
+    return new Date(expiryDate);
+  }
+  if (product.shelfLifeDays) {
+    return new Date(Date.now() + product.shelfLifeDays * DAY_MS);
+  }
+
+  throw trackingError('An expiry date is required for this product');
+};
+
+/**
+ * Bring serialized units into stock
+ * Units seen before (e.g. returns) are restocked under their existing record.
+ * @param {Object} movement - Movement being posted
+ * @param {Array} serials - Serial numbers
+ * @param {Date|null} expiryDate - Expiry date of the units
+ * @param {Object} session - Mongoose session
+ */
+const receiveSerials = async (movement, serials, expiryDate, session) => {
+  const { business, product } = movement;
+
+  const existing = await SerialNumber.find({ business, product, serialNumber: { $in: serials } })
+    .session(session);
+
+  const inStock = existing.filter(unit => unit.status === 'in-stock');
+  if (inStock.length > 0) {
+    throw trackingError(`Serial numbers already in stock: ${inStock.map(unit => unit.serialNumber).join(', ')}`);
+  }
+
+  if (existing.length > 0) {
+    const result = await SerialNumber.updateMany(
+      { _id: { $in: existing.map(unit => unit._id) }, status: { $ne: 'in-stock' } },
+      { $set: { status: 'in-stock', expiryDate, receivedMovement: movement._id, issuedMovement: null } },
+      { session }
+    );
+
+    if (result.modifiedCount !== existing.length) {
+      throw concurrentChangeError();
+    }
+  }
+
+  const known = new Set(existing.map(unit => unit.serialNumber));
+  const created = serials
+    .filter(serialNumber => !known.has(serialNumber))
+    .map(serialNumber => ({
+      business,
+      product,
+      serialNumber,
+      expiryDate,
+      receivedMovement: movement._id
+    }));
+
+  if (created.length > 0) {
+    await SerialNumber.insertMany(created, { session });
+  }
+};
+
+/**
+ * Take serialized units out of stock
+ * @param {Object} movement - Movement being posted
+ * @param {Array} serials - Serial numbers
+ * @param {Object} session - Mongoose session
+ */
+const issueSerials = async (movement, serials, session) => {
+  const { business, product } = movement;
+
+  const units = await SerialNumber.find({
+    business,
+    product,
+    serialNumber: { $in: serials },
+    status: 'in-stock'
+  }).session(session);
+
+  if (units.length !== serials.length) {
+    const available = new Set(units.map(unit => unit.serialNumber));
+    const missing = serials.filter(serialNumber => !available.has(serialNumber));
+    throw trackingError(`Serial numbers not in stock: ${missing.join(', ')}`);
+  }
+
+  const result = await SerialNumber.updateMany(
+    { _id: { $in: units.map(unit => unit._id) }, status: 'in-stock' },
+    { $set: { status: SERIAL_ISSUE_STATUS[movement.type], issuedMovement: movement._id } },
+    { session }
+  );
+
+  if (result.modifiedCount !== units.length) {
+    throw concurrentChangeError();
+  }
+};
+
+/**
+ * Bring stock into a lot, creating the lot if it is new
+ * @param {Object} movement - Movement being posted
+ * @param {Object} product - Product document
+ * @param {String} lotNumber - Lot number
+ * @param {Date|String} expiryDate - Expiry date from the request
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<Array>} - Lot allocations for the movement
+ */
+const receiveLot = async (movement, product, lotNumber, expiryDate, session) => {
+  const { business, quantity } = movement;
+  const number = lotNumber ? String(lotNumber).trim() : '';
+
+  if (!number) {
+    throw trackingError('A lot number is required for this product');
+  }
+
+  let lot = await StockLot.findOne({ business, product: product._id, lotNumber: number })
+    .session(session);
+
+  if (lot) {
+    if (expiryDate && new Date(expiryDate).getTime() !== lot.expiryDate.getTime()) {
+      throw trackingError(`Lot ${lot.lotNumber} already exists with a different expiry date`);
+    }
+
+    lot = await StockLot.findByIdAndUpdate(
+      lot._id,
+      { $inc: { quantityReceived: quantity, quantityOnHand: quantity } },
+      { new: true, session }
+    );
+  } else {
+    [lot] = await StockLot.create(
+      [{
+        business,
+        product: product._id,
+        lotNumber: number,
+        expiryDate: resolveExpiryDate(expiryDate, product),
+        quantityReceived: quantity,
+        quantityOnHand: quantity
+      }],
+      { session }
+    );
+  }
+
+  return [{ lot: lot._id, lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity }];
+};
+
+/**
+ * Take stock out of lots
+ * Uses the requested lot, otherwise first-expired-first-out. Sales never
+ * draw on expired lots. Stock received before the product was tracked by lot
+ * has no lot, so any quantity the lots cannot cover is left unallocated.
+ * @param {Object} movement - Movement being posted
+ * @param {String} lotNumber - Lot to take stock from (optional)
+ * @param {Object} session - Mongoose session
+ * @returns {Promise<Array>} - Lot allocations for the movement
+ */
+const issueLots = async (movement, lotNumber, session) => {
+  const { business, product, type } = movement;
+  const now = new Date();
+  let remaining = -movement.quantity;
+
+  let lots;
+  if (lotNumber) {
+    const lot = await StockLot.findOne({ business, product, lotNumber: String(lotNumber).trim() })
+      .session(session);
+
+    if (!lot) {
+      throw trackingError(`Lot ${lotNumber} not found`, 404);
+    }
+    if (type === 'sale' && lot.isExpired(now)) {
+      throw trackingError(`Lot ${lot.lotNumber} has expired`);
+    }
+    if (lot.quantityOnHand < remaining) {
+      throw trackingError(`Lot ${lot.lotNumber} has only ${lot.quantityOnHand} available`);
+    }
+    lots = [lot];
+  } else {
+    const filter = { business, product, quantityOnHand: { $gt: 0 } };
+    if (type === 'sale') {
+      filter.expiryDate = { $gt: now };
+    }
+
+    lots = await StockLot.find(filter)
+      .sort({ expiryDate: 1, _id: 1 })
+      .session(session);
+  }
+
+  const allocations = [];
+  for (const lot of lots) {
+    if (remaining <= 0) break;
+
+    const take = Math.min(lot.quantityOnHand, remaining);
+    const result = await StockLot.updateOne(
+      { _id: lot._id, quantityOnHand: { $gte: take } },
+      { $inc: { quantityOnHand: -take } },
+      { session }
+    );
+
+    if (result.modifiedCount !== 1) {
+      throw concurrentChangeError();
+    }
+
+    allocations.push({ lot: lot._id, lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity: -take });
+    remaining -= take;
+  }
+
+  if (remaining > 0 && type === 'sale') {
+    const expired = await StockLot.exists({
+      business,
+      product,
+      quantityOnHand: { $gt: 0 },
+      expiryDate: { $lte: now }
+    }).session(session);
+
+    if (expired) {
+      throw trackingError('Not enough unexpired stock to complete this sale');
+    }
+  }
+
+  return allocations;
+};
+
+/**
+ * Post a stock movement, applying the product type's tracking rules
+ * Serialized products must name one serial number per unit; products that
+ * require expiry dates are received into lots and issued from them. Run
+ * inside a transaction so a refused movement leaves lots and serials untouched.
+ * @param {Object} business - Business document with preferences
+ * @param {Object} product - Product document
+ * @param {Object} movement - { type, quantity (signed), reason, unitCost, reference, createdBy, serialNumbers, lotNumber, expiryDate }
+ * @param {Object} options - { allowNegative, session }
+ * @returns {Promise<Object>} - Created movement document
+ */
+const postTrackedMovement = async (business, product, movement, options = {}) => {
+  const { serialNumbers, lotNumber, expiryDate, ...entry } = movement;
+  const session = options.session || null;
+  const rules = getProductRules(business, product.productType);
+
+  const record = {
+    ...entry,
+    _id: new mongoose.Types.ObjectId(),
+    business: business._id,
+    product: product._id
+  };
+  const incoming = record.quantity > 0;
+
+  if (rules.requiresSerialNumber) {
+    const serials = readSerialNumbers(serialNumbers, Math.abs(record.quantity));
+
+    if (incoming) {
+      const unitExpiry = rules.requiresExpiryDate ? resolveExpiryDate(expiryDate, product) : null;
+      await receiveSerials(record, serials, unitExpiry, session);
+    } else {
+      await issueSerials(record, serials, session);
+    }
+
+    record.serialNumbers = serials;
+  } else if (rules.requiresExpiryDate) {
+    record.lots = incoming
+      ? await receiveLot(record, product, lotNumber, expiryDate, session)
+      : await issueLots(record, lotNumber, session);
+  }
+
+  return StockMovement.post(record, options);
+};
+
+module.exports = {
+  postTrackedMovement
+};
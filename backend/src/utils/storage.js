@@ -0,0 +1,164 @@
+/**
+ * Storage Utility
+ * Stores uploaded files through a pluggable storage adapter
+ *
+ * Built-in adapters:
+ *  - local: files on disk under UPLOAD_DIR (default)
+ *
+ * Object stores (S3, R2, MinIO, etc.) can be plugged in with setAdapter().
+ * An adapter stores files by key, e.g. 'logos/<business>/<name>.png', and implements:
+ *  - put(key, buffer, { contentType }) - store a file, replacing any file with the same key
+ *  - get(key) - read a file into a Buffer, or null if there is no such file
+ *  - remove(key) - delete a file, ignoring files that are already gone
+ *  - url(key) - public URL of a file
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// File extensions for the file types the API accepts
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf'
+};
+
+/**
+ * Root directory for files stored on local disk
+ * @returns {String}
+ */
+const localRoot = () => path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+/**
+ * Absolute path of a key on local disk
+ * Keys cannot point outside the upload directory.
+ * @param {String} key - Storage key
+ * @returns {String}
+ */
+const localPath = (key) => {
+  const root = localRoot();
+  const target = path.resolve(root, ...String(key).split('/'));
+
+  if (!target.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  return target;
+};
+
+/**
+ * Built-in adapters
+ */
+const adapters = {
+  local: {
+    put: async (key, buffer) => {
+      const target = localPath(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, buffer);
+    },
+
+    get: async (key) => {
+      try {
+        return await fs.readFile(localPath(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      try {
+        await fs.unlink(localPath(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    url: (key) => `${process.env.UPLOAD_PUBLIC_URL || '/uploads'}/${key}`
+  }
+};
+
+// Custom adapter set at runtime (takes precedence over STORAGE_ADAPTER)
+let customAdapter = null;
+
+/**
+ * Resolve the adapter to use
+ * @returns {Object} - Storage adapter
+ */
+const getAdapter = () => {
+  if (customAdapter) {
+    return customAdapter;
+  }
+
+  const name = process.env.STORAGE_ADAPTER || 'local';
+  const adapter = adapters[name];
+
+  if (!adapter) {
+    throw new Error(`Unknown storage adapter: ${name}`);
+  }
+
+  return adapter;
+};
+
+/**
+ * Plug in a custom adapter
+ * @param {Object|null} adapter - Object implementing put, get, remove and url, or null to reset
+ */
+exports.setAdapter = (adapter) => {
+  const missing = ['put', 'get', 'remove', 'url'].filter(method => typeof adapter?.[method] !== 'function');
+  if (adapter && missing.length > 0) {
+    throw new Error(`Storage adapter must implement ${missing.join(', ')}`);
+  }
+  customAdapter = adapter;
+};
+
+/**
+ * Make a new, unguessable key for a file
+ * @param {String} directory - Key prefix, e.g. 'receipts'
+ * @param {String} mimeType - File type, used for the extension (optional)
+ * @returns {String}
+ */
+exports.generateKey = (directory, mimeType = null) => {
+  return `${directory}/${crypto.randomBytes(16).toString('hex')}${EXTENSIONS[mimeType] || ''}`;
+};
+
+/**
+ * Store a file
+ * @param {String} key - Storage key
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - { contentType }
+ * @returns {Promise}
+ */
+exports.putFile = (key, buffer, options = {}) => getAdapter().put(key, buffer, options);
+
+/**
+ * Read a file
+ * @param {String} key - Storage key
+ * @returns {Promise<Buffer|null>}
+ */
+exports.getFile = (key) => getAdapter().get(key);
+
+/**
+ * Delete files, ignoring empty keys
+ * @param {...String} keys - Storage keys
+ * @returns {Promise}
+ */
+exports.removeFiles = (...keys) => Promise.all(keys.filter(Boolean).map(key => getAdapter().remove(key)));
+
+/**
+ * Public URL of a file
+ * @param {String} key - Storage key
+ * @returns {String}
+ */
+exports.fileUrl = (key) => getAdapter().url(key);
+
+/**
+ * Absolute path of a locally stored file, for serving it from disk
+ * @param {String} key - Storage key
+ * @returns {String}
+ */
+exports.localPath = localPath;
+
+exports.EXTENSIONS = EXTENSIONS;
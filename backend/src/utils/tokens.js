@@ -0,0 +1,324 @@
+/**
+ * Token Utility
+ * Issues short-lived access tokens and rotating refresh tokens, and
+ * manages the login sessions they belong to
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const { parseUserAgent } = require('./userAgent');
+const logger = require('./logger');
+
+const ACCESS_TOKEN_EXPIRE = () => process.env.JWT_ACCESS_EXPIRE || '15m';
+const TWO_FACTOR_CHALLENGE_EXPIRE = () => process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m';
+const REFRESH_TOKEN_DAYS = () => parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS) || 7;
+
+// Avoid a write on every request when tracking session activity
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Expiry date for a refresh token (and its session) issued now
+ * @returns {Date}
+ */
+const refreshExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS() * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Hash an opaque token for storage
+ * @param {String} token - Raw token
+ * @returns {String} - SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Generate a random opaque token
+ * @param {Number} bytes - Number of random bytes
+ * @returns {String} - Hex encoded token
+ */
+const generateRandomToken = (bytes = 40) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Generate JWT access token
+ * @param {Object} user - User document, scoped to the business the token is for
+ * @param {String} sessionId - Session the access token belongs to
+ * @returns {String} - JWT token
+ */
+const generateAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    {
+      id: user._id,
+      tv: user.tokenVersion || 0,
+      sid: sessionId,
+      bid: user.business?._id || user.business,
+      type: 'access'
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRE() }
+  );
+};
+
+/**
+ * Generate a short-lived token proving the password step of a 2FA login
+ * It cannot be used to call the API, only to complete the login.
+ * @param {Object} user - User document
+ * @returns {String} - JWT challenge token
+ */
+const generateTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    {
+      id: user._id,
+      tv: user.tokenVersion || 0,
+      type: '2fa-challenge'
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRE() }
+  );
+};
+
+/**
+ * Verify a 2FA challenge token
+ * @param {String} token - Challenge token
+ * @returns {Object|null} - Decoded payload, or null if invalid
+ */
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === '2fa-challenge' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Persist a new refresh token for a session
+ * @param {String} userId - User ID
+ * @param {String} sessionId - Session ID
+ * @param {Object} req - Express request object (for client info)
+ * @param {String} token - Raw token to store (generated if omitted)
+ * @returns {Promise<String>} - Raw refresh token
+ */
+const createRefreshToken = async (userId, sessionId, req, token = generateRandomToken()) => {
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    session: sessionId,
+    expiresAt: refreshExpiry(),
+    createdByIp: req?.ip,
+    userAgent: req?.get?.('user-agent')
+  });
+
+  return token;
+};
+
+/**
+ * Start a new session and issue its access/refresh token pair
+ * @param {Object} user - User document, scoped to the business to sign into
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - { token, refreshToken, sessionId }
+ */
+const issueAuthTokens = async (user, req) => {
+  const userAgent = req?.get?.('user-agent') || '';
+
+  const session = await Session.create({
+    user: user._id,
+    business: user.business?._id || user.business,
+    userAgent,
+    device: parseUserAgent(userAgent),
+    ip: req?.ip,
+    lastUsedIp: req?.ip,
+    expiresAt: refreshExpiry()
+  });
+
+  const refreshToken = await createRefreshToken(user._id, session._id, req);
+
+  return {
+    token: generateAccessToken(user, session._id),
+    refreshToken,
+    sessionId: session._id
+  };
+};
+
+/**
+ * Revoke a session and every refresh token issued for it
+ * @param {String} sessionId - Session ID
+ * @param {String} reason - Revocation reason
+ */
+const revokeSession = async (sessionId, reason) => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await RefreshToken.revokeWhere({ session: sessionId });
+};
+
+/**
+ * Revoke every active session matching a filter
+ * @param {Object} filter - Session filter
+ * @param {String} reason - Revocation reason
+ * @returns {Promise<Number>} - Number of sessions revoked
+ */
+const revokeSessionsWhere = async (filter, reason) => {
+  const sessionIds = await Session.find({ ...filter, revokedAt: null }).distinct('_id');
+
+  await Session.updateMany(
+    { _id: { $in: sessionIds } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await RefreshToken.revokeWhere({ session: { $in: sessionIds } });
+
+  return sessionIds.length;
+};
+
+/**
+ * Revoke every session of a user
+ * @param {String} userId - User ID
+ * @param {String} reason - Revocation reason
+ * @param {String} exceptSessionId - Session to keep (e.g. the current one)
+ * @returns {Promise<Number>} - Number of sessions revoked
+ */
+const revokeUserSessions = (userId, reason, exceptSessionId = null) => {
+  const filter = { user: userId };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  return revokeSessionsWhere(filter, reason);
+};
+
+/**
+ * Revoke a user's sessions that are scoped to one business
+ * @param {String} userId - User ID
+ * @param {String} businessId - Business ID
+ * @param {String} reason - Revocation reason
+ * @returns {Promise<Number>} - Number of sessions revoked
+ */
+const revokeBusinessSessions = (userId, businessId, reason) => {
+  return revokeSessionsWhere({ user: userId, business: businessId }, reason);
+};
+
+/**
+ * Exchange a refresh token for a new pair
+ * Presenting an already-rotated token is treated as theft and
+ * revokes the whole session.
+ * @param {String} rawToken - Refresh token supplied by the client
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} - { userId, sessionId, businessId, refreshToken } or null if rejected
+ */
+const rotateRefreshToken = async (rawToken, req) => {
+  const tokenHash = hashToken(rawToken);
+  const newToken = generateRandomToken();
+
+  // Atomically claim the token so concurrent refreshes cannot both succeed
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        revokedAt: new Date(),
+        revokedReason: 'rotated',
+        replacedBy: hashToken(newToken)
+      }
+    }
+  );
+
+  if (!current) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+
+    if (existing && existing.revokedReason === 'rotated') {
+      logger.warn(`Refresh token reuse detected for user: ${existing.user}`);
+      await revokeSession(existing.session, 'reuse-detected');
+    }
+
+    return null;
+  }
+
+  // The session itself may have been revoked or expired
+  const session = await Session.findOneAndUpdate(
+    { _id: current.session, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        lastUsedAt: new Date(),
+        lastUsedIp: req?.ip,
+        expiresAt: refreshExpiry()
+      }
+    }
+  );
+
+  if (!session) {
+    return null;
+  }
+
+  await createRefreshToken(current.user, current.session, req, newToken);
+
+  return {
+    userId: current.user,
+    sessionId: current.session,
+    businessId: session.business,
+    refreshToken: newToken
+  };
+};
+
+/**
+ * Revoke the session a refresh token belongs to
+ * @param {String} rawToken - Refresh token supplied by the client
+ * @param {String} reason - Revocation reason
+ * @param {String} userId - Only revoke if the token belongs to this user
+ */
+const revokeRefreshToken = async (rawToken, reason, userId) => {
+  const existing = await RefreshToken.findOne({
+    tokenHash: hashToken(rawToken),
+    ...(userId && { user: userId })
+  });
+
+  if (existing) {
+    await revokeSession(existing.session, reason);
+  }
+};
+
+/**
+ * Check whether a session is still active, recording its use
+ * @param {String} sessionId - Session ID
+ * @param {Object} req - Express request object
+ * @returns {Promise<Boolean>}
+ */
+const isSessionActive = async (sessionId, req) => {
+  const session = await Session.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).select('lastUsedAt');
+
+  if (!session) {
+    return false;
+  }
+
+  if (Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    await Session.updateOne(
+      { _id: sessionId },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: req?.ip } }
+    );
+  }
+
+  return true;
+};
+
+module.exports = {
+  hashToken,
+  generateRandomToken,
+  generateAccessToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  revokeBusinessSessions,
+  isSessionActive
+};
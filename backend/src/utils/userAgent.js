@@ -0,0 +1,48 @@
+/**
+ * User Agent Utility
+ * Lightweight parsing of user agent strings for session listings
+ */
+
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(e|A|iOS)?\// },
+  { name: 'Opera', pattern: /OPR\/|Opera/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\// },
+  { name: 'Chrome', pattern: /Chrome\/|CriOS\// },
+  { name: 'Firefox', pattern: /Firefox\/|FxiOS\// },
+  { name: 'Safari', pattern: /Safari\// },
+  { name: 'Postman', pattern: /PostmanRuntime\// },
+  { name: 'curl', pattern: /^curl\// }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'Windows', pattern: /Windows NT/ },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+/**
+ * Describe the device behind a user agent string
+ * @param {String} userAgent - Raw User-Agent header
+ * @returns {Object} - { browser, os, type }
+ */
+exports.parseUserAgent = (userAgent = '') => {
+  const browser = BROWSERS.find(entry => entry.pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(entry => entry.pattern.test(userAgent));
+
+  let type = 'unknown';
+  if (/iPad|Tablet/.test(userAgent)) {
+    type = 'tablet';
+  } else if (/Mobi|iPhone|Android/.test(userAgent)) {
+    type = 'mobile';
+  } else if (os) {
+    type = 'desktop';
+  }
+
+  return {
+    browser: browser ? browser.name : 'Unknown',
+    os: os ? os.name : 'Unknown',
+    type
+  };
+};